@@ -12,17 +12,21 @@ import BuffBar from "@/components/BuffBar";
 import Player from "@/components/Player";
 import MenuBar from "@/components/MenuBar";
 import AchievementToast from "@/components/AchievementToast";
+import DeathOverlay from "@/components/DeathOverlay";
+import CastError from "@/components/CastError";
+import DpsMeter from "@/components/DpsMeter";
 import Target, { TargetProvider, useTarget } from "@/components/Target";
 import TargetHealthBar from "@/components/TargetHealthBar";
 import LoadingScreen, { markGameStarted } from "@/components/LoadingScreen";
 import CharacterCreationUI from "@/components/CharacterCreationScreen/CharacterCreationUI";
 import Town from "@/components/Town";
-import TrainingDummyModel from "@/components/TrainingDummyModel";
 import PixieOrbit from "@/components/PixieOrbit";
 import DebugPanel from "@/components/DebugPanel";
 // Projectiles - owned by the scene, triggered by player actions
-import IceShard from "@/components/IceShard";
-import Meteor from "@/components/Meteor";
+import Projectiles from "@/components/Projectiles";
+import { LineOfSight } from "@/systems/PhysicsWorld";
+import CombatText from "@/components/CombatText";
+import GroundReticle from "@/components/GroundReticle";
 
 // World system - Diablo-style "world moves around player"
 import WorldRoot from "@/components/WorldRoot";
@@ -34,7 +38,7 @@ import SceneManager, { Scene } from "@/components/SceneManager";
 import useSceneStore, { SCENES, useSceneTransition, useInputGate, selectCurrentScene } from "@/stores/sceneStore";
 
 import { KeyMapProvider, useKeyMap } from "@/hooks/useKeyMap";
-import { usePlayerState, useSlotMap, useAchievements, useActiveClass } from "@/hooks/useGame";
+import { usePlayerState, useSlotMap, useAchievements, useActiveClass, useExperience } from "@/hooks/useGame";
 import { InputProvider, KeyboardSync, useInput } from "@/hooks/useInput";
 import { useSlotButton, useMouseSlotButton } from "@/hooks/useSlotButton";
 import { SKILL_SLOTS, MOUSE_SLOTS, CONSUMABLE_SLOTS, PIXIE_SLOTS } from "@/config/slots";
@@ -134,8 +138,15 @@ const AchievementTracker = () => {
 };
 
 const InputToStateSync = () => {
-  const { handleInput } = usePlayerState();
+  const { handleInput: handleRawInput } = usePlayerState();
   const { getActionForSlot } = useSlotMap();
+  const { canAcceptInput } = useInputGate();
+  
+  // Gate presses (death, transitions) - releases always go through
+  const handleInput = useCallback((actionId, isPressed) => {
+    if (isPressed && !canAcceptInput()) return;
+    handleRawInput(actionId, isPressed);
+  }, [canAcceptInput, handleRawInput]);
   
   // Subscribe to slot-based keyboard controls (mouse buttons handled separately in Target component)
   const slot1 = useKeyboardControls((state) => state.slot_1);
@@ -184,7 +195,7 @@ const InputToStateSync = () => {
  * Uses the shared useSlotButton hook for DRY implementation.
  */
 const SlotButton = ({ slotId }) => {
-  const { actionId, keyBind, icon, active, disabled, tooltip, handlers } = useSlotButton(slotId);
+  const { actionId, keyBind, icon, active, disabled, tooltip, cooldown, handlers } = useSlotButton(slotId);
   
   return (
     <Slot 
@@ -195,6 +206,7 @@ const SlotButton = ({ slotId }) => {
       active={active}
       disabled={disabled}
       tooltip={tooltip}
+      cooldown={cooldown}
       {...handlers}
     />
   );
@@ -205,7 +217,7 @@ const SlotButton = ({ slotId }) => {
  * Uses the shared useMouseSlotButton hook for DRY implementation.
  */
 const MouseSlotButton = ({ slotId }) => {
-  const { actionId, keyBind, icon, active, disabled, tooltip } = useMouseSlotButton(slotId);
+  const { actionId, keyBind, icon, active, disabled, tooltip, cooldown } = useMouseSlotButton(slotId);
   
   return (
     <Slot 
@@ -216,6 +228,7 @@ const MouseSlotButton = ({ slotId }) => {
       active={active}
       disabled={disabled}
       tooltip={tooltip}
+      cooldown={cooldown}
     />
   );
 };
@@ -223,6 +236,9 @@ const MouseSlotButton = ({ slotId }) => {
 const GameUI = ({ slideIn }) => (
   <>
     <TargetHealthBar />
+    <DeathOverlay />
+    <CastError />
+    <DpsMeter />
     <Hud slideIn={slideIn}>
       <Orb type="health" label="Health" />
       <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', gap: '12px', position: 'relative' }}>
@@ -243,6 +259,7 @@ const GameUI = ({ slideIn }) => (
         </div>
       </div>
       <Orb type="mana" label="Mana" />
+      <Orb type="resource" />
     </Hud>
   </>
 );
@@ -274,25 +291,9 @@ const GameControls = ({ children, hudSlideIn }) => {
  */
 const PlayerTarget = ({ children }) => {
   const { health, maxHealth, buffs } = usePlayerState();
+  const { level } = useExperience();
   return (
-    <Target name="Wizard" health={health} maxHealth={maxHealth} level={70} type="friendly" buffs={buffs}>
-      {children}
-    </Target>
-  );
-};
-
-/**
- * Simple training dummy target (no fake debuffs).
- */
-const TrainingDummy = ({ children }) => {
-  return (
-    <Target 
-      name="Training Dummy" 
-      health={75} 
-      maxHealth={100} 
-      level={72} 
-      type="enemy"
-    >
+    <Target name="Wizard" health={health} maxHealth={maxHealth} level={level} type="friendly" buffs={buffs}>
       {children}
     </Target>
   );
@@ -346,17 +347,20 @@ const GameScene = () => {
         {/* Campfire light - part of world, moves with it */}
         <pointLight position={[0, 2, 0]} intensity={1} color="#ff6b35" distance={10} />
         
-        {/* Town environment */}
-        <Town />
-
-        {/* Test enemy target */}
-        <TrainingDummy>
-          <TrainingDummyModel position={[0, 0, 3]} />
-        </TrainingDummy>
+        {/* Town environment + its encounters (training dummy, arena) */}
+        <Town showEncounters />
+        
+        {/* Skill projectiles + impacts (launched by gameStore on cast) */}
+        <Projectiles />
+        
+        {/* Line-of-sight ray cast for skill range checks */}
+        <LineOfSight />
+        
+        {/* Floating damage / healing / status numbers */}
+        <CombatText />
         
-        {/* Projectile effects - spawn at player (origin), travel into world */}
-        <IceShard targetPosition={[0, 0, 3]} />
-        <Meteor targetPosition={[0, 0, 3]} />
+        {/* Placement reticle for ground-targeted skills */}
+        <GroundReticle />
         
         {/* Click destination indicator */}
         <ClickIndicator />
@@ -677,15 +681,15 @@ function UnifiedScene({ selectedClassId, onSelectClass }) {
         {isGameplay && <GroundPlane />}
         
         <pointLight position={[0, 2, 0]} intensity={1} color="#ff6b35" distance={10} />
-        <Town />
+        {/* Encounters (dummy, arena, monsters) come from encounters.json */}
+        <Town showEncounters={isGameplay} />
         
         {isGameplay && (
           <>
-            <TrainingDummy>
-              <TrainingDummyModel position={[0, 0, 3]} />
-            </TrainingDummy>
-            <IceShard targetPosition={[0, 0, 3]} />
-            <Meteor targetPosition={[0, 0, 3]} />
+            <Projectiles />
+            <LineOfSight />
+            <CombatText />
+            <GroundReticle />
             <ClickIndicator />
           </>
         )}
@@ -1,5 +1,5 @@
 import { usePlayerState, useSlotMap } from "@/hooks/useGame";
-import { getPixieActionById, getActionById, isChannelAction } from "@/config/actions";
+import { getPixieActionById, getActionById, isChannelAction, isMovementChannel } from "@/config/actions";
 import { PIXIE_SLOTS } from "@/config/slots";
 import { useState, useEffect, memo, useMemo } from "react";
 import styles from "./styles.module.css";
@@ -31,6 +31,8 @@ const BuffIcon = memo(function BuffIcon({ buff, now }) {
   const [showTooltip, setShowTooltip] = useState(false);
   
   const buffInfo = BUFF_INFO[buff.id] || {};
+  const description = buffInfo.description || buff.description;
+  const stacks = buff.stacks || 1;
   
   return (
     <div 
@@ -47,20 +49,26 @@ const BuffIcon = memo(function BuffIcon({ buff, now }) {
         <span className={styles["buff-timer"]}>
           {Math.ceil(remaining)}s
         </span>
+        {stacks > 1 && (
+          <span className={styles["buff-stacks"]}>{stacks}</span>
+        )}
       </div>
       
       {showTooltip && (
         <div className={styles.tooltip}>
           <div className={styles["tooltip-header"]}>
             <span className={styles["tooltip-name"]}>{buff.name}</span>
-            <span className={styles["tooltip-type"]}>Buff</span>
+            <span className={styles["tooltip-type"]}>{buff.type === 'debuff' ? 'Debuff' : 'Buff'}</span>
           </div>
-          {buffInfo.description && (
-            <p className={styles["tooltip-desc"]}>{buffInfo.description}</p>
+          {description && (
+            <p className={styles["tooltip-desc"]}>{description}</p>
           )}
           {buffInfo.effect && (
             <p className={styles["tooltip-effect"]}>{buffInfo.effect}</p>
           )}
+          {stacks > 1 && (
+            <p className={styles["tooltip-effect"]}>{stacks} / {buff.maxStacks} stacks</p>
+          )}
           <p className={styles["tooltip-duration"]}>
             {Math.ceil(remaining)}s remaining
           </p>
@@ -157,10 +165,12 @@ export default function BuffBar() {
   
   // Data-driven: Get active channel action info from action data
   const activeChannelAction = useMemo(() => {
-    if (state !== STATES.MOVING || !activeAction) return null;
+    if (!activeAction) return null;
     const action = getActionById(activeAction);
-    return action && isChannelAction(action) ? action : null;
-  }, [state, activeAction, STATES.MOVING]);
+    if (state === STATES.CHANNELING && isChannelAction(action)) return action;
+    if (state === STATES.MOVING && isMovementChannel(action)) return action;
+    return null;
+  }, [state, activeAction, STATES.CHANNELING, STATES.MOVING]);
   
   // Get equipped pixies from slot map - use slotMap directly for stable reference
   const equippedPixies = useMemo(() => {
@@ -0,0 +1,18 @@
+import styles from './styles.module.css';
+import { useCastError } from '@/hooks/useGame';
+
+/**
+ * Rejected-cast message ("Out of range", "Target not in line of sight").
+ * Keyed on the error id so a repeated error replays its fade.
+ */
+export default function CastError() {
+  const castError = useCastError();
+
+  if (!castError) return null;
+
+  return (
+    <div key={castError.id} className={styles['cast-error']} role="alert">
+      {castError.message}
+    </div>
+  );
+}
@@ -1,6 +1,7 @@
 import { useEffect, useState, useRef, useMemo } from 'react';
 import { usePlayerState } from '@/hooks/useGame';
 import { getActionById, ELEMENTS } from '@/config/actions';
+import { getChannelRemaining } from '@/game/channeling';
 import styles from './styles.module.css';
 
 // Get element colors for an action
@@ -9,8 +10,13 @@ function getElementColors(action) {
     return ELEMENTS[action.element] || null;
 }
 
+// Capitalized school name ("fire" -> "Fire")
+function formatSchool(school) {
+    return school ? `${school.charAt(0).toUpperCase()}${school.slice(1)}` : null;
+}
+
 // Shatter overlay component
-function ShatterOverlay({ actionId, progress }) {
+function ShatterOverlay({ actionId, progress, kick }) {
     const action = getActionById(actionId);
     const percentage = Math.round(progress * 100);
     const element = getElementColors(action);
@@ -51,6 +57,14 @@ function ShatterOverlay({ actionId, progress }) {
                     ))}
                 </div>
             </div>
+            
+            {/* Kicked - who did it and what got locked */}
+            {kick && (
+                <div className={styles['kick-note']}>
+                    {kick.ability}
+                    {kick.school && ` — ${formatSchool(kick.school)} locked ${kick.lockoutSeconds}s`}
+                </div>
+            )}
         </div>
     );
 }
@@ -61,30 +75,38 @@ function ShatterOverlay({ actionId, progress }) {
  */
 const INITIAL_SHATTER_STATE = null;
 
+// How long the shatter stays up (kicks linger so the lockout can be read)
+const SHATTER_MS = 400;
+const KICK_SHATTER_MS = 1500;
+
 export default function CastingBar() {
-    const { state, activeAction, castProgress, interruptCounter, interruptedAction, interruptedProgress, STATES } = usePlayerState();
+    const {
+        state, activeAction, castProgress, castPushback, channel,
+        interruptCounter, interruptedAction, interruptedProgress, interruptedBy, STATES,
+    } = usePlayerState();
     
-    // Consolidated shatter state: { actionId, progress } or null
+    // Consolidated shatter state: { actionId, progress, kick } or null
     const [shatter, setShatter] = useState(INITIAL_SHATTER_STATE);
     const lastInterruptCountRef = useRef(0);
     
-    // Only show when casting or attacking (not idle/moving)
-    const isActive = state === STATES.CASTING || state === STATES.ATTACKING;
+    // Only show when casting, attacking or channeling (not idle/moving)
+    const isChanneling = state === STATES.CHANNELING;
+    const isActive = state === STATES.CASTING || state === STATES.ATTACKING || isChanneling;
     
     // Handle interruption - show shatter effect when counter changes
     useEffect(() => {
         if (interruptCounter > lastInterruptCountRef.current && interruptedAction) {
             lastInterruptCountRef.current = interruptCounter;
-            setShatter({ actionId: interruptedAction, progress: interruptedProgress });
+            setShatter({ actionId: interruptedAction, progress: interruptedProgress, kick: interruptedBy });
             
             // Hide shatter after animation
             const timer = setTimeout(() => {
                 setShatter(INITIAL_SHATTER_STATE);
-            }, 400);
+            }, interruptedBy ? KICK_SHATTER_MS : SHATTER_MS);
             
             return () => clearTimeout(timer);
         }
-    }, [interruptCounter, interruptedAction, interruptedProgress]);
+    }, [interruptCounter, interruptedAction, interruptedProgress, interruptedBy]);
     
     // Derive action and element for current casting
     const action = useMemo(() => 
@@ -92,20 +114,24 @@ export default function CastingBar() {
         [isActive, activeAction]
     );
     const element = useMemo(() => getElementColors(action), [action]);
-    const progress = castProgress ?? 0;
+    // Channels deplete: the bar shows what's left of them
+    const progress = isChanneling ? getChannelRemaining(channel) : castProgress ?? 0;
     const percentage = Math.round(progress * 100);
     
+    // Latest pushback on this cast (keyed so every hit replays the flash)
+    const pushback = castPushback?.actionId === activeAction ? castPushback : null;
+    
     return (
         <div className={styles['casting-bar-container']}>
             {/* Shatter overlay - shows above the new casting bar */}
             {shatter && (
-                <ShatterOverlay actionId={shatter.actionId} progress={shatter.progress} />
+                <ShatterOverlay actionId={shatter.actionId} progress={shatter.progress} kick={shatter.kick} />
             )}
             
             {/* Normal casting bar */}
             {isActive && activeAction && action && (
                 <div 
-                    className={styles['casting-bar']}
+                    className={`${styles['casting-bar']} ${isChanneling ? styles['channeling'] : ''}`}
                     style={element ? {
                         '--element-primary': element.primary,
                         '--element-secondary': element.secondary,
@@ -127,6 +153,11 @@ export default function CastingBar() {
                             style={{ width: `${percentage}%` }}
                         />
                         
+                        {/* Pushback flash - the fill just got knocked back */}
+                        {pushback && (
+                            <div key={pushback.id} className={styles['pushback-flash']} />
+                        )}
+                        
                         {/* Spark effect at end of bar */}
                         <div 
                             className={styles['bar-spark']}
@@ -136,6 +167,10 @@ export default function CastingBar() {
                         {/* Skill name */}
                         <span className={styles['skill-name']}>{action?.label || 'Casting'}</span>
                     </div>
+                    
+                    {pushback && (
+                        <span key={pushback.id} className={styles['pushback-label']}>Pushback</span>
+                    )}
                 </div>
             )}
         </div>
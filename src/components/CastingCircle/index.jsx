@@ -6,6 +6,12 @@ import { getElementForAction } from '@/config/actions'
 
 const DEFAULT_COLOR = { primary: '#ffffff', secondary: '#cccccc' }
 
+// The outer ring sits at 90% of the plane's half-size
+const OUTER_RING = 0.9
+
+// Radius of the outer ring under the caster
+const CASTER_RADIUS = 1.125
+
 // Vertex shader for the circle
 const vertexShader = `
   varying vec2 vUv;
@@ -87,28 +93,16 @@ const fragmentShader = `
   }
 `
 
-export default function CastingCircle({ position = [0, 0.02, 0] }) {
+/**
+ * Animated magic circle decal (lies flat on the ground).
+ * Fades and scales in while active; getProgress() (0-1) fills the progress ring.
+ * radius is the outer ring's radius in world units.
+ * Used under the caster while casting and as the ground-targeting reticle.
+ */
+export function MagicCircle({ position = [0, 0.02, 0], radius = CASTER_RADIUS, colors = DEFAULT_COLOR, isActive, getProgress }) {
+  const size = (radius / OUTER_RING) * 2
   const meshRef = useRef()
   const materialRef = useRef()
-  const { state, activeAction, castProgressRef, STATES } = usePlayerState()
-  
-  // Get element for active skill
-  const element = useMemo(() => {
-    if (!activeAction) return null
-    return getElementForAction(activeAction)
-  }, [activeAction])
-  
-  // Determine if we should show the circle
-  const isActive = (state === STATES.CASTING || state === STATES.ATTACKING || state === STATES.MOVING) && element
-  
-  // For channel skills (MOVING state), always show full progress
-  const isChannel = state === STATES.MOVING
-  
-  // Get colors from element
-  const colors = useMemo(() => {
-    if (!element) return DEFAULT_COLOR
-    return { primary: element.primary, secondary: element.secondary }
-  }, [element])
   
   // Create shader material
   const shaderMaterial = useMemo(() => {
@@ -147,8 +141,7 @@ export default function CastingCircle({ position = [0, 0.02, 0] }) {
     
     // Update uniforms only when visible
     uniforms.uTime.value += delta
-    // For channel skills, always show full progress
-    uniforms.uProgress.value = isChannel ? 1.0 : castProgressRef.current
+    uniforms.uProgress.value = getProgress ? getProgress() : 1.0
     uniforms.uOpacity.value += (targetOpacity - currentOpacity) * delta * 8
     
     // Update colors only when they change (compare hex)
@@ -174,8 +167,41 @@ export default function CastingCircle({ position = [0, 0.02, 0] }) {
       rotation={[-Math.PI / 2, 0, 0]}
       scale={0.5}
     >
-      <planeGeometry args={[2.5, 2.5, 1, 1]} />
+      <planeGeometry args={[size, size, 1, 1]} />
       <primitive object={shaderMaterial} ref={materialRef} attach="material" />
     </mesh>
   )
 }
+
+export default function CastingCircle({ position = [0, 0.02, 0] }) {
+  const { state, activeAction, castProgressRef, STATES } = usePlayerState()
+  
+  // Get element for active skill
+  const element = useMemo(() => {
+    if (!activeAction) return null
+    return getElementForAction(activeAction)
+  }, [activeAction])
+  
+  // Determine if we should show the circle
+  // (MOVING only has an active action while a movement channel runs)
+  const isActive = (state === STATES.CASTING || state === STATES.ATTACKING ||
+    state === STATES.CHANNELING || state === STATES.MOVING) && element
+  
+  // For channel skills, always show full progress
+  const isChannel = state === STATES.CHANNELING || state === STATES.MOVING
+  
+  // Get colors from element
+  const colors = useMemo(() => {
+    if (!element) return DEFAULT_COLOR
+    return { primary: element.primary, secondary: element.secondary }
+  }, [element])
+  
+  return (
+    <MagicCircle
+      position={position}
+      colors={colors}
+      isActive={isActive}
+      getProgress={() => isChannel ? 1.0 : castProgressRef.current}
+    />
+  )
+}
@@ -0,0 +1,131 @@
+import { useState, useRef } from 'react';
+import { MenuButton, Drawer, DrawerTitle, ScrollList, SvgIcon } from '@/ui';
+import styles from './styles.module.css';
+import { useCombatLog } from '@/hooks/useGame';
+import {
+  COMBAT_LOG_EVENTS,
+  COMBAT_LOG_LABELS,
+  formatLogEntry,
+  formatLogTime,
+  combatLogToJson,
+  combatLogToCsv,
+} from '@/game/combatLog';
+import scrollIcon from '@/assets/icons/scroll.svg?raw';
+
+const ALL_TYPES = Object.values(COMBAT_LOG_EVENTS);
+
+/**
+ * Save text as a file through a temporary object URL.
+ */
+function downloadFile(content, filename, mimeType) {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Drawer contents - only mounted while the drawer is open, so the
+ * log doesn't re-render the menu bar on every hit.
+ */
+function CombatLogContents({ enabledTypes, onToggleType }) {
+  const { entries, total, clear } = useCombatLog(enabledTypes);
+
+  const exportLog = (format) => {
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    if (format === 'json') {
+      downloadFile(combatLogToJson(entries), `combat-log-${stamp}.json`, 'application/json');
+    } else {
+      downloadFile(combatLogToCsv(entries), `combat-log-${stamp}.csv`, 'text/csv');
+    }
+  };
+
+  return (
+    <>
+      <div className={styles['drawer-header']}>
+        <DrawerTitle>Combat Log</DrawerTitle>
+        <div className={styles['drawer-count']}>
+          {entries.length}/{total}
+        </div>
+      </div>
+
+      <div className={styles['filters']}>
+        {ALL_TYPES.map((type) => (
+          <button
+            key={type}
+            className={`${styles['filter-chip']} ${enabledTypes.has(type) ? styles['active'] : ''}`}
+            data-type={type}
+            onClick={() => onToggleType(type)}
+            aria-pressed={enabledTypes.has(type)}
+          >
+            {COMBAT_LOG_LABELS[type]}
+          </button>
+        ))}
+      </div>
+
+      <ScrollList maxHeight={300} gap={3}>
+        {entries.length === 0 && (
+          <div className={styles['empty']}>No combat events yet</div>
+        )}
+        {/* Newest first */}
+        {entries.slice().reverse().map((entry) => (
+          <div key={entry.id} className={styles['log-row']} data-type={entry.type}>
+            <span className={styles['log-time']}>{formatLogTime(entry.time)}</span>
+            <span className={styles['log-text']}>{formatLogEntry(entry)}</span>
+          </div>
+        ))}
+      </ScrollList>
+
+      <div className={styles['actions']}>
+        <button className={styles['action-button']} onClick={() => exportLog('json')} disabled={entries.length === 0}>
+          Export JSON
+        </button>
+        <button className={styles['action-button']} onClick={() => exportLog('csv')} disabled={entries.length === 0}>
+          Export CSV
+        </button>
+        <button className={styles['action-button']} onClick={clear} disabled={total === 0}>
+          Clear
+        </button>
+      </div>
+    </>
+  );
+}
+
+export default function CombatLog() {
+  const [isOpen, setIsOpen] = useState(false);
+  const [enabledTypes, setEnabledTypes] = useState(() => new Set(ALL_TYPES));
+  const buttonRef = useRef(null);
+
+  const toggleType = (type) => {
+    setEnabledTypes((current) => {
+      const next = new Set(current);
+      if (next.has(type)) next.delete(type);
+      else next.add(type);
+      return next;
+    });
+  };
+
+  return (
+    <>
+      <MenuButton
+        ref={buttonRef}
+        icon={<SvgIcon svg={scrollIcon} />}
+        isOpen={isOpen}
+        onClick={() => setIsOpen(!isOpen)}
+        label="Toggle combat log"
+        tooltip="Combat Log"
+      />
+
+      <Drawer
+        isOpen={isOpen}
+        anchorRef={buttonRef}
+        width={400}
+        portalId="combat-log-portal"
+      >
+        <CombatLogContents enabledTypes={enabledTypes} onToggleType={toggleType} />
+      </Drawer>
+    </>
+  );
+}
@@ -0,0 +1,162 @@
+import { useEffect, useMemo, useRef } from 'react'
+import { useFrame } from '@react-three/fiber'
+import * as THREE from 'three'
+import { formatCombatText, getCombatTextMotion } from '@/game/combatText'
+import { drainCombatText } from '@/systems/CombatTextQueue'
+
+/**
+ * Floating combat text.
+ *
+ * A fixed pool of camera-facing sprites, each with its own canvas texture.
+ * Queued events (systems/CombatTextQueue) are drawn into a free sprite -
+ * or the oldest one if all are busy - so a volley of hits never mounts
+ * new React trees. Must be rendered inside WorldRoot (anchors are world
+ * positions).
+ */
+
+const POOL_SIZE = 48
+
+const CANVAS_WIDTH = 256
+const CANVAS_HEIGHT = 64
+const FONT_SIZE = 46
+const MIN_FONT_SIZE = 20
+const FONT_FAMILY = "Philosopher, 'Palatino Linotype', Georgia, serif"
+
+// World height of a scale-1 number
+const TEXT_HEIGHT = 0.42
+const TEXT_WIDTH = TEXT_HEIGHT * (CANVAS_WIDTH / CANVAS_HEIGHT)
+
+// Sideways scatter so simultaneous hits don't stack exactly
+const JITTER = 0.35
+
+function createSlotMaterial() {
+  const canvas = document.createElement('canvas')
+  canvas.width = CANVAS_WIDTH
+  canvas.height = CANVAS_HEIGHT
+
+  const texture = new THREE.CanvasTexture(canvas)
+  texture.colorSpace = THREE.SRGBColorSpace
+
+  return new THREE.SpriteMaterial({
+    map: texture,
+    transparent: true,
+    depthTest: false,
+    depthWrite: false,
+    toneMapped: false,
+  })
+}
+
+/**
+ * Draw outlined text into a sprite's canvas, shrinking long labels to fit.
+ */
+function drawText(material, text, color) {
+  const canvas = material.map.image
+  const ctx = canvas.getContext('2d')
+  ctx.clearRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT)
+
+  let size = FONT_SIZE
+  ctx.font = `bold ${size}px ${FONT_FAMILY}`
+  while (size > MIN_FONT_SIZE && ctx.measureText(text).width > CANVAS_WIDTH - 16) {
+    size -= 2
+    ctx.font = `bold ${size}px ${FONT_FAMILY}`
+  }
+
+  ctx.textAlign = 'center'
+  ctx.textBaseline = 'middle'
+  ctx.lineJoin = 'round'
+  ctx.lineWidth = 7
+  ctx.strokeStyle = 'rgba(0, 0, 0, 0.85)'
+  ctx.strokeText(text, CANVAS_WIDTH / 2, CANVAS_HEIGHT / 2)
+  ctx.fillStyle = color
+  ctx.fillText(text, CANVAS_WIDTH / 2, CANVAS_HEIGHT / 2)
+
+  material.map.needsUpdate = true
+}
+
+/**
+ * Pick the slot for a new number: a free one, else the oldest.
+ */
+function claimSlot(slots) {
+  let oldest = 0
+  for (let i = 0; i < slots.length; i++) {
+    if (!slots[i].active) return i
+    if (slots[i].startedAt < slots[oldest].startedAt) oldest = i
+  }
+  return oldest
+}
+
+export default function CombatText() {
+  const materials = useMemo(() => Array.from({ length: POOL_SIZE }, createSlotMaterial), [])
+  const spritesRef = useRef([])
+  const slotsRef = useRef(null)
+  const clockRef = useRef(0)
+
+  useEffect(() => () => {
+    materials.forEach((material) => {
+      material.map.dispose()
+      material.dispose()
+    })
+  }, [materials])
+
+  useFrame((_, delta) => {
+    if (!slotsRef.current) {
+      slotsRef.current = Array.from({ length: POOL_SIZE }, () => ({
+        active: false, startedAt: 0, age: 0, style: null, x: 0, y: 0, z: 0,
+      }))
+    }
+    const slots = slotsRef.current
+    const sprites = spritesRef.current
+    clockRef.current += delta
+
+    for (const event of drainCombatText()) {
+      const index = claimSlot(slots)
+      const sprite = sprites[index]
+      if (!sprite) continue
+
+      const style = formatCombatText(event)
+      drawText(sprite.material, style.text, style.color)
+
+      const slot = slots[index]
+      slot.active = true
+      slot.startedAt = clockRef.current
+      slot.age = 0
+      slot.style = style
+      slot.x = event.anchor.x + (Math.random() - 0.5) * 2 * JITTER
+      slot.y = event.anchor.y + Math.random() * 0.2
+      slot.z = event.anchor.z
+    }
+
+    for (let i = 0; i < slots.length; i++) {
+      const slot = slots[i]
+      const sprite = sprites[i]
+      if (!sprite || !slot.active) continue
+
+      slot.age += delta
+      const motion = getCombatTextMotion(slot.age, slot.style)
+      if (!motion) {
+        slot.active = false
+        sprite.visible = false
+        continue
+      }
+
+      sprite.visible = true
+      sprite.position.set(slot.x, slot.y + motion.rise, slot.z)
+      sprite.scale.set(TEXT_WIDTH * motion.scale, TEXT_HEIGHT * motion.scale, 1)
+      sprite.material.opacity = motion.opacity
+    }
+  })
+
+  return (
+    <group>
+      {materials.map((material, i) => (
+        <sprite
+          key={i}
+          ref={(sprite) => { spritesRef.current[i] = sprite }}
+          material={material}
+          visible={false}
+          renderOrder={1000}
+        />
+      ))}
+    </group>
+  )
+}
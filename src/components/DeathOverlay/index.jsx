@@ -0,0 +1,54 @@
+import { useEffect, useState } from 'react';
+import styles from './styles.module.css';
+import sharedStyles from '@/ui/shared.module.css';
+import { useDeath } from '@/hooks/useGame';
+import { DEATH } from '@/config/stats';
+import { getStatusById } from '@/engine/loader';
+
+/**
+ * Death overlay - shown while the player is DEAD.
+ * The respawn button unlocks after DEATH.RESPAWN_DELAY_MS.
+ */
+export default function DeathOverlay() {
+  const { isDead, diedAt, respawn } = useDeath();
+  const [remainingMs, setRemainingMs] = useState(DEATH.RESPAWN_DELAY_MS);
+
+  // Count down to the respawn unlock
+  useEffect(() => {
+    if (!isDead || diedAt === null) return undefined;
+
+    const update = () => setRemainingMs(Math.max(0, DEATH.RESPAWN_DELAY_MS - (Date.now() - diedAt)));
+    update();
+    const timer = setInterval(update, 100);
+    return () => clearInterval(timer);
+  }, [isDead, diedAt]);
+
+  if (!isDead) return null;
+
+  const penalty = DEATH.PENALTY_STATUS ? getStatusById(DEATH.PENALTY_STATUS) : null;
+  const canRespawn = remainingMs <= 0;
+
+  return (
+    <div className={styles.overlay}>
+      <div className={styles.panel}>
+        <h2 className={styles.title}>You Have Died</h2>
+
+        <ul className={styles.penalties}>
+          <li>Respawn in town with {Math.round(DEATH.RESPAWN_HEALTH_PERCENT * 100)}% health and {Math.round(DEATH.RESPAWN_MANA_PERCENT * 100)}% mana</li>
+          <li>All active buffs are lost</li>
+          {penalty && (
+            <li>{penalty.name} for {penalty.duration}s</li>
+          )}
+        </ul>
+
+        <button
+          className={sharedStyles['button-primary-lg']}
+          disabled={!canRespawn}
+          onClick={respawn}
+        >
+          {canRespawn ? 'Respawn in Town' : `Respawn (${Math.ceil(remainingMs / 1000)})`}
+        </button>
+      </div>
+    </div>
+  );
+}
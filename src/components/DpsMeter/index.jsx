@@ -0,0 +1,121 @@
+import { Fragment } from 'react';
+import styles from './styles.module.css';
+import { useTarget } from '@/components/Target';
+import { useDpsMeter } from '@/hooks/useGame';
+import { isTrainingMonster } from '@/game/dpsMeter';
+import { RESOURCE_TYPES } from '@/game/resources';
+import { getMonsterById } from '@/engine/loader';
+import useEntityStore from '@/stores/entityStore';
+
+// Skills listed in the live meter (the report lists all)
+const LIVE_SKILL_ROWS = 4;
+
+const formatNumber = (value, digits = 0) => value.toLocaleString(undefined, {
+  minimumFractionDigits: digits,
+  maximumFractionDigits: digits,
+});
+
+const formatPercent = (value) => `${Math.round(value * 100)}%`;
+
+const getResourceLabel = (type) => RESOURCE_TYPES[type]?.label || `${type.charAt(0).toUpperCase()}${type.slice(1)}`;
+
+const formatDuration = (seconds) => {
+  const m = Math.floor(seconds / 60);
+  const s = Math.floor(seconds % 60);
+  return `${m}:${String(s).padStart(2, '0')}`;
+};
+
+/**
+ * Per-skill damage bars.
+ */
+function SkillBreakdown({ skills, detailed = false }) {
+  return (
+    <div className={styles['skills']}>
+      {skills.map((skill) => (
+        <div key={skill.ability} className={styles['skill-row']}>
+          <div className={styles['skill-bar']} style={{ width: formatPercent(skill.share) }} />
+          <span className={styles['skill-name']}>{skill.ability}</span>
+          <span className={styles['skill-value']}>
+            {detailed
+              ? `${formatNumber(skill.damage)} · ${skill.hits} hits · ${formatPercent(skill.critRate)} crit`
+              : formatNumber(skill.dps, 1)}
+          </span>
+          <span className={styles['skill-share']}>{formatPercent(skill.share)}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * Training parse meter.
+ *
+ * Appears while a training dummy is locked (the Target lock flow) or a
+ * parse exists. Live DPS while you attack; once you stop, the parse
+ * closes into a session report that stays until the next hit or Reset.
+ */
+export default function DpsMeter() {
+  const { lockedTargetId } = useTarget() || {};
+  const lockedEntity = useEntityStore(s => (lockedTargetId ? s.entities[lockedTargetId] : null));
+  const { summary, isRunning, reset } = useDpsMeter();
+
+  const trainingLocked = isTrainingMonster(lockedEntity?.monsterId ? getMonsterById(lockedEntity.monsterId) : null);
+  if (!summary && !trainingLocked) return null;
+
+  if (!summary) {
+    return (
+      <div className={styles['meter']}>
+        <div className={styles['title']}>DPS Meter</div>
+        <div className={styles['hint']}>Attack the dummy to start a parse</div>
+      </div>
+    );
+  }
+
+  if (isRunning) {
+    return (
+      <div className={styles['meter']}>
+        <div className={styles['header']}>
+          <span className={styles['title']}>DPS Meter</span>
+          <span className={styles['timer']}>{formatDuration(summary.duration)}</span>
+        </div>
+        <div className={styles['headline']}>
+          {formatNumber(summary.dps, 1)} <span className={styles['unit']}>DPS</span>
+        </div>
+        <div className={styles['stats']}>
+          <span>Damage <b>{formatNumber(summary.damage)}</b></span>
+          <span>Crit <b>{formatPercent(summary.critRate)}</b></span>
+          <span>HPS <b>{formatNumber(summary.hps, 1)}</b></span>
+        </div>
+        <SkillBreakdown skills={summary.skills.slice(0, LIVE_SKILL_ROWS)} />
+        <button className={styles['reset-button']} onClick={reset}>Reset</button>
+      </div>
+    );
+  }
+
+  return (
+    <div className={`${styles['meter']} ${styles['report']}`}>
+      <div className={styles['header']}>
+        <span className={styles['title']}>Session Report</span>
+        {summary.caster && <span className={styles['caster']}>{summary.caster}</span>}
+      </div>
+      <div className={styles['headline']}>
+        {formatNumber(summary.dps, 1)} <span className={styles['unit']}>DPS</span>
+      </div>
+      <div className={styles['report-grid']}>
+        <span>Duration</span><b>{formatDuration(summary.duration)}</b>
+        <span>Damage</span><b>{formatNumber(summary.damage)}</b>
+        <span>Hits</span><b>{summary.hits}</b>
+        <span>Crit rate</span><b>{formatPercent(summary.critRate)}</b>
+        <span>Healing</span><b>{formatNumber(summary.healing)} ({formatNumber(summary.hps, 1)} HPS)</b>
+        {summary.spent.map(({ resource, amount, perDamage }) => (
+          <Fragment key={resource}>
+            <span>{getResourceLabel(resource)} spent</span><b>{formatNumber(amount)}</b>
+            <span>{getResourceLabel(resource)} / damage</span><b>{formatNumber(perDamage, 2)}</b>
+          </Fragment>
+        ))}
+      </div>
+      <SkillBreakdown skills={summary.skills} detailed />
+      <button className={styles['reset-button']} onClick={reset}>Reset</button>
+    </div>
+  );
+}
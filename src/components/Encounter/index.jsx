@@ -0,0 +1,85 @@
+import { useMemo, useRef, useState } from 'react';
+import { useFrame } from '@react-three/fiber';
+import Enemy from '@/components/Enemy';
+import { getEncounterById } from '@/engine/loader';
+import {
+  getEncounterSpawns,
+  getActiveSpawns,
+  isInEncounterArea,
+  createEncounterState,
+  updateEncounterState,
+  isFirstEncounterClear,
+  ENCOUNTER_PHASES,
+} from '@/game/encounters';
+import { XP_SOURCES } from '@/game/experience';
+import { getPlayerWorldPosition } from '@/stores/worldStore';
+import useEntityStore from '@/stores/entityStore';
+import { useGameStore } from '@/stores/gameStore';
+
+/**
+ * Spawns an encounter from encounters.json.
+ *
+ * Static packs are always mounted. Wave packs are mounted while their wave
+ * is active; the wave sequence itself lives in game/encounters.js. The
+ * first clear of the last wave pays the encounter's `xpReward`. Must be
+ * rendered inside WorldRoot (spawn points are world positions).
+ */
+export default function Encounter({ id }) {
+  const encounter = getEncounterById(id);
+  const spawns = useMemo(() => getEncounterSpawns(encounter), [encounter]);
+
+  // Wave state advances every frame (timers) - React only sees phase changes
+  const [waveState, setWaveState] = useState(createEncounterState);
+  const stateRef = useRef(waveState);
+
+  useFrame((_, delta) => {
+    if (!encounter?.waves?.length) return;
+
+    const prev = stateRef.current;
+    const entities = useEntityStore.getState().entities;
+    const waveSpawns = spawns.filter(s => s.wave === prev.waveIndex);
+    const waveCleared = prev.phase === ENCOUNTER_PHASES.ACTIVE && waveSpawns.every(s => {
+      const entity = entities[s.id];
+      return entity && entity.health <= 0;
+    });
+
+    const next = updateEncounterState(prev, encounter, {
+      playerInArea: isInEncounterArea(encounter, getPlayerWorldPosition()),
+      waveCleared,
+      dt: Math.min(delta, 0.1),
+    });
+    stateRef.current = next;
+
+    if (isFirstEncounterClear(prev, next) && encounter.xpReward > 0) {
+      useGameStore.getState().gainExperience(encounter.xpReward, XP_SOURCES.ENCOUNTER);
+    }
+
+    if (next.phase !== prev.phase || next.waveIndex !== prev.waveIndex || next.cycle !== prev.cycle) {
+      if (import.meta.env.DEV) {
+        console.log(`[ENCOUNTER] ${encounter.name}: ${next.phase} (wave ${next.waveIndex + 1}/${encounter.waves.length})`);
+      }
+      setWaveState(next);
+    }
+  });
+
+  if (!encounter) {
+    if (import.meta.env.DEV) console.warn(`[Encounter] Unknown encounter: ${id}`);
+    return null;
+  }
+
+  return (
+    <group>
+      {/* Wave spawns remount each loop so they register with full health */}
+      {getActiveSpawns(spawns, waveState).map(spawn => (
+        <Enemy
+          key={spawn.wave === null ? spawn.id : `${spawn.id}:${waveState.cycle}`}
+          id={spawn.id}
+          monsterId={spawn.monsterId}
+          position={spawn.position}
+          rotation={spawn.rotation}
+          respawnDelay={spawn.respawnDelay}
+        />
+      ))}
+    </group>
+  );
+}
@@ -0,0 +1,210 @@
+import { useEffect, useMemo, useRef } from 'react';
+import { useFrame } from '@react-three/fiber';
+import Target from '@/components/Target';
+import MonsterModel from '@/components/MonsterModel';
+import { getMonsterById } from '@/engine/loader';
+import { createEnemyBrain, resetEnemyBrain, updateEnemyBrain, ENEMY_STATES } from '@/game/enemyAI';
+import { getKickConfig } from '@/game/interrupts';
+import { isStealthed } from '@/game/stealth';
+import { pathfinder } from '@/systems/Pathfinding';
+import { EntityCollider } from '@/systems/PhysicsWorld';
+import { getPlayerWorldPosition } from '@/stores/worldStore';
+import { useGameStore } from '@/stores/gameStore';
+import { PLAYER_STATES } from '@/config/stats';
+import useEntityStore, { selectEntity, setEntityPosition } from '@/stores/entityStore';
+
+/**
+ * Hostile monster driven by the enemy AI state machine (game/enemyAI.js).
+ *
+ * - Monster stats come from monsters.json (via getMonsterById)
+ * - Health/statuses live in entityStore, like the training dummy
+ * - Lives inside WorldRoot, so its group position is a WORLD position
+ * - Movement follows pathfinder waypoints; position is mirrored to
+ *   entityStore's mutable position map every frame
+ * - Passive monsters (behavior: "passive", e.g. training dummies) skip the AI
+ * - Usually spawned by <Encounter>, which may override respawnDelay
+ */
+
+// Stop this close to a waypoint before moving to the next one
+const WAYPOINT_EPSILON = 0.15;
+
+// Attack lunge animation length (seconds)
+const LUNGE_DURATION = 0.25;
+
+export default function Enemy({ id, monsterId, position = [0, 0, 0], rotation = 0, respawnDelay }) {
+  const monster = getMonsterById(monsterId);
+  const registerEntity = useEntityStore(state => state.registerEntity);
+  const unregisterEntity = useEntityStore(state => state.unregisterEntity);
+  const entity = useEntityStore(selectEntity(id));
+
+  const groupRef = useRef();
+  const modelRef = useRef();
+  const brainRef = useRef(null);
+  const pathRef = useRef([]);
+  const lastHitRef = useRef(null);
+  const lungeRef = useRef(0);
+
+  const [spawnX, spawnY, spawnZ] = position;
+
+  // Split live statuses for the target frame
+  const statuses = entity?.statuses;
+  const buffs = useMemo(() => (statuses || []).filter(s => s.type !== 'debuff'), [statuses]);
+  const debuffs = useMemo(() => (statuses || []).filter(s => s.type === 'debuff'), [statuses]);
+
+  useEffect(() => {
+    if (!monster) {
+      console.error(`[Enemy] Unknown monster: ${monsterId}`);
+      return undefined;
+    }
+
+    registerEntity({
+      id,
+      name: monster.name,
+      type: monster.type || 'enemy',
+      level: monster.level,
+      maxHealth: monster.health,
+      position: [spawnX, spawnY, spawnZ],
+      respawnDelay: respawnDelay !== undefined ? respawnDelay : (monster.respawnDelay ?? null),
+      immortal: !!monster.immortal,
+      monsterId,
+    });
+    brainRef.current = createEnemyBrain({ x: spawnX, z: spawnZ });
+    pathRef.current = [];
+
+    // Position is owned by useFrame from here on (not a prop)
+    if (groupRef.current) {
+      groupRef.current.position.set(spawnX, spawnY, spawnZ);
+      groupRef.current.rotation.y = rotation;
+    }
+
+    return () => unregisterEntity(id);
+  }, [id, monsterId, monster, spawnX, spawnY, spawnZ, rotation, respawnDelay, registerEntity, unregisterEntity]);
+
+  useFrame((_, delta) => {
+    const group = groupRef.current;
+    const brain = brainRef.current;
+    if (!group || !brain || !monster || monster.behavior === 'passive') return;
+
+    const live = useEntityStore.getState().entities[id];
+    if (!live) return;
+
+    const dt = Math.min(delta, 0.1);
+    const pos = group.position;
+
+    // Respawned - back to spawn with a fresh brain
+    if (brain.state === ENEMY_STATES.DEAD && live.health > 0) {
+      brainRef.current = resetEnemyBrain(brain);
+      pathRef.current = [];
+      pos.set(spawnX, spawnY, spawnZ);
+      setEntityPosition(id, pos.x, pos.y, pos.z);
+      return;
+    }
+
+    const wasHit = live.lastHitAt != null && live.lastHitAt !== lastHitRef.current;
+    lastHitRef.current = live.lastHitAt ?? null;
+
+    const playerPosition = getPlayerWorldPosition();
+    const player = useGameStore.getState();
+    const { brain: next, intent } = updateEnemyBrain(brain, monster, {
+      position: pos,
+      playerPosition,
+      playerTargetable: player.health > 0,
+      playerCasting: player.playerState === PLAYER_STATES.CASTING || player.playerState === PLAYER_STATES.CHANNELING,
+      playerStealthed: isStealthed(player.buffs),
+      isDead: live.health <= 0,
+      wasHit,
+      dt,
+    });
+    brainRef.current = next;
+
+    if (intent.resetHealth) {
+      useEntityStore.getState().resetEntity(id);
+    }
+
+    // Movement
+    if (intent.moveTo) {
+      const goal = intent.moveTo === 'player' ? playerPosition : next.spawn;
+      if (intent.repath) {
+        const path = pathfinder.findPath(pos.x, pos.z, goal.x, goal.z);
+        pathRef.current = path.length > 0 ? path : [{ x: goal.x, z: goal.z }];
+      }
+
+      let step = (monster.moveSpeed ?? 2) * dt;
+      while (step > 0 && pathRef.current.length > 0) {
+        const waypoint = pathRef.current[0];
+        const dx = waypoint.x - pos.x;
+        const dz = waypoint.z - pos.z;
+        const dist = Math.hypot(dx, dz);
+
+        if (dist <= WAYPOINT_EPSILON) {
+          pathRef.current.shift();
+          continue;
+        }
+
+        const move = Math.min(step, dist);
+        pos.x += (dx / dist) * move;
+        pos.z += (dz / dist) * move;
+        group.rotation.y = Math.atan2(dx, dz);
+        step -= move;
+      }
+    } else if (next.state === ENEMY_STATES.ATTACK || next.state === ENEMY_STATES.AGGRO) {
+      // Face the player while winding up / swinging
+      group.rotation.y = Math.atan2(playerPosition.x - pos.x, playerPosition.z - pos.z);
+      pathRef.current = [];
+    }
+
+    // Attack
+    if (intent.attack) {
+      useGameStore.getState().takeDamage(monster.attack.damage, id, monster.attack.element);
+      lungeRef.current = LUNGE_DURATION;
+    }
+
+    // Kick the player's cast
+    if (intent.kick) {
+      const kick = getKickConfig(monster);
+      useGameStore.getState().interruptCast({ sourceId: id, ability: kick.name, lockoutSeconds: kick.lockout });
+      lungeRef.current = LUNGE_DURATION;
+    }
+
+    // Short forward lunge on each swing
+    if (modelRef.current) {
+      lungeRef.current = Math.max(0, lungeRef.current - dt);
+      const lunge = Math.sin((lungeRef.current / LUNGE_DURATION) * Math.PI) * 0.25;
+      modelRef.current.position.z = lunge;
+    }
+
+    setEntityPosition(id, pos.x, pos.y, pos.z);
+  });
+
+  if (!monster) return null;
+
+  const isAlive = (entity?.health ?? monster.health) > 0;
+  const scale = monster.visual?.scale ?? 1;
+
+  return (
+    <>
+      {/* Projectile hitbox - follows the live world position, not this group */}
+      {isAlive && <EntityCollider entityId={id} radius={0.45 * scale} height={1.8 * scale} />}
+
+      <group ref={groupRef}>
+        <Target
+          id={id}
+          name={monster.name}
+          health={entity?.health ?? monster.health}
+          maxHealth={monster.health}
+          level={monster.level}
+          type={monster.type || 'enemy'}
+          buffs={buffs}
+          debuffs={debuffs}
+        >
+          {/* Corpse is removed until respawn (nothing left to click) */}
+          {isAlive && (
+            <group ref={modelRef}>
+              <MonsterModel visual={monster.visual} />
+            </group>
+          )}
+        </Target>
+      </group>
+    </>
+  );
+}
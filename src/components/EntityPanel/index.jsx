@@ -97,7 +97,8 @@ const EntitySlot = memo(function EntitySlot({ slotId, slotIndex, entityType, get
 const EntityCard = memo(function EntityCard({ entity, panel }) {
   // Element is pre-resolved in the game layer
   const element = entity.element; // Already has { id, name, primaryColor, secondaryColor }
-  const { handlers, isDragging } = useDraggable(entity);
+  // Level-locked skills can't be dragged to the bar
+  const { handlers, isDragging } = useDraggable(entity.isLocked ? null : entity);
   const { getSlotForAction } = useSlotMap();
   
   const assignedSlot = getSlotForAction(entity.id);
@@ -108,7 +109,7 @@ const EntityCard = memo(function EntityCard({ entity, panel }) {
   
   return (
     <div 
-      className={`${styles['entity-card']} ${isDragging ? styles['dragging'] : ''} ${assignedSlot ? styles['assigned'] : ''}`}
+      className={`${styles['entity-card']} ${isDragging ? styles['dragging'] : ''} ${assignedSlot ? styles['assigned'] : ''} ${entity.isLocked ? styles['locked'] : ''}`}
       {...handlers}
     >
       <div className={styles['entity-header']}>
@@ -143,6 +144,9 @@ const EntityCard = memo(function EntityCard({ entity, panel }) {
             {assignedSlot && (
               <span className={styles['entity-assigned']}>Equipped</span>
             )}
+            {entity.isLocked && (
+              <span className={styles['entity-locked']}>Level {entity.requiredLevel}</span>
+            )}
           </div>
         </div>
         <div className={styles['drag-hint']}>⋮⋮</div>
@@ -175,6 +179,12 @@ const EntityCard = memo(function EntityCard({ entity, panel }) {
             <span className={styles['stat-label']}>Health:</span> {entity.healthCost}
           </span>
         )}
+        {/* Class resource costs (rage, energy, ...) */}
+        {entity.resourceCosts?.map(cost => (
+          <span key={cost.type} className={styles['stat-resource']} style={{ '--resource-color': cost.color }}>
+            <span className={styles['stat-label']}>{cost.label}:</span> {cost.amount}
+          </span>
+        ))}
         {/* Buff duration */}
         {entity.buff?.duration > 0 && (
           <span className={styles['stat-buff']}>
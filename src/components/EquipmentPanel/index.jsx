@@ -0,0 +1,135 @@
+/**
+ * =============================================================================
+ * EQUIPMENT PANEL - Character Equipment Drawer
+ * =============================================================================
+ *
+ * Shows the active class's equipment slots and every item it can wear
+ * (items.json, filtered by the class's allowedWeapons / allowedArmor).
+ * Registered through panels.json (`entityType: "item"`) and listed per
+ * class in `ui.panels`, like the entity panels.
+ *
+ * - Click an item to equip it (rules in game/equipment.js)
+ * - Click a filled slot to take the item off
+ * - Items above the character's level are greyed out
+ */
+
+import { useState, useRef } from 'react';
+import { MenuButton, Drawer, DrawerTitle, ScrollList, SvgIcon } from '@/ui';
+import { useEquipment } from '@/hooks/useGame';
+import { EQUIPMENT_SLOTS, describeStatModifiers } from '@/game/equipment';
+import { RARITY_COLORS } from '@/config/achievements';
+import styles from './styles.module.css';
+
+const SLOT_LABELS = {
+  weapon: 'Weapon',
+  offhand: 'Off-hand',
+  head: 'Head',
+  shoulders: 'Shoulders',
+  chest: 'Chest',
+  hands: 'Hands',
+  legs: 'Legs',
+  feet: 'Feet',
+  ring: 'Ring',
+  trinket: 'Trinket',
+};
+
+const getRarityColor = (item) => (RARITY_COLORS[item.rarity] || RARITY_COLORS.common).primary;
+
+function itemTooltip(item) {
+  const type = item.weaponType || item.armorType;
+  return [
+    item.name,
+    `${SLOT_LABELS[item.slot]}${type ? ` (${type})` : ''}${item.twoHanded ? ', two-handed' : ''}`,
+    ...describeStatModifiers(item.statModifiers),
+    item.description,
+  ].filter(Boolean).join('\n');
+}
+
+function EquipmentSlot({ slot, item, onUnequip }) {
+  return (
+    <button
+      className={`${styles['slot']} ${item ? styles['filled'] : ''}`}
+      style={item ? { '--rarity-color': getRarityColor(item) } : undefined}
+      onClick={() => item && onUnequip(slot)}
+      disabled={!item}
+      title={item ? `${itemTooltip(item)}\nClick to unequip` : SLOT_LABELS[slot]}
+    >
+      {item?.icon
+        ? <img src={item.icon} alt="" draggable={false} />
+        : <span className={styles['slot-label']}>{SLOT_LABELS[slot]}</span>}
+    </button>
+  );
+}
+
+function ItemRow({ item, isEquipped, check, onEquip }) {
+  const locked = !check.valid;
+
+  return (
+    <button
+      className={`${styles['item-row']} ${isEquipped ? styles['equipped'] : ''} ${locked ? styles['locked'] : ''}`}
+      onClick={() => onEquip(item.id)}
+      disabled={locked || isEquipped}
+      title={locked ? `${itemTooltip(item)}\n${check.reason}` : itemTooltip(item)}
+    >
+      {item.icon && <img src={item.icon} alt="" draggable={false} />}
+      <div className={styles['item-info']}>
+        <span className={styles['item-name']} style={{ color: getRarityColor(item) }}>{item.name}</span>
+        <span className={styles['item-stats']}>{describeStatModifiers(item.statModifiers).join(', ')}</span>
+      </div>
+      {isEquipped && <span className={styles['item-badge']}>Equipped</span>}
+      {locked && <span className={`${styles['item-badge']} ${styles['level-badge']}`}>Level {item.requiredLevel}</span>}
+    </button>
+  );
+}
+
+export default function EquipmentPanel({ panel }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const buttonRef = useRef(null);
+  const { equipment, equipped, items, canEquip, equip, unequip } = useEquipment();
+
+  return (
+    <>
+      <MenuButton
+        ref={buttonRef}
+        icon={<SvgIcon svg={panel.resolvedIcon} />}
+        isOpen={isOpen}
+        onClick={() => setIsOpen(!isOpen)}
+        label={`Toggle ${panel.label.toLowerCase()}`}
+        tooltip={panel.label}
+      />
+
+      <Drawer
+        isOpen={isOpen}
+        anchorRef={buttonRef}
+        width={panel.width || 360}
+        portalId={`${panel.id}-portal`}
+      >
+        <DrawerTitle>{panel.label}</DrawerTitle>
+
+        <div className={styles['slot-grid']}>
+          {EQUIPMENT_SLOTS.map(slot => (
+            <EquipmentSlot key={slot} slot={slot} item={equipped[slot]} onUnequip={unequip} />
+          ))}
+        </div>
+
+        {panel.hint && <p className={styles['hint']}>{panel.hint}</p>}
+
+        {items.length === 0 ? (
+          <div className={styles['empty-state']}>{panel.emptyMessage}</div>
+        ) : (
+          <ScrollList maxHeight={260} gap={4}>
+            {items.map(item => (
+              <ItemRow
+                key={item.id}
+                item={item}
+                isEquipped={equipment[item.slot] === item.id}
+                check={canEquip(item)}
+                onEquip={equip}
+              />
+            ))}
+          </ScrollList>
+        )}
+      </Drawer>
+    </>
+  );
+}
@@ -0,0 +1,129 @@
+import { useEffect, useMemo, useRef } from 'react'
+import { useFrame, useThree } from '@react-three/fiber'
+import { MagicCircle } from '@/components/CastingCircle'
+import { usePlayerState, useGroundTargeting } from '@/hooks/useGame'
+import { getActionById, getElementForAction } from '@/config/actions'
+import {
+  isGroundTargeted,
+  getGroundTargetRange,
+  getGroundTargetRadius,
+  clampGroundTarget,
+} from '@/game/targeting'
+import { getCursorWorldPosition, getPlayerWorldPosition } from '@/stores/worldStore'
+import { useGameStore } from '@/stores/gameStore'
+
+/**
+ * Placement reticle for ground-targeted skills.
+ *
+ * While a placement is pending the circle follows the cursor (clamped to
+ * the skill's range); left-click confirms, right-click or Escape cancels.
+ * During the cast it stays on the chosen spot and fills with cast progress.
+ * Must be rendered inside WorldRoot (positions are world positions).
+ */
+
+// Mouse buttons
+const LEFT = 0
+const RIGHT = 2
+
+/**
+ * Capture-phase mouse/keyboard handling while a placement is pending.
+ * Clicks on the canvas are swallowed so they don't also move the player
+ * or fire mouse-slot skills; clicks on the HUD pass through.
+ */
+function usePlacementInput(canvas) {
+  useEffect(() => {
+    // Follow-up events of a swallowed press (pointerup, then click/contextmenu)
+    let swallowing = new Set()
+
+    const onPointerDown = (event) => {
+      swallowing = new Set()
+      const { groundTargeting, confirmGroundTarget, cancelGroundTarget } = useGameStore.getState()
+      if (!groundTargeting || event.target !== canvas) return
+      if (event.button !== LEFT && event.button !== RIGHT) return
+
+      event.stopPropagation()
+      event.preventDefault()
+
+      if (event.button === LEFT) {
+        swallowing = new Set(['pointerup', 'click'])
+        confirmGroundTarget(getCursorWorldPosition())
+      } else {
+        swallowing = new Set(['pointerup', 'contextmenu'])
+        cancelGroundTarget()
+      }
+    }
+
+    const onFollowUp = (event) => {
+      if (!swallowing.has(event.type)) return
+      swallowing.delete(event.type)
+      event.stopPropagation()
+      event.preventDefault()
+    }
+
+    const onKeyDown = (event) => {
+      if (event.key === 'Escape') useGameStore.getState().cancelGroundTarget()
+    }
+
+    window.addEventListener('pointerdown', onPointerDown, true)
+    window.addEventListener('pointerup', onFollowUp, true)
+    window.addEventListener('click', onFollowUp, true)
+    window.addEventListener('contextmenu', onFollowUp, true)
+    window.addEventListener('keydown', onKeyDown)
+
+    return () => {
+      window.removeEventListener('pointerdown', onPointerDown, true)
+      window.removeEventListener('pointerup', onFollowUp, true)
+      window.removeEventListener('click', onFollowUp, true)
+      window.removeEventListener('contextmenu', onFollowUp, true)
+      window.removeEventListener('keydown', onKeyDown)
+    }
+  }, [canvas])
+}
+
+export default function GroundReticle() {
+  const groupRef = useRef()
+  const canvas = useThree((state) => state.gl.domElement)
+  const { groundTargeting } = useGroundTargeting()
+  const { state, activeAction, castProgressRef, STATES } = usePlayerState()
+
+  usePlacementInput(canvas)
+
+  // Casting a placed skill keeps the reticle on its spot
+  const castingPlaced = state === STATES.CASTING && isGroundTargeted(getActionById(activeAction))
+    ? activeAction
+    : null
+  const shownAction = groundTargeting || castingPlaced
+  const action = shownAction ? getActionById(shownAction) : null
+
+  const colors = useMemo(() => {
+    const element = shownAction ? getElementForAction(shownAction) : null
+    return element ? { primary: element.primary, secondary: element.secondary } : undefined
+  }, [shownAction])
+
+  useFrame(() => {
+    const group = groupRef.current
+    if (!group || !action) return
+
+    if (groundTargeting) {
+      const cursor = getCursorWorldPosition()
+      if (!cursor) return
+      const placed = clampGroundTarget(getPlayerWorldPosition(), cursor, getGroundTargetRange(action))
+      group.position.set(placed.x, 0, placed.z)
+    } else {
+      const placed = useGameStore.getState().groundTargets[castingPlaced]
+      if (placed) group.position.set(placed.x, 0, placed.z)
+    }
+  })
+
+  return (
+    <group ref={groupRef}>
+      <MagicCircle
+        position={[0, 0.03, 0]}
+        radius={action ? getGroundTargetRadius(action) : undefined}
+        colors={colors}
+        isActive={!!action}
+        getProgress={() => groundTargeting ? 1.0 : castProgressRef.current}
+      />
+    </group>
+  )
+}
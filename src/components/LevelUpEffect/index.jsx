@@ -0,0 +1,146 @@
+import { useRef, useMemo } from 'react'
+import { useFrame } from '@react-three/fiber'
+import * as THREE from 'three'
+import { useExperience } from '@/hooks/useGame'
+
+// Configuration
+const DURATION = 2.2            // Seconds the celebration plays
+const RING_COUNT = 3
+const RING_RADIUS = 1.1
+const RING_RISE = 2.8           // How high the rings climb
+const PILLAR_HEIGHT = 4.0
+const SPARK_COUNT = 24
+
+const GOLD = new THREE.Color('#ffd040')
+const GOLD_GLOW = new THREE.Color('#fff2b0')
+
+// Ease-out for the rise, quick fade at the end
+const easeOut = (t) => 1 - Math.pow(1 - t, 3)
+const fadeOut = (t) => (t < 0.7 ? 1 : 1 - (t - 0.7) / 0.3)
+
+// Sparks shoot up from random points around the feet: x, z, speed per spark
+const createSparkOffsets = () => {
+  const offsets = new Float32Array(SPARK_COUNT * 3)
+  for (let i = 0; i < SPARK_COUNT; i++) {
+    const angle = Math.random() * Math.PI * 2
+    const radius = RING_RADIUS * (0.3 + Math.random() * 0.7)
+    offsets[i * 3] = Math.cos(angle) * radius
+    offsets[i * 3 + 1] = Math.sin(angle) * radius
+    offsets[i * 3 + 2] = 0.6 + Math.random() * 0.8
+  }
+  return offsets
+}
+
+/**
+ * Golden burst on level up: rings climb the character while a pillar of
+ * light and sparks flare and fade. Plays once per `levelUpAt` timestamp.
+ */
+export default function LevelUpEffect({ position = [0, 0, 0] }) {
+  const { levelUpAt } = useExperience()
+
+  const groupRef = useRef()
+  const ringRefs = useRef([])
+  const pillarRef = useRef()
+  const sparksRef = useRef()
+
+  const ringGeometry = useMemo(() => new THREE.TorusGeometry(RING_RADIUS, 0.05, 8, 48), [])
+  const pillarGeometry = useMemo(() => new THREE.CylinderGeometry(0.7, 1.0, PILLAR_HEIGHT, 24, 1, true), [])
+
+  const ringMaterials = useMemo(() => Array.from({ length: RING_COUNT }, () => (
+    new THREE.MeshBasicMaterial({
+      color: GOLD,
+      transparent: true,
+      opacity: 0,
+      depthWrite: false,
+      blending: THREE.AdditiveBlending,
+    })
+  )), [])
+
+  const pillarMaterial = useMemo(() => new THREE.MeshBasicMaterial({
+    color: GOLD_GLOW,
+    transparent: true,
+    opacity: 0,
+    depthWrite: false,
+    side: THREE.DoubleSide,
+    blending: THREE.AdditiveBlending,
+  }), [])
+
+  const sparkOffsets = useMemo(() => createSparkOffsets(), [])
+  const sparkGeometry = useMemo(() => {
+    const geo = new THREE.BufferGeometry()
+    geo.setAttribute('position', new THREE.BufferAttribute(new Float32Array(SPARK_COUNT * 3), 3))
+    return geo
+  }, [])
+
+  const sparkMaterial = useMemo(() => new THREE.PointsMaterial({
+    color: GOLD,
+    size: 0.14,
+    transparent: true,
+    opacity: 0,
+    depthWrite: false,
+    blending: THREE.AdditiveBlending,
+    sizeAttenuation: true,
+  }), [])
+
+  useFrame(() => {
+    if (!groupRef.current) return
+
+    const elapsed = levelUpAt ? (Date.now() - levelUpAt) / 1000 : Infinity
+    if (elapsed >= DURATION) {
+      groupRef.current.visible = false
+      return
+    }
+    groupRef.current.visible = true
+
+    const t = elapsed / DURATION
+    const fade = fadeOut(t)
+
+    // Rings climb in a staggered wave
+    ringRefs.current.forEach((ring, i) => {
+      if (!ring) return
+      const local = THREE.MathUtils.clamp(t * 1.4 - i * 0.15, 0, 1)
+      ring.position.y = 0.1 + easeOut(local) * RING_RISE
+      ring.scale.setScalar(1 - local * 0.35)
+      ring.material.opacity = local > 0 ? fade * (1 - local * 0.5) : 0
+    })
+
+    // Pillar flares quickly, then fades with the rings
+    if (pillarRef.current) {
+      const flare = Math.min(1, t * 6)
+      pillarRef.current.scale.set(1 - t * 0.4, flare, 1 - t * 0.4)
+      pillarRef.current.position.y = (PILLAR_HEIGHT * flare) / 2
+      pillarRef.current.material.opacity = 0.35 * fade
+    }
+
+    // Sparks
+    if (sparksRef.current) {
+      const posAttr = sparksRef.current.geometry.attributes.position
+      for (let i = 0; i < SPARK_COUNT; i++) {
+        const spin = t * 3 * (i % 2 ? 1 : -1)
+        const x = sparkOffsets[i * 3]
+        const z = sparkOffsets[i * 3 + 1]
+        posAttr.array[i * 3] = x * Math.cos(spin) - z * Math.sin(spin)
+        posAttr.array[i * 3 + 1] = easeOut(t) * RING_RISE * sparkOffsets[i * 3 + 2]
+        posAttr.array[i * 3 + 2] = x * Math.sin(spin) + z * Math.cos(spin)
+      }
+      posAttr.needsUpdate = true
+      sparksRef.current.material.opacity = fade
+    }
+  })
+
+  return (
+    <group ref={groupRef} position={position} visible={false}>
+      {ringMaterials.map((material, i) => (
+        <mesh
+          key={i}
+          ref={el => { ringRefs.current[i] = el }}
+          geometry={ringGeometry}
+          material={material}
+          rotation={[-Math.PI / 2, 0, 0]}
+        />
+      ))}
+      <mesh ref={pillarRef} geometry={pillarGeometry} material={pillarMaterial} />
+      <points ref={sparksRef} geometry={sparkGeometry} material={sparkMaterial} />
+    </group>
+  )
+}
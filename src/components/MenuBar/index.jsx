@@ -1,9 +1,18 @@
 import styles from './styles.module.css';
 import Settings from '@/components/Settings';
 import Achievements from '@/components/Achievements';
+import CombatLog from '@/components/CombatLog';
 import EntityPanel from '@/components/EntityPanel';
+import TalentPanel from '@/components/TalentPanel';
+import EquipmentPanel from '@/components/EquipmentPanel';
 import { useClassPanels } from '@/hooks/useClassContent';
 
+// Panels whose entityType needs its own drawer (everything else is an EntityPanel)
+const PANEL_COMPONENTS = {
+  talent: TalentPanel,
+  item: EquipmentPanel,
+};
+
 export default function MenuBar() {
   // Get class-scoped panels - THE ONLY SOURCE OF TRUTH
   const panels = useClassPanels();
@@ -11,11 +20,13 @@ export default function MenuBar() {
   return (
     <div className={styles['menu-bar']}>
       {/* Entity panels - data-driven from class config */}
-      {panels.map(panel => (
-        <EntityPanel key={panel.id} panel={panel} />
-      ))}
+      {panels.map(panel => {
+        const Panel = PANEL_COMPONENTS[panel.entityType] || EntityPanel;
+        return <Panel key={panel.id} panel={panel} />;
+      })}
       
       {/* System panels - always present */}
+      <CombatLog />
       <Achievements />
       <Settings />
     </div>
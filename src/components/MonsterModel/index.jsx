@@ -0,0 +1,132 @@
+import { useMemo } from 'react';
+import * as THREE from 'three';
+import TrainingDummyModel from '@/components/TrainingDummyModel';
+
+/**
+ * Procedural monster models.
+ * Built from primitives (like TrainingDummyModel) and tinted from
+ * monster data: visual.model picks the silhouette, visual.color the hide.
+ */
+
+// Shared materials (model-independent)
+const materials = {
+  eye: new THREE.MeshStandardMaterial({ color: '#ffcc40', emissive: '#ff8800', emissiveIntensity: 2 }),
+  horn: new THREE.MeshStandardMaterial({ color: '#d8cfb8', roughness: 0.6 }),
+  metal: new THREE.MeshStandardMaterial({ color: '#5a5a60', roughness: 0.4, metalness: 0.5 }),
+};
+
+/**
+ * Hulking biped - wide torso, heavy arms, small head.
+ */
+function Brute({ hide }) {
+  return (
+    <group>
+      {/* Legs */}
+      <mesh position={[-0.22, 0.35, 0]} castShadow material={hide}>
+        <cylinderGeometry args={[0.14, 0.12, 0.7, 8]} />
+      </mesh>
+      <mesh position={[0.22, 0.35, 0]} castShadow material={hide}>
+        <cylinderGeometry args={[0.14, 0.12, 0.7, 8]} />
+      </mesh>
+
+      {/* Torso */}
+      <mesh position={[0, 1.05, 0]} castShadow material={hide}>
+        <boxGeometry args={[0.8, 0.75, 0.5]} />
+      </mesh>
+
+      {/* Arms */}
+      <mesh position={[-0.55, 0.95, 0.05]} rotation={[0, 0, 0.15]} castShadow material={hide}>
+        <cylinderGeometry args={[0.13, 0.16, 0.8, 8]} />
+      </mesh>
+      <mesh position={[0.55, 0.95, 0.05]} rotation={[0, 0, -0.15]} castShadow material={hide}>
+        <cylinderGeometry args={[0.13, 0.16, 0.8, 8]} />
+      </mesh>
+
+      {/* Head */}
+      <mesh position={[0, 1.62, 0.05]} castShadow material={hide}>
+        <sphereGeometry args={[0.22, 10, 8]} />
+      </mesh>
+      <mesh position={[-0.08, 1.66, 0.24]} material={materials.eye}>
+        <sphereGeometry args={[0.035, 6, 6]} />
+      </mesh>
+      <mesh position={[0.08, 1.66, 0.24]} material={materials.eye}>
+        <sphereGeometry args={[0.035, 6, 6]} />
+      </mesh>
+
+      {/* Shoulder plate */}
+      <mesh position={[0, 1.42, 0]} castShadow material={materials.metal}>
+        <boxGeometry args={[0.95, 0.12, 0.55]} />
+      </mesh>
+    </group>
+  );
+}
+
+/**
+ * Small hunched creature - round body, horns, long arms.
+ */
+function Imp({ hide }) {
+  return (
+    <group>
+      {/* Body */}
+      <mesh position={[0, 0.7, 0]} castShadow material={hide}>
+        <sphereGeometry args={[0.38, 12, 10]} />
+      </mesh>
+
+      {/* Head */}
+      <mesh position={[0, 1.2, 0.1]} castShadow material={hide}>
+        <sphereGeometry args={[0.26, 10, 8]} />
+      </mesh>
+      <mesh position={[-0.09, 1.25, 0.33]} material={materials.eye}>
+        <sphereGeometry args={[0.04, 6, 6]} />
+      </mesh>
+      <mesh position={[0.09, 1.25, 0.33]} material={materials.eye}>
+        <sphereGeometry args={[0.04, 6, 6]} />
+      </mesh>
+
+      {/* Horns */}
+      <mesh position={[-0.15, 1.45, 0.05]} rotation={[0, 0, 0.4]} castShadow material={materials.horn}>
+        <coneGeometry args={[0.05, 0.25, 6]} />
+      </mesh>
+      <mesh position={[0.15, 1.45, 0.05]} rotation={[0, 0, -0.4]} castShadow material={materials.horn}>
+        <coneGeometry args={[0.05, 0.25, 6]} />
+      </mesh>
+
+      {/* Arms */}
+      <mesh position={[-0.4, 0.55, 0.1]} rotation={[0.3, 0, 0.3]} castShadow material={hide}>
+        <cylinderGeometry args={[0.05, 0.07, 0.6, 6]} />
+      </mesh>
+      <mesh position={[0.4, 0.55, 0.1]} rotation={[0.3, 0, -0.3]} castShadow material={hide}>
+        <cylinderGeometry args={[0.05, 0.07, 0.6, 6]} />
+      </mesh>
+
+      {/* Legs */}
+      <mesh position={[-0.15, 0.2, 0]} castShadow material={hide}>
+        <cylinderGeometry args={[0.07, 0.06, 0.4, 6]} />
+      </mesh>
+      <mesh position={[0.15, 0.2, 0]} castShadow material={hide}>
+        <cylinderGeometry args={[0.07, 0.06, 0.4, 6]} />
+      </mesh>
+    </group>
+  );
+}
+
+const MODELS = {
+  brute: Brute,
+  imp: Imp,
+  training_dummy: TrainingDummyModel,
+};
+
+export default function MonsterModel({ visual = {} }) {
+  const { model = 'brute', color = '#808080', scale = 1 } = visual;
+  const hide = useMemo(
+    () => new THREE.MeshStandardMaterial({ color, roughness: 0.8 }),
+    [color]
+  );
+  const Model = MODELS[model] || Brute;
+
+  return (
+    <group scale={scale}>
+      <Model hide={hide} />
+    </group>
+  );
+}
@@ -1,27 +1,93 @@
 import { useState, useMemo } from "react";
-import { usePlayerState } from "@/hooks/useGame";
+import { usePlayerState, useClassResource } from "@/hooks/useGame";
 import styles from "./styles.module.css";
 
 const formatRegen = (val) => (val >= 0 ? `+${val}` : val.toString());
 
+/**
+ * Tooltip rows for a class resource (how it fills and drains).
+ */
+function ResourceTooltip({ config }) {
+  return (
+    <div className={styles.tooltip}>
+      <div className={styles["tooltip-title"]}>{config.label}</div>
+      <div className={styles["tooltip-row"]}>
+        <span>Maximum</span>
+        <span className={styles["tooltip-value"]}>{config.max}</span>
+      </div>
+      {config.regen > 0 && (
+        <div className={styles["tooltip-row"]}>
+          <span>Regeneration</span>
+          <span className={`${styles["tooltip-value"]} ${styles.bonus}`}>{formatRegen(config.regen)}/s</span>
+        </div>
+      )}
+      {config.gainOnHit > 0 && (
+        <div className={styles["tooltip-row"]}>
+          <span>Per hit dealt</span>
+          <span className={`${styles["tooltip-value"]} ${styles.bonus}`}>{formatRegen(config.gainOnHit)}</span>
+        </div>
+      )}
+      {config.gainOnDamageTaken > 0 && (
+        <div className={styles["tooltip-row"]}>
+          <span>Per damage taken</span>
+          <span className={`${styles["tooltip-value"]} ${styles.bonus}`}>{formatRegen(config.gainOnDamageTaken)}</span>
+        </div>
+      )}
+      {config.decay > 0 && (
+        <div className={`${styles["tooltip-row"]} ${styles.total}`}>
+          <span>Out of combat</span>
+          <span className={`${styles["tooltip-value"]} ${styles.drain}`}>-{config.decay}/s</span>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * HUD resource orb.
+ * 
+ * - type "health" / "mana": the shared pools, with a regen tooltip
+ * - type "resource": the active class's secondary resource (rage, energy,
+ *   chi, focus) as a smaller orb tinted per type; renders nothing for
+ *   classes without one
+ */
 export default function Orb({ type = "health", label = "Health" }) {
   const { mana, maxMana, health, maxHealth, regenInfo } = usePlayerState();
+  const classResource = useClassResource();
   const [showTooltip, setShowTooltip] = useState(false);
   
-  const { fillPercent, currentValue, regen } = useMemo(() => {
+  const orb = useMemo(() => {
+    if (type === "resource") {
+      if (!classResource) return null;
+      const { config, value } = classResource;
+      return {
+        variant: `${styles.secondary} ${styles[config.type]}`,
+        label: config.label,
+        fillPercent: Math.round((value / config.max) * 100),
+        currentValue: Math.floor(value),
+        config,
+      };
+    }
     if (type === "mana") {
       return {
+        variant: styles.mana,
+        label,
         fillPercent: Math.round((mana / maxMana) * 100),
         currentValue: Math.round(mana),
         regen: regenInfo.mana,
       };
     }
     return {
+      variant: styles.health,
+      label,
       fillPercent: Math.round((health / maxHealth) * 100),
       currentValue: Math.round(health),
       regen: regenInfo.health,
     };
-  }, [type, mana, maxMana, health, maxHealth, regenInfo]);
+  }, [type, label, classResource, mana, maxMana, health, maxHealth, regenInfo]);
+  
+  if (!orb) return null;
+  const { regen } = orb;
   
   return (
     <div 
@@ -29,16 +95,18 @@ export default function Orb({ type = "health", label = "Health" }) {
       onMouseEnter={() => setShowTooltip(true)}
       onMouseLeave={() => setShowTooltip(false)}
     >
-      <div className={`${styles.orb} ${styles[type]}`}>
+      <div className={`${styles.orb} ${orb.variant}`}>
         <div 
           className={styles["orb-fill"]} 
-          style={{ '--fill-percent': `${fillPercent}%` }}
+          style={{ '--fill-percent': `${orb.fillPercent}%` }}
         />
-        <span className={styles["orb-label"]}>{label}</span>
-        <span className={styles["orb-value"]}>{currentValue}</span>
+        <span className={styles["orb-label"]}>{orb.label}</span>
+        <span className={styles["orb-value"]}>{orb.currentValue}</span>
       </div>
       
-      {showTooltip && (
+      {showTooltip && orb.config && <ResourceTooltip config={orb.config} />}
+      
+      {showTooltip && regen && (
         <div className={styles.tooltip}>
           <div className={styles["tooltip-title"]}>{label} Regeneration</div>
           <div className={styles["tooltip-row"]}>
@@ -67,4 +135,4 @@ export default function Orb({ type = "health", label = "Health" }) {
       )}
     </div>
   );
-}
\ No newline at end of file
+}
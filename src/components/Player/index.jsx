@@ -13,6 +13,8 @@
  * - Loads the appropriate 3D model
  * - Binds animations to game states
  * - Owns class-specific VFX (casting circle, trails, etc.)
+ * - Fades the model while stealthed (game/stealth.js)
+ * - Shows the weapon mesh only while its weapon type is equipped (game/equipment.js)
  * - Spawns projectiles based on skill execution
  * 
  * NO CLASS-SPECIFIC IF STATEMENTS - behavior is purely config-driven.
@@ -25,15 +27,20 @@ import { SkeletonUtils } from 'three-stdlib';
 import * as THREE from 'three';
 
 import { usePlayerState } from '@/hooks/useGame';
-import { getClassById, getAnimationsForClass, getModelConfigForClass } from '@/engine/classes';
-import { getElementForAction, getActionById, ELEMENTS } from '@/config/actions';
+import { getClassById, getAnimationsForClass, getModelConfigForClass, getStartingEquipmentForClass } from '@/engine/classes';
+import { getItemById } from '@/engine/loader';
+import { getElementForAction, ELEMENTS, hasVfx } from '@/config/actions';
 import useWorldStore, { getFacingDirection } from '@/stores/worldStore';
+import { useGameStore } from '@/stores/gameStore';
+import { isStealthed, STEALTH_OPACITY } from '@/game/stealth';
+import { getVisibleWeaponMeshes } from '@/game/equipment';
 
 // Class-agnostic VFX components
 import CastingCircle from '@/components/CastingCircle';
 import ShieldEffect from '@/components/ShieldEffect';
 import ManaShield from '@/components/ManaShield';
 import HealingParticles from '@/components/HealingParticles';
+import LevelUpEffect from '@/components/LevelUpEffect';
 import ArcaneTrail from '@/components/ArcaneTrail';
 
 // =============================================================================
@@ -78,6 +85,7 @@ function PlayerModel({ classConfig, children }) {
   const weaponMeshRef = useRef(null);
   const originalWeaponMaterialRef = useRef(null);
   const originalMaterialsRef = useRef(new Map());
+  const stealthMaterialsRef = useRef(new Map());
   const currentActionRef = useRef(null);
   const targetRotationRef = useRef(0);
   
@@ -123,18 +131,25 @@ function PlayerModel({ classConfig, children }) {
   } = usePlayerState();
 
   // Derive animation name from class-specific animationMap, not global STATE_ANIMATIONS
-  const animation = animationMap[state] || animationMap.idle || 'IDLE';
+  // (classes without a channel clip keep their cast pose while channeling)
+  const channelFallback = state === STATES.CHANNELING ? animationMap.casting : null;
+  const animation = animationMap[state] || channelFallback || animationMap.idle || 'IDLE';
 
   // Store model reference
   useEffect(() => {
     modelRef.current = clone;
   }, [clone]);
 
-  // Store original materials for restoration
+  // Store original materials for restoration (plus see-through stealth copies)
   useEffect(() => {
     clone.traverse((child) => {
       if (!child.isMesh) return;
       originalMaterialsRef.current.set(child, child.material.clone());
+      const stealthMaterial = child.material.clone();
+      stealthMaterial.transparent = true;
+      stealthMaterial.opacity = STEALTH_OPACITY;
+      stealthMaterial.depthWrite = false;
+      stealthMaterialsRef.current.set(child, stealthMaterial);
       
       // Find weapon mesh based on class config (data-driven)
       if (weaponMeshNames.includes(child.name)) {
@@ -147,14 +162,14 @@ function PlayerModel({ classConfig, children }) {
     });
   }, [clone, weaponMeshNames, classConfig.id]);
 
-  // Channel ability detection (mana drain abilities)
+  // Channel glow (data-driven: channels and movement channels with the channel_glow VFX)
   const isChanneling = useMemo(() => {
-    if (state !== STATES.MOVING || !activeAction) return false;
-    const action = getActionById(activeAction);
-    return action?.manaPerSecond > 0;
+    return (state === STATES.CHANNELING || state === STATES.MOVING) && hasVfx(activeAction, 'channel_glow');
   }, [state, activeAction, STATES]);
   
-  // Apply channel material when active
+  const stealthed = useGameStore(s => isStealthed(s.buffs));
+  
+  // Apply channel material when active, stealth material while hidden
   useEffect(() => {
     if (isChanneling) {
       clone.traverse((child) => {
@@ -163,13 +178,29 @@ function PlayerModel({ classConfig, children }) {
         }
       });
     } else {
+      const materials = stealthed ? stealthMaterialsRef.current : originalMaterialsRef.current;
       clone.traverse((child) => {
-        if (child.isMesh && originalMaterialsRef.current.has(child)) {
-          child.material = originalMaterialsRef.current.get(child);
+        if (child.isMesh && materials.has(child)) {
+          child.material = materials.get(child);
         }
       });
     }
-  }, [isChanneling, clone]);
+  }, [isChanneling, stealthed, clone]);
+
+  // Equipped weapon (a class previewed before it's active shows its starting weapon)
+  const weaponItemId = useGameStore(s => (
+    s.activeClassId === classConfig.id ? s.equipment.weapon : getStartingEquipmentForClass(classConfig.id).weapon
+  ));
+  
+  // Toggle the GLB weapon meshes to match the equipped weapon
+  useEffect(() => {
+    const visible = getVisibleWeaponMeshes(classConfig, getItemById(weaponItemId));
+    clone.traverse((child) => {
+      if (classConfig.weaponMeshes?.includes(child.name)) {
+        child.visible = visible.includes(child.name);
+      }
+    });
+  }, [clone, classConfig, weaponItemId]);
 
   // Weapon glow based on active element (data-driven via weaponMeshes)
   useEffect(() => {
@@ -179,10 +210,12 @@ function PlayerModel({ classConfig, children }) {
     
     if (element && state !== STATES.IDLE) {
       weaponMeshRef.current.material = GLOW_MATERIALS[element.id] || originalWeaponMaterialRef.current;
+    } else if (stealthed) {
+      weaponMeshRef.current.material = stealthMaterialsRef.current.get(weaponMeshRef.current);
     } else {
       weaponMeshRef.current.material = originalWeaponMaterialRef.current;
     }
-  }, [state, activeAction, STATES]);
+  }, [state, activeAction, stealthed, STATES]);
 
   // Animation handling
   useEffect(() => {
@@ -217,6 +250,10 @@ function PlayerModel({ classConfig, children }) {
       currentAnimation.setLoop(THREE.LoopOnce, 1);
       currentAnimation.clampWhenFinished = true;
       setCastProgress(0);
+    } else if (state === STATES.DEAD) {
+      // Fall once and stay down
+      currentAnimation.setLoop(THREE.LoopOnce, 1);
+      currentAnimation.clampWhenFinished = true;
     } else {
       currentAnimation.setLoop(THREE.LoopRepeat);
     }
@@ -229,6 +266,9 @@ function PlayerModel({ classConfig, children }) {
   const castStartTimeRef = useRef(null);
   const FALLBACK_CAST_DURATION = 1.0; // seconds
   
+  // Last pushback applied to the animation (taking damage rewinds the cast)
+  const lastPushbackIdRef = useRef(null);
+  
   useEffect(() => {
     if (state === STATES.CASTING || state === STATES.ATTACKING) {
       castStartTimeRef.current = performance.now();
@@ -244,12 +284,23 @@ function PlayerModel({ classConfig, children }) {
     
     const action = currentActionRef.current;
     
+    // PUSHBACK: the store set progress back - rewind the clock to match
+    const pushback = useGameStore.getState().castPushback;
+    if (pushback && pushback.id !== lastPushbackIdRef.current) {
+      lastPushbackIdRef.current = pushback.id;
+      if (action) {
+        action.time = pushback.progress * action.getClip().duration;
+      } else if (castStartTimeRef.current) {
+        castStartTimeRef.current = performance.now() - pushback.progress * FALLBACK_CAST_DURATION * 1000;
+      }
+    }
+    
     if (action) {
       // Animation-based progress tracking
       const duration = action.getClip().duration;
       const time = Math.min(action.time, duration);
       const progress = time / duration;
-      setCastProgress(progress);
+      setCastProgress(progress, duration);
 
       if (progress >= 0.99) {
         syncCastProgressUI();
@@ -266,7 +317,7 @@ function PlayerModel({ classConfig, children }) {
       // FALLBACK: Timer-based progress when animation is missing
       const elapsed = (performance.now() - castStartTimeRef.current) / 1000;
       const progress = Math.min(elapsed / FALLBACK_CAST_DURATION, 1);
-      setCastProgress(progress);
+      setCastProgress(progress, FALLBACK_CAST_DURATION);
       
       if (progress >= 1) {
         if (import.meta.env.DEV) {
@@ -326,6 +377,7 @@ function PlayerModel({ classConfig, children }) {
           <ShieldEffect position={[0, 1.5, 0]} />
           <ManaShield position={[0, 1.5, 0]} />
           <HealingParticles position={[0, 0, 0]} />
+          <LevelUpEffect position={[0, 0, 0]} />
           <ArcaneTrail wizardRef={modelRef} />
         
           {/* Additional children (pixies, etc.) */}
@@ -0,0 +1,362 @@
+import { useEffect, useMemo, useRef } from 'react'
+import { useFrame } from '@react-three/fiber'
+import * as THREE from 'three'
+import { ELEMENTS } from '@/config/elements'
+import {
+  stepProjectile,
+  canProjectileHit,
+  registerProjectileHit,
+  PROJECTILE_MODELS,
+  IMPACT_VFX,
+  AIM_HEIGHT,
+} from '@/game/projectiles'
+import { useEntityQueries } from '@/systems/PhysicsQueries'
+import useProjectileStore, { selectProjectiles, selectImpacts } from '@/stores/projectileStore'
+import useEntityStore, { getEntityPosition } from '@/stores/entityStore'
+import { useGameStore } from '@/stores/gameStore'
+
+/**
+ * Generic skill projectiles.
+ *
+ * One component for every projectile skill: flight comes from the skill's
+ * `projectile` block (game/projectiles.js), hits from Rapier sweeps against
+ * entity colliders, looks from `model` + the damage element's colors.
+ * Must be rendered inside WorldRoot (flight positions are world positions)
+ * and inside <Physics>.
+ */
+
+const FORWARD = new THREE.Vector3(0, 0, 1)
+
+// Seconds each impact effect plays
+const IMPACT_DURATION = {
+  [IMPACT_VFX.BURST]: 0.3,
+  [IMPACT_VFX.SHATTER]: 0.45,
+  [IMPACT_VFX.EXPLOSION]: 0.6,
+}
+
+const SHATTER_SHARDS = 8
+
+const isAlive = (entityId) => (useEntityStore.getState().entities[entityId]?.health ?? 0) > 0
+
+const getElement = (elementId) => ELEMENTS[elementId] || ELEMENTS.arcane
+
+// ============ MODELS ============
+
+// Model materials never change after creation, so every projectile of an
+// element shares one set (a volley doesn't allocate a set per arrow)
+const modelMaterials = new Map()
+
+function getModelMaterials(element) {
+  const key = ELEMENTS[element] ? element : 'arcane'
+  if (!modelMaterials.has(key)) modelMaterials.set(key, createModelMaterials(getElement(key)))
+  return modelMaterials.get(key)
+}
+
+function createModelMaterials(colors) {
+  return {
+    core: new THREE.MeshBasicMaterial({ color: colors.secondary, toneMapped: false }),
+    glow: new THREE.MeshBasicMaterial({
+      color: colors.glow,
+      transparent: true,
+      opacity: 0.35,
+      blending: THREE.AdditiveBlending,
+      depthWrite: false,
+    }),
+    crystal: new THREE.MeshStandardMaterial({
+      color: colors.primary,
+      emissive: colors.glow,
+      emissiveIntensity: 1.5,
+      transparent: true,
+      opacity: 0.85,
+    }),
+    rock: new THREE.MeshStandardMaterial({
+      color: colors.dark,
+      emissive: colors.primary,
+      emissiveIntensity: 0.8,
+      roughness: 0.9,
+    }),
+    wood: new THREE.MeshStandardMaterial({ color: '#6b4a2b', roughness: 0.8 }),
+    tip: new THREE.MeshStandardMaterial({ color: colors.primary, metalness: 0.6, roughness: 0.3 }),
+    feather: new THREE.MeshStandardMaterial({ color: '#e8e0d0', side: THREE.DoubleSide }),
+  }
+}
+
+/**
+ * Projectile mesh, built along +Z (flight direction).
+ */
+function ProjectileModel({ model, element, scale }) {
+  const materials = getModelMaterials(element)
+
+  // Trailing glow cone (points backward)
+  const trail = (length, radius) => (
+    <mesh position={[0, 0, -length / 2]} rotation={[-Math.PI / 2, 0, 0]} material={materials.glow}>
+      <coneGeometry args={[radius, length, 10, 1, true]} />
+    </mesh>
+  )
+
+  switch (model) {
+    case PROJECTILE_MODELS.ARROW:
+      return (
+        <group scale={scale}>
+          <mesh rotation={[Math.PI / 2, 0, 0]} material={materials.wood}>
+            <cylinderGeometry args={[0.02, 0.02, 0.8, 6]} />
+          </mesh>
+          <mesh position={[0, 0, 0.45]} rotation={[Math.PI / 2, 0, 0]} material={materials.tip}>
+            <coneGeometry args={[0.045, 0.12, 6]} />
+          </mesh>
+          <mesh position={[0, 0, -0.35]} material={materials.feather}>
+            <planeGeometry args={[0.12, 0.15]} />
+          </mesh>
+          <mesh position={[0, 0, -0.35]} rotation={[0, 0, Math.PI / 2]} material={materials.feather}>
+            <planeGeometry args={[0.12, 0.15]} />
+          </mesh>
+        </group>
+      )
+
+    case PROJECTILE_MODELS.SHARD:
+      return (
+        <group scale={scale}>
+          <mesh scale={[0.6, 0.6, 1.8]} material={materials.crystal}>
+            <octahedronGeometry args={[0.18, 0]} />
+          </mesh>
+          {trail(0.9, 0.14)}
+        </group>
+      )
+
+    case PROJECTILE_MODELS.METEOR:
+      return (
+        <group scale={scale}>
+          <mesh material={materials.rock}>
+            <dodecahedronGeometry args={[0.45, 0]} />
+          </mesh>
+          <mesh material={materials.glow}>
+            <sphereGeometry args={[0.65, 12, 10]} />
+          </mesh>
+          {trail(2.2, 0.55)}
+        </group>
+      )
+
+    case PROJECTILE_MODELS.ORB:
+    default:
+      return (
+        <group scale={scale}>
+          <mesh material={materials.core}>
+            <sphereGeometry args={[0.12, 12, 10]} />
+          </mesh>
+          <mesh material={materials.glow}>
+            <sphereGeometry args={[0.24, 12, 10]} />
+          </mesh>
+          {trail(0.7, 0.16)}
+        </group>
+      )
+  }
+}
+
+// ============ PROJECTILE ============
+
+function Projectile({ projectile }) {
+  const { id, actionId, element, config, targetId } = projectile
+  const groupRef = useRef()
+  const flightRef = useRef(projectile.flight)
+  const doneRef = useRef(false)
+  const velocity = useMemo(() => new THREE.Vector3(), [])
+  const { sweep, overlap } = useEntityQueries()
+
+  useFrame((_, delta) => {
+    const group = groupRef.current
+    if (!group || doneRef.current) return
+
+    const prev = flightRef.current
+    const dt = Math.min(delta, 0.1)
+
+    // Home on the target while it lives
+    const targetPos = targetId && isAlive(targetId) ? getEntityPosition(targetId) : null
+    let next = stepProjectile(prev, config, {
+      dt,
+      targetPosition: targetPos && { x: targetPos.x, y: targetPos.y + AIM_HEIGHT, z: targetPos.z },
+    })
+
+    // Entities touched along this frame's path, nearest first
+    let impactAt = next.expired ? next.position : null
+    const hits = sweep(prev.position, next.position, config.radius,
+      (entityId) => canProjectileHit(next, entityId) && isAlive(entityId))
+
+    for (const hit of hits) {
+      useGameStore.getState().resolveActionHit(actionId, hit.entityId)
+      next = registerProjectileHit(next, config, hit.entityId)
+
+      // Out of pierce - stop where this hit happened
+      if (next.hits.length > config.pierce) {
+        const t = hit.distance / Math.max(1e-6, Math.hypot(
+          next.position.x - prev.position.x,
+          next.position.y - prev.position.y,
+          next.position.z - prev.position.z
+        ))
+        impactAt = {
+          x: prev.position.x + (next.position.x - prev.position.x) * t,
+          y: prev.position.y + (next.position.y - prev.position.y) * t,
+          z: prev.position.z + (next.position.z - prev.position.z) * t,
+        }
+        break
+      }
+    }
+    flightRef.current = next
+
+    // Orient along the actual motion (includes arc and homing)
+    velocity.set(
+      next.position.x - prev.position.x,
+      next.position.y - prev.position.y,
+      next.position.z - prev.position.z
+    )
+    if (velocity.lengthSq() > 0) {
+      group.quaternion.setFromUnitVectors(FORWARD, velocity.normalize())
+    }
+    group.position.set(next.position.x, next.position.y, next.position.z)
+
+    if (!impactAt) return
+
+    // Splash damage around the impact (direct hits already landed)
+    const position = { ...impactAt, y: Math.max(0.05, impactAt.y) }
+    if (config.impact.radius > 0) {
+      const splashed = overlap(position, config.impact.radius,
+        (entityId) => canProjectileHit(next, entityId) && isAlive(entityId))
+      for (const entityId of splashed) {
+        useGameStore.getState().resolveActionHit(actionId, entityId)
+      }
+    }
+
+    doneRef.current = true
+    const store = useProjectileStore.getState()
+    store.spawnImpact({
+      vfx: config.impact.vfx,
+      element,
+      position: [position.x, position.y, position.z],
+      radius: config.impact.radius,
+    })
+    store.removeProjectile(id)
+  })
+
+  const start = projectile.flight.position
+
+  return (
+    <group ref={groupRef} position={[start.x, start.y, start.z]}>
+      <ProjectileModel model={config.model} element={element} scale={config.scale} />
+    </group>
+  )
+}
+
+// ============ IMPACTS ============
+
+function ProjectileImpact({ impact }) {
+  const { id, vfx, element, position, radius } = impact
+  const colors = getElement(element)
+  const duration = IMPACT_DURATION[vfx] ?? IMPACT_DURATION[IMPACT_VFX.BURST]
+
+  // Splash impacts grow to their damage radius
+  const size = radius > 0 ? radius : vfx === IMPACT_VFX.EXPLOSION ? 1.5 : 0.6
+
+  const flashRef = useRef()
+  const ringRef = useRef()
+  const shardsRef = useRef()
+  const elapsedRef = useRef(0)
+
+  const materials = useMemo(() => ({
+    flash: new THREE.MeshBasicMaterial({
+      color: colors.secondary,
+      transparent: true,
+      blending: THREE.AdditiveBlending,
+      depthWrite: false,
+      toneMapped: false,
+    }),
+    ring: new THREE.MeshBasicMaterial({
+      color: colors.glow,
+      transparent: true,
+      blending: THREE.AdditiveBlending,
+      depthWrite: false,
+      side: THREE.DoubleSide,
+    }),
+    shard: new THREE.MeshStandardMaterial({
+      color: colors.primary,
+      emissive: colors.glow,
+      emissiveIntensity: 1,
+      transparent: true,
+    }),
+  }), [colors])
+
+  // Impact materials fade per impact, so each owns its set - free it on removal
+  useEffect(() => () => {
+    Object.values(materials).forEach(material => material.dispose())
+  }, [materials])
+
+  // Evenly fanned, slightly randomized shard directions
+  const shardDirections = useMemo(() => Array.from({ length: SHATTER_SHARDS }, (_, i) => {
+    const angle = (i / SHATTER_SHARDS) * Math.PI * 2
+    return [Math.cos(angle), 0.4 + (i % 3) * 0.3, Math.sin(angle)]
+  }), [])
+
+  useFrame((_, delta) => {
+    elapsedRef.current += delta
+    const t = Math.min(1, elapsedRef.current / duration)
+    const fade = 1 - t
+
+    if (flashRef.current) {
+      flashRef.current.scale.setScalar(size * (0.3 + t * 0.7))
+      flashRef.current.material.opacity = fade * 0.8
+    }
+    if (ringRef.current) {
+      ringRef.current.scale.setScalar(size * (0.2 + t))
+      ringRef.current.material.opacity = fade * 0.7
+    }
+    if (shardsRef.current) {
+      // Shards share one material
+      shardsRef.current.children.forEach((shard, i) => {
+        const [dx, dy, dz] = shardDirections[i]
+        shard.position.set(dx * t * size, (dy * t - t * t * 0.5) * size, dz * t * size)
+        shard.rotation.x += delta * 8
+        shard.material.opacity = fade
+      })
+    }
+
+    if (t >= 1) useProjectileStore.getState().removeImpact(id)
+  })
+
+  return (
+    <group position={position}>
+      <mesh ref={flashRef} material={materials.flash}>
+        <sphereGeometry args={[1, 16, 12]} />
+      </mesh>
+
+      <mesh ref={ringRef} position={[0, 0.05 - position[1], 0]} rotation={[-Math.PI / 2, 0, 0]} material={materials.ring}>
+        <ringGeometry args={[0.8, 1, 32]} />
+      </mesh>
+
+      {vfx === IMPACT_VFX.SHATTER && (
+        <group ref={shardsRef}>
+          {shardDirections.map((_, i) => (
+            <mesh key={i} material={materials.shard}>
+              <octahedronGeometry args={[0.07, 0]} />
+            </mesh>
+          ))}
+        </group>
+      )}
+    </group>
+  )
+}
+
+// ============ SYSTEM ============
+
+export default function Projectiles() {
+  const projectiles = useProjectileStore(selectProjectiles)
+  const impacts = useProjectileStore(selectImpacts)
+
+  return (
+    <group>
+      {projectiles.map(projectile => (
+        <Projectile key={projectile.id} projectile={projectile} />
+      ))}
+      {impacts.map(impact => (
+        <ProjectileImpact key={impact.id} impact={impact} />
+      ))}
+    </group>
+  )
+}
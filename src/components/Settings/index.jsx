@@ -2,7 +2,7 @@ import { useState, useRef } from 'react';
 import { MenuButton, Drawer, DrawerTitle, ScrollList, SvgIcon } from '@/ui';
 import styles from './styles.module.css';
 import { useKeyMap } from '@/hooks/useKeyMap';
-import { useSlotMap } from '@/hooks/useGame';
+import { useSlotMap, useGroundTargeting } from '@/hooks/useGame';
 import { SKILL_SLOTS, MOUSE_SLOTS, CONSUMABLE_SLOTS } from '@/config/slots';
 import gearIcon from '@/assets/icons/gear.svg?raw';
 
@@ -26,6 +26,7 @@ export default function Settings() {
     const buttonRef = useRef(null);
     const { getDisplayKey, startRebind, rebinding, resetToDefaults } = useKeyMap();
     const { getActionObjectForSlot } = useSlotMap();
+    const { quickCast, setQuickCast } = useGroundTargeting();
 
     return (
         <>
@@ -72,6 +73,22 @@ export default function Settings() {
                 <button className={styles['reset-button']} onClick={resetToDefaults}>
                     Reset to Defaults
                 </button>
+
+                <DrawerTitle>Gameplay</DrawerTitle>
+
+                <div className={styles['keybind-row']}>
+                    <div className={styles['keybind-info']}>
+                        <span className={styles['keybind-slot']}>Quick Cast at Cursor</span>
+                        <span className={styles['keybind-action']}>Ground spells land under the mouse, no reticle</span>
+                    </div>
+                    <button
+                        className={`${styles['keybind-key']} ${quickCast ? styles['toggle-on'] : ''}`}
+                        onClick={() => setQuickCast(!quickCast)}
+                        aria-pressed={quickCast}
+                    >
+                        {quickCast ? 'On' : 'Off'}
+                    </button>
+                </div>
             </Drawer>
         </>
     )
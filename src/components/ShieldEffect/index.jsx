@@ -14,8 +14,8 @@ export default function ShieldEffect({ position = [0, 0, 0] }) {
   const materialRef = useRef()
   
   const { state, activeAction, STATES } = usePlayerState()
-  // Data-driven: show shield when action has shield_effect VFX
-  const isActive = state === STATES.MOVING && hasVfx(activeAction, 'shield_effect')
+  // Data-driven: show shield when the running channel has shield_effect VFX
+  const isActive = (state === STATES.CHANNELING || state === STATES.MOVING) && hasVfx(activeAction, 'shield_effect')
   
   // Create sphere geometry - slightly smaller than ManaShield
   const sphereGeometry = useMemo(() => {
@@ -1,9 +1,53 @@
-import { useState, useRef, memo, forwardRef } from 'react';
+import { useState, useRef, useEffect, memo, forwardRef } from 'react';
 import Connector from '@/components/Connector';
 import { useDropTarget, useDragDrop } from '@/hooks/useDragDrop';
 import { getSlotType } from '@/config/slots';
+import { getResourceCosts } from '@/game/resources';
 import styles from "./styles.module.css";
 
+/**
+ * Radial cooldown sweep with remaining seconds.
+ * Animates via refs so the slot doesn't re-render every frame.
+ */
+function CooldownOverlay({ cooldown }) {
+    const sweepRef = useRef(null);
+    const textRef = useRef(null);
+    
+    useEffect(() => {
+        if (!cooldown) return;
+        
+        const duration = cooldown.endsAt - cooldown.startedAt;
+        let frame = null;
+        
+        const update = () => {
+            const remaining = Math.max(0, cooldown.endsAt - Date.now());
+            const progress = duration > 0 ? 1 - remaining / duration : 1;
+            
+            if (sweepRef.current) {
+                sweepRef.current.style.setProperty('--cooldown-progress', `${progress * 360}deg`);
+            }
+            if (textRef.current) {
+                if (remaining <= 0) textRef.current.textContent = '';
+                else if (remaining >= 10000) textRef.current.textContent = Math.ceil(remaining / 1000);
+                else textRef.current.textContent = (remaining / 1000).toFixed(1);
+            }
+            
+            if (remaining > 0) frame = requestAnimationFrame(update);
+        };
+        
+        update();
+        return () => cancelAnimationFrame(frame);
+    }, [cooldown]);
+    
+    if (!cooldown) return null;
+    
+    return (
+        <div ref={sweepRef} className={styles["cooldown-sweep"]}>
+            <span ref={textRef} className={styles["cooldown-text"]} />
+        </div>
+    );
+}
+
 export const Slot = memo(forwardRef(function Slot({ 
   slotId,
   actionId,
@@ -12,6 +56,7 @@ export const Slot = memo(forwardRef(function Slot({
   active, 
   disabled, 
   tooltip, 
+  cooldown,
   ...handlers 
 }, forwardedRef) {
     const [showTooltip, setShowTooltip] = useState(false);
@@ -92,6 +137,7 @@ export const Slot = memo(forwardRef(function Slot({
                 {...handlers}
             >
                 {icon && <img src={icon} alt="" className={styles["skill-icon"]} />}
+                <CooldownOverlay cooldown={cooldown} />
                 <span className={styles["key"]}>{keyBind}</span>
             </button>
             {tooltip && showTooltip && !isDragging && (
@@ -127,6 +173,18 @@ export const Slot = memo(forwardRef(function Slot({
                         {tooltip.healthCost > 0 && (
                             <span className={styles["tooltip-health"]}>Health: {tooltip.healthCost}</span>
                         )}
+                        {getResourceCosts(tooltip.costs).map(cost => (
+                            <span
+                                key={cost.type}
+                                className={styles["tooltip-resource"]}
+                                style={{ '--resource-color': cost.color }}
+                            >
+                                {cost.label}: {cost.amount}
+                            </span>
+                        ))}
+                        {tooltip.cooldown > 0 && (
+                            <span className={styles["tooltip-cooldown"]}>Cooldown: {tooltip.cooldown}s</span>
+                        )}
                         {tooltip.buff && (
                             <span className={styles["tooltip-buff"]}>Duration: {tooltip.buff.duration}s</span>
                         )}
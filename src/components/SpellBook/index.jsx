@@ -4,6 +4,7 @@ import { useDraggable } from '@/hooks/useDragDrop';
 import { useSlotMap } from '@/hooks/useGame';
 import styles from './styles.module.css';
 import { getSpells, ELEMENTS } from '@/config/actions';
+import { getResourceCosts } from '@/game/resources';
 import bookIcon from '@/assets/icons/book.svg?raw';
 
 const TABS = [
@@ -79,6 +80,11 @@ function SpellCard({ action }) {
             <span className={styles['stat-label']}>Health:</span> {action.healthCost}
           </span>
         )}
+        {getResourceCosts(action.costs).map(cost => (
+          <span key={cost.type} className={styles['stat-resource']} style={{ '--resource-color': cost.color }}>
+            <span className={styles['stat-label']}>{cost.label}:</span> {cost.amount}
+          </span>
+        ))}
         {action.buff && (
           <>
             <span className={styles['stat-buff']}>
@@ -0,0 +1,119 @@
+/**
+ * =============================================================================
+ * TALENT PANEL - Class Talent Tree Drawer
+ * =============================================================================
+ *
+ * Renders the active class's talent tree (talents.json) as a grid of nodes
+ * by row/column. Registered through panels.json (`entityType: "talent"`)
+ * and listed per class in `ui.panels`, like the entity panels.
+ *
+ * - Click a node to learn one rank (rules in game/talents.js)
+ * - Locked nodes show why in their tooltip
+ * - Respec refunds every point
+ */
+
+import { useState, useRef, useMemo } from 'react';
+import { MenuButton, Drawer, DrawerTitle, ScrollList, SvgIcon } from '@/ui';
+import { useTalents } from '@/hooks/useGame';
+import styles from './styles.module.css';
+
+// Columns in the tree grid (talent.schema.json `column` 0-3)
+const GRID_COLUMNS = 4;
+
+function TalentNode({ talent, ranks, check, onAllocate }) {
+  const maxed = ranks >= talent.maxRanks;
+  const available = check.valid;
+  const stateClass = maxed ? styles['maxed'] : available ? styles['available'] : styles['locked'];
+  const tooltip = `${talent.name}\n${talent.description || ''}${!available && !maxed ? `\n${check.reason}` : ''}`;
+
+  return (
+    <button
+      className={`${styles['talent-node']} ${stateClass} ${ranks > 0 ? styles['learned'] : ''}`}
+      style={{ gridRow: talent.row + 1, gridColumn: talent.column + 1 }}
+      onClick={() => onAllocate(talent.id)}
+      disabled={!available}
+      title={tooltip}
+    >
+      {talent.icon && <img src={talent.icon} alt="" draggable={false} />}
+      <span className={styles['talent-rank']}>{ranks}/{talent.maxRanks}</span>
+    </button>
+  );
+}
+
+export default function TalentPanel({ panel }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const buttonRef = useRef(null);
+  const { tree, allocation, pointsSpent, pointsAvailable, canAllocate, allocate, respec } = useTalents();
+
+  // Learned talents, for the summary list under the tree
+  const learned = useMemo(
+    () => (tree?.talents || []).filter(t => (allocation[t.id] || 0) > 0),
+    [tree, allocation]
+  );
+
+  return (
+    <>
+      <MenuButton
+        ref={buttonRef}
+        icon={<SvgIcon svg={panel.resolvedIcon} />}
+        isOpen={isOpen}
+        onClick={() => setIsOpen(!isOpen)}
+        label={`Toggle ${panel.label.toLowerCase()}`}
+        tooltip={panel.label}
+      />
+
+      <Drawer
+        isOpen={isOpen}
+        anchorRef={buttonRef}
+        width={panel.width || 360}
+        portalId={`${panel.id}-portal`}
+      >
+        <div className={styles['drawer-header']}>
+          <DrawerTitle>{tree?.name || panel.label}</DrawerTitle>
+          {tree && (
+            <div className={styles['drawer-points']} title={`${pointsSpent} spent`}>
+              {pointsAvailable} pts
+            </div>
+          )}
+        </div>
+
+        {!tree ? (
+          <div className={styles['empty-state']}>{panel.emptyMessage}</div>
+        ) : (
+          <>
+            {panel.hint && <p className={styles['hint']}>{panel.hint}</p>}
+
+            <div className={styles['talent-grid']} style={{ '--columns': GRID_COLUMNS }}>
+              {tree.talents.map(talent => (
+                <TalentNode
+                  key={talent.id}
+                  talent={talent}
+                  ranks={allocation[talent.id] || 0}
+                  check={canAllocate(talent.id)}
+                  onAllocate={allocate}
+                />
+              ))}
+            </div>
+
+            <ScrollList maxHeight={140} gap={4}>
+              {learned.map(talent => (
+                <div key={talent.id} className={styles['learned-row']}>
+                  <span className={styles['learned-name']}>{talent.name} {allocation[talent.id]}/{talent.maxRanks}</span>
+                  <span className={styles['learned-desc']}>{talent.description}</span>
+                </div>
+              ))}
+            </ScrollList>
+
+            <button
+              className={styles['respec-button']}
+              onClick={respec}
+              disabled={pointsSpent === 0}
+            >
+              Respec
+            </button>
+          </>
+        )}
+      </Drawer>
+    </>
+  );
+}
@@ -1,6 +1,7 @@
 import { useState, useEffect, useRef, createContext, useContext, useCallback, useMemo } from 'react'
 import { usePlayerState } from '@/hooks/useGame'
 import { useInput } from '@/hooks/useInput'
+import useEntityStore from '@/stores/entityStore'
 
 const TargetContext = createContext(null)
 
@@ -10,10 +11,16 @@ export function TargetProvider({ children }) {
   const [target, setTarget] = useState(null)
   const [lockedTargetId, setLockedTargetId] = useState(null)
   
-  const lockTarget = useCallback((id) => setLockedTargetId(id), [])
+  // Locked target is mirrored into entityStore so the game store
+  // knows who completed casts should hit
+  const lockTarget = useCallback((id) => {
+    setLockedTargetId(id)
+    useEntityStore.getState().setLockedTarget(id)
+  }, [])
   const unlockTarget = useCallback(() => {
     setLockedTargetId(null)
     setTarget(null)
+    useEntityStore.getState().setLockedTarget(null)
   }, [])
   const hasTarget = useCallback(() => target !== null, [target])
   
@@ -34,6 +41,7 @@ export function TargetProvider({ children }) {
 }
 
 export default function Target({ 
+  id,
   name = 'Unknown', 
   health = 100, 
   maxHealth = 100,
@@ -46,7 +54,7 @@ export default function Target({
   const { setTarget, lockedTargetId, lockTarget } = useTarget() || {}
   const { handleSlotInput } = usePlayerState()
   const { pressSlot, releaseSlot } = useInput()
-  const targetId = useRef(`${name}-${type}`).current
+  const targetId = useRef(id ?? `${name}-${type}`).current
   const isHovered = useRef(false)
   const isLocked = lockedTargetId === targetId
   
@@ -1,5 +1,6 @@
 import { useState, useEffect } from 'react'
 import { useTarget } from '@/components/Target'
+import { useComboPoints } from '@/hooks/useGame'
 import Connector from '@/components/Connector'
 import styles from './styles.module.css'
 
@@ -25,12 +26,16 @@ function StatusIcon({ status, now, isDebuff = false }) {
           </span>
         </>
       )}
+      {status.stacks > 1 && (
+        <span className={styles.statusStacks}>{status.stacks}</span>
+      )}
     </div>
   )
 }
 
 export default function TargetHealthBar() {
-  const { target } = useTarget() || {}
+  const { target, lockedTargetId } = useTarget() || {}
+  const combo = useComboPoints()
   const [now, setNow] = useState(Date.now())
   
   // Update timer for buff durations
@@ -51,6 +56,8 @@ export default function TargetHealthBar() {
   const healthPercent = (target.health / target.maxHealth) * 100
   const typeClass = styles[`type-${target.type}`] || ''
   const hasStatus = (target.buffs?.length > 0) || (target.debuffs?.length > 0)
+  // Points only count on the target they were built on
+  const comboPoints = combo.targetId === lockedTargetId ? combo.points : 0
   
   return (
     <div className={`${styles.container} ${typeClass}`}>
@@ -84,6 +91,17 @@ export default function TargetHealthBar() {
         <Connector position="right" />
       </div>
       
+      {combo.enabled && lockedTargetId && (
+        <div className={styles.comboPips}>
+          {Array.from({ length: combo.max }, (_, i) => (
+            <span
+              key={i}
+              className={`${styles.comboPip} ${i < comboPoints ? styles.comboPipFilled : ''}`}
+            />
+          ))}
+        </div>
+      )}
+      
       {hasStatus && (
         <div className={styles.statusBar}>
           {target.buffs?.map((buff, i) => (
@@ -3,6 +3,8 @@ import { useFrame } from '@react-three/fiber';
 import { RigidBody } from '@react-three/rapier';
 import * as THREE from 'three';
 import { pathfinder } from '@/systems/Pathfinding';
+import Encounter from '@/components/Encounter';
+import { getEncountersByLocation } from '@/engine/loader';
 
 /**
  * Simple town environment inspired by Diablo 2's Rogue Encampment
@@ -353,8 +355,22 @@ function Cart({ position = [0, 0, 0], rotation = 0 }) {
   );
 }
 
+// Stone ring marking an encounter's activation area
+function ArenaRing({ center, radius }) {
+  return (
+    <mesh rotation={[-Math.PI / 2, 0, 0]} position={[center[0], 0.02, center[2]]} receiveShadow>
+      <ringGeometry args={[radius - 0.25, radius, 48]} />
+      <primitive object={materials.stone} attach="material" />
+    </mesh>
+  );
+}
+
+// Encounters hosted by the town (encounters.json, location "town")
+const TOWN_ENCOUNTERS = getEncountersByLocation('town');
+
 // Main Town component
-export default function Town() {
+// showEncounters: spawn monsters (gameplay only - not on character selection)
+export default function Town({ showEncounters = false }) {
   // Register obstacles with pathfinder on mount
   useEffect(() => {
     // Define obstacles: [x, z, radius]
@@ -458,6 +474,14 @@ export default function Town() {
       <DeadTree position={[-11, 0, 10]} scale={0.9} />
       <DeadTree position={[13, 0, -6]} scale={1.1} />
       <DeadTree position={[-14, 0, 0]} scale={1.3} />
+      
+      {/* === ENCOUNTERS === */}
+      {TOWN_ENCOUNTERS.filter(e => e.area).map(e => (
+        <ArenaRing key={e.id} center={e.area.center} radius={e.area.radius} />
+      ))}
+      {showEncounters && TOWN_ENCOUNTERS.map(e => (
+        <Encounter key={e.id} id={e.id} />
+      ))}
     </group>
   );
 }
@@ -32,8 +32,10 @@ import Player from '@/components/Player';
 import PixieOrbit from '@/components/PixieOrbit';
 import WorldRoot from '@/components/WorldRoot';
 import TrainingDummyModel from '@/components/TrainingDummyModel';
-import IceShard from '@/components/IceShard';
-import Meteor from '@/components/Meteor';
+import Projectiles from '@/components/Projectiles';
+import { LineOfSight } from '@/systems/PhysicsWorld';
+import CombatText from '@/components/CombatText';
+import GroundReticle from '@/components/GroundReticle';
 import { MovementSync, ClickIndicator, GroundPlane } from '@/systems/MovementSystem';
 import Target from '@/components/Target';
 import useSceneStore, { SCENES, selectCurrentScene } from '@/stores/sceneStore';
@@ -278,8 +280,10 @@ function UnifiedSceneContent({
               <TrainingDummyModel position={[0, 0, 3]} />
             </TrainingDummyWrapper>
             
-            <IceShard targetPosition={[0, 0, 3]} />
-            <Meteor targetPosition={[0, 0, 3]} />
+            <Projectiles />
+            <LineOfSight />
+            <CombatText />
+            <GroundReticle />
             
             <ClickIndicator />
           </>
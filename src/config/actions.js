@@ -27,7 +27,10 @@ export {
   calculatePixieBuffs,
   getDragType,
   canAffordAction,
+  getActionCosts,
+  spendActionCosts,
   isChannelAction,
+  isMovementChannel,
   canRecastAction,
   isActionForSkill,
   getSkillIdForAction,
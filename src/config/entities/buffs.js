@@ -8,8 +8,22 @@
  * 
  * This is the SINGLE SOURCE OF TRUTH for all buff data and logic.
  * Do not define buff-related logic elsewhere.
+ * 
+ * Stacking, duration and tick behaviour come from statuses.json
+ * (stacking.rule, stacking.maxStacks, tickInterval, category). The action's
+ * own buff object can override duration and regen values.
+ * 
+ * There is ONE instance per status ID - stacks are counted on the instance
+ * (buff.stacks) rather than by duplicating it.
+ * 
+ * Statuses with `breaksOn` (e.g. stealth) end early when one of their
+ * BREAK_TRIGGERS happens - see removeBrokenBuffs.
+ * 
+ * Statuses with `triggers` run proc graphs while active - see game/triggers.js.
  */
 
+import { getStatusById } from '@/engine/loader';
+
 // =============================================================================
 // BUFF EFFECT TYPES
 // =============================================================================
@@ -23,8 +37,26 @@ export const BUFF_EFFECTS = {
   HEALTH_REGEN: 'healthRegen',
   MAX_MANA: 'maxMana',
   MAX_HEALTH: 'maxHealth',
+  ARMOR: 'armor',
+  MAGIC_RESIST: 'magicResist',
+  DAMAGE_REDUCTION: 'damageReduction',
+  MOVE_SPEED: 'moveSpeed',
+  SPELL_POWER: 'spellPower',
+  ATTACK_POWER: 'attackPower',
+  CRIT_CHANCE: 'critChance',
+};
+
+/**
+ * Events that end statuses listing them in `breaksOn`.
+ */
+export const BREAK_TRIGGERS = {
+  DAMAGE: 'damage',   // Took damage
+  CAST: 'cast',       // Started an action
 };
 
+// Slowest a stack of movement debuffs can make you
+const MIN_MOVE_SPEED_MULTIPLIER = 0.1;
+
 // =============================================================================
 // BUFF STACKING RULES
 // =============================================================================
@@ -32,13 +64,23 @@ export const BUFF_EFFECTS = {
 /**
  * How buffs with the same ID stack:
  * - REFRESH: New buff replaces old, refreshing duration (default)
- * - STACK: Multiple instances stack
+ * - STACK: Adds a stack (up to maxStacks) and refreshes duration
  * - NONE: Second buff is ignored if first is active
+ * - EXTEND: Adds the new duration onto the remaining time
  */
 export const STACK_RULES = {
   REFRESH: 'refresh',
   STACK: 'stack',
   NONE: 'none',
+  EXTEND: 'extend',
+};
+
+/**
+ * Status categories with periodic ticks.
+ */
+export const TICK_CATEGORIES = {
+  DOT: 'dot',
+  HOT: 'hot',
 };
 
 // =============================================================================
@@ -47,26 +89,66 @@ export const STACK_RULES = {
 
 /**
  * Create a runtime buff instance from a buff definition.
- * This is called when an action applies a buff.
+ * This is called when an action applies a buff (or debuff).
+ * 
+ * @param {Object} buffDef - Action buff object ({ id, duration, ...overrides })
+ * @param {Object} [options]
+ * @param {string} [options.sourceId] - Who applied it (for attribution)
+ * @returns {Object|null} Buff instance
  */
-export const createBuffInstance = (buffDef) => {
+export const createBuffInstance = (buffDef, { sourceId = null } = {}) => {
   if (!buffDef) {
     console.error('[Buff] Attempted to create buff from null definition');
     return null;
   }
   
+  const status = getStatusById(buffDef.id);
+  const effects = status?.effects || {};
+  const duration = buffDef.duration ?? status?.duration ?? 0;
+  const tickInterval = status?.tickInterval || 0;
   const now = Date.now();
+  
   return {
     id: buffDef.id,
-    name: buffDef.name,
-    icon: buffDef.icon,
-    duration: buffDef.duration,
-    expiresAt: now + (buffDef.duration * 1000),
-    manaRegen: buffDef.manaRegenBonus || 0,
-    healthRegen: buffDef.healthRegenBonus || 0,
-    maxMana: buffDef.maxMana || 0,
-    maxHealth: buffDef.maxHealth || 0,
-    stackRule: buffDef.stackRule || STACK_RULES.REFRESH,
+    name: buffDef.name || status?.name || buffDef.id,
+    icon: buffDef.icon || status?.visual?.icon,
+    description: status?.description,
+    type: status?.type || 'buff',
+    category: status?.category || null,
+    duration,
+    appliedAt: now,
+    expiresAt: now + (duration * 1000),
+    sourceId,
+    
+    // Stacking
+    stacks: Math.max(1, buffDef.stacks || 1),
+    maxStacks: status?.stacking?.maxStacks || 1,
+    stackRule: buffDef.stackRule || status?.stacking?.rule || STACK_RULES.REFRESH,
+    
+    // Per-stack stat effects
+    manaRegen: buffDef.manaRegenBonus ?? effects.manaRegen ?? 0,
+    healthRegen: buffDef.healthRegenBonus ?? effects.healthRegen ?? 0,
+    maxMana: buffDef.maxMana ?? effects.maxMana ?? 0,
+    maxHealth: buffDef.maxHealth ?? effects.maxHealth ?? 0,
+    armor: buffDef.armor ?? effects.armor ?? 0,
+    magicResist: buffDef.magicResist ?? effects.magicResist ?? 0,
+    damageReduction: buffDef.damageReduction ?? effects.damageReduction ?? 0,
+    moveSpeed: buffDef.moveSpeed ?? effects.moveSpeed ?? 0,
+    spellPower: buffDef.spellPower ?? effects.spellPower ?? 0,
+    attackPower: buffDef.attackPower ?? effects.attackPower ?? 0,
+    critChance: buffDef.critChance ?? effects.critChance ?? 0,
+    
+    // Ends early on these BREAK_TRIGGERS
+    breaksOn: status?.breaksOn || [],
+    
+    // Proc graphs evaluated on combat events while active (game/triggers.js)
+    triggers: status?.triggers || [],
+    
+    // Periodic ticks (DoT/HoT)
+    tickInterval,
+    nextTickAt: tickInterval > 0 ? now + (tickInterval * 1000) : null,
+    damagePerTick: effects.damagePerTick || 0,
+    healingPerTick: effects.healingPerTick || 0,
   };
 };
 
@@ -76,7 +158,7 @@ export const createBuffInstance = (buffDef) => {
 
 /**
  * Calculate total buff effects from an array of active buffs.
- * Filters out expired buffs automatically.
+ * Filters out expired buffs automatically. Effects scale with stacks.
  */
 export const calculateBuffTotals = (buffs) => {
   const now = Date.now();
@@ -85,21 +167,43 @@ export const calculateBuffTotals = (buffs) => {
     healthRegen: 0,
     maxMana: 0,
     maxHealth: 0,
+    armor: 0,
+    magicResist: 0,
+    damageReduction: 0,
+    moveSpeed: 0,
+    spellPower: 0,
+    attackPower: 0,
+    critChance: 0,
   };
   
   for (let i = 0; i < buffs.length; i++) {
     const buff = buffs[i];
     if (buff.expiresAt > now) {
-      totals.manaRegen += buff.manaRegen || 0;
-      totals.healthRegen += buff.healthRegen || 0;
-      totals.maxMana += buff.maxMana || 0;
-      totals.maxHealth += buff.maxHealth || 0;
+      const stacks = buff.stacks || 1;
+      totals.manaRegen += (buff.manaRegen || 0) * stacks;
+      totals.healthRegen += (buff.healthRegen || 0) * stacks;
+      totals.maxMana += (buff.maxMana || 0) * stacks;
+      totals.maxHealth += (buff.maxHealth || 0) * stacks;
+      totals.armor += (buff.armor || 0) * stacks;
+      totals.magicResist += (buff.magicResist || 0) * stacks;
+      totals.damageReduction += (buff.damageReduction || 0) * stacks;
+      totals.moveSpeed += (buff.moveSpeed || 0) * stacks;
+      totals.spellPower += (buff.spellPower || 0) * stacks;
+      totals.attackPower += (buff.attackPower || 0) * stacks;
+      totals.critChance += (buff.critChance || 0) * stacks;
     }
   }
   
   return totals;
 };
 
+/**
+ * Movement speed multiplier from buffs (moveSpeed -0.3 = 70% speed).
+ */
+export const getMoveSpeedMultiplier = (buffs) => {
+  return Math.max(MIN_MOVE_SPEED_MULTIPLIER, 1 + calculateBuffTotals(buffs).moveSpeed);
+};
+
 /**
  * Apply a new buff to the buff array, respecting stacking rules.
  */
@@ -112,19 +216,96 @@ export const applyBuffToArray = (currentBuffs, newBuff) => {
     return [...currentBuffs, newBuff];
   }
   
+  const existing = currentBuffs[existingIndex];
+  let merged;
+  
   switch (newBuff.stackRule) {
     case STACK_RULES.NONE:
       return currentBuffs;
       
     case STACK_RULES.STACK:
-      return [...currentBuffs, newBuff];
+      // Add stacks (capped) and refresh duration; keep the tick schedule
+      merged = {
+        ...newBuff,
+        stacks: Math.min(existing.maxStacks || 1, (existing.stacks || 1) + newBuff.stacks),
+        nextTickAt: existing.nextTickAt,
+      };
+      break;
+      
+    case STACK_RULES.EXTEND: {
+      // Add duration onto what's left; sweep restarts from the new total
+      const expiresAt = existing.expiresAt + (newBuff.duration * 1000);
+      merged = {
+        ...existing,
+        duration: (expiresAt - newBuff.appliedAt) / 1000,
+        appliedAt: newBuff.appliedAt,
+        expiresAt,
+      };
+      break;
+    }
       
     case STACK_RULES.REFRESH:
     default:
-      const updated = [...currentBuffs];
-      updated[existingIndex] = newBuff;
-      return updated;
+      merged = { ...newBuff, nextTickAt: existing.nextTickAt ?? newBuff.nextTickAt };
+      break;
   }
+  
+  const updated = [...currentBuffs];
+  updated[existingIndex] = merged;
+  return updated;
+};
+
+/**
+ * Run periodic DoT/HoT ticks that are due.
+ * Only whole ticks land, on their schedule: one due at or before expiry
+ * still lands (even if the game tick runs late), but the partial interval
+ * left when a buff expires between ticks deals nothing.
+ * Returns the same array if nothing ticked.
+ * 
+ * @param {Object[]} buffs - Active buffs
+ * @param {number} [now] - Current timestamp
+ * @returns {Object} { buffs, damage, healing, ticks: [{ id, damage, healing, sourceId }] }
+ */
+export const tickBuffs = (buffs, now = Date.now()) => {
+  let damage = 0;
+  let healing = 0;
+  const ticks = [];
+  let changed = false;
+  
+  const updated = buffs.map(buff => {
+    if (!buff.tickInterval || buff.nextTickAt === null || buff.nextTickAt > now) return buff;
+    
+    const intervalMs = buff.tickInterval * 1000;
+    const stacks = buff.stacks || 1;
+    let nextTickAt = buff.nextTickAt;
+    
+    while (nextTickAt <= now && nextTickAt <= buff.expiresAt) {
+      const tick = {
+        id: buff.id,
+        damage: buff.damagePerTick * stacks,
+        healing: buff.healingPerTick * stacks,
+        sourceId: buff.sourceId,
+      };
+      damage += tick.damage;
+      healing += tick.healing;
+      ticks.push(tick);
+      nextTickAt += intervalMs;
+    }
+    
+    changed = true;
+    return { ...buff, nextTickAt };
+  });
+  
+  return { buffs: changed ? updated : buffs, damage, healing, ticks };
+};
+
+/**
+ * Remove buffs that break on a trigger (BREAK_TRIGGERS).
+ * Returns the same array if nothing broke.
+ */
+export const removeBrokenBuffs = (buffs, trigger) => {
+  if (!buffs.some(b => b.breaksOn?.includes(trigger))) return buffs;
+  return buffs.filter(b => !b.breaksOn?.includes(trigger));
 };
 
 /**
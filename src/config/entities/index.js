@@ -22,9 +22,12 @@
 export {
   BUFF_EFFECTS,
   STACK_RULES,
+  BREAK_TRIGGERS,
   createBuffInstance,
   calculateBuffTotals,
+  getMoveSpeedMultiplier,
   applyBuffToArray,
+  removeBrokenBuffs,
   removeExpiredBuffs,
 } from './buffs';
 
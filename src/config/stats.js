@@ -22,6 +22,41 @@ export const STATS = {
   
   // Game tick rate for regeneration (ms)
   REGEN_TICK_MS: 100,
+
+  // Global cooldown started by every cast/attack (ms)
+  GLOBAL_COOLDOWN_MS: 750,
+  
+  // Pressing a skill this close to the end of a cast (or GCD) buffers it
+  // and fires it on FINISH instead of interrupting (ms)
+  SPELL_QUEUE_WINDOW_MS: 400,
+  
+  // Taking damage while casting pushes the cast back this much (seconds),
+  // at most MAX_CAST_PUSHBACKS times per cast
+  CAST_PUSHBACK_SECONDS: 0.5,
+  MAX_CAST_PUSHBACKS: 3,
+  
+  // Critical strikes
+  BASE_CRIT_CHANCE: 0.05,
+  CRIT_MULTIPLIER: 1.5,
+};
+
+// =============================================================================
+// DEATH & RESPAWN
+// =============================================================================
+
+export const DEATH = {
+  // Respawn button unlocks this long after dying (ms)
+  RESPAWN_DELAY_MS: 3000,
+  
+  // Town spawn point (world position, clear of the campfire)
+  RESPAWN_POSITION: [0, 0, -2],
+  
+  // Resources restored on respawn (fraction of max)
+  RESPAWN_HEALTH_PERCENT: 0.5,
+  RESPAWN_MANA_PERCENT: 0.25,
+  
+  // Status applied on respawn (null = no penalty)
+  PENALTY_STATUS: 'resurrection_sickness',
 };
 
 // =============================================================================
@@ -33,6 +68,7 @@ export const PLAYER_STATES = {
   CASTING: 'casting',
   ATTACKING: 'attacking',
   MOVING: 'moving',
+  CHANNELING: 'channeling',
   DEAD: 'dead',
 };
 
@@ -42,6 +78,7 @@ export const STATE_ANIMATIONS = {
   [PLAYER_STATES.CASTING]: 'Spell1',
   [PLAYER_STATES.ATTACKING]: 'Staff_Attack',
   [PLAYER_STATES.MOVING]: 'Run',
+  [PLAYER_STATES.CHANNELING]: 'Spell1',
   [PLAYER_STATES.DEAD]: 'Death',
 };
 
@@ -60,15 +97,18 @@ export const STATE_TRANSITIONS = {
   [PLAYER_STATES.IDLE]: {
     CAST: PLAYER_STATES.CASTING,
     ATTACK: PLAYER_STATES.ATTACKING,
+    CHANNEL: PLAYER_STATES.CHANNELING,
     MOVE: PLAYER_STATES.MOVING,
     DIE: PLAYER_STATES.DEAD,
   },
   [PLAYER_STATES.CASTING]: {
     FINISH: PLAYER_STATES.IDLE,
     CANCEL: PLAYER_STATES.IDLE,
-    CAST: PLAYER_STATES.CASTING,     // Allow interrupting with another cast
+    CAST: PLAYER_STATES.CASTING,     // Allow interrupting with another cast (gated by GCD/queue in gameStore)
     ATTACK: PLAYER_STATES.ATTACKING, // Allow interrupting with attack
+    CHANNEL: PLAYER_STATES.CHANNELING,
     MOVE: PLAYER_STATES.MOVING,      // Allow canceling with movement
+    INTERRUPT: PLAYER_STATES.IDLE,   // Knocked out of the cast (enemy kick)
     DIE: PLAYER_STATES.DEAD,
   },
   [PLAYER_STATES.ATTACKING]: {
@@ -76,6 +116,7 @@ export const STATE_TRANSITIONS = {
     CANCEL: PLAYER_STATES.IDLE,
     CAST: PLAYER_STATES.CASTING,
     ATTACK: PLAYER_STATES.ATTACKING,
+    CHANNEL: PLAYER_STATES.CHANNELING,
     MOVE: PLAYER_STATES.MOVING,
     DIE: PLAYER_STATES.DEAD,
   },
@@ -83,6 +124,17 @@ export const STATE_TRANSITIONS = {
     STOP: PLAYER_STATES.IDLE,
     CAST: PLAYER_STATES.CASTING,
     ATTACK: PLAYER_STATES.ATTACKING,
+    CHANNEL: PLAYER_STATES.CHANNELING,
+    DIE: PLAYER_STATES.DEAD,
+  },
+  [PLAYER_STATES.CHANNELING]: {
+    FINISH: PLAYER_STATES.IDLE,      // Ran its full duration (or a held channel was released)
+    CANCEL: PLAYER_STATES.IDLE,      // Ran out of resource to drain
+    CAST: PLAYER_STATES.CASTING,
+    ATTACK: PLAYER_STATES.ATTACKING,
+    CHANNEL: PLAYER_STATES.CHANNELING,
+    MOVE: PLAYER_STATES.MOVING,      // Moving breaks the channel
+    INTERRUPT: PLAYER_STATES.IDLE,
     DIE: PLAYER_STATES.DEAD,
   },
   [PLAYER_STATES.DEAD]: {
@@ -101,10 +153,12 @@ export const STATE_TRANSITIONS = {
 export const FSM_ACTIONS = {
   CAST: 'CAST',       // Starts casting animation
   ATTACK: 'ATTACK',   // Starts attack animation
+  CHANNEL: 'CHANNEL', // Starts a channel (ticks until done, released, moved or drained)
   MOVE: 'MOVE',       // Starts movement
   STOP: 'STOP',       // Stops movement
   FINISH: 'FINISH',   // Animation completed naturally
   CANCEL: 'CANCEL',   // Animation was cancelled
+  INTERRUPT: 'INTERRUPT', // Cast knocked down by an enemy
   DIE: 'DIE',         // Player died
   REVIVE: 'REVIVE',   // Player revived
   INSTANT: 'INSTANT', // Instant actions bypass FSM (consumables)
@@ -131,7 +185,8 @@ export const getNextState = (currentState, actionType) => {
 };
 
 /**
- * Check if state is a "busy" state (casting/attacking)
+ * Check if state is a "busy" state (casting/attacking/channeling)
  */
 export const isBusyState = (state) => 
-  state === PLAYER_STATES.CASTING || state === PLAYER_STATES.ATTACKING;
+  state === PLAYER_STATES.CASTING || state === PLAYER_STATES.ATTACKING ||
+  state === PLAYER_STATES.CHANNELING;
@@ -100,12 +100,22 @@ const resolveIcon = (iconPath) => {
 const TYPE_TO_FSM = {
   'attack': FSM_ACTIONS.ATTACK,
   'cast': FSM_ACTIONS.CAST,
-  'channel': FSM_ACTIONS.MOVE,
+  'channel': FSM_ACTIONS.CHANNEL,
   'buff': FSM_ACTIONS.CAST,
   'consumable': FSM_ACTIONS.INSTANT,
   'passive': null, // Passive skills don't trigger FSM actions
 };
 
+/**
+ * FSM action for a skill. Channel skills stand still in CHANNELING, except
+ * movement channels (`effects.movement` - sprints, dashes) that keep
+ * running while the player moves.
+ */
+const getSkillFsmAction = (skill) => {
+  if (skill.type === 'channel' && skill.effects?.movement) return FSM_ACTIONS.MOVE;
+  return TYPE_TO_FSM[skill.type] || FSM_ACTIONS.ATTACK;
+};
+
 /**
  * Map JSON skill types to legacy action types.
  */
@@ -182,8 +192,22 @@ function transformSkillToAction(skill) {
       name: buffDef?.name || skill.effects.buff.id,
       icon: resolveIcon(buffDef?.visual?.icon) || icon,
       duration: skill.effects.buff.duration || buffDef?.duration || 0,
-      manaRegenBonus: buffDef?.effects?.manaRegen || 0,
-      healthRegenBonus: buffDef?.effects?.healthRegen || 0,
+      stacks: skill.effects.buff.stacks || 1,
+      manaRegenBonus: buffDef?.effects?.manaRegen ?? skill.effects.buff.manaRegenBonus ?? 0,
+      healthRegenBonus: buffDef?.effects?.healthRegen ?? skill.effects.buff.healthRegenBonus ?? 0,
+    };
+  }
+  
+  // Build debuff object if skill applies a status to its target
+  let debuff = null;
+  if (skill.effects?.debuff) {
+    const debuffDef = getStatusById(skill.effects.debuff.id);
+    debuff = {
+      id: skill.effects.debuff.id,
+      name: debuffDef?.name || skill.effects.debuff.id,
+      icon: resolveIcon(debuffDef?.visual?.icon) || icon,
+      duration: skill.effects.debuff.duration || debuffDef?.duration || 0,
+      stacks: skill.effects.debuff.stacks || 1,
     };
   }
   
@@ -193,17 +217,59 @@ function transformSkillToAction(skill) {
     description: skill.description,
     type: TYPE_TO_LEGACY[skill.type] || ACTION_TYPES.ATTACK,
     element: skill.element,
-    fsmAction: TYPE_TO_FSM[skill.type] || FSM_ACTIONS.ATTACK,
+    fsmAction: getSkillFsmAction(skill),
     icon,
     
     // Costs - flatten from nested structure
     manaCost: skill.costs?.mana || 0,
     healthCost: skill.costs?.health || 0,
     manaPerSecond: skill.costs?.manaPerSecond || 0,
+    // Every up-front cost by resource type ({ mana, rage, ... })
+    costs: getUpfrontCosts(skill.costs),
+    
+    // Cooldown in seconds (0 = none)
+    cooldown: skill.cooldown || 0,
+    
+    // Character level needed to use it - see game/experience.js
+    requiredLevel: skill.requiredLevel || 1,
     
     // Effects
     manaGain: skill.effects?.manaGain || 0,
+    heal: skill.effects?.heal?.base || 0,
     buff,
+    debuff,
+
+    // Damage - flatten from nested structure
+    damage: skill.effects?.damage?.base || 0,
+    damageElement: skill.effects?.damage?.element || skill.element,
+    aoe: skill.effects?.damage?.aoe || false,
+    aoeRadius: skill.effects?.damage?.radius || 0,
+    scalingGraph: skill.scaling?.graphId || null,
+    
+    // Builder/finisher config (null = neither) - see game/comboPoints.js
+    comboPoints: skill.comboPoints || null,
+    
+    // Conditional bonuses ("from_stealth", ...) - see game/stealth.js
+    conditions: skill.conditions || [],
+    
+    // Projectile flight (damage lands on impact) - defaults in game/projectiles.js
+    projectile: skill.projectile || null,
+    
+    // Dash/leap/teleport on start (null = none) - see game/displacement.js
+    displacement: skill.displacement || null,
+    
+    // Movement speed scaling while a movement channel runs (1 = none)
+    speedMultiplier: skill.effects?.movement?.speedMultiplier || 1,
+    
+    // Channel duration and per-tick effects (null = defaults) - see game/channeling.js
+    channel: skill.channel || null,
+    
+    // Placement (null = locked target) - see game/targeting.js
+    targeting: skill.targeting || null,
+    
+    // Reach to the locked target (0 = unlimited) - see game/validation.js
+    range: skill.range || 0,
+    requiresLineOfSight: skill.requiresLineOfSight || false,
     
     // UI
     defaultKey: skill.ui?.defaultKey || null,
@@ -251,6 +317,9 @@ function transformPixieToAction(pixie) {
       value: pixie.buff.value,
     } : null,
     
+    // Proc graphs evaluated on combat events while equipped - see game/triggers.js
+    triggers: pixie.triggers || [],
+    
     // Drag type for slot system
     dragType: 'pixie',
     
@@ -447,29 +516,80 @@ export function getDragType(action) {
   return 'skill';
 }
 
+/**
+ * Up-front costs from a skill's `costs` block (per-second drains are
+ * paid while channeling, not on use).
+ */
+function getUpfrontCosts(costs = {}) {
+  return Object.fromEntries(
+    Object.entries(costs).filter(([type, amount]) => !type.endsWith('PerSecond') && amount > 0)
+  );
+}
+
+/**
+ * Costs for an action by resource type. Actions built before `costs`
+ * existed (pixies, entity wrappers) fall back to manaCost/healthCost.
+ */
+export function getActionCosts(action) {
+  if (action?.costs) return action.costs;
+  const costs = {};
+  if (action?.manaCost > 0) costs.mana = action.manaCost;
+  if (action?.healthCost > 0) costs.health = action.healthCost;
+  return costs;
+}
+
 /**
  * Check if player can afford an action's costs.
+ * 
+ * @param {Object} action - The action
+ * @param {Object} resources - Resource pool by type ({ mana, health, rage, ... })
+ * @returns {boolean}
  */
-export function canAffordAction(action, currentMana, currentHealth) {
+export function canAffordAction(action, resources) {
   if (!action) return false;
   
-  const manaCost = action.manaCost ?? 0;
-  const healthCost = action.healthCost ?? 0;
-  const manaPerSecond = action.manaPerSecond ?? 0;
-  
-  const requiredMana = manaCost > 0 ? manaCost : manaPerSecond > 0 ? 1 : 0;
+  const costs = getActionCosts(action);
+  for (const [type, amount] of Object.entries(costs)) {
+    const current = resources[type] ?? 0;
+    // Health costs can never kill - you need strictly more than the cost
+    if (type === 'health' ? current <= amount : current < amount) return false;
+  }
   
-  const hasEnoughMana = currentMana >= requiredMana;
-  const hasEnoughHealth = healthCost > 0 ? currentHealth > healthCost : true;
+  // Channels need something left to drain
+  if ((action.manaPerSecond ?? 0) > 0 && !costs.mana && (resources.mana ?? 0) < 1) return false;
   
-  return hasEnoughMana && hasEnoughHealth;
+  return true;
 }
 
 /**
- * Check if an action is a channel (has mana drain).
+ * Pay an action's costs. Assumes canAffordAction passed.
+ * 
+ * @param {Object} action - The action
+ * @param {Object} resources - Resource pool by type
+ * @returns {Object} New pool (health never drops below 1)
+ */
+export function spendActionCosts(action, resources) {
+  const next = { ...resources };
+  for (const [type, amount] of Object.entries(getActionCosts(action))) {
+    next[type] = Math.max(type === 'health' ? 1 : 0, (next[type] ?? 0) - amount);
+  }
+  return next;
+}
+
+/**
+ * Check if an action is a channel (see game/channeling.js).
  */
 export function isChannelAction(action) {
-  return (action?.manaPerSecond ?? 0) > 0;
+  return action?.fsmAction === FSM_ACTIONS.CHANNEL;
+}
+
+/**
+ * Check if an action is a movement channel (a channel skill with
+ * `effects.movement`): it runs while the player moves, draining mana, until
+ * its key is released or the player stops.
+ */
+export function isMovementChannel(action) {
+  return action?.type === ACTION_TYPES.CHANNEL && action.fsmAction === FSM_ACTIONS.MOVE;
 }
 
 /**
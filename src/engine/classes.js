@@ -159,6 +159,20 @@ export function getBaseStatsForClass(classId) {
   };
 }
 
+/**
+ * Get the per-level stat growth for a class (added for every level above 1).
+ */
+export function getLevelGrowthForClass(classId) {
+  return getClassById(classId)?.levelGrowth || {};
+}
+
+/**
+ * Get the equipment a new character of a class starts with (slot -> item ID).
+ */
+export function getStartingEquipmentForClass(classId) {
+  return getClassById(classId)?.startingEquipment || {};
+}
+
 /**
  * Get animation mapping for a class.
  * Maps game states to animation names.
@@ -170,6 +184,7 @@ export function getAnimationsForClass(classId) {
     casting: 'CAST_SECONDARY',
     attacking: 'CAST_PRIMARY',
     moving: 'RUN',
+    channeling: 'CAST_CHANNEL',
     dead: 'DEATH',
   };
 }
@@ -146,15 +146,19 @@ const NODE_EVALUATORS = {
   },
   
   /**
-   * Effect node - triggers an effect (side effect)
+   * Effect node - triggers an effect (side effect).
+   * Fires only `params.chance` of the time when set; the effect's value
+   * comes from the `value` port, else `params.value`.
    */
   effect: (node, inputs, context) => {
     const effectId = node.params?.effect;
-    if (effectId && inputs.trigger) {
+    const chance = node.params?.chance;
+    const fired = !!inputs.trigger && (chance === undefined || Math.random() < chance);
+    if (effectId && fired) {
       context.effects = context.effects || [];
-      context.effects.push({ id: effectId, params: node.params });
+      context.effects.push({ id: effectId, params: node.params, value: inputs.value ?? node.params?.value ?? 0 });
     }
-    return inputs.trigger ?? false;
+    return fired;
   },
   
   /**
@@ -33,6 +33,11 @@ import achievementsData from '@/data/achievements/achievements.json';
 import statsData from '@/data/stats/stats.json';
 import animationsData from '@/data/animations/animations.json';
 import graphsData from '@/data/graphs/graphs.json';
+import monstersData from '@/data/monsters/monsters.json';
+import encountersData from '@/data/encounters/encounters.json';
+import talentsData from '@/data/talents/talents.json';
+import levelsData from '@/data/progression/levels.json';
+import itemsData from '@/data/items/items.json';
 
 // Icon imports - mapped by filename
 import iceShardIcon from '@/assets/icons/ice-shard.svg';
@@ -89,6 +94,29 @@ import executeIcon from '@/assets/icons/execute.svg';
 import manaPotionIcon from '@/assets/icons/mana-potion.svg';
 import rejuvenationPotionIcon from '@/assets/icons/rejuvenation-potion.svg';
 
+// Status icons
+import resurrectionSicknessIcon from '@/assets/icons/resurrection-sickness.svg';
+
+// Item icons
+import itemStaffIcon from '@/assets/icons/item-staff.svg';
+import itemWandIcon from '@/assets/icons/item-wand.svg';
+import itemMaceIcon from '@/assets/icons/item-mace.svg';
+import itemFistIcon from '@/assets/icons/item-fist.svg';
+import itemBowIcon from '@/assets/icons/item-bow.svg';
+import itemCrossbowIcon from '@/assets/icons/item-crossbow.svg';
+import itemDaggerIcon from '@/assets/icons/item-dagger.svg';
+import itemSwordIcon from '@/assets/icons/item-sword.svg';
+import itemAxeIcon from '@/assets/icons/item-axe.svg';
+import itemShieldIcon from '@/assets/icons/item-shield.svg';
+import itemOrbIcon from '@/assets/icons/item-orb.svg';
+import itemHelmIcon from '@/assets/icons/item-helm.svg';
+import itemChestIcon from '@/assets/icons/item-chest.svg';
+import itemGlovesIcon from '@/assets/icons/item-gloves.svg';
+import itemLegsIcon from '@/assets/icons/item-legs.svg';
+import itemBootsIcon from '@/assets/icons/item-boots.svg';
+import itemRingIcon from '@/assets/icons/item-ring.svg';
+import itemTrinketIcon from '@/assets/icons/item-trinket.svg';
+
 // =============================================================================
 // ASSET RESOLUTION
 // =============================================================================
@@ -146,6 +174,27 @@ const ICON_MAP = {
   // Potions
   'mana-potion.svg': manaPotionIcon,
   'rejuvenation-potion.svg': rejuvenationPotionIcon,
+  // Status icons
+  'resurrection-sickness.svg': resurrectionSicknessIcon,
+  // Item icons
+  'item-staff.svg': itemStaffIcon,
+  'item-wand.svg': itemWandIcon,
+  'item-mace.svg': itemMaceIcon,
+  'item-fist.svg': itemFistIcon,
+  'item-bow.svg': itemBowIcon,
+  'item-crossbow.svg': itemCrossbowIcon,
+  'item-dagger.svg': itemDaggerIcon,
+  'item-sword.svg': itemSwordIcon,
+  'item-axe.svg': itemAxeIcon,
+  'item-shield.svg': itemShieldIcon,
+  'item-orb.svg': itemOrbIcon,
+  'item-helm.svg': itemHelmIcon,
+  'item-chest.svg': itemChestIcon,
+  'item-gloves.svg': itemGlovesIcon,
+  'item-legs.svg': itemLegsIcon,
+  'item-boots.svg': itemBootsIcon,
+  'item-ring.svg': itemRingIcon,
+  'item-trinket.svg': itemTrinketIcon,
 };
 
 /**
@@ -174,6 +223,11 @@ const REGISTRIES = {
   stats: new Map(),
   animations: new Map(),
   graphs: new Map(),
+  monsters: new Map(),
+  encounters: new Map(),
+  talents: new Map(),
+  levelCurves: new Map(),
+  items: new Map(),
 };
 
 let isLoaded = false;
@@ -304,6 +358,79 @@ function loadGraphs() {
   }
 }
 
+/**
+ * Load monster definitions.
+ */
+function loadMonsters() {
+  for (const monster of monstersData) {
+    REGISTRIES.monsters.set(monster.id, Object.freeze(monster));
+  }
+}
+
+/**
+ * Load encounter definitions.
+ * Must run after loadMonsters - pack spawns are checked against the monster registry.
+ */
+function loadEncounters() {
+  for (const encounter of encountersData) {
+    for (const pack of encounter.packs || []) {
+      for (const spawn of pack.spawns || []) {
+        if (!REGISTRIES.monsters.has(spawn.monster)) {
+          console.warn(`[Loader] Encounter "${encounter.id}" pack "${pack.id}" references unknown monster: ${spawn.monster}`);
+        }
+      }
+    }
+    REGISTRIES.encounters.set(encounter.id, Object.freeze(encounter));
+  }
+}
+
+/**
+ * Load class talent trees (one per class).
+ * Must run after loadSkills - skill modifiers are checked against the skill registry.
+ */
+function loadTalents() {
+  for (const tree of talentsData) {
+    const processed = {
+      ...tree,
+      talents: (tree.talents || []).map(talent => {
+        for (const mod of talent.skillModifiers || []) {
+          if (!REGISTRIES.skills.has(mod.skill)) {
+            console.warn(`[Loader] Talent "${tree.id}/${talent.id}" modifies unknown skill: ${mod.skill}`);
+          }
+        }
+        return Object.freeze({ ...talent, icon: resolveIcon(talent.icon) });
+      }),
+    };
+    REGISTRIES.talents.set(processed.id, Object.freeze(processed));
+  }
+}
+
+/**
+ * Load level curves (total xp per level), sorted by level.
+ */
+function loadLevelCurves() {
+  const curves = Array.isArray(levelsData) ? levelsData : [levelsData];
+  for (const curve of curves) {
+    const levels = [...curve.levels].sort((a, b) => a.level - b.level);
+    REGISTRIES.levelCurves.set(curve.id, Object.freeze({ ...curve, levels: Object.freeze(levels) }));
+  }
+}
+
+/**
+ * Load equippable items.
+ * Must run after loadGraphs - proc triggers are checked against the graph registry.
+ */
+function loadItems() {
+  for (const item of itemsData) {
+    for (const graphId of item.triggers || []) {
+      if (!REGISTRIES.graphs.has(graphId)) {
+        console.warn(`[Loader] Item "${item.id}" triggers unknown graph: ${graphId}`);
+      }
+    }
+    REGISTRIES.items.set(item.id, Object.freeze({ ...item, icon: resolveIcon(item.icon) }));
+  }
+}
+
 // =============================================================================
 // MAIN LOADER
 // =============================================================================
@@ -324,6 +451,11 @@ export function loadAll() {
   loadStats();
   loadAnimations();
   loadGraphs();
+  loadMonsters();
+  loadEncounters();
+  loadTalents();
+  loadLevelCurves();
+  loadItems();
   
   isLoaded = true;
 }
@@ -468,6 +600,69 @@ export function getAllGraphs() {
   return Array.from(REGISTRIES.graphs.values());
 }
 
+/**
+ * Get a monster by ID.
+ */
+export function getMonsterById(id) {
+  return REGISTRIES.monsters.get(id) || null;
+}
+
+/**
+ * Get all monsters.
+ */
+export function getAllMonsters() {
+  return Array.from(REGISTRIES.monsters.values());
+}
+
+/**
+ * Get an encounter by ID.
+ */
+export function getEncounterById(id) {
+  return REGISTRIES.encounters.get(id) || null;
+}
+
+/**
+ * Get all encounters hosted by a location (e.g. 'town').
+ */
+export function getEncountersByLocation(location) {
+  return Array.from(REGISTRIES.encounters.values()).filter(e => e.location === location);
+}
+
+/**
+ * Get a talent tree by ID.
+ */
+export function getTalentTreeById(id) {
+  return REGISTRIES.talents.get(id) || null;
+}
+
+/**
+ * Get the talent tree owned by a class.
+ */
+export function getTalentTreeForClass(classId) {
+  return Array.from(REGISTRIES.talents.values()).find(t => t.classId === classId) || null;
+}
+
+/**
+ * Get a level curve by ID (defaults to the player's).
+ */
+export function getLevelCurve(id = 'player_levels') {
+  return REGISTRIES.levelCurves.get(id) || null;
+}
+
+/**
+ * Get an item by ID.
+ */
+export function getItemById(id) {
+  return REGISTRIES.items.get(id) || null;
+}
+
+/**
+ * Get all items.
+ */
+export function getAllItems() {
+  return Array.from(REGISTRIES.items.values());
+}
+
 // =============================================================================
 // VALIDATION HELPERS
 // =============================================================================
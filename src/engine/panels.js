@@ -4,7 +4,7 @@
  * =============================================================================
  * 
  * Loads and provides access to UI panel configurations.
- * Panels define entity drawers (SpellBook, Consumables, Pixies, etc.)
+ * Panels define entity drawers (SpellBook, Consumables, Pixies, Talents, Equipment, etc.)
  * 
  * ARCHITECTURE:
  * =============
@@ -19,6 +19,8 @@ import panelsData from '@/data/ui/panels.json';
 import bookIcon from '@/assets/icons/book.svg?raw';
 import potionIcon from '@/assets/icons/potion.svg?raw';
 import pixieIcon from '@/assets/icons/pixie.svg?raw';
+import talentsIcon from '@/assets/icons/talents.svg?raw';
+import equipmentIcon from '@/assets/icons/equipment.svg?raw';
 
 // =============================================================================
 // ICON RESOLUTION
@@ -28,6 +30,8 @@ const PANEL_ICON_MAP = {
   'book.svg': bookIcon,
   'potion.svg': potionIcon,
   'pixie.svg': pixieIcon,
+  'talents.svg': talentsIcon,
+  'equipment.svg': equipmentIcon,
 };
 
 /**
@@ -23,6 +23,15 @@
  * }
  */
 
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+// Equipment slots (game/equipment.js EQUIPMENT_SLOTS)
+const WEAPON_SLOTS = ['weapon', 'offhand'];
+const ARMOR_SLOTS = ['head', 'shoulders', 'chest', 'hands', 'legs', 'feet'];
+const EQUIPMENT_SLOTS = [...WEAPON_SLOTS, ...ARMOR_SLOTS, 'ring', 'trinket'];
+
 // =============================================================================
 // VALIDATION HELPERS
 // =============================================================================
@@ -41,6 +50,13 @@ function isValidHexColor(value) {
   return typeof value === 'string' && /^#[0-9a-fA-F]{6}$/.test(value);
 }
 
+/**
+ * Check if a value is an [x, y, z] number array.
+ */
+function isVector3(value) {
+  return Array.isArray(value) && value.length === 3 && value.every(n => typeof n === 'number');
+}
+
 /**
  * Check required fields exist.
  */
@@ -77,6 +93,17 @@ function checkType(value, expectedType, path) {
   return errors;
 }
 
+/**
+ * Check an optional `triggers` list of proc graph IDs.
+ */
+function checkTriggers(triggers) {
+  if (triggers === undefined) return [];
+  if (!Array.isArray(triggers) || triggers.some(id => !isValidId(id))) {
+    return ['triggers must be an array of graph IDs'];
+  }
+  return [];
+}
+
 // =============================================================================
 // ENTITY VALIDATORS
 // =============================================================================
@@ -114,6 +141,28 @@ export function validateClass(data) {
     }
   }
   
+  // Per-level growth
+  for (const [stat, value] of Object.entries(data.levelGrowth || {})) {
+    if (typeof value !== 'number') errors.push(`levelGrowth.${stat} must be a number`);
+  }
+  
+  // Secondary resource
+  if (data.resource) {
+    const resourceTypes = ['rage', 'energy', 'chi', 'focus'];
+    if (!resourceTypes.includes(data.resource.type)) {
+      errors.push(`resource.type must be one of: ${resourceTypes.join(', ')}`);
+    }
+    if (data.resource.max !== undefined && (typeof data.resource.max !== 'number' || data.resource.max < 1)) {
+      errors.push('resource.max must be a positive number');
+    }
+    for (const key of ['regen', 'decay', 'gainOnHit', 'gainOnDamageTaken']) {
+      const value = data.resource[key];
+      if (value !== undefined && (typeof value !== 'number' || value < 0)) {
+        errors.push(`resource.${key} must be a non-negative number`);
+      }
+    }
+  }
+  
   // allowedSkills
   if (data.allowedSkills && !Array.isArray(data.allowedSkills)) {
     errors.push('allowedSkills must be an array');
@@ -124,6 +173,20 @@ export function validateClass(data) {
     errors.push('defaultLoadout must be an object');
   }
   
+  // Equipment restrictions
+  for (const key of ['weaponMeshes', 'allowedWeapons', 'allowedArmor']) {
+    if (data[key] !== undefined && !Array.isArray(data[key])) {
+      errors.push(`${key} must be an array`);
+    }
+  }
+  if (data.primaryWeapon && !data.allowedWeapons?.includes(data.primaryWeapon)) {
+    errors.push('primaryWeapon must be one of allowedWeapons');
+  }
+  for (const [slot, itemId] of Object.entries(data.startingEquipment || {})) {
+    if (!EQUIPMENT_SLOTS.includes(slot)) errors.push(`startingEquipment.${slot} is not an equipment slot`);
+    if (typeof itemId !== 'string') errors.push(`startingEquipment.${slot} must be an item ID`);
+  }
+  
   // stateAnimations
   if (data.stateAnimations) {
     if (typeof data.stateAnimations !== 'object') {
@@ -194,6 +257,216 @@ export function validateSkill(data) {
     errors.push('cooldown must be a non-negative number');
   }
   
+  // Level gate
+  if (data.requiredLevel !== undefined && (!Number.isInteger(data.requiredLevel) || data.requiredLevel < 1)) {
+    errors.push('requiredLevel must be a positive integer');
+  }
+  
+  // Range / line of sight
+  if (data.range !== undefined && (typeof data.range !== 'number' || data.range <= 0)) {
+    errors.push('range must be a positive number');
+  }
+  if (data.requiresLineOfSight !== undefined && typeof data.requiresLineOfSight !== 'boolean') {
+    errors.push('requiresLineOfSight must be a boolean');
+  }
+  
+  // Targeting
+  if (data.targeting !== undefined) {
+    const validTargeting = ['unit', 'ground'];
+    if (!validTargeting.includes(data.targeting?.type)) {
+      errors.push(`targeting.type must be one of: ${validTargeting.join(', ')}`);
+    }
+    const range = data.targeting?.range;
+    if (range !== undefined && (typeof range !== 'number' || range <= 0)) {
+      errors.push('targeting.range must be a positive number');
+    }
+  }
+  
+  // Projectile
+  if (data.projectile !== undefined) {
+    errors.push(...validateProjectile(data.projectile));
+  }
+  
+  // Displacement
+  if (data.displacement !== undefined) {
+    errors.push(...validateDisplacement(data.displacement));
+  }
+  
+  // Channel (standing) or movement channel (effects.movement)
+  const isMovementChannel = data.effects?.movement !== undefined;
+  if (isMovementChannel && data.type !== 'channel') {
+    errors.push('effects.movement is only allowed on channel skills');
+  }
+  if (data.channel !== undefined) {
+    errors.push(...validateChannel(data.channel));
+    if (data.type !== 'channel') {
+      errors.push('channel is only allowed on channel skills');
+    }
+    if (isMovementChannel) {
+      errors.push('channel is not allowed on movement channels (effects.movement)');
+    }
+  }
+  if (data.type === 'channel' && !isMovementChannel && data.displacement !== undefined) {
+    errors.push('displacement is only allowed on movement channels (moving breaks a standing channel)');
+  }
+  
+  // Combo points
+  if (data.comboPoints !== undefined) {
+    const combo = data.comboPoints;
+    if (typeof combo !== 'object' || combo === null) {
+      errors.push('comboPoints must be an object');
+    } else {
+      if (combo.generates !== undefined && (typeof combo.generates !== 'number' || combo.generates < 0)) {
+        errors.push('comboPoints.generates must be a non-negative number');
+      }
+      if (combo.finisher !== undefined && typeof combo.finisher !== 'boolean') {
+        errors.push('comboPoints.finisher must be a boolean');
+      }
+      if (combo.graphId !== undefined && typeof combo.graphId !== 'string') {
+        errors.push('comboPoints.graphId must be a string');
+      }
+    }
+  }
+  
+  // Conditional bonuses
+  if (data.conditions !== undefined) {
+    const validConditions = ['from_stealth'];
+    if (!Array.isArray(data.conditions)) {
+      errors.push('conditions must be an array');
+    } else {
+      data.conditions.forEach((condition, i) => {
+        if (!validConditions.includes(condition?.type)) {
+          errors.push(`conditions[${i}].type must be one of: ${validConditions.join(', ')}`);
+        }
+        if (condition?.damageMultiplier !== undefined && (typeof condition.damageMultiplier !== 'number' || condition.damageMultiplier < 0)) {
+          errors.push(`conditions[${i}].damageMultiplier must be a non-negative number`);
+        }
+      });
+    }
+  }
+  
+  return errors;
+}
+
+/**
+ * Validate a skill's projectile block.
+ */
+function validateProjectile(projectile) {
+  const errors = [];
+  
+  if (typeof projectile !== 'object' || projectile === null) {
+    return ['projectile must be an object'];
+  }
+  
+  if (typeof projectile.speed !== 'number' || projectile.speed <= 0) {
+    errors.push('projectile.speed must be a positive number');
+  }
+  
+  for (const key of ['radius', 'range', 'scale']) {
+    if (projectile[key] !== undefined && (typeof projectile[key] !== 'number' || projectile[key] <= 0)) {
+      errors.push(`projectile.${key} must be a positive number`);
+    }
+  }
+  
+  for (const key of ['arc', 'homing', 'spread']) {
+    if (projectile[key] !== undefined && (typeof projectile[key] !== 'number' || projectile[key] < 0)) {
+      errors.push(`projectile.${key} must be a non-negative number`);
+    }
+  }
+  
+  if (projectile.pierce !== undefined && (!Number.isInteger(projectile.pierce) || projectile.pierce < 0)) {
+    errors.push('projectile.pierce must be a non-negative integer');
+  }
+  
+  if (projectile.count !== undefined && (!Number.isInteger(projectile.count) || projectile.count < 1)) {
+    errors.push('projectile.count must be a positive integer');
+  }
+  
+  const validModels = ['orb', 'shard', 'arrow', 'meteor'];
+  if (projectile.model && !validModels.includes(projectile.model)) {
+    errors.push(`projectile.model must be one of: ${validModels.join(', ')}`);
+  }
+  
+  const validOrigins = ['caster', 'sky'];
+  if (projectile.origin && !validOrigins.includes(projectile.origin)) {
+    errors.push(`projectile.origin must be one of: ${validOrigins.join(', ')}`);
+  }
+  
+  if (projectile.impact) {
+    const validVfx = ['burst', 'shatter', 'explosion'];
+    if (projectile.impact.vfx && !validVfx.includes(projectile.impact.vfx)) {
+      errors.push(`projectile.impact.vfx must be one of: ${validVfx.join(', ')}`);
+    }
+    const { radius } = projectile.impact;
+    if (radius !== undefined && (typeof radius !== 'number' || radius < 0)) {
+      errors.push('projectile.impact.radius must be a non-negative number');
+    }
+  }
+  
+  return errors;
+}
+
+/**
+ * Validate a skill's displacement block.
+ */
+function validateDisplacement(displacement) {
+  const errors = [];
+  
+  if (typeof displacement !== 'object' || displacement === null) {
+    return ['displacement must be an object'];
+  }
+  
+  const validTypes = ['dash', 'leap', 'teleport'];
+  if (displacement.type && !validTypes.includes(displacement.type)) {
+    errors.push(`displacement.type must be one of: ${validTypes.join(', ')}`);
+  }
+  
+  const validDirections = ['forward', 'backward', 'target', 'behind_target'];
+  if (displacement.direction && !validDirections.includes(displacement.direction)) {
+    errors.push(`displacement.direction must be one of: ${validDirections.join(', ')}`);
+  }
+  
+  if (displacement.distance !== undefined && (typeof displacement.distance !== 'number' || displacement.distance <= 0)) {
+    errors.push('displacement.distance must be a positive number');
+  }
+  
+  for (const key of ['duration', 'height']) {
+    if (displacement[key] !== undefined && (typeof displacement[key] !== 'number' || displacement[key] < 0)) {
+      errors.push(`displacement.${key} must be a non-negative number`);
+    }
+  }
+  
+  return errors;
+}
+
+/**
+ * Validate a skill's channel block.
+ */
+function validateChannel(channel) {
+  const errors = [];
+  
+  if (typeof channel !== 'object' || channel === null) {
+    return ['channel must be an object'];
+  }
+  
+  for (const key of ['duration', 'damage', 'heal']) {
+    if (channel[key] !== undefined && (typeof channel[key] !== 'number' || channel[key] < 0)) {
+      errors.push(`channel.${key} must be a non-negative number`);
+    }
+  }
+  
+  if (channel.tickInterval !== undefined && (typeof channel.tickInterval !== 'number' || channel.tickInterval <= 0)) {
+    errors.push('channel.tickInterval must be a positive number');
+  }
+  
+  if (channel.drain !== undefined) {
+    if (typeof channel.drain !== 'number' || channel.drain < 0 || channel.drain > 1) {
+      errors.push('channel.drain must be a number between 0 and 1');
+    } else if (channel.drain > 0 && !(channel.damage > 0)) {
+      errors.push('channel.drain needs channel.damage to drain from');
+    }
+  }
+  
   return errors;
 }
 
@@ -230,6 +503,32 @@ export function validateStatus(data) {
     if (data.stacking.rule && !validRules.includes(data.stacking.rule)) {
       errors.push(`stacking.rule must be one of: ${validRules.join(', ')}`);
     }
+    if (data.stacking.maxStacks !== undefined && 
+        (!Number.isInteger(data.stacking.maxStacks) || data.stacking.maxStacks < 1)) {
+      errors.push('stacking.maxStacks must be an integer >= 1');
+    }
+  }
+  
+  // Break triggers
+  if (data.breaksOn !== undefined) {
+    const validTriggers = ['damage', 'cast'];
+    if (!Array.isArray(data.breaksOn) || data.breaksOn.some(t => !validTriggers.includes(t))) {
+      errors.push(`breaksOn must be an array of: ${validTriggers.join(', ')}`);
+    }
+  }
+  
+  // Proc graphs
+  errors.push(...checkTriggers(data.triggers));
+  
+  // Periodic ticks
+  if (data.tickInterval !== undefined && (typeof data.tickInterval !== 'number' || data.tickInterval < 0)) {
+    errors.push('tickInterval must be a non-negative number');
+  }
+  if ((data.category === 'dot' || data.category === 'hot') && data.tickInterval > 0) {
+    const perTick = data.category === 'dot' ? data.effects?.damagePerTick : data.effects?.healingPerTick;
+    if (typeof perTick !== 'number') {
+      errors.push(`${data.category} with tickInterval needs effects.${data.category === 'dot' ? 'damagePerTick' : 'healingPerTick'}`);
+    }
   }
   
   return errors;
@@ -263,6 +562,9 @@ export function validatePixie(data) {
     }
   }
   
+  // Proc graphs
+  errors.push(...checkTriggers(data.triggers));
+  
   // Visual color
   if (data.visual?.color && !isValidHexColor(data.visual.color)) {
     errors.push('visual.color must be a valid hex color (#RRGGBB)');
@@ -414,6 +716,325 @@ export function validateGraph(data) {
   return errors;
 }
 
+/**
+ * Validate a monster definition.
+ */
+export function validateMonster(data) {
+  const errors = [];
+  
+  // Required fields
+  errors.push(...checkRequired(data, ['id', 'name', 'health']));
+  
+  // ID format
+  if (data.id && !isValidId(data.id)) {
+    errors.push('id must be lowercase letters and underscores only');
+  }
+  
+  // Type enum
+  const validTypes = ['enemy', 'elite', 'boss'];
+  if (data.type && !validTypes.includes(data.type)) {
+    errors.push(`type must be one of: ${validTypes.join(', ')}`);
+  }
+  
+  // Behavior - hostile monsters need an attack
+  const validBehaviors = ['hostile', 'passive'];
+  if (data.behavior && !validBehaviors.includes(data.behavior)) {
+    errors.push(`behavior must be one of: ${validBehaviors.join(', ')}`);
+  }
+  if ((data.behavior ?? 'hostile') === 'hostile' && !data.attack) {
+    errors.push('hostile monsters require attack');
+  }
+  
+  // Health
+  if (data.health !== undefined && (typeof data.health !== 'number' || data.health <= 0)) {
+    errors.push('health must be a positive number');
+  }
+  
+  // Kill experience
+  if (data.xp !== undefined && (!Number.isInteger(data.xp) || data.xp < 0)) {
+    errors.push('xp must be a non-negative integer');
+  }
+  
+  // Defenses
+  for (const key of ['armor', 'magicResist']) {
+    if (data[key] !== undefined && (typeof data[key] !== 'number' || data[key] < 0)) {
+      errors.push(`${key} must be a non-negative number`);
+    }
+  }
+  if (data.damageReduction !== undefined &&
+      (typeof data.damageReduction !== 'number' || data.damageReduction < 0 || data.damageReduction > 0.9)) {
+    errors.push('damageReduction must be a number between 0 and 0.9');
+  }
+  
+  if (data.immortal !== undefined && typeof data.immortal !== 'boolean') {
+    errors.push('immortal must be a boolean');
+  }
+  
+  // Attack
+  if (data.attack) {
+    errors.push(...checkRequired(data.attack, ['damage', 'range', 'interval'], 'attack.'));
+    for (const key of ['damage', 'range', 'interval']) {
+      const value = data.attack[key];
+      if (value !== undefined && (typeof value !== 'number' || value < 0)) {
+        errors.push(`attack.${key} must be a non-negative number`);
+      }
+    }
+  }
+  
+  // Kick
+  if (data.kick) {
+    if (data.kick.name !== undefined && typeof data.kick.name !== 'string') {
+      errors.push('kick.name must be a string');
+    }
+    for (const key of ['range', 'cooldown', 'lockout']) {
+      const value = data.kick[key];
+      if (value !== undefined && (typeof value !== 'number' || value < 0)) {
+        errors.push(`kick.${key} must be a non-negative number`);
+      }
+    }
+  }
+  
+  // AI radii
+  if (data.ai) {
+    for (const [key, value] of Object.entries(data.ai)) {
+      if (typeof value !== 'number' || value < 0) {
+        errors.push(`ai.${key} must be a non-negative number`);
+      }
+    }
+    if (data.ai.aggroRadius > data.ai.leashRadius) {
+      errors.push('ai.aggroRadius must not exceed ai.leashRadius');
+    }
+  }
+  
+  // Visual
+  if (data.visual?.color && !isValidHexColor(data.visual.color)) {
+    errors.push('visual.color must be a hex color (#rrggbb)');
+  }
+  
+  return errors;
+}
+
+/**
+ * Validate an encounter definition.
+ * Monster IDs are checked against the registry by the loader (cross-reference).
+ */
+export function validateEncounter(data) {
+  const errors = [];
+
+  // Required fields
+  errors.push(...checkRequired(data, ['id', 'name', 'location', 'spawnPoints', 'packs']));
+
+  // ID format
+  if (data.id && !isValidId(data.id)) {
+    errors.push('id must be lowercase letters and underscores only');
+  }
+
+  // Spawn points
+  const spawnPointIds = new Set();
+  if (data.spawnPoints !== undefined) {
+    errors.push(...checkType(data.spawnPoints, 'array', 'spawnPoints'));
+    (Array.isArray(data.spawnPoints) ? data.spawnPoints : []).forEach((point, i) => {
+      if (!point?.id) errors.push(`spawnPoints[${i}].id is required`);
+      if (spawnPointIds.has(point?.id)) errors.push(`spawnPoints[${i}].id "${point.id}" is duplicated`);
+      spawnPointIds.add(point?.id);
+      if (!isVector3(point?.position)) errors.push(`spawnPoints[${i}].position must be [x, y, z]`);
+    });
+  }
+
+  // Packs
+  const packIds = new Set();
+  if (data.packs !== undefined) {
+    errors.push(...checkType(data.packs, 'array', 'packs'));
+    (Array.isArray(data.packs) ? data.packs : []).forEach((pack, i) => {
+      if (!pack?.id) errors.push(`packs[${i}].id is required`);
+      if (packIds.has(pack?.id)) errors.push(`packs[${i}].id "${pack.id}" is duplicated`);
+      packIds.add(pack?.id);
+
+      if (pack?.respawnDelay !== undefined && pack.respawnDelay !== null &&
+          (typeof pack.respawnDelay !== 'number' || pack.respawnDelay < 0)) {
+        errors.push(`packs[${i}].respawnDelay must be a non-negative number or null`);
+      }
+
+      if (!Array.isArray(pack?.spawns) || pack.spawns.length === 0) {
+        errors.push(`packs[${i}].spawns must be a non-empty array`);
+        return;
+      }
+      pack.spawns.forEach((spawn, j) => {
+        if (!spawn?.monster) errors.push(`packs[${i}].spawns[${j}].monster is required`);
+        if (!spawnPointIds.has(spawn?.spawnPoint)) {
+          errors.push(`packs[${i}].spawns[${j}].spawnPoint "${spawn?.spawnPoint}" does not exist`);
+        }
+      });
+    });
+  }
+
+  // Waves
+  if (data.waves !== undefined) {
+    errors.push(...checkType(data.waves, 'array', 'waves'));
+    if (!data.area) {
+      errors.push('area is required when waves are defined');
+    }
+    (Array.isArray(data.waves) ? data.waves : []).forEach((wave, i) => {
+      if (!Array.isArray(wave?.packs) || wave.packs.length === 0) {
+        errors.push(`waves[${i}].packs must be a non-empty array`);
+      } else {
+        for (const packId of wave.packs) {
+          if (!packIds.has(packId)) errors.push(`waves[${i}] references unknown pack "${packId}"`);
+        }
+      }
+      if (wave?.delay !== undefined && (typeof wave.delay !== 'number' || wave.delay < 0)) {
+        errors.push(`waves[${i}].delay must be a non-negative number`);
+      }
+    });
+  }
+
+  // Completion reward
+  if (data.xpReward !== undefined) {
+    if (!Number.isInteger(data.xpReward) || data.xpReward < 0) {
+      errors.push('xpReward must be a non-negative integer');
+    } else if (data.xpReward > 0 && !data.waves?.length) {
+      errors.push('xpReward needs waves to clear');
+    }
+  }
+
+  // Area
+  if (data.area) {
+    if (!isVector3(data.area.center)) errors.push('area.center must be [x, y, z]');
+    if (typeof data.area.radius !== 'number' || data.area.radius <= 0) {
+      errors.push('area.radius must be a positive number');
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a class talent tree definition.
+ * Skill IDs are checked against the registry by the loader (cross-reference).
+ */
+export function validateTalentTree(data) {
+  const errors = [];
+
+  // Required fields
+  errors.push(...checkRequired(data, ['id', 'classId', 'name', 'points', 'talents']));
+
+  // ID format
+  if (data.id && !isValidId(data.id)) {
+    errors.push('id must be lowercase letters and underscores only');
+  }
+
+  if (data.points !== undefined && (!Number.isInteger(data.points) || data.points < 0)) {
+    errors.push('points must be a non-negative integer');
+  }
+
+  // Talents
+  if (data.talents !== undefined) {
+    errors.push(...checkType(data.talents, 'array', 'talents'));
+    const talents = Array.isArray(data.talents) ? data.talents : [];
+    const talentIds = new Set(talents.map(t => t?.id));
+    const positions = new Set();
+
+    talents.forEach((talent, i) => {
+      if (!talent?.id || !isValidId(talent.id)) errors.push(`talents[${i}].id must be lowercase letters and underscores only`);
+      if (!Number.isInteger(talent?.maxRanks) || talent.maxRanks < 1) {
+        errors.push(`talents[${i}].maxRanks must be a positive integer`);
+      }
+      if (!Number.isInteger(talent?.row) || !Number.isInteger(talent?.column)) {
+        errors.push(`talents[${i}] must have integer row and column`);
+      } else {
+        const position = `${talent.row}:${talent.column}`;
+        if (positions.has(position)) errors.push(`talents[${i}] shares row ${talent.row} column ${talent.column} with another talent`);
+        positions.add(position);
+      }
+
+      for (const req of talent?.requires || []) {
+        if (!talentIds.has(req?.talent)) {
+          errors.push(`talents[${i}] requires unknown talent "${req?.talent}"`);
+        }
+      }
+      for (const [stat, value] of Object.entries(talent?.statModifiers || {})) {
+        if (typeof value !== 'number') errors.push(`talents[${i}].statModifiers.${stat} must be a number`);
+      }
+      (talent?.skillModifiers || []).forEach((mod, j) => {
+        if (!mod?.skill) errors.push(`talents[${i}].skillModifiers[${j}].skill is required`);
+        if (typeof mod?.damagePercent !== 'number') {
+          errors.push(`talents[${i}].skillModifiers[${j}].damagePercent must be a number`);
+        }
+      });
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a level curve definition.
+ */
+export function validateLevelCurve(data) {
+  const errors = [];
+
+  // Required fields
+  errors.push(...checkRequired(data, ['id', 'levels']));
+
+  if (!Array.isArray(data.levels) || data.levels.length === 0) {
+    errors.push('levels must be a non-empty array');
+    return errors;
+  }
+
+  data.levels.forEach((entry, i) => {
+    if (entry?.level !== i + 1) errors.push(`levels[${i}].level must be ${i + 1}`);
+    if (!Number.isInteger(entry?.xp) || entry.xp < 0) errors.push(`levels[${i}].xp must be a non-negative integer`);
+    if (i === 0 && entry?.xp !== 0) errors.push('levels[0].xp must be 0');
+    if (i > 0 && entry?.xp <= data.levels[i - 1]?.xp) errors.push(`levels[${i}].xp must be greater than the previous level`);
+  });
+
+  return errors;
+}
+
+/**
+ * Validate an item definition.
+ * Graph IDs are checked against the registry by the loader (cross-reference).
+ */
+export function validateItem(data) {
+  const errors = [];
+
+  // Required fields
+  errors.push(...checkRequired(data, ['id', 'name', 'slot']));
+
+  // ID format
+  if (data.id && !isValidId(data.id)) {
+    errors.push('id must be lowercase letters and underscores only');
+  }
+
+  if (data.slot && !EQUIPMENT_SLOTS.includes(data.slot)) {
+    errors.push(`slot must be one of: ${EQUIPMENT_SLOTS.join(', ')}`);
+  }
+
+  // Class restrictions read these types (game/equipment.js)
+  if (WEAPON_SLOTS.includes(data.slot) && typeof data.weaponType !== 'string') {
+    errors.push(`weaponType is required for ${data.slot} items`);
+  }
+  if (ARMOR_SLOTS.includes(data.slot) && typeof data.armorType !== 'string') {
+    errors.push(`armorType is required for ${data.slot} items`);
+  }
+  if (data.twoHanded && data.slot !== 'weapon') {
+    errors.push('only weapon items can be twoHanded');
+  }
+
+  if (data.requiredLevel !== undefined && (!Number.isInteger(data.requiredLevel) || data.requiredLevel < 1)) {
+    errors.push('requiredLevel must be a positive integer');
+  }
+
+  for (const [stat, value] of Object.entries(data.statModifiers || {})) {
+    if (typeof value !== 'number') errors.push(`statModifiers.${stat} must be a number`);
+  }
+
+  // Proc graphs
+  errors.push(...checkTriggers(data.triggers));
+
+  return errors;
+}
+
 // =============================================================================
 // BATCH VALIDATION
 // =============================================================================
@@ -438,6 +1059,11 @@ export function validateAll(registries) {
     stats: validateStat,
     animations: validateAnimation,
     graphs: validateGraph,
+    monsters: validateMonster,
+    encounters: validateEncounter,
+    talents: validateTalentTree,
+    levelCurves: validateLevelCurve,
+    items: validateItem,
   };
   
   for (const [registryName, validator] of Object.entries(validators)) {
@@ -0,0 +1,122 @@
+/**
+ * =============================================================================
+ * CHANNELING - Tick-Based Channelled Skills
+ * =============================================================================
+ *
+ * `"type": "channel"` skills put the player in the CHANNELING state
+ * (standing still). An optional `channel` block shapes what happens while
+ * it runs:
+ *
+ *   "channel": {
+ *     "duration": 3,         // seconds; 0 = held until the key is released
+ *     "tickInterval": 0.5,   // seconds between ticks
+ *     "damage": 12,          // per tick, to the locked target (damage beam)
+ *     "heal": 0,             // per tick, to the caster (heal-over-channel)
+ *     "drain": 0             // fraction of tick damage healed back (drain)
+ *   }
+ *
+ * `costs.manaPerSecond` drains while channeling (execution.js tickChannel).
+ * A channel ends when its duration runs out, its key is released (held
+ * channels), the player moves, or the drain can't be paid.
+ *
+ * Channel skills with `effects.movement` are movement channels instead
+ * (engine/actions.js isMovementChannel): they run in the MOVING state, scale
+ * movement speed by `effects.movement.speedMultiplier` and drain until the
+ * key is released, the player stops, or the drain can't be paid.
+ *
+ * NO REACT. NO ZUSTAND. PURE LOGIC.
+ */
+
+import { isChannelAction } from '@/engine/actions';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/**
+ * Defaults for fields a `channel` block omits. A channel without a block
+ * is held until released and only drains.
+ */
+export const DEFAULT_CHANNEL = Object.freeze({
+  duration: 0,
+  tickInterval: 1,
+  damage: 0,
+  heal: 0,
+  drain: 0,
+});
+
+// Float slack so a tick due exactly at the end of the channel still lands
+const TICK_EPSILON = 1e-6;
+
+// =============================================================================
+// CONFIG
+// =============================================================================
+
+/**
+ * Resolve a channel action's config with defaults. Null for non-channels.
+ */
+export function getChannelConfig(action) {
+  if (!isChannelAction(action)) return null;
+  return { ...DEFAULT_CHANNEL, ...action.channel };
+}
+
+/**
+ * Check if a channel runs for as long as its key is held.
+ */
+export function isHeldChannel(config) {
+  return !(config?.duration > 0);
+}
+
+// =============================================================================
+// PROGRESS
+// =============================================================================
+
+/**
+ * A channel that just started.
+ */
+export function createChannel(actionId, config) {
+  return { actionId, config, elapsed: 0, ticks: 0 };
+}
+
+/**
+ * Advance a channel.
+ *
+ * @param {Object} channel - From createChannel
+ * @param {number} seconds - Time since the last advance
+ * @returns {Object} { channel, ticks, done } - ticks = how many landed this step
+ */
+export function advanceChannel(channel, seconds) {
+  const { duration, tickInterval } = channel.config;
+  const held = isHeldChannel(channel.config);
+  const elapsed = held ? channel.elapsed + seconds : Math.min(duration, channel.elapsed + seconds);
+  const due = tickInterval > 0 ? Math.floor(elapsed / tickInterval + TICK_EPSILON) : 0;
+
+  return {
+    channel: { ...channel, elapsed, ticks: due },
+    ticks: Math.max(0, due - channel.ticks),
+    done: !held && elapsed >= duration,
+  };
+}
+
+/**
+ * Fraction of the channel left (1 → 0). Held channels stay full.
+ */
+export function getChannelRemaining(channel) {
+  if (!channel || isHeldChannel(channel.config)) return 1;
+  return Math.max(0, 1 - channel.elapsed / channel.config.duration);
+}
+
+/**
+ * Milliseconds of channel left (0 for held channels - they have no end).
+ */
+export function getChannelRemainingMs(channel) {
+  if (!channel || isHeldChannel(channel.config)) return 0;
+  return Math.max(0, (channel.config.duration - channel.elapsed) * 1000);
+}
+
+/**
+ * Health a drain tick returns to the caster.
+ */
+export function getDrainHealing(config, damageDealt) {
+  return config.drain > 0 && damageDealt > 0 ? Math.round(damageDealt * config.drain) : 0;
+}
@@ -0,0 +1,210 @@
+/**
+ * =============================================================================
+ * COMBAT - Damage Resolution
+ * =============================================================================
+ *
+ * Pure functions for turning a completed skill into damage on an entity.
+ * The numbers come from scaling graphs in graphs.json - this module only
+ * gathers the inputs and applies the result.
+ *
+ * MITIGATION:
+ * ===========
+ * Every hit then passes through the `damage_mitigation` graph: armor
+ * (physical) or magic resist (other elements) with diminishing returns,
+ * then flat damage_reduction. Applies to players and monsters alike.
+ *
+ * COMBO FINISHERS:
+ * ================
+ * Finishers (game/comboPoints.js) first run their base damage through the
+ * combo graph with the points spent, then through the normal scaling graph.
+ * Condition bonuses (e.g. "from stealth", game/stealth.js) multiply the base
+ * damage the same way, as do talent skill modifiers (game/talents.js).
+ *
+ * NO REACT. NO ZUSTAND. PURE LOGIC.
+ */
+
+import { evaluateGraph } from '@/engine/graph';
+import { getBaseStatsForClass } from '@/engine/classes';
+import { STATS } from '@/config/stats';
+import { getComboConfig } from './comboPoints';
+
+// =============================================================================
+// DAMAGE GRAPHS
+// =============================================================================
+
+/**
+ * Default scaling graph per damage school.
+ * Skills can override this with `scaling.graphId` in skills.json.
+ */
+export const DAMAGE_GRAPHS = Object.freeze({
+  spell: 'spell_damage_scaling',
+  physical: 'physical_damage_scaling',
+});
+
+/**
+ * Graph that turns incoming damage + defender stats into damage taken.
+ */
+export const MITIGATION_GRAPH = 'damage_mitigation';
+
+/**
+ * Elements that scale from attack power (and are mitigated by armor)
+ * instead of spell power (and magic resist).
+ */
+const PHYSICAL_ELEMENTS = new Set(['physical']);
+
+// =============================================================================
+// CASTER STATS
+// =============================================================================
+
+/**
+ * Build the combat stat block for a class, keyed by graph input IDs.
+ *
+ * @param {string} classId - The caster's class ID
+ * @param {Object} [bonuses] - Buff + level + talent + equipment totals ({ spellPower, attackPower, critChance })
+ * @returns {Object} { spell_power, attack_power, crit_chance, crit_multiplier }
+ */
+export function getCombatStatsForClass(classId, bonuses = {}) {
+  const baseStats = getBaseStatsForClass(classId);
+
+  return {
+    spell_power: (baseStats.spellPower || 0) + (bonuses.spellPower || 0),
+    attack_power: (baseStats.attackPower || 0) + (bonuses.attackPower || 0),
+    crit_chance: (baseStats.critChance ?? STATS.BASE_CRIT_CHANCE) + (bonuses.critChance || 0),
+    crit_multiplier: STATS.CRIT_MULTIPLIER,
+  };
+}
+
+// =============================================================================
+// DEFENDER STATS
+// =============================================================================
+
+/**
+ * Build the defensive stat block for a class, keyed by graph input IDs.
+ *
+ * @param {string} classId - The defender's class ID
+ * @param {Object} [bonuses] - Buff + level + talent totals ({ armor, magicResist, damageReduction })
+ * @returns {Object} { armor, magic_resist, damage_reduction }
+ */
+export function getDefenseStatsForClass(classId, bonuses = {}) {
+  return toDefenseStats(getBaseStatsForClass(classId), bonuses);
+}
+
+/**
+ * Build the defensive stat block for a monster definition.
+ *
+ * @param {Object|null} monster - Monster from monsters.json
+ * @param {Object} [bonuses] - Status totals on the entity
+ * @returns {Object} { armor, magic_resist, damage_reduction }
+ */
+export function getDefenseStatsForMonster(monster, bonuses = {}) {
+  return toDefenseStats(monster || {}, bonuses);
+}
+
+const toDefenseStats = (stats, bonuses) => ({
+  armor: (stats.armor || 0) + (bonuses.armor || 0),
+  magic_resist: (stats.magicResist || 0) + (bonuses.magicResist || 0),
+  damage_reduction: (stats.damageReduction || 0) + (bonuses.damageReduction || 0),
+});
+
+// =============================================================================
+// DAMAGE RESOLUTION
+// =============================================================================
+
+/**
+ * Pick the scaling graph for an action.
+ */
+export function getDamageGraphForAction(action) {
+  if (action.scalingGraph) return action.scalingGraph;
+  return PHYSICAL_ELEMENTS.has(action.damageElement)
+    ? DAMAGE_GRAPHS.physical
+    : DAMAGE_GRAPHS.spell;
+}
+
+/**
+ * Resolve the damage a completed action deals.
+ *
+ * @param {Object} action - The action that completed
+ * @param {Object} casterStats - Stats from getCombatStatsForClass
+ * @param {Object} [options]
+ * @param {number} [options.comboPoints] - Points spent (finishers only)
+ * @param {number} [options.damageMultiplier] - Condition bonus on base damage
+ * @returns {Object|null} { amount, isCrit, element, graphId } or null if the action deals no damage
+ */
+export function resolveSkillDamage(action, casterStats, { comboPoints = 0, damageMultiplier = 1 } = {}) {
+  if (!action?.damage) return null;
+
+  // Finishers: scale base damage by the points spent
+  let baseDamage = action.damage * damageMultiplier;
+  const combo = getComboConfig(action);
+  if (combo?.finisher && comboPoints > 0) {
+    const scaled = evaluateGraph(combo.graphId, { base_damage: baseDamage, combo_points: comboPoints });
+    baseDamage = scaled.final_damage ?? baseDamage;
+  }
+
+  const graphId = getDamageGraphForAction(action);
+  const result = evaluateGraph(graphId, {
+    base_damage: baseDamage,
+    ...casterStats,
+  });
+
+  return {
+    amount: Math.max(0, Math.round(result.final_damage ?? baseDamage)),
+    isCrit: !!result.is_crit,
+    element: action.damageElement,
+    graphId,
+  };
+}
+
+/**
+ * Reduce a hit by the defender's armor / magic resist / damage reduction.
+ * A hit that lands always deals at least 1.
+ *
+ * @param {number} amount - Damage before mitigation
+ * @param {string} element - Damage element (physical → armor, else magic resist)
+ * @param {Object} defenseStats - From getDefenseStatsForClass / getDefenseStatsForMonster
+ * @returns {Object} { amount, mitigated }
+ */
+export function mitigateDamage(amount, element, defenseStats) {
+  if (!(amount > 0)) return { amount: 0, mitigated: 0 };
+
+  const result = evaluateGraph(MITIGATION_GRAPH, {
+    incoming_damage: amount,
+    is_physical: PHYSICAL_ELEMENTS.has(element),
+    ...defenseStats,
+  });
+
+  const final = Math.max(1, Math.round(result.final_damage ?? amount));
+  return { amount: final, mitigated: amount - final };
+}
+
+/**
+ * Apply damage to an entity snapshot.
+ * Returns the updated entity (does not mutate the input).
+ * Immortal entities (training dummies) take the full hit, then refill
+ * instead of dying.
+ *
+ * @param {Object} entity - Entity with { health, maxHealth, immortal? }
+ * @param {number} amount - Damage to apply
+ * @returns {Object} { entity, damage, killed }
+ */
+export function applyDamageToEntity(entity, amount) {
+  if (!entity || entity.health <= 0) {
+    return { entity, damage: 0, killed: false };
+  }
+
+  if (entity.immortal && amount >= entity.health) {
+    return {
+      entity: { ...entity, health: entity.maxHealth },
+      damage: Math.max(0, amount),
+      killed: false,
+    };
+  }
+
+  const health = Math.max(0, entity.health - amount);
+
+  return {
+    entity: { ...entity, health },
+    damage: entity.health - health,
+    killed: health === 0,
+  };
+}
@@ -0,0 +1,202 @@
+/**
+ * =============================================================================
+ * COMBAT LOG - Event Records, Filters & Export
+ * =============================================================================
+ *
+ * Shapes combat events (casts, hits, heals, statuses) into flat log entries
+ * and turns them into readable lines, JSON and CSV. The store
+ * (stores/combatLogStore.js) keeps the entries; stores that resolve combat
+ * report into it.
+ *
+ * ENTRY:
+ * ======
+ * { id, time, type, source, target, ability, amount, element, crit,
+ *   sourceId, targetId, actionId }
+ * - time is a Date.now() timestamp
+ * - source / target are display names (null when there is none, e.g. a
+ *   ground-targeted cast); sourceId / targetId / actionId keep the raw
+ *   IDs for consumers such as the DPS meter
+ *
+ * NO REACT. NO ZUSTAND. PURE LOGIC.
+ */
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+export const COMBAT_LOG_EVENTS = Object.freeze({
+  CAST_START: 'cast_start',
+  INTERRUPT: 'interrupt',
+  CAST_COMPLETE: 'cast_complete',
+  DAMAGE: 'damage',
+  HEAL: 'heal',
+  BUFF_APPLIED: 'buff_applied',
+  BUFF_EXPIRED: 'buff_expired',
+});
+
+/**
+ * Display labels for each event type (filter chips).
+ */
+export const COMBAT_LOG_LABELS = Object.freeze({
+  [COMBAT_LOG_EVENTS.CAST_START]: 'Cast Start',
+  [COMBAT_LOG_EVENTS.INTERRUPT]: 'Interrupt',
+  [COMBAT_LOG_EVENTS.CAST_COMPLETE]: 'Cast Complete',
+  [COMBAT_LOG_EVENTS.DAMAGE]: 'Damage',
+  [COMBAT_LOG_EVENTS.HEAL]: 'Heal',
+  [COMBAT_LOG_EVENTS.BUFF_APPLIED]: 'Buff Applied',
+  [COMBAT_LOG_EVENTS.BUFF_EXPIRED]: 'Buff Expired',
+});
+
+// Entries kept before the oldest are dropped
+export const MAX_COMBAT_LOG_ENTRIES = 500;
+
+const CSV_COLUMNS = ['time', 'type', 'source', 'target', 'ability', 'amount', 'element', 'crit'];
+
+// =============================================================================
+// ENTRIES
+// =============================================================================
+
+/**
+ * Create a log entry from a combat event.
+ *
+ * @param {Object} event
+ * @param {string} event.type - One of COMBAT_LOG_EVENTS
+ * @param {string|null} [event.source] - Source display name
+ * @param {string|null} [event.target] - Target display name
+ * @param {string|null} [event.ability] - Skill or status name
+ * @param {number|null} [event.amount] - Damage / healing dealt
+ * @param {string|null} [event.element] - Damage element
+ * @param {boolean} [event.crit]
+ * @param {string|null} [event.sourceId] - 'player' or an entity ID
+ * @param {string|null} [event.targetId] - 'player' or an entity ID
+ * @param {string|null} [event.actionId] - Skill ID for casts and skill hits
+ * @param {Object} options
+ * @param {number} options.id - Unique entry ID
+ * @param {number} [options.time] - Timestamp
+ * @returns {Object} Log entry
+ */
+export function createLogEntry(event, { id, time = Date.now() }) {
+  return {
+    id,
+    time,
+    type: event.type,
+    source: event.source ?? null,
+    target: event.target ?? null,
+    ability: event.ability ?? null,
+    amount: event.amount ?? null,
+    element: event.element ?? null,
+    crit: !!event.crit,
+    sourceId: event.sourceId ?? null,
+    targetId: event.targetId ?? null,
+    actionId: event.actionId ?? null,
+  };
+}
+
+/**
+ * Append an entry, dropping the oldest beyond `max`.
+ */
+export function appendLogEntry(entries, entry, max = MAX_COMBAT_LOG_ENTRIES) {
+  const next = [...entries, entry];
+  return next.length > max ? next.slice(next.length - max) : next;
+}
+
+/**
+ * Keep entries whose type is enabled.
+ *
+ * @param {Object[]} entries
+ * @param {Set<string>|string[]} types - Enabled COMBAT_LOG_EVENTS
+ */
+export function filterLogEntries(entries, types) {
+  const enabled = types instanceof Set ? types : new Set(types);
+  return entries.filter(entry => enabled.has(entry.type));
+}
+
+// =============================================================================
+// FORMATTING
+// =============================================================================
+
+/**
+ * Wall-clock time with milliseconds (HH:MM:SS.mmm).
+ */
+export function formatLogTime(time) {
+  const date = new Date(time);
+  const pad = (n, size = 2) => String(n).padStart(size, '0');
+  return `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}.${pad(date.getMilliseconds(), 3)}`;
+}
+
+/**
+ * One readable sentence for an entry.
+ */
+export function formatLogEntry(entry) {
+  const source = entry.source || 'Unknown';
+  const target = entry.target || 'Unknown';
+  const ability = entry.ability || 'an ability';
+  const onTarget = entry.target ? ` on ${entry.target}` : '';
+  // "Wizard's Fireball" - or just "Sentinel" for a plain attack
+  const attacker = entry.ability ? `${source}'s ${entry.ability}` : source;
+  const crit = entry.crit ? ' (critical)' : '';
+
+  switch (entry.type) {
+    case COMBAT_LOG_EVENTS.CAST_START:
+      return `${source} begins casting ${ability}${onTarget}`;
+    case COMBAT_LOG_EVENTS.INTERRUPT:
+      // Target = whoever broke the cast (none when the caster cancelled)
+      return `${source}'s ${ability} was interrupted${entry.target ? ` by ${entry.target}` : ''}`;
+    case COMBAT_LOG_EVENTS.CAST_COMPLETE:
+      return `${source} casts ${ability}${onTarget}`;
+    case COMBAT_LOG_EVENTS.DAMAGE: {
+      const element = entry.element ? ` ${entry.element}` : '';
+      return `${attacker} hits ${target} for ${entry.amount}${element} damage${crit}`;
+    }
+    case COMBAT_LOG_EVENTS.HEAL:
+      return `${attacker} heals ${target} for ${entry.amount}${crit}`;
+    case COMBAT_LOG_EVENTS.BUFF_APPLIED:
+      return `${target} gains ${ability}${entry.source ? ` from ${entry.source}` : ''}`;
+    case COMBAT_LOG_EVENTS.BUFF_EXPIRED:
+      return `${ability} fades from ${target}`;
+    default:
+      return `${source}: ${ability}`;
+  }
+}
+
+// =============================================================================
+// EXPORT
+// =============================================================================
+
+/**
+ * Serialize entries as pretty JSON (timestamps as ISO strings).
+ */
+export function combatLogToJson(entries) {
+  return JSON.stringify(
+    entries.map(entry => ({
+      time: new Date(entry.time).toISOString(),
+      type: entry.type,
+      source: entry.source,
+      target: entry.target,
+      ability: entry.ability,
+      amount: entry.amount,
+      element: entry.element,
+      crit: entry.crit,
+    })),
+    null,
+    2
+  );
+}
+
+/**
+ * Serialize entries as CSV with a header row.
+ */
+export function combatLogToCsv(entries) {
+  const escape = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const rows = entries.map(entry => CSV_COLUMNS.map(column => {
+    if (column === 'time') return new Date(entry.time).toISOString();
+    return escape(entry[column]);
+  }).join(','));
+
+  return [CSV_COLUMNS.join(','), ...rows].join('\n');
+}
@@ -0,0 +1,175 @@
+/**
+ * =============================================================================
+ * COMBAT TEXT - Floating Numbers
+ * =============================================================================
+ *
+ * Turns combat events (damage, healing, mana, statuses, xp) into the label,
+ * color and motion of a floating number. The renderer
+ * (components/CombatText) owns the sprite pool and canvas drawing.
+ *
+ * MOTION:
+ * =======
+ * - Rises COMBAT_TEXT_RISE units over its lifetime, easing out
+ * - Holds full opacity, then fades over the last FADE_PORTION
+ * - Crits pop in larger and live a little longer
+ *
+ * NO REACT. NO ZUSTAND. PURE LOGIC.
+ */
+
+import { ELEMENTS } from '@/config/elements';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+export const COMBAT_TEXT_TYPES = Object.freeze({
+  DAMAGE: 'damage',
+  HEAL: 'heal',
+  MANA: 'mana',
+  STATUS: 'status',
+  MISS: 'miss',
+  ABSORB: 'absorb',
+  XP: 'xp',
+  LEVEL_UP: 'level_up',
+});
+
+// Seconds a number stays on screen
+export const COMBAT_TEXT_DURATION = 1.2;
+const CRIT_DURATION = 1.6;
+
+// World units risen over the lifetime
+export const COMBAT_TEXT_RISE = 1.4;
+
+// Last part of the lifetime spent fading out
+const FADE_PORTION = 0.35;
+
+// Crits start this much larger and settle over POP_PORTION of their life
+const CRIT_SCALE = 1.45;
+const CRIT_POP = 0.6;
+const POP_PORTION = 0.15;
+
+/**
+ * Colors for text that isn't tinted by a damage element.
+ */
+export const COMBAT_TEXT_COLORS = Object.freeze({
+  damage: '#ffe070',        // Untyped damage on a target (DoT ticks)
+  playerDamage: '#ff4a4a',  // Anything hurting the player
+  heal: '#55ff55',
+  mana: ELEMENTS.mana.secondary,
+  buff: '#f0d890',
+  debuff: '#d070d0',
+  miss: '#c8c8c8',
+  absorb: '#d8e0ff',
+  xp: '#c080ff',
+  levelUp: '#ffd040',
+});
+
+// =============================================================================
+// FORMATTING
+// =============================================================================
+
+/**
+ * @typedef {Object} CombatTextEvent
+ * @property {string} type - COMBAT_TEXT_TYPES value
+ * @property {number} [amount] - Damage / healing / mana
+ * @property {string} [element] - Damage element (colors the number)
+ * @property {boolean} [isCrit]
+ * @property {boolean} [onPlayer] - The player is the one affected
+ * @property {string} [label] - Status name
+ * @property {boolean} [harmful] - Status is a debuff
+ * @property {number} [level] - Level reached (level up)
+ */
+
+/**
+ * Resolve an event's text and style.
+ *
+ * @param {CombatTextEvent} event
+ * @returns {{text: string, color: string, scale: number, duration: number, crit: boolean}}
+ */
+export function formatCombatText(event) {
+  const amount = Math.round(event.amount || 0);
+  const style = { scale: 1, duration: COMBAT_TEXT_DURATION, crit: false };
+
+  switch (event.type) {
+    case COMBAT_TEXT_TYPES.DAMAGE: {
+      const crit = !!event.isCrit;
+      const color = event.onPlayer
+        ? COMBAT_TEXT_COLORS.playerDamage
+        : ELEMENTS[event.element]?.secondary ?? COMBAT_TEXT_COLORS.damage;
+      return {
+        ...style,
+        text: event.onPlayer ? `-${amount}` : crit ? `${amount}!` : `${amount}`,
+        color,
+        scale: crit ? CRIT_SCALE : 1,
+        duration: crit ? CRIT_DURATION : COMBAT_TEXT_DURATION,
+        crit,
+      };
+    }
+
+    case COMBAT_TEXT_TYPES.HEAL:
+      return { ...style, text: `+${amount}`, color: COMBAT_TEXT_COLORS.heal, crit: !!event.isCrit };
+
+    case COMBAT_TEXT_TYPES.MANA:
+      return { ...style, text: `+${amount}`, color: COMBAT_TEXT_COLORS.mana, scale: 0.8 };
+
+    case COMBAT_TEXT_TYPES.STATUS:
+      return {
+        ...style,
+        text: event.harmful ? event.label : `+${event.label}`,
+        color: event.harmful ? COMBAT_TEXT_COLORS.debuff : COMBAT_TEXT_COLORS.buff,
+        scale: 0.75,
+      };
+
+    case COMBAT_TEXT_TYPES.ABSORB:
+      return {
+        ...style,
+        text: amount > 0 ? `Absorb ${amount}` : 'Absorb',
+        color: COMBAT_TEXT_COLORS.absorb,
+        scale: 0.85,
+      };
+
+    case COMBAT_TEXT_TYPES.XP:
+      return { ...style, text: `+${amount} XP`, color: COMBAT_TEXT_COLORS.xp, scale: 0.8 };
+
+    case COMBAT_TEXT_TYPES.LEVEL_UP:
+      return {
+        ...style,
+        text: `Level ${event.level}!`,
+        color: COMBAT_TEXT_COLORS.levelUp,
+        scale: CRIT_SCALE,
+        duration: CRIT_DURATION * 1.5,
+        crit: true,
+      };
+
+    case COMBAT_TEXT_TYPES.MISS:
+    default:
+      return { ...style, text: 'Miss', color: COMBAT_TEXT_COLORS.miss, scale: 0.85 };
+  }
+}
+
+// =============================================================================
+// MOTION
+// =============================================================================
+
+/**
+ * Motion of a floating number at a given age.
+ *
+ * @param {number} age - Seconds since it appeared
+ * @param {Object} style - From formatCombatText
+ * @returns {{rise: number, opacity: number, scale: number}|null} Null once finished
+ */
+export function getCombatTextMotion(age, style) {
+  const t = age / style.duration;
+  if (t >= 1) return null;
+
+  const eased = 1 - (1 - t) * (1 - t);
+  const fadeStart = 1 - FADE_PORTION;
+  const opacity = t < fadeStart ? 1 : 1 - (t - fadeStart) / FADE_PORTION;
+  const pop = style.crit && t < POP_PORTION ? 1 + CRIT_POP * (1 - t / POP_PORTION) : 1;
+
+  return {
+    rise: COMBAT_TEXT_RISE * eased,
+    opacity,
+    scale: style.scale * pop,
+  };
+}
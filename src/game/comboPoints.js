@@ -0,0 +1,90 @@
+/**
+ * =============================================================================
+ * COMBO POINTS - Builders & Finishers
+ * =============================================================================
+ *
+ * Combo points live on ONE target at a time:
+ *
+ * - BUILDERS (`"comboPoints": { "generates": 1 }`) add points when they hit
+ *   the locked target
+ * - FINISHERS (`"comboPoints": { "finisher": true }`) need at least one
+ *   point and spend them all; damage scales per point through a graph
+ *   (default `combo_point_scaling` in graphs.json)
+ * - Points expire when the locked target changes (or it dies)
+ *
+ * The counter itself is stored with the locked target (entityStore).
+ *
+ * NO REACT. NO ZUSTAND. PURE LOGIC.
+ */
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+export const MAX_COMBO_POINTS = 5;
+
+// Finisher scaling graph when the skill doesn't name one
+export const DEFAULT_COMBO_GRAPH = 'combo_point_scaling';
+
+// =============================================================================
+// SKILL CONFIG
+// =============================================================================
+
+/**
+ * Normalize an action's `comboPoints` block. Null if it has none.
+ *
+ * @returns {Object|null} { generates, finisher, graphId }
+ */
+export function getComboConfig(action) {
+  const combo = action?.comboPoints;
+  if (!combo) return null;
+  return {
+    generates: combo.generates ?? 0,
+    finisher: !!combo.finisher,
+    graphId: combo.graphId || DEFAULT_COMBO_GRAPH,
+  };
+}
+
+/**
+ * Check if an action spends combo points.
+ */
+export function isComboFinisher(action) {
+  return !!getComboConfig(action)?.finisher;
+}
+
+// =============================================================================
+// COUNTER
+// =============================================================================
+
+/**
+ * Empty counter (bound to no target).
+ */
+export function createComboPoints() {
+  return { targetId: null, points: 0 };
+}
+
+/**
+ * Points held on a given target (0 if they're on someone else).
+ */
+export function getComboPointsOn(combo, targetId) {
+  return targetId && combo.targetId === targetId ? combo.points : 0;
+}
+
+/**
+ * Add points on a target. Hitting a different target starts over.
+ *
+ * @returns {Object} Updated counter
+ */
+export function addComboPoints(combo, targetId, amount, max = MAX_COMBO_POINTS) {
+  const current = getComboPointsOn(combo, targetId);
+  return { targetId, points: Math.min(max, current + amount) };
+}
+
+/**
+ * Keep the counter only if the target is unchanged.
+ *
+ * @returns {Object} Same counter, or an empty one
+ */
+export function retargetComboPoints(combo, targetId) {
+  return combo.targetId === targetId ? combo : createComboPoints();
+}
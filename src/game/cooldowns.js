@@ -0,0 +1,194 @@
+/**
+ * =============================================================================
+ * COOLDOWNS - Per-Action Cooldown Tracking
+ * =============================================================================
+ *
+ * Cooldowns are stored as a plain object keyed by action ID:
+ *   { [actionId]: { startedAt, endsAt } }  (timestamps in ms, Date.now())
+ *
+ * Keying by action ID (not slot) means a cooldown follows the skill when it
+ * is dragged to another slot, and survives class switches - switching away
+ * and back cannot be used to reset a heavy hitter.
+ *
+ * The global cooldown (GCD) lives in the same map under GLOBAL_COOLDOWN_KEY.
+ * It is started by every cast/attack and blocks all other casts/attacks.
+ * Consumables (INSTANT), channels (CHANNEL) and movement channels (MOVE)
+ * neither start nor wait for it - only their own cooldowns gate them.
+ *
+ * School lockouts (an enemy kicked a cast) also live in the map, keyed
+ * `school:<element>`, and block every action of that element.
+ *
+ * NO REACT. NO ZUSTAND. PURE LOGIC.
+ */
+
+import { FSM_ACTIONS } from '@/config/stats';
+
+/**
+ * Cooldown map key for the global cooldown.
+ */
+export const GLOBAL_COOLDOWN_KEY = 'global';
+
+const SCHOOL_LOCKOUT_PREFIX = 'school:';
+
+/**
+ * Cooldown map key for a spell school lockout.
+ */
+export function getSchoolLockoutKey(school) {
+  return `${SCHOOL_LOCKOUT_PREFIX}${school}`;
+}
+
+/**
+ * The spell school an action belongs to (its element).
+ */
+export function getSpellSchool(action) {
+  return action?.element || action?.damageElement || null;
+}
+
+// =============================================================================
+// QUERIES
+// =============================================================================
+
+/**
+ * Check if an action starts (and is blocked by) the global cooldown.
+ */
+export function triggersGlobalCooldown(action) {
+  return action?.fsmAction === FSM_ACTIONS.CAST || action?.fsmAction === FSM_ACTIONS.ATTACK;
+}
+
+/**
+ * Get the remaining cooldown for an action in milliseconds.
+ *
+ * @param {Object} cooldowns - Cooldown map
+ * @param {string} actionId - The action ID
+ * @param {number} [now] - Current timestamp
+ * @returns {number} Remaining ms (0 if ready)
+ */
+export function getCooldownRemaining(cooldowns, actionId, now = Date.now()) {
+  const entry = cooldowns?.[actionId];
+  if (!entry) return 0;
+  return Math.max(0, entry.endsAt - now);
+}
+
+/**
+ * Check if an action is on cooldown.
+ */
+export function isOnCooldown(cooldowns, actionId, now = Date.now()) {
+  return getCooldownRemaining(cooldowns, actionId, now) > 0;
+}
+
+/**
+ * Check if an action's school is locked out.
+ */
+export function isSchoolLockedOut(cooldowns, action, now = Date.now()) {
+  const school = getSpellSchool(action);
+  return !!school && isOnCooldown(cooldowns, getSchoolLockoutKey(school), now);
+}
+
+/**
+ * Check if an action is blocked by its own cooldown, the global cooldown
+ * or a school lockout.
+ */
+export function isBlockedByCooldown(cooldowns, action, now = Date.now()) {
+  if (!action) return false;
+  if (isOnCooldown(cooldowns, action.id, now)) return true;
+  if (isSchoolLockedOut(cooldowns, action, now)) return true;
+  return triggersGlobalCooldown(action) && isOnCooldown(cooldowns, GLOBAL_COOLDOWN_KEY, now);
+}
+
+/**
+ * Get cooldown progress for UI sweeps.
+ *
+ * @returns {number} 0 = just started, 1 = ready
+ */
+export function getCooldownProgress(cooldowns, actionId, now = Date.now()) {
+  const entry = cooldowns?.[actionId];
+  if (!entry) return 1;
+  const duration = entry.endsAt - entry.startedAt;
+  if (duration <= 0) return 1;
+  return Math.min(1, Math.max(0, (now - entry.startedAt) / duration));
+}
+
+// =============================================================================
+// UPDATES
+// =============================================================================
+
+/**
+ * Start an action's cooldown.
+ * Returns the same map if the action has no cooldown.
+ *
+ * @param {Object} cooldowns - Cooldown map
+ * @param {Object} action - The action (uses action.cooldown in seconds)
+ * @param {number} [now] - Current timestamp
+ * @returns {Object} New cooldown map
+ */
+export function startCooldown(cooldowns, action, now = Date.now()) {
+  if (!action?.cooldown || action.cooldown <= 0) return cooldowns;
+
+  return {
+    ...cooldowns,
+    [action.id]: {
+      startedAt: now,
+      endsAt: now + action.cooldown * 1000,
+    },
+  };
+}
+
+/**
+ * Start the global cooldown.
+ *
+ * @param {Object} cooldowns - Cooldown map
+ * @param {number} durationMs - GCD length in milliseconds
+ * @param {number} [now] - Current timestamp
+ * @returns {Object} New cooldown map
+ */
+export function startGlobalCooldown(cooldowns, durationMs, now = Date.now()) {
+  if (!durationMs || durationMs <= 0) return cooldowns;
+
+  return {
+    ...cooldowns,
+    [GLOBAL_COOLDOWN_KEY]: {
+      startedAt: now,
+      endsAt: now + durationMs,
+    },
+  };
+}
+
+/**
+ * Lock out a spell school.
+ *
+ * @param {Object} cooldowns - Cooldown map
+ * @param {string} school - Element ID
+ * @param {number} durationMs - Lockout length in milliseconds
+ * @param {number} [now] - Current timestamp
+ * @returns {Object} New cooldown map
+ */
+export function startSchoolLockout(cooldowns, school, durationMs, now = Date.now()) {
+  if (!school || !durationMs || durationMs <= 0) return cooldowns;
+
+  return {
+    ...cooldowns,
+    [getSchoolLockoutKey(school)]: {
+      startedAt: now,
+      endsAt: now + durationMs,
+    },
+  };
+}
+
+/**
+ * Remove finished cooldowns.
+ * Returns the same map if nothing expired (so stores can skip the update).
+ */
+export function pruneCooldowns(cooldowns, now = Date.now()) {
+  let changed = false;
+  const next = {};
+
+  for (const [actionId, entry] of Object.entries(cooldowns)) {
+    if (entry.endsAt > now) {
+      next[actionId] = entry;
+    } else {
+      changed = true;
+    }
+  }
+
+  return changed ? next : cooldowns;
+}
@@ -0,0 +1,179 @@
+/**
+ * =============================================================================
+ * DISPLACEMENT - Dashes, Leaps & Teleports
+ * =============================================================================
+ *
+ * Skills with a `displacement` block move the player when they start:
+ *
+ *   "displacement": {
+ *     "type": "dash",            // dash | leap | teleport
+ *     "direction": "forward",    // forward | backward | target | behind_target
+ *     "distance": 6,             // max travel (world units)
+ *     "duration": 0.25,          // seconds (teleports are instant)
+ *     "height": 0                // leap arc peak
+ *   }
+ *
+ * The player never moves - the WORLD OFFSET does (worldStore). A
+ * displacement cancels the active path, then eases the offset from start
+ * to end over `duration`. The end point is pulled short of solid scenery
+ * (a Rapier shape cast - worldStore.getClearDistance), so you can't dash
+ * through tents. Target directions fall back to forward with no target.
+ *
+ * NO REACT. NO ZUSTAND. PURE LOGIC.
+ */
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+export const DISPLACEMENT_TYPES = Object.freeze({
+  DASH: 'dash',
+  LEAP: 'leap',
+  TELEPORT: 'teleport',
+});
+
+export const DISPLACEMENT_DIRECTIONS = Object.freeze({
+  FORWARD: 'forward',
+  BACKWARD: 'backward',
+  TARGET: 'target',
+  BEHIND_TARGET: 'behind_target',
+});
+
+/**
+ * Defaults for displacement blocks that omit fields.
+ */
+export const DEFAULT_DISPLACEMENT = Object.freeze({
+  type: DISPLACEMENT_TYPES.DASH,
+  direction: DISPLACEMENT_DIRECTIONS.FORWARD,
+  distance: 6,
+  duration: 0.25,
+  height: 0,
+});
+
+// Leaps without a `height` arc this high
+const DEFAULT_LEAP_HEIGHT = 1.5;
+
+// Gap closers stop this far from the target; behind-target lands this far past it
+export const TARGET_STANDOFF = 1.2;
+
+// Player body for collision sweeps: radius, and height of the sweep (clears low ground props)
+export const PLAYER_SWEEP_RADIUS = 0.4;
+export const PLAYER_SWEEP_HEIGHT = 0.9;
+
+// =============================================================================
+// CONFIG
+// =============================================================================
+
+/**
+ * Resolve an action's displacement with defaults. Null if it has none.
+ */
+export function getDisplacementConfig(action) {
+  const displacement = action?.displacement;
+  if (!displacement) return null;
+
+  const config = { ...DEFAULT_DISPLACEMENT, ...displacement };
+  if (config.type === DISPLACEMENT_TYPES.TELEPORT) config.duration = 0;
+  if (config.type === DISPLACEMENT_TYPES.LEAP && displacement.height === undefined) {
+    config.height = DEFAULT_LEAP_HEIGHT;
+  }
+  if (config.type !== DISPLACEMENT_TYPES.LEAP) config.height = 0;
+  return config;
+}
+
+// =============================================================================
+// END POINT
+// =============================================================================
+
+const lengthXZ = (x, z) => Math.hypot(x, z);
+
+/**
+ * Where a displacement wants to end, before collision.
+ *
+ * @param {Object} config - From getDisplacementConfig
+ * @param {Object} ctx
+ * @param {{x: number, z: number}} ctx.from - Player position (world)
+ * @param {{x: number, z: number}} ctx.facing - Facing direction
+ * @param {{x: number, z: number}|null} ctx.targetPosition - Locked target (world)
+ * @returns {{x: number, z: number}}
+ */
+export function resolveDisplacementEnd(config, { from, facing, targetPosition }) {
+  const { direction, distance } = config;
+  const usesTarget = direction === DISPLACEMENT_DIRECTIONS.TARGET
+    || direction === DISPLACEMENT_DIRECTIONS.BEHIND_TARGET;
+
+  if (usesTarget && targetPosition) {
+    const dx = targetPosition.x - from.x;
+    const dz = targetPosition.z - from.z;
+    const gap = lengthXZ(dx, dz);
+    if (gap > 0) {
+      const travel = direction === DISPLACEMENT_DIRECTIONS.BEHIND_TARGET
+        ? Math.min(distance, gap + TARGET_STANDOFF)
+        : Math.min(distance, Math.max(0, gap - TARGET_STANDOFF));
+      return { x: from.x + (dx / gap) * travel, z: from.z + (dz / gap) * travel };
+    }
+  }
+
+  const facingLength = lengthXZ(facing.x, facing.z) || 1;
+  const sign = direction === DISPLACEMENT_DIRECTIONS.BACKWARD ? -1 : 1;
+  return {
+    x: from.x + (facing.x / facingLength) * distance * sign,
+    z: from.z + (facing.z / facingLength) * distance * sign,
+  };
+}
+
+/**
+ * Pull an end point back to the clear part of the way.
+ *
+ * @param {{x: number, z: number}} from - Start (world)
+ * @param {{x: number, z: number}} to - Wanted end (world)
+ * @param {number} clearDistance - Free travel before scenery (collision sweep)
+ * @returns {{x: number, z: number}}
+ */
+export function clampDisplacementEnd(from, to, clearDistance) {
+  const dx = to.x - from.x;
+  const dz = to.z - from.z;
+  const distance = lengthXZ(dx, dz);
+  if (distance <= clearDistance || distance <= 0) return { x: to.x, z: to.z };
+
+  const t = Math.max(0, clearDistance) / distance;
+  return { x: from.x + dx * t, z: from.z + dz * t };
+}
+
+// =============================================================================
+// MOTION
+// =============================================================================
+
+/**
+ * A displacement in flight.
+ */
+export function createDisplacement(config, from, to, now = Date.now()) {
+  return {
+    type: config.type,
+    from: { x: from.x, z: from.z },
+    to: { x: to.x, z: to.z },
+    height: config.height,
+    startedAt: now,
+    durationMs: config.duration * 1000,
+  };
+}
+
+// Dashes ease out (fast start); leaps keep even ground speed under the arc
+const easeOutQuad = (t) => 1 - (1 - t) * (1 - t);
+
+/**
+ * Player position along a displacement.
+ *
+ * @returns {Object} { x, y, z, done } - y is the leap arc height
+ */
+export function sampleDisplacement(displacement, now = Date.now()) {
+  const { from, to, durationMs } = displacement;
+  const t = durationMs > 0 ? Math.min(1, (now - displacement.startedAt) / durationMs) : 1;
+  const eased = displacement.type === DISPLACEMENT_TYPES.DASH ? easeOutQuad(t) : t;
+
+  return {
+    x: from.x + (to.x - from.x) * eased,
+    y: 4 * displacement.height * t * (1 - t),
+    z: from.z + (to.z - from.z) * eased,
+    done: t >= 1,
+  };
+}
@@ -0,0 +1,178 @@
+/**
+ * =============================================================================
+ * DPS METER - Training Parses
+ * =============================================================================
+ *
+ * Accumulates a "parse": the player's damage against training targets over
+ * one encounter window, plus the healing received and resources (mana,
+ * rage, energy...) spent during it.
+ * The store (stores/dpsMeterStore.js) feeds it from the combat log.
+ *
+ * ENCOUNTER WINDOW:
+ * =================
+ * - Starts on the first player damage against a training target
+ * - Ends PARSE_IDLE_TIMEOUT_MS after the last damage (you stopped attacking)
+ * - Duration runs first hit → last hit, so the idle tail doesn't drag DPS down
+ *
+ * NO REACT. NO ZUSTAND. PURE LOGIC.
+ */
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+// Quiet time (no damage) that ends a parse
+export const PARSE_IDLE_TIMEOUT_MS = 5000;
+
+// Shortest duration used for rates, so one opening hit isn't "1000 DPS"
+const MIN_PARSE_SECONDS = 1;
+
+// Monster tag that marks training targets
+export const TRAINING_TAG = 'training';
+
+// =============================================================================
+// RECORDING
+// =============================================================================
+
+/**
+ * Start an empty parse.
+ *
+ * @param {number} time - Timestamp of the opening hit
+ * @param {Object} [options]
+ * @param {string|null} [options.caster] - Player display name (class), for comparing loadouts
+ * @param {Object} [options.spent] - Resources already spent on the opening cast ({ mana, rage, ... })
+ */
+export function createParse(time, { caster = null, spent = {} } = {}) {
+  return {
+    caster,
+    startedAt: time,
+    lastHitAt: time,
+    endedAt: null,
+    damage: 0,
+    healing: 0,
+    spent,
+    hits: 0,
+    crits: 0,
+    skills: {},
+  };
+}
+
+/**
+ * Record a damage instance.
+ *
+ * @param {Object} parse
+ * @param {Object} hit - { ability, amount, crit, time }
+ * @returns {Object} Updated parse
+ */
+export function recordParseDamage(parse, { ability, amount, crit = false, time }) {
+  const key = ability || 'Other';
+  const skill = parse.skills[key] || { ability: key, damage: 0, hits: 0, crits: 0 };
+  return {
+    ...parse,
+    lastHitAt: Math.max(parse.lastHitAt, time),
+    damage: parse.damage + amount,
+    hits: parse.hits + 1,
+    crits: parse.crits + (crit ? 1 : 0),
+    skills: {
+      ...parse.skills,
+      [key]: {
+        ...skill,
+        damage: skill.damage + amount,
+        hits: skill.hits + 1,
+        crits: skill.crits + (crit ? 1 : 0),
+      },
+    },
+  };
+}
+
+/**
+ * Record healing received by the player.
+ */
+export function recordParseHealing(parse, amount) {
+  return { ...parse, healing: parse.healing + amount };
+}
+
+/**
+ * Add resource costs ({ mana, rage, ... }) to a spent map.
+ */
+export function addSpentResources(spent, costs) {
+  const result = { ...spent };
+  for (const [type, amount] of Object.entries(costs)) {
+    result[type] = (result[type] || 0) + amount;
+  }
+  return result;
+}
+
+/**
+ * Record resources spent on a cast ({ mana, rage, ... }).
+ */
+export function recordParseSpend(parse, costs) {
+  return { ...parse, spent: addSpentResources(parse.spent, costs) };
+}
+
+/**
+ * Check if a running parse has gone quiet long enough to end.
+ */
+export function isParseIdle(parse, now) {
+  return !parse.endedAt && now - parse.lastHitAt >= PARSE_IDLE_TIMEOUT_MS;
+}
+
+/**
+ * Close a parse at its last hit.
+ */
+export function endParse(parse) {
+  return parse.endedAt ? parse : { ...parse, endedAt: parse.lastHitAt };
+}
+
+// =============================================================================
+// REPORT
+// =============================================================================
+
+const ratio = (a, b) => (b > 0 ? a / b : 0);
+
+/**
+ * Summarize a parse (running or ended).
+ *
+ * @param {Object} parse
+ * @param {number} [now] - Current time, for running parses
+ * @returns {Object} { caster, duration, damage, dps, healing, hps, hits, crits, critRate,
+ *   spent: [{ resource, amount, perDamage }], skills: [{ ability, damage, hits, crits, critRate, share, dps }] }
+ */
+export function summarizeParse(parse, now = Date.now()) {
+  const end = parse.endedAt ?? now;
+  const duration = Math.max(MIN_PARSE_SECONDS, (end - parse.startedAt) / 1000);
+
+  const skills = Object.values(parse.skills)
+    .map(skill => ({
+      ...skill,
+      critRate: ratio(skill.crits, skill.hits),
+      share: ratio(skill.damage, parse.damage),
+      dps: skill.damage / duration,
+    }))
+    .sort((a, b) => b.damage - a.damage);
+
+  return {
+    caster: parse.caster,
+    duration,
+    damage: parse.damage,
+    dps: parse.damage / duration,
+    healing: parse.healing,
+    hps: parse.healing / duration,
+    hits: parse.hits,
+    crits: parse.crits,
+    critRate: ratio(parse.crits, parse.hits),
+    spent: Object.entries(parse.spent).map(([resource, amount]) => ({
+      resource,
+      amount,
+      perDamage: ratio(amount, parse.damage),
+    })),
+    skills,
+  };
+}
+
+/**
+ * Check if a monster definition is a training target.
+ */
+export function isTrainingMonster(monster) {
+  return !!monster?.tags?.includes(TRAINING_TAG);
+}
@@ -0,0 +1,194 @@
+/**
+ * =============================================================================
+ * ENCOUNTERS - Spawn Resolution & Wave Sequencing
+ * =============================================================================
+ *
+ * Turns encounter data (encounters.json) into concrete spawns, and runs the
+ * wave sequence. The scene component renders whatever getActiveSpawns()
+ * returns; entity health and respawns stay in entityStore.
+ *
+ * PACKS:
+ * ======
+ * - Packs not referenced by any wave are STATIC: always present, respawning
+ *   on their own timers (pack.respawnDelay, else the monster's)
+ * - Wave packs never respawn - a wave is cleared when all its spawns are dead
+ *
+ * WAVE PHASES:
+ * ============
+ *   waiting   → countdown  player entered the encounter area
+ *   countdown → active     wave delay elapsed
+ *   active    → countdown  wave cleared, more waves left
+ *   active    → complete   last wave cleared (→ waiting again if loopWaves)
+ *
+ * The first clear of the last wave pays the encounter's `xpReward`; later
+ * loops (loopWaves) replay for practice and pay nothing.
+ *
+ * NO REACT. NO ZUSTAND. PURE LOGIC.
+ */
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+export const ENCOUNTER_PHASES = Object.freeze({
+  WAITING: 'waiting',
+  COUNTDOWN: 'countdown',
+  ACTIVE: 'active',
+  COMPLETE: 'complete',
+});
+
+// =============================================================================
+// SPAWNS
+// =============================================================================
+
+/**
+ * Map pack ID → wave index for an encounter.
+ */
+function getWaveIndexByPack(encounter) {
+  const byPack = new Map();
+  (encounter.waves || []).forEach((wave, index) => {
+    for (const packId of wave.packs) byPack.set(packId, index);
+  });
+  return byPack;
+}
+
+/**
+ * Resolve every spawn in an encounter to a concrete descriptor.
+ *
+ * @param {Object} encounter - Encounter definition
+ * @returns {Array} [{ id, monsterId, packId, wave, position, rotation, respawnDelay }]
+ *   wave is null for static packs. respawnDelay is undefined when the
+ *   monster's own value should be used.
+ */
+export function getEncounterSpawns(encounter) {
+  if (!encounter) return [];
+
+  const points = new Map(encounter.spawnPoints.map(p => [p.id, p]));
+  const waveByPack = getWaveIndexByPack(encounter);
+  const spawns = [];
+
+  for (const pack of encounter.packs) {
+    const wave = waveByPack.has(pack.id) ? waveByPack.get(pack.id) : null;
+
+    pack.spawns.forEach((spawn, index) => {
+      const point = points.get(spawn.spawnPoint);
+      if (!point) return;
+
+      spawns.push({
+        id: spawn.id || `${encounter.id}_${pack.id}_${index}`,
+        monsterId: spawn.monster,
+        packId: pack.id,
+        wave,
+        position: point.position,
+        rotation: point.rotation ?? 0,
+        respawnDelay: wave !== null ? null : pack.respawnDelay,
+      });
+    });
+  }
+
+  return spawns;
+}
+
+/**
+ * Get the spawns that should currently exist.
+ *
+ * @param {Array} spawns - From getEncounterSpawns
+ * @param {Object} state - Encounter state
+ */
+export function getActiveSpawns(spawns, state) {
+  return spawns.filter(spawn =>
+    spawn.wave === null ||
+    (state.phase === ENCOUNTER_PHASES.ACTIVE && spawn.wave === state.waveIndex)
+  );
+}
+
+/**
+ * Check if a world position is inside the encounter's activation area.
+ */
+export function isInEncounterArea(encounter, position) {
+  if (!encounter?.area) return false;
+  const [cx, , cz] = encounter.area.center;
+  return Math.hypot(position.x - cx, position.z - cz) <= encounter.area.radius;
+}
+
+// =============================================================================
+// WAVE STATE
+// =============================================================================
+
+/**
+ * Create the initial wave state.
+ * cycle counts completed loops so re-used spawns can be remounted fresh.
+ */
+export function createEncounterState() {
+  return {
+    phase: ENCOUNTER_PHASES.WAITING,
+    waveIndex: 0,
+    timer: 0,
+    cycle: 0,
+  };
+}
+
+/**
+ * Advance the wave sequence.
+ * Returns the same object when nothing changed.
+ *
+ * @param {Object} state - Current encounter state
+ * @param {Object} encounter - Encounter definition
+ * @param {Object} ctx
+ * @param {boolean} ctx.playerInArea - Player is inside encounter.area
+ * @param {boolean} ctx.waveCleared - Every spawn of the active wave is dead
+ * @param {number} ctx.dt - Seconds since last update
+ */
+export function updateEncounterState(state, encounter, { playerInArea, waveCleared, dt }) {
+  const waves = encounter.waves || [];
+  if (waves.length === 0) return state;
+
+  switch (state.phase) {
+    case ENCOUNTER_PHASES.WAITING:
+      if (!playerInArea) return state;
+      return {
+        ...state,
+        phase: ENCOUNTER_PHASES.COUNTDOWN,
+        waveIndex: 0,
+        timer: waves[0].delay ?? 0,
+      };
+
+    case ENCOUNTER_PHASES.COUNTDOWN: {
+      const timer = state.timer - dt;
+      if (timer > 0) return { ...state, timer };
+      return { ...state, phase: ENCOUNTER_PHASES.ACTIVE, timer: 0 };
+    }
+
+    case ENCOUNTER_PHASES.ACTIVE: {
+      if (!waveCleared) return state;
+      const nextIndex = state.waveIndex + 1;
+      if (nextIndex < waves.length) {
+        return {
+          ...state,
+          phase: ENCOUNTER_PHASES.COUNTDOWN,
+          waveIndex: nextIndex,
+          timer: waves[nextIndex].delay ?? 0,
+        };
+      }
+      return encounter.loopWaves
+        ? { ...createEncounterState(), cycle: state.cycle + 1 }
+        : { ...state, phase: ENCOUNTER_PHASES.COMPLETE };
+    }
+
+    default:
+      return state;
+  }
+}
+
+/**
+ * Check if an update just cleared the last wave for the first time
+ * (completing the encounter, or finishing its first loop). Later loops
+ * don't count, so a looping encounter can't be farmed for its reward.
+ *
+ * @param {Object} prev - State before updateEncounterState
+ * @param {Object} next - State after it
+ */
+export function isFirstEncounterClear(prev, next) {
+  return prev.phase === ENCOUNTER_PHASES.ACTIVE && prev.cycle === 0 &&
+    (next.phase === ENCOUNTER_PHASES.COMPLETE || next.cycle !== prev.cycle);
+}
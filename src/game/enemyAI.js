@@ -0,0 +1,214 @@
+/**
+ * =============================================================================
+ * ENEMY AI - Aggro / Chase / Attack / Leash State Machine
+ * =============================================================================
+ *
+ * Pure decision logic for hostile monsters. Each frame the driver passes in
+ * positions and elapsed time; the brain returns its next state plus
+ * INTENTS (move somewhere, repath, attack, reset). The driver owns
+ * pathfinding, movement and applying damage.
+ *
+ * STATES:
+ * =======
+ *   idle   → aggro   player within aggroRadius (or monster was hit)
+ *   aggro  → chase   after aggroDelay (brief "noticed you" pause)
+ *   chase  → attack  within attack range
+ *   attack → chase   player stepped out of range
+ *   any    → leash   dragged past leashRadius from spawn, or player gone
+ *   leash  → idle    back at spawn (health resets - no kiting exploits)
+ *   any    → dead    health reached 0 (driver calls resetEnemyBrain on respawn)
+ *
+ * STEALTH:
+ * ========
+ * A stealthed player (game/stealth.js) is never noticed, and engaged
+ * monsters lose aggro and leash home. Hitting a monster still aggros it.
+ *
+ * KICKS:
+ * ======
+ * Monsters with a `kick` ability (game/interrupts.js) kick the player's cast
+ * whenever they are engaged (chase/attack), in kick range and off cooldown.
+ *
+ * NO REACT. NO ZUSTAND. PURE LOGIC.
+ */
+
+import { getKickConfig } from './interrupts';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+export const ENEMY_STATES = Object.freeze({
+  IDLE: 'idle',
+  AGGRO: 'aggro',
+  CHASE: 'chase',
+  ATTACK: 'attack',
+  LEASH: 'leash',
+  DEAD: 'dead',
+});
+
+/**
+ * Defaults for monsters that omit `ai` fields.
+ */
+export const DEFAULT_AI = Object.freeze({
+  aggroRadius: 8,
+  leashRadius: 16,
+  aggroDelay: 0.5,
+  repathInterval: 0.5,
+});
+
+// Attack range is padded before dropping back to chase (prevents flicker)
+const ATTACK_RANGE_HYSTERESIS = 1.15;
+
+// Distance to spawn that counts as "home" when leashing
+const HOME_THRESHOLD = 0.3;
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+const distanceXZ = (a, b) => Math.hypot(a.x - b.x, a.z - b.z);
+
+/**
+ * Resolve a monster's AI tuning with defaults.
+ */
+export function getAIConfig(monster) {
+  return { ...DEFAULT_AI, ...(monster?.ai || {}) };
+}
+
+// =============================================================================
+// BRAIN
+// =============================================================================
+
+/**
+ * Create a fresh brain for a monster at its spawn point.
+ *
+ * @param {{x: number, z: number}} spawn - Spawn position (world)
+ */
+export function createEnemyBrain(spawn) {
+  return {
+    state: ENEMY_STATES.IDLE,
+    stateTime: 0,
+    attackTimer: 0,
+    kickTimer: 0,
+    repathTimer: 0,
+    spawn: { x: spawn.x, z: spawn.z },
+  };
+}
+
+/**
+ * Reset a brain after respawn.
+ */
+export function resetEnemyBrain(brain) {
+  return createEnemyBrain(brain.spawn);
+}
+
+const enter = (brain, state) => ({ ...brain, state, stateTime: 0, repathTimer: 0 });
+
+/**
+ * Advance the brain by one frame.
+ *
+ * @param {Object} brain - Current brain
+ * @param {Object} monster - Monster definition (monsters.json)
+ * @param {Object} ctx
+ * @param {{x: number, z: number}} ctx.position - Monster position (world)
+ * @param {{x: number, z: number}} ctx.playerPosition - Player position (world)
+ * @param {boolean} ctx.playerTargetable - False if the player is dead/untargetable
+ * @param {boolean} ctx.isDead - Monster health is 0
+ * @param {boolean} ctx.wasHit - Monster took damage since the last frame
+ * @param {boolean} [ctx.playerCasting] - Player is mid-cast or channeling (kickable)
+ * @param {boolean} [ctx.playerStealthed] - Player is in stealth (can't be noticed)
+ * @param {number} ctx.dt - Seconds since last frame
+ * @returns {Object} { brain, intent: { moveTo, repath, attack, kick, resetHealth } }
+ */
+export function updateEnemyBrain(brain, monster, ctx) {
+  const ai = getAIConfig(monster);
+  const attackRange = monster.attack?.range ?? 1.5;
+  const kick = getKickConfig(monster);
+  const intent = { moveTo: null, repath: false, attack: false, kick: false, resetHealth: false };
+
+  let next = { ...brain, stateTime: brain.stateTime + ctx.dt };
+
+  // Death overrides everything
+  if (ctx.isDead) {
+    if (next.state !== ENEMY_STATES.DEAD) next = enter(next, ENEMY_STATES.DEAD);
+    return { brain: next, intent };
+  }
+  if (next.state === ENEMY_STATES.DEAD) return { brain: next, intent };
+
+  const toPlayer = distanceXZ(ctx.position, ctx.playerPosition);
+  const fromSpawn = distanceXZ(ctx.position, next.spawn);
+  const shouldLeash = fromSpawn > ai.leashRadius || !ctx.playerTargetable
+    || (ctx.playerStealthed && !ctx.wasHit);
+  const noticesPlayer = ctx.wasHit || (toPlayer <= ai.aggroRadius && !ctx.playerStealthed);
+
+  switch (next.state) {
+    case ENEMY_STATES.IDLE:
+      if (ctx.playerTargetable && noticesPlayer) {
+        next = enter(next, ENEMY_STATES.AGGRO);
+      }
+      break;
+
+    case ENEMY_STATES.AGGRO:
+      if (shouldLeash) {
+        next = enter(next, ENEMY_STATES.LEASH);
+      } else if (next.stateTime >= ai.aggroDelay) {
+        next = enter(next, toPlayer <= attackRange ? ENEMY_STATES.ATTACK : ENEMY_STATES.CHASE);
+      }
+      break;
+
+    case ENEMY_STATES.CHASE:
+      if (shouldLeash) {
+        next = enter(next, ENEMY_STATES.LEASH);
+      } else if (toPlayer <= attackRange) {
+        next = enter(next, ENEMY_STATES.ATTACK);
+      }
+      break;
+
+    case ENEMY_STATES.ATTACK:
+      if (shouldLeash) {
+        next = enter(next, ENEMY_STATES.LEASH);
+      } else if (toPlayer > attackRange * ATTACK_RANGE_HYSTERESIS) {
+        next = enter(next, ENEMY_STATES.CHASE);
+      }
+      break;
+
+    case ENEMY_STATES.LEASH:
+      if (fromSpawn <= HOME_THRESHOLD) {
+        next = enter(next, ENEMY_STATES.IDLE);
+        intent.resetHealth = true;
+      }
+      break;
+
+    default:
+      break;
+  }
+
+  // Per-state intents
+  if (next.state === ENEMY_STATES.CHASE || next.state === ENEMY_STATES.LEASH) {
+    intent.moveTo = next.state === ENEMY_STATES.CHASE ? 'player' : 'spawn';
+    next.repathTimer -= ctx.dt;
+    if (next.repathTimer <= 0) {
+      intent.repath = true;
+      next.repathTimer = ai.repathInterval;
+    }
+  }
+
+  // Swing timer runs down in every living state so a fresh ATTACK can swing at once
+  next.attackTimer = Math.max(0, next.attackTimer - ctx.dt);
+  if (next.state === ENEMY_STATES.ATTACK && next.attackTimer <= 0) {
+    intent.attack = true;
+    next.attackTimer = monster.attack?.interval ?? 1.5;
+  }
+
+  // Kick a cast in progress
+  if (kick) {
+    next.kickTimer = Math.max(0, next.kickTimer - ctx.dt);
+    const engaged = next.state === ENEMY_STATES.CHASE || next.state === ENEMY_STATES.ATTACK;
+    if (engaged && ctx.playerCasting && toPlayer <= kick.range && next.kickTimer <= 0) {
+      intent.kick = true;
+      next.kickTimer = kick.cooldown;
+    }
+  }
+
+  return { brain: next, intent };
+}
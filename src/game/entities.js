@@ -24,6 +24,8 @@ import {
   getScopedPixiesForClass,
 } from '@/engine/classes';
 import { classOwnsSkill } from './classInstance';
+import { getResourceCosts } from './resources';
+import { isSkillUnlocked } from './experience';
 
 // =============================================================================
 // BUFF TYPE DISPLAY INFO (moved from component)
@@ -50,7 +52,7 @@ export const BUFF_DISPLAY_INFO = Object.freeze({
  * Resolve a skill into render-ready props.
  * 
  * @param {Object} skill - Raw skill data from engine
- * @param {Object} context - Resolution context { slotMap, classInstance }
+ * @param {Object} context - Resolution context { slotMap, classInstance, level }
  * @returns {Object} Render-ready skill props
  */
 export function resolveSkillForRender(skill, context = {}) {
@@ -79,6 +81,7 @@ export function resolveSkillForRender(skill, context = {}) {
     healthCost: skill.healthCost || 0,
     manaPerSecond: skill.manaPerSecond || 0,
     manaGain: skill.manaGain || 0,
+    resourceCosts: getResourceCosts(skill.costs),
     
     // Pre-resolved buff info
     buff: skill.buff ? {
@@ -95,6 +98,10 @@ export function resolveSkillForRender(skill, context = {}) {
     isAssigned: !!assignedSlot,
     assignedSlot,
     
+    // Level gate (no level in context = not gated)
+    requiredLevel: skill.requiredLevel || 1,
+    isLocked: context.level !== undefined && !isSkillUnlocked(skill, context.level),
+    
     // Drag data (pre-packaged)
     dragData: {
       id: skill.id,
@@ -211,7 +218,7 @@ export function resolveConsumableForRender(consumable, context = {}) {
  * Resolve all skills for a class into render-ready list.
  * 
  * @param {ClassInstance} classInstance - The class instance
- * @param {Object} context - Resolution context { slotMap }
+ * @param {Object} context - Resolution context { slotMap, level }
  * @returns {Object[]} Array of render-ready skill props
  */
 export function resolveSkillsForClass(classInstance, context = {}) {
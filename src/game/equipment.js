@@ -0,0 +1,199 @@
+/**
+ * =============================================================================
+ * EQUIPMENT - Items, Slots & Class Restrictions
+ * =============================================================================
+ *
+ * Items (items.json) go into one equipment slot each. Equipment is a plain
+ * map of slot → item ID, saved per class:
+ *
+ *   { "weapon": "apprentice_staff", "chest": "apprentice_robe" }
+ *
+ * What a class can wear comes from its class JSON:
+ * - `allowedWeapons` - weapon and off-hand `weaponType`s (staff, shield, orb...)
+ * - `allowedArmor`   - armor `armorType`s (cloth, leather, mail, plate)
+ * - `primaryWeapon`  - the weapon type the class model holds; equipping one
+ *   shows the `weaponMeshes` on the GLB, anything else hides them
+ *
+ * Rings and trinkets have no type and fit every class. Two-handed weapons
+ * take the off-hand too. Equipped items feed the rest of the game as:
+ * - Stat bonuses (`statModifiers`) - same stats as talents
+ * - Proc graphs (`triggers`) - evaluated with buffs and pixies
+ *
+ * NO REACT. NO ZUSTAND. PURE LOGIC.
+ */
+
+import { getStatById } from '@/engine/loader';
+import { TALENT_STATS } from './talents';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/**
+ * Equipment slots, in paper-doll order.
+ */
+export const EQUIPMENT_SLOTS = Object.freeze([
+  'weapon', 'offhand',
+  'head', 'shoulders', 'chest', 'hands', 'legs', 'feet',
+  'ring', 'trinket',
+]);
+
+/**
+ * Slots that hold weapons (restricted by `allowedWeapons`).
+ */
+export const WEAPON_SLOTS = Object.freeze(['weapon', 'offhand']);
+
+/**
+ * Slots that hold armor (restricted by `allowedArmor`).
+ */
+export const ARMOR_SLOTS = Object.freeze(['head', 'shoulders', 'chest', 'hands', 'legs', 'feet']);
+
+/**
+ * Stats an item can modify (`statModifiers` keys).
+ */
+export const ITEM_STATS = TALENT_STATS;
+
+// =============================================================================
+// RESTRICTIONS
+// =============================================================================
+
+/**
+ * Check whether a class can equip an item.
+ *
+ * @param {Object} classConfig - Class definition (allowedWeapons, allowedArmor)
+ * @param {Object} item - Item from items.json
+ * @param {number} [level] - Character level (skips the level check when omitted)
+ * @returns {ValidationResult}
+ */
+export function canEquipItem(classConfig, item, level) {
+  if (!item) {
+    return { valid: false, reason: 'Unknown item', code: 'UNKNOWN_ITEM' };
+  }
+
+  if (WEAPON_SLOTS.includes(item.slot) && !classConfig?.allowedWeapons?.includes(item.weaponType)) {
+    return {
+      valid: false,
+      reason: `${classConfig?.name || 'This class'} can't use ${item.weaponType || 'that'} weapons`,
+      code: 'WEAPON_TYPE',
+    };
+  }
+
+  if (ARMOR_SLOTS.includes(item.slot) && !classConfig?.allowedArmor?.includes(item.armorType)) {
+    return {
+      valid: false,
+      reason: `${classConfig?.name || 'This class'} can't wear ${item.armorType || 'that'} armor`,
+      code: 'ARMOR_TYPE',
+    };
+  }
+
+  if (level !== undefined && level < (item.requiredLevel || 1)) {
+    return { valid: false, reason: `Requires level ${item.requiredLevel}`, code: 'LEVEL' };
+  }
+
+  return { valid: true };
+}
+
+// =============================================================================
+// EQUIPPING
+// =============================================================================
+
+/**
+ * Put an item in its slot.
+ * Returns a new equipment map (does not mutate the input). A two-handed
+ * weapon clears the off-hand; an off-hand clears a two-handed weapon.
+ *
+ * @param {Object} equipment - Slot → item ID
+ * @param {Object} item - Item to equip
+ * @param {Function} getItem - Item lookup by ID
+ */
+export function equipItem(equipment, item, getItem) {
+  const result = { ...equipment, [item.slot]: item.id };
+
+  if (item.slot === 'weapon' && item.twoHanded) {
+    delete result.offhand;
+  }
+  if (item.slot === 'offhand' && getItem(equipment?.weapon)?.twoHanded) {
+    delete result.weapon;
+  }
+  return result;
+}
+
+/**
+ * Empty a slot. Returns a new equipment map.
+ */
+export function unequipSlot(equipment, slot) {
+  const result = { ...equipment };
+  delete result[slot];
+  return result;
+}
+
+/**
+ * Drop anything a saved equipment map can't hold any more: unknown slots,
+ * removed items, items in the wrong slot and items the class can't use.
+ * Level requirements are not re-checked (gear is kept once earned).
+ */
+export function sanitizeEquipment(classConfig, equipment, getItem) {
+  const result = {};
+  for (const slot of EQUIPMENT_SLOTS) {
+    const item = getItem(equipment?.[slot]);
+    if (item && item.slot === slot && canEquipItem(classConfig, item).valid) {
+      result[slot] = item.id;
+    }
+  }
+  return result;
+}
+
+/**
+ * Equipped items, in slot order.
+ */
+export function getEquippedItems(equipment, getItem) {
+  return EQUIPMENT_SLOTS.map(slot => getItem(equipment?.[slot])).filter(Boolean);
+}
+
+// =============================================================================
+// BONUSES
+// =============================================================================
+
+/**
+ * Sum the stat bonuses of equipped items.
+ *
+ * @returns {Object} Every ITEM_STATS key (0 when unmodified)
+ */
+export function calculateEquipmentBonuses(items) {
+  const totals = Object.fromEntries(ITEM_STATS.map(stat => [stat, 0]));
+  for (const item of items) {
+    for (const [stat, value] of Object.entries(item.statModifiers || {})) {
+      totals[stat] = (totals[stat] || 0) + value;
+    }
+  }
+  return totals;
+}
+
+/**
+ * Tooltip lines for an item's stat modifiers, named from stats.json
+ * (e.g. "+4 Spell Power", "+1% Critical Strike Chance").
+ */
+export function describeStatModifiers(statModifiers) {
+  return Object.entries(statModifiers || {}).map(([stat, value]) => {
+    const definition = getStatById(stat.replace(/[A-Z]/g, c => `_${c.toLowerCase()}`));
+    const isPercent = definition?.type === 'percent';
+    const amount = isPercent ? Math.round(value * 1000) / 10 : value;
+    return `${amount >= 0 ? '+' : ''}${amount}${isPercent ? '%' : ''} ${definition?.name || stat}`;
+  });
+}
+
+// =============================================================================
+// MODEL
+// =============================================================================
+
+/**
+ * Weapon meshes to show on the class model for the equipped weapon.
+ * The GLB's `weaponMeshes` depict the class's `primaryWeapon`, so they show
+ * only while a weapon of that type is equipped.
+ *
+ * @returns {string[]} Mesh names to show (the rest of `weaponMeshes` hide)
+ */
+export function getVisibleWeaponMeshes(classConfig, weapon) {
+  if (!weapon || weapon.weaponType !== classConfig?.primaryWeapon) return [];
+  return classConfig.weaponMeshes || [];
+}
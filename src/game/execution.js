@@ -10,7 +10,8 @@
  */
 
 import { validateSkillExecution } from './validation';
-import { getActionById } from '@/engine/actions';
+import { getActionById, spendActionCosts } from '@/engine/actions';
+import { mitigateDamage } from './combat';
 
 /**
  * @typedef {Object} ExecutionResult
@@ -26,15 +27,19 @@ import { getActionById } from '@/engine/actions';
  * 
  * @param {string} skillId - The skill ID to execute
  * @param {ClassInstance} classInstance - The class instance
- * @param {Object} currentState - Current player state { mana, health, buffs }
+ * @param {Object} currentState - Current player state { mana, health, resources, buffs }
+ *   (resources = secondary pool, e.g. { rage: 40 })
  * @returns {ExecutionResult}
  */
 export function executeSkill(skillId, classInstance, currentState) {
-  // Validate first
-  const validation = validateSkillExecution(skillId, classInstance, {
+  const pool = {
+    ...currentState.resources,
     mana: currentState.mana,
     health: currentState.health,
-  });
+  };
+  
+  // Validate first
+  const validation = validateSkillExecution(skillId, classInstance, pool);
   
   if (!validation.valid) {
     return {
@@ -47,9 +52,11 @@ export function executeSkill(skillId, classInstance, currentState) {
   const action = getActionById(skillId);
   
   // Calculate state changes
+  const { mana, health, ...resources } = spendActionCosts(action, pool);
   const stateChanges = {
-    mana: currentState.mana - (action.manaCost || 0) + (action.manaGain || 0),
-    health: currentState.health - (action.healthCost || 0),
+    mana: mana + (action.manaGain || 0),
+    health,
+    resources,
   };
   
   // Add buff if skill grants one
@@ -97,9 +104,11 @@ export function tickChannel(action, mana, deltaTime) {
 
 /**
  * Calculate damage output for a skill.
+ * With `defenseStats`, the result is mitigated by the defender
+ * (see mitigateDamage in game/combat.js).
  * 
  * @param {Object} action - The action being executed
- * @param {Object} modifiers - Damage modifiers { elementBonus, critMultiplier, etc }
+ * @param {Object} modifiers - Damage modifiers { elementBonus, critMultiplier, defenseStats, etc }
  * @returns {number} Final damage value
  */
 export function calculateDamage(action, modifiers = {}) {
@@ -107,5 +116,8 @@ export function calculateDamage(action, modifiers = {}) {
   const elementBonus = modifiers.elementBonus || 0;
   const critMultiplier = modifiers.isCrit ? (modifiers.critMultiplier || 1.5) : 1;
   
-  return Math.floor(baseDamage * (1 + elementBonus) * critMultiplier);
+  const damage = Math.floor(baseDamage * (1 + elementBonus) * critMultiplier);
+  if (!modifiers.defenseStats) return damage;
+  
+  return mitigateDamage(damage, action.damageElement, modifiers.defenseStats).amount;
 }
@@ -0,0 +1,134 @@
+/**
+ * =============================================================================
+ * EXPERIENCE - Character Levels & Level Gates
+ * =============================================================================
+ *
+ * The player earns experience (XP) from:
+ * - Killing monsters (`xp` in monsters.json)
+ * - Clearing an encounter's last wave (`xpReward` in encounters.json)
+ *
+ * XP is stored as a running total. The level curve (progression/levels.json)
+ * lists the total needed to reach each level; its last entry is the cap.
+ *
+ *   { "level": 2, "xp": 100 }
+ *
+ * Every level above 1 adds the class's `levelGrowth` to its base stats,
+ * and skills with a `requiredLevel` stay locked until it is reached.
+ *
+ * NO REACT. NO ZUSTAND. PURE LOGIC.
+ */
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/**
+ * Where experience came from (combat log / debug output).
+ */
+export const XP_SOURCES = Object.freeze({
+  KILL: 'kill',
+  ENCOUNTER: 'encounter',
+});
+
+// =============================================================================
+// LEVEL CURVE
+// =============================================================================
+
+/**
+ * Highest level on a curve.
+ *
+ * @param {Object[]} levels - [{ level, xp }] sorted by level
+ */
+export function getMaxLevel(levels) {
+  return levels?.[levels.length - 1]?.level ?? 1;
+}
+
+/**
+ * Level reached with a total amount of experience.
+ *
+ * @param {Object[]} levels - [{ level, xp }] sorted by level
+ * @param {number} xp - Total experience
+ */
+export function getLevelForXp(levels, xp) {
+  let level = 1;
+  for (const entry of levels || []) {
+    if (xp >= entry.xp) level = entry.level;
+  }
+  return level;
+}
+
+/**
+ * Progress through the current level, for XP bars.
+ *
+ * @param {Object[]} levels - [{ level, xp }] sorted by level
+ * @param {number} xp - Total experience
+ * @returns {Object} { level, current, required, percent, isMaxLevel }
+ */
+export function getXpProgress(levels, xp) {
+  const level = getLevelForXp(levels, xp);
+  const floor = levels?.find(e => e.level === level)?.xp ?? 0;
+  const next = levels?.find(e => e.level === level + 1);
+
+  if (!next) {
+    return { level, current: 0, required: 0, percent: 100, isMaxLevel: true };
+  }
+
+  const current = xp - floor;
+  const required = next.xp - floor;
+  return { level, current, required, percent: (current / required) * 100, isMaxLevel: false };
+}
+
+/**
+ * Add experience to a running total.
+ * XP past the cap is dropped.
+ *
+ * @param {Object[]} levels - [{ level, xp }] sorted by level
+ * @param {number} xp - Current total experience
+ * @param {number} amount - Experience gained
+ * @returns {Object} { xp, level, levelsGained }
+ */
+export function addExperience(levels, xp, amount) {
+  const before = getLevelForXp(levels, xp);
+  const cap = levels?.[levels.length - 1]?.xp ?? 0;
+  const total = Math.min(cap, xp + Math.max(0, amount));
+  const level = getLevelForXp(levels, total);
+  return { xp: total, level, levelsGained: level - before };
+}
+
+/**
+ * Experience for killing a monster (0 for unknown monsters and training dummies).
+ */
+export function getKillExperience(monster) {
+  return monster?.xp || 0;
+}
+
+// =============================================================================
+// LEVEL BONUSES
+// =============================================================================
+
+/**
+ * Stat bonuses a level grants on top of base stats.
+ *
+ * @param {Object} levelGrowth - Class `levelGrowth` ({ maxHealth: 6, ... } per level)
+ * @param {number} level - Character level
+ * @returns {Object} Growth × (level - 1), per stat
+ */
+export function calculateLevelBonuses(levelGrowth, level) {
+  const levels = Math.max(0, level - 1);
+  const bonuses = {};
+  for (const [stat, value] of Object.entries(levelGrowth || {})) {
+    bonuses[stat] = value * levels;
+  }
+  return bonuses;
+}
+
+// =============================================================================
+// LEVEL GATES
+// =============================================================================
+
+/**
+ * Check if a skill's `requiredLevel` has been reached.
+ */
+export function isSkillUnlocked(action, level) {
+  return level >= (action?.requiredLevel || 1);
+}
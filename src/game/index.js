@@ -25,6 +25,25 @@
  * - Skill validation and execution
  * - Loadout management
  * - Entity resolution
+ * - Combat resolution & damage mitigation
+ * - Cooldown tracking
+ * - Cast pushback & interrupts
+ * - Class secondary resources (rage, energy, chi, focus)
+ * - Combo points (builders & finishers)
+ * - Stealth and skill conditions
+ * - Displacement (dashes, leaps, teleports)
+ * - Channelled skills (tick effects, depletion)
+ * - Triggers (procs from graph event listeners)
+ * - Talent trees (allocation, stat & skill bonuses)
+ * - Experience, levels & level-gated skills
+ * - Equipment (items, slots, class restrictions)
+ * - Enemy AI
+ * - Encounters & waves
+ * - Projectile flight
+ * - Ground targeting
+ * - Floating combat text
+ * - Combat log
+ * - DPS meter (training parses)
  */
 
 // Re-export all game logic modules
@@ -33,3 +52,22 @@ export * from './loadout';
 export * from './validation';
 export * from './execution';
 export * from './entities';
+export * from './combat';
+export * from './cooldowns';
+export * from './interrupts';
+export * from './resources';
+export * from './comboPoints';
+export * from './stealth';
+export * from './displacement';
+export * from './channeling';
+export * from './triggers';
+export * from './talents';
+export * from './experience';
+export * from './equipment';
+export * from './enemyAI';
+export * from './encounters';
+export * from './projectiles';
+export * from './targeting';
+export * from './combatText';
+export * from './combatLog';
+export * from './dpsMeter';
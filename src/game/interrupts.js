@@ -0,0 +1,62 @@
+/**
+ * =============================================================================
+ * INTERRUPTS - Cast Pushback & Enemy Kicks
+ * =============================================================================
+ *
+ * Two ways combat disrupts a player's cast:
+ *
+ * - PUSHBACK: every damaging hit taken while casting sets castProgress
+ *   back by a fixed number of seconds (capped per cast). The cast still
+ *   finishes, just later.
+ * - KICK: monsters with a `kick` ability hard-interrupt the cast and lock
+ *   out its spell school (element) for `lockout` seconds. The lockout is a
+ *   cooldown-map entry (see cooldowns.js).
+ *
+ * NO REACT. NO ZUSTAND. PURE LOGIC.
+ */
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/**
+ * Defaults for monsters whose `kick` block omits fields.
+ */
+export const DEFAULT_KICK = Object.freeze({
+  name: 'Kick',
+  range: 2,
+  cooldown: 10,
+  lockout: 3,
+});
+
+// =============================================================================
+// PUSHBACK
+// =============================================================================
+
+/**
+ * Work out where a cast lands after taking a hit.
+ *
+ * @param {Object} cast
+ * @param {number} cast.progress - Current progress (0-1)
+ * @param {number} cast.duration - Cast length in seconds
+ * @param {number} cast.pushbacks - Pushbacks already taken this cast
+ * @param {Object} rules
+ * @param {number} rules.seconds - Pushback per hit
+ * @param {number} rules.maxPushbacks - Cap per cast
+ * @returns {number|null} New progress, or null if the hit causes no pushback
+ */
+export function calculatePushback({ progress, duration, pushbacks }, { seconds, maxPushbacks }) {
+  if (pushbacks >= maxPushbacks || duration <= 0 || progress <= 0) return null;
+  return Math.max(0, progress - seconds / duration);
+}
+
+// =============================================================================
+// KICKS
+// =============================================================================
+
+/**
+ * Resolve a monster's kick with defaults. Null if it can't kick.
+ */
+export function getKickConfig(monster) {
+  return monster?.kick ? { ...DEFAULT_KICK, ...monster.kick } : null;
+}
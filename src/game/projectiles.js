@@ -0,0 +1,244 @@
+/**
+ * =============================================================================
+ * PROJECTILES - Flight Paths, Homing & Pierce
+ * =============================================================================
+ *
+ * Pure flight logic for every skill projectile. Skills declare a `projectile`
+ * block in skills.json (speed, arc, homing, pierce, impact...) - this module
+ * turns that into per-frame motion. The driver owns collision (Rapier),
+ * damage and VFX.
+ *
+ * FLIGHT MODEL:
+ * =============
+ * - The projectile flies a straight BASE path from its launch point
+ * - `homing` turns the base direction toward the target (radians/second)
+ * - `arc` lifts the visible position above the base path in a parabola
+ *   that peaks halfway to the aim point and returns to it on arrival
+ * - Expires after `range` world units or on touching the ground
+ *
+ * ORIGINS:
+ * ========
+ * - caster: launched from the player's hands toward the aim point
+ * - sky:    dropped onto the aim point from above (meteors)
+ *
+ * NO REACT. NO ZUSTAND. PURE LOGIC.
+ */
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+export const PROJECTILE_MODELS = Object.freeze({
+  ORB: 'orb',
+  SHARD: 'shard',
+  ARROW: 'arrow',
+  METEOR: 'meteor',
+});
+
+export const IMPACT_VFX = Object.freeze({
+  BURST: 'burst',
+  SHATTER: 'shatter',
+  EXPLOSION: 'explosion',
+});
+
+export const PROJECTILE_ORIGINS = Object.freeze({
+  CASTER: 'caster',
+  SKY: 'sky',
+});
+
+/**
+ * Defaults for skills that omit `projectile` fields.
+ */
+export const DEFAULT_PROJECTILE = Object.freeze({
+  model: PROJECTILE_MODELS.ORB,
+  speed: 15,
+  arc: 0,
+  homing: 0,
+  pierce: 0,
+  radius: 0.25,
+  range: 30,
+  count: 1,
+  spread: 0,
+  origin: PROJECTILE_ORIGINS.CASTER,
+  scale: 1,
+  impact: Object.freeze({ vfx: IMPACT_VFX.BURST, radius: 0 }),
+});
+
+// Hand height the caster launches from
+export const LAUNCH_HEIGHT = 1.2;
+
+// Chest height projectiles aim at
+export const AIM_HEIGHT = 1.0;
+
+// Sky-origin projectiles start this high above the aim point...
+const SKY_DROP_HEIGHT = 10;
+
+// ...and this far back toward the caster, so they fall at a slant
+const SKY_DROP_OFFSET = 3;
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+const length = (v) => Math.hypot(v.x, v.y, v.z);
+
+const normalize = (v) => {
+  const len = length(v);
+  return len > 0 ? { x: v.x / len, y: v.y / len, z: v.z / len } : { x: 0, y: 0, z: -1 };
+};
+
+const subtract = (a, b) => ({ x: a.x - b.x, y: a.y - b.y, z: a.z - b.z });
+
+/**
+ * Rotate a direction around the vertical axis.
+ */
+const rotateY = (v, angle) => {
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  return { x: v.x * cos + v.z * sin, y: v.y, z: -v.x * sin + v.z * cos };
+};
+
+/**
+ * Resolve a skill's projectile block with defaults.
+ * Returns null for skills without a projectile.
+ */
+export function getProjectileConfig(projectile) {
+  if (!projectile) return null;
+  return {
+    ...DEFAULT_PROJECTILE,
+    ...projectile,
+    impact: { ...DEFAULT_PROJECTILE.impact, ...(projectile.impact || {}) },
+  };
+}
+
+// =============================================================================
+// LAUNCH
+// =============================================================================
+
+/**
+ * Create the projectiles for one cast.
+ * `count` projectiles are fanned evenly across `spread` degrees.
+ *
+ * @param {Object} config - From getProjectileConfig
+ * @param {Object} launch
+ * @param {{x,y,z}} launch.from - Caster position (feet)
+ * @param {{x,y,z}} launch.to - Aim point
+ * @returns {Array} Projectile flight states
+ */
+export function createProjectileVolley(config, { from, to }) {
+  let start;
+  if (config.origin === PROJECTILE_ORIGINS.SKY) {
+    const back = normalize({ x: from.x - to.x, y: 0, z: from.z - to.z });
+    start = {
+      x: to.x + back.x * SKY_DROP_OFFSET,
+      y: to.y + SKY_DROP_HEIGHT,
+      z: to.z + back.z * SKY_DROP_OFFSET,
+    };
+  } else {
+    start = { x: from.x, y: from.y + LAUNCH_HEIGHT, z: from.z };
+  }
+
+  const toAim = subtract(to, start);
+  const direction = normalize(toAim);
+  const pathLength = length(toAim);
+
+  const count = Math.max(1, config.count);
+  const spread = (config.spread * Math.PI) / 180;
+
+  return Array.from({ length: count }, (_, index) => {
+    const angle = count > 1 ? -spread / 2 + (spread * index) / (count - 1) : 0;
+    return {
+      base: { ...start },
+      position: { ...start },
+      direction: rotateY(direction, angle),
+      pathLength,
+      traveled: 0,
+      hits: [],
+      expired: false,
+    };
+  });
+}
+
+// =============================================================================
+// FLIGHT
+// =============================================================================
+
+/**
+ * Advance a projectile by one frame.
+ *
+ * @param {Object} state - Flight state
+ * @param {Object} config - From getProjectileConfig
+ * @param {Object} ctx
+ * @param {number} ctx.dt - Seconds since last update
+ * @param {{x,y,z}|null} ctx.targetPosition - Homing target (aim height), if any
+ * @returns {Object} Next flight state (expired when out of range or grounded)
+ */
+export function stepProjectile(state, config, { dt, targetPosition }) {
+  if (state.expired) return state;
+
+  let direction = state.direction;
+
+  // Homing: turn toward the target by at most homing * dt radians
+  if (config.homing > 0 && targetPosition) {
+    const desired = normalize(subtract(targetPosition, state.base));
+    const dot = Math.min(1, Math.max(-1,
+      direction.x * desired.x + direction.y * desired.y + direction.z * desired.z
+    ));
+    const angle = Math.acos(dot);
+    if (angle > 1e-4) {
+      const t = Math.min(1, (config.homing * dt) / angle);
+      direction = normalize({
+        x: direction.x + (desired.x - direction.x) * t,
+        y: direction.y + (desired.y - direction.y) * t,
+        z: direction.z + (desired.z - direction.z) * t,
+      });
+    }
+  }
+
+  const step = config.speed * dt;
+  const base = {
+    x: state.base.x + direction.x * step,
+    y: state.base.y + direction.y * step,
+    z: state.base.z + direction.z * step,
+  };
+  const traveled = state.traveled + step;
+
+  // Parabolic lift over the launch → aim stretch
+  const progress = state.pathLength > 0 ? Math.min(1, traveled / state.pathLength) : 1;
+  const lift = config.arc * 4 * progress * (1 - progress);
+  const position = { x: base.x, y: base.y + lift, z: base.z };
+
+  return {
+    ...state,
+    base,
+    position,
+    direction,
+    traveled,
+    expired: traveled >= config.range || position.y <= 0,
+  };
+}
+
+// =============================================================================
+// HITS
+// =============================================================================
+
+/**
+ * Check if a projectile may still hit an entity (each entity once).
+ * Ignores `expired` - a projectile still hits along its final step.
+ */
+export function canProjectileHit(state, entityId) {
+  return !state.hits.includes(entityId);
+}
+
+/**
+ * Record a hit. The projectile passes through `pierce` targets and
+ * expires on the next one.
+ */
+export function registerProjectileHit(state, config, entityId) {
+  const hits = [...state.hits, entityId];
+  return {
+    ...state,
+    hits,
+    expired: state.expired || hits.length > config.pierce,
+  };
+}
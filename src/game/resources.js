@@ -0,0 +1,151 @@
+/**
+ * =============================================================================
+ * RESOURCES - Per-Class Secondary Resources
+ * =============================================================================
+ *
+ * Every class has the mana/health pair. Classes may also declare one
+ * secondary resource in their JSON (`resource` block):
+ *
+ *   "resource": {
+ *     "type": "rage",            // rage | energy | chi | focus
+ *     "max": 100,
+ *     "regen": 0,                // per second, always
+ *     "decay": 4,                // per second, out of combat only
+ *     "gainOnHit": 6,            // per damaging hit dealt
+ *     "gainOnDamageTaken": 0.5   // per point of damage taken
+ *   }
+ *
+ * Skills spend it like any other resource: `"costs": { "rage": 20 }`.
+ * Affordability and spending run on a resource POOL - one object holding
+ * every resource by type ({ mana, health, rage }) - so nothing outside
+ * this module needs to know which class has what.
+ *
+ * NO REACT. NO ZUSTAND. PURE LOGIC.
+ */
+
+import { getClassById } from '@/engine/classes';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/**
+ * Secondary resource types. `startsFull` picks the pool's starting value
+ * (energy/focus refill over time; rage/chi are built up in combat).
+ * `color` tints cost text in tooltips (the orb has its own CSS variant).
+ */
+export const RESOURCE_TYPES = Object.freeze({
+  rage: { id: 'rage', label: 'Rage', color: '#ff5a4a', startsFull: false },
+  energy: { id: 'energy', label: 'Energy', color: '#f0d050', startsFull: true },
+  chi: { id: 'chi', label: 'Chi', color: '#5ee0b0', startsFull: false },
+  focus: { id: 'focus', label: 'Focus', color: '#f0a050', startsFull: true },
+});
+
+// Time since the last hit (dealt or taken) before decay kicks in
+export const OUT_OF_COMBAT_MS = 5000;
+
+// =============================================================================
+// CLASS CONFIG
+// =============================================================================
+
+/**
+ * Normalize a class's `resource` block. Null if the class has none.
+ *
+ * @param {Object} classConfig - Class definition
+ * @returns {Object|null} { type, label, max, regen, decay, gainOnHit, gainOnDamageTaken, startsFull }
+ */
+export function getResourceConfig(classConfig) {
+  const resource = classConfig?.resource;
+  const type = RESOURCE_TYPES[resource?.type];
+  if (!type) return null;
+
+  return {
+    type: type.id,
+    label: type.label,
+    max: resource.max ?? 100,
+    regen: resource.regen ?? 0,
+    decay: resource.decay ?? 0,
+    gainOnHit: resource.gainOnHit ?? 0,
+    gainOnDamageTaken: resource.gainOnDamageTaken ?? 0,
+    startsFull: type.startsFull,
+  };
+}
+
+/**
+ * Resource config for a class ID.
+ */
+export function getResourceConfigForClass(classId) {
+  return getResourceConfig(getClassById(classId));
+}
+
+/**
+ * Fresh secondary pool for a class: { [type]: startingValue } or {}.
+ */
+export function createResourcePool(config) {
+  if (!config) return {};
+  return { [config.type]: config.startsFull ? config.max : 0 };
+}
+
+/**
+ * Pool restored from a save: the saved value for the class's resource
+ * (clamped), or a fresh pool if the save has none.
+ */
+export function restoreResourcePool(config, saved) {
+  if (!config) return {};
+  const value = saved?.[config.type];
+  if (typeof value !== 'number') return createResourcePool(config);
+  return { [config.type]: Math.max(0, Math.min(config.max, value)) };
+}
+
+// =============================================================================
+// CHANGES
+// =============================================================================
+
+/**
+ * Add (or remove) resource, clamped to [0, max].
+ *
+ * @param {Object} pool - Secondary pool ({ [type]: value })
+ * @param {Object|null} config - Class resource config
+ * @param {number} amount - Change (negative to drain)
+ * @returns {Object} Updated pool (same reference if nothing changed)
+ */
+export function adjustResource(pool, config, amount) {
+  if (!config || !amount) return pool;
+  const current = pool[config.type] ?? 0;
+  const next = Math.max(0, Math.min(config.max, current + amount));
+  return next === current ? pool : { ...pool, [config.type]: next };
+}
+
+/**
+ * Regen + out-of-combat decay for one tick.
+ *
+ * @param {Object} pool - Secondary pool
+ * @param {Object|null} config - Class resource config
+ * @param {number} seconds - Tick length
+ * @param {boolean} inCombat - Hit dealt/taken within OUT_OF_COMBAT_MS
+ * @returns {Object} Updated pool
+ */
+export function tickResource(pool, config, seconds, inCombat) {
+  if (!config) return pool;
+  const rate = config.regen - (inCombat ? 0 : config.decay);
+  return adjustResource(pool, config, rate * seconds);
+}
+
+/**
+ * Secondary resource costs for display.
+ *
+ * @param {Object} costs - Action costs by type (see engine getActionCosts)
+ * @returns {Array} [{ type, label, color, amount }]
+ */
+export function getResourceCosts(costs = {}) {
+  return Object.entries(costs)
+    .filter(([type, amount]) => RESOURCE_TYPES[type] && amount > 0)
+    .map(([type, amount]) => ({ ...RESOURCE_TYPES[type], type, amount }));
+}
+
+/**
+ * Check if the player is still in combat.
+ */
+export function isInCombat(lastCombatAt, now = Date.now()) {
+  return lastCombatAt > 0 && now - lastCombatAt < OUT_OF_COMBAT_MS;
+}
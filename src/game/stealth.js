@@ -0,0 +1,92 @@
+/**
+ * =============================================================================
+ * STEALTH - Hidden Player & "From Stealth" Bonuses
+ * =============================================================================
+ *
+ * Stealth is a status with `"category": "stealth"` (statuses.json). While
+ * the player has one:
+ *
+ * - Monsters don't notice them, and engaged monsters lose aggro (enemyAI.js)
+ * - The model renders semi-transparent (STEALTH_OPACITY)
+ * - Movement is slower (the status's `moveSpeed` effect)
+ *
+ * It ends early on the status's `breaksOn` triggers (damage taken, starting
+ * an action - see BREAK_TRIGGERS in config/entities/buffs.js). Actions that
+ * grant stealth don't break it.
+ *
+ * The action that breaks stealth is the OPENER: its skill `conditions` of
+ * type `from_stealth` apply to its hits.
+ *
+ *   "conditions": [
+ *     { "type": "from_stealth", "damageMultiplier": 1.5 }
+ *   ]
+ *
+ * NO REACT. NO ZUSTAND. PURE LOGIC.
+ */
+
+import { getStatusById } from '@/engine/loader';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+export const STEALTH_CATEGORY = 'stealth';
+
+// Player model opacity while stealthed
+export const STEALTH_OPACITY = 0.35;
+
+/**
+ * Skill condition types (skill `conditions[].type`).
+ */
+export const SKILL_CONDITIONS = Object.freeze({
+  FROM_STEALTH: 'from_stealth',
+});
+
+// =============================================================================
+// STEALTH STATE
+// =============================================================================
+
+/**
+ * Check if any active buff is a stealth status.
+ */
+export function isStealthed(buffs) {
+  return buffs.some(b => b.category === STEALTH_CATEGORY);
+}
+
+/**
+ * Check if an action applies stealth (and so doesn't break it).
+ */
+export function grantsStealth(action) {
+  return !!action?.buff && getStatusById(action.buff.id)?.category === STEALTH_CATEGORY;
+}
+
+// =============================================================================
+// SKILL CONDITIONS
+// =============================================================================
+
+/**
+ * Check one skill condition against the action's context.
+ *
+ * @param {Object} condition - { type, ...bonuses }
+ * @param {Object} context - { fromStealth }
+ */
+export function isConditionMet(condition, context) {
+  switch (condition.type) {
+    case SKILL_CONDITIONS.FROM_STEALTH:
+      return !!context.fromStealth;
+    default:
+      return false;
+  }
+}
+
+/**
+ * Damage multiplier from an action's met conditions (1 = no bonus).
+ *
+ * @param {Object} action - Action with `conditions`
+ * @param {Object} context - { fromStealth }
+ */
+export function getConditionDamageMultiplier(action, context) {
+  return (action?.conditions || [])
+    .filter(condition => isConditionMet(condition, context))
+    .reduce((total, condition) => total * (condition.damageMultiplier ?? 1), 1);
+}
@@ -0,0 +1,201 @@
+/**
+ * =============================================================================
+ * TALENTS - Class Talent Trees
+ * =============================================================================
+ *
+ * Each class has one talent tree (talents.json). Points are spent one rank
+ * at a time; a talent unlocks once enough points are in the tree
+ * (`requiredPoints`) and its `requires` talents are learned.
+ *
+ * An allocation is a plain map of talent ID → ranks, saved per class:
+ *
+ *   { "arcane_mind": 3, "arcane_potency": 1 }
+ *
+ * Learned ranks feed the rest of the game as:
+ * - Stat bonuses (`statModifiers` × ranks) - max mana/health, regen,
+ *   spell/attack power, crit and defenses
+ * - Skill damage bonuses (`skillModifiers` × ranks) - multiply the
+ *   skill's base damage before its scaling graph
+ *
+ * Respec clears the allocation; there is no per-rank refund.
+ *
+ * NO REACT. NO ZUSTAND. PURE LOGIC.
+ */
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/**
+ * Stats a talent can modify (`statModifiers` keys).
+ */
+export const TALENT_STATS = Object.freeze([
+  'maxHealth', 'maxMana', 'healthRegen', 'manaRegen',
+  'spellPower', 'attackPower', 'critChance',
+  'armor', 'magicResist', 'damageReduction',
+]);
+
+// =============================================================================
+// ALLOCATION
+// =============================================================================
+
+/**
+ * Find a talent node in a tree.
+ */
+export function getTalentNode(tree, talentId) {
+  return tree?.talents.find(t => t.id === talentId) || null;
+}
+
+/**
+ * Ranks learned in a talent.
+ */
+export function getTalentRanks(allocation, talentId) {
+  return allocation?.[talentId] || 0;
+}
+
+/**
+ * Total points spent in an allocation.
+ */
+export function getPointsSpent(allocation) {
+  return Object.values(allocation || {}).reduce((sum, ranks) => sum + ranks, 0);
+}
+
+/**
+ * Points left to spend.
+ *
+ * @param {Object} tree - Talent tree from talents.json
+ * @param {Object} allocation - Talent ID → ranks
+ * @param {number} [totalPoints] - Points earned (defaults to the tree's `points`)
+ */
+export function getTalentPointsAvailable(tree, allocation, totalPoints = tree?.points ?? 0) {
+  return Math.max(0, totalPoints - getPointsSpent(allocation));
+}
+
+/**
+ * Check whether one more rank can be put into a talent.
+ *
+ * @param {Object} tree - Talent tree
+ * @param {Object} allocation - Talent ID → ranks
+ * @param {string} talentId - Talent to rank up
+ * @param {number} [totalPoints] - Points earned (defaults to the tree's `points`)
+ * @returns {ValidationResult}
+ */
+export function canAllocateTalent(tree, allocation, talentId, totalPoints = tree?.points ?? 0) {
+  const talent = getTalentNode(tree, talentId);
+  if (!talent) {
+    return { valid: false, reason: `Unknown talent: ${talentId}`, code: 'UNKNOWN_TALENT' };
+  }
+
+  if (getTalentRanks(allocation, talentId) >= talent.maxRanks) {
+    return { valid: false, reason: `${talent.name} is already at max rank`, code: 'MAX_RANK' };
+  }
+
+  if (getTalentPointsAvailable(tree, allocation, totalPoints) <= 0) {
+    return { valid: false, reason: 'No talent points available', code: 'NO_POINTS' };
+  }
+
+  const requiredPoints = talent.requiredPoints || 0;
+  if (getPointsSpent(allocation) < requiredPoints) {
+    return {
+      valid: false,
+      reason: `Requires ${requiredPoints} points in ${tree.name}`,
+      code: 'TIER_LOCKED',
+    };
+  }
+
+  for (const req of talent.requires || []) {
+    const needed = req.ranks ?? getTalentNode(tree, req.talent)?.maxRanks ?? 1;
+    if (getTalentRanks(allocation, req.talent) < needed) {
+      const name = getTalentNode(tree, req.talent)?.name || req.talent;
+      return {
+        valid: false,
+        reason: `Requires ${needed} ${needed === 1 ? 'rank' : 'ranks'} in ${name}`,
+        code: 'PREREQUISITE',
+      };
+    }
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Add one rank to a talent.
+ * Returns a new allocation (does not mutate the input), or the same one if
+ * the rank can't be learned.
+ */
+export function allocateTalent(tree, allocation, talentId, totalPoints = tree?.points ?? 0) {
+  if (!canAllocateTalent(tree, allocation, talentId, totalPoints).valid) return allocation;
+  return { ...allocation, [talentId]: getTalentRanks(allocation, talentId) + 1 };
+}
+
+/**
+ * Drop anything a saved allocation can't hold any more: talents removed
+ * from the tree, ranks above max, and points over budget.
+ * Re-learns ranks in tree order so prerequisites still hold.
+ */
+export function sanitizeTalentAllocation(tree, allocation, totalPoints = tree?.points ?? 0) {
+  if (!tree || !allocation) return {};
+
+  let result = {};
+  let progressed = true;
+  while (progressed) {
+    progressed = false;
+    for (const talent of tree.talents) {
+      if (getTalentRanks(result, talent.id) < getTalentRanks(allocation, talent.id)) {
+        const next = allocateTalent(tree, result, talent.id, totalPoints);
+        if (next !== result) {
+          result = next;
+          progressed = true;
+        }
+      }
+    }
+  }
+  return result;
+}
+
+// =============================================================================
+// BONUSES
+// =============================================================================
+
+/**
+ * Sum the stat bonuses of learned talents.
+ *
+ * @returns {Object} Every TALENT_STATS key (0 when unmodified)
+ */
+export function calculateTalentBonuses(tree, allocation) {
+  const totals = Object.fromEntries(TALENT_STATS.map(stat => [stat, 0]));
+  for (const talent of tree?.talents || []) {
+    const ranks = getTalentRanks(allocation, talent.id);
+    if (ranks === 0) continue;
+    for (const [stat, value] of Object.entries(talent.statModifiers || {})) {
+      totals[stat] = (totals[stat] || 0) + value * ranks;
+    }
+  }
+  return totals;
+}
+
+/**
+ * Damage multiplier learned talents give a skill (1 = no bonus).
+ */
+export function getTalentDamageMultiplier(tree, allocation, skillId) {
+  let percent = 0;
+  for (const talent of tree?.talents || []) {
+    const ranks = getTalentRanks(allocation, talent.id);
+    if (ranks === 0) continue;
+    for (const mod of talent.skillModifiers || []) {
+      if (mod.skill === skillId) percent += mod.damagePercent * ranks;
+    }
+  }
+  return 1 + percent / 100;
+}
+
+/**
+ * Add two bonus blocks key by key (e.g. buff totals + talent bonuses).
+ */
+export function addStatBonuses(a = {}, b = {}) {
+  const sum = { ...a };
+  for (const [stat, value] of Object.entries(b)) {
+    sum[stat] = (sum[stat] || 0) + value;
+  }
+  return sum;
+}
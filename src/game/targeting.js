@@ -0,0 +1,84 @@
+/**
+ * =============================================================================
+ * TARGETING - Ground-Targeted Placement
+ * =============================================================================
+ *
+ * Skills with `"targeting": { "type": "ground" }` are aimed at a spot on the
+ * ground instead of the locked target. The player places a reticle
+ * (radius = the skill's area), then confirms; the chosen point rides along
+ * with the cast and the skill lands there.
+ *
+ * NO REACT. NO ZUSTAND. PURE LOGIC.
+ */
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+export const TARGETING_TYPES = Object.freeze({
+  UNIT: 'unit',
+  GROUND: 'ground',
+});
+
+/**
+ * Defaults for ground-targeted skills that omit fields.
+ */
+export const DEFAULT_GROUND_TARGETING = Object.freeze({
+  range: 15,
+});
+
+// Reticle size for skills that don't declare an area
+const DEFAULT_RETICLE_RADIUS = 1.5;
+
+// =============================================================================
+// QUERIES
+// =============================================================================
+
+/**
+ * Check if an action is placed on the ground.
+ */
+export function isGroundTargeted(action) {
+  return action?.targeting?.type === TARGETING_TYPES.GROUND;
+}
+
+/**
+ * Max placement distance from the caster.
+ */
+export function getGroundTargetRange(action) {
+  return action?.targeting?.range ?? DEFAULT_GROUND_TARGETING.range;
+}
+
+/**
+ * Radius of the area a ground-targeted action affects (reticle size).
+ * Prefers the projectile's splash radius, then the damage radius.
+ */
+export function getGroundTargetRadius(action) {
+  return action?.projectile?.impact?.radius
+    || action?.aoeRadius
+    || DEFAULT_RETICLE_RADIUS;
+}
+
+/**
+ * Pull a placement back inside the action's range.
+ *
+ * @param {{x: number, z: number}} origin - Caster world position
+ * @param {{x: number, z: number}} point - Desired world position
+ * @param {number} range - Max distance
+ * @returns {{x: number, z: number}}
+ */
+export function clampGroundTarget(origin, point, range) {
+  const dx = point.x - origin.x;
+  const dz = point.z - origin.z;
+  const distance = Math.hypot(dx, dz);
+  if (distance <= range || distance === 0) return { x: point.x, z: point.z };
+
+  const scale = range / distance;
+  return { x: origin.x + dx * scale, z: origin.z + dz * scale };
+}
+
+/**
+ * Check if a world position is inside a placed area (XZ plane).
+ */
+export function isInGroundTargetArea(point, position, radius) {
+  return Math.hypot(position.x - point.x, position.z - point.z) <= radius;
+}
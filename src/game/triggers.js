@@ -0,0 +1,92 @@
+/**
+ * =============================================================================
+ * TRIGGERS - Procs from Graph Event Listeners
+ * =============================================================================
+ *
+ * Buffs (statuses.json) and pixies (pixes.json) can carry a `triggers` list
+ * of graph IDs. When a combat event happens, every active trigger graph is
+ * evaluated with that event in `context.events`; its `event_listener` nodes
+ * fire, and the `effect` nodes they feed come back as effects for the
+ * runtime (gameStore.applyTriggerEffect) to execute.
+ *
+ *   "triggers": ["proc_crit_mana_refund"]
+ *
+ * Event details are passed as graph inputs (amount, is_crit), so an effect
+ * can scale from them through an edge into its `value` port. Effect nodes
+ * with `params.chance` only fire that often (engine/graph.js).
+ *
+ * NO REACT. NO ZUSTAND. PURE LOGIC.
+ */
+
+import { evaluateGraph } from '@/engine/graph';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/**
+ * Events a trigger graph can listen for (`event_listener` params.event).
+ */
+export const TRIGGER_EVENTS = Object.freeze({
+  HIT: 'on_hit',                       // Player damaged an entity
+  CRIT: 'on_crit',                     // ...with a critical hit
+  KILL: 'on_kill',                     // ...and killed it
+  CAST_COMPLETE: 'on_cast_complete',   // Player finished a cast or attack
+  DAMAGE_TAKEN: 'on_damage_taken',     // Player took damage
+});
+
+/**
+ * Effects a trigger graph can emit (`effect` params.effect).
+ */
+export const TRIGGER_EFFECTS = Object.freeze({
+  RESTORE_MANA: 'restore_mana',       // value = mana
+  RESTORE_HEALTH: 'restore_health',   // value = health
+  GAIN_RESOURCE: 'gain_resource',     // value = class secondary resource
+  APPLY_BUFF: 'apply_buff',           // params.status on the player
+  APPLY_DEBUFF: 'apply_debuff',       // params.status on the entity hit (or the attacker, for damage taken)
+});
+
+// =============================================================================
+// COLLECTION
+// =============================================================================
+
+/**
+ * Gather the trigger graphs carried by active sources (buff instances,
+ * pixie actions). A source contributes one trigger per graph ID.
+ *
+ * @param {Object[]} sources - Anything with a `triggers` array of graph IDs
+ * @returns {Object[]} [{ graphId, source }] - source = display name
+ */
+export function collectTriggers(sources) {
+  const triggers = [];
+  for (const source of sources) {
+    for (const graphId of source?.triggers || []) {
+      triggers.push({ graphId, source: source.name || source.label || source.id });
+    }
+  }
+  return triggers;
+}
+
+// =============================================================================
+// EVALUATION
+// =============================================================================
+
+/**
+ * Evaluate trigger graphs against events that just happened together
+ * (a crit hit is both `on_hit` and `on_crit`).
+ *
+ * @param {Object[]} triggers - From collectTriggers
+ * @param {string[]} events - TRIGGER_EVENTS values
+ * @param {Object} [inputs] - Event details as graph inputs ({ amount, is_crit })
+ * @returns {Object[]} [{ id, value, params, source }] effects to execute, in order
+ */
+export function evaluateTriggers(triggers, events, inputs = {}) {
+  const effects = [];
+  for (const { graphId, source } of triggers) {
+    const result = evaluateGraph(graphId, inputs, { events });
+    for (const effect of result._effects || []) {
+      effects.push({ ...effect, source });
+    }
+  }
+  return effects;
+}
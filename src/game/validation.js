@@ -11,6 +11,7 @@
 
 import { classOwnsSkill } from './classInstance';
 import { getActionById, canAffordAction } from '@/engine/actions';
+import { getCooldownRemaining } from './cooldowns';
 
 /**
  * @typedef {Object} ValidationResult
@@ -19,16 +20,25 @@ import { getActionById, canAffordAction } from '@/engine/actions';
  * @property {string} [code] - Machine-readable error code
  */
 
+/**
+ * @typedef {Object} SkillReach
+ * @property {{x: number, z: number}} casterPosition - Caster world position
+ * @property {{x: number, z: number}|null} targetPosition - Locked target world position
+ * @property {boolean} [hasLineOfSight] - Result of the obstruction ray cast
+ */
+
 /**
  * Validate that a skill can be executed.
- * Checks ownership and resource costs.
+ * Checks ownership, cooldown and resource costs. Range and line of sight
+ * need world positions - see validateSkillReach.
  * 
  * @param {string} skillId - The skill ID to validate
  * @param {ClassInstance} classInstance - The class instance
- * @param {Object} resources - Current player resources { mana, health }
+ * @param {Object} resources - Current resource pool { mana, health, rage, ... }
+ * @param {Object} [cooldowns] - Active cooldown map (see game/cooldowns.js)
  * @returns {ValidationResult}
  */
-export function validateSkillExecution(skillId, classInstance, resources) {
+export function validateSkillExecution(skillId, classInstance, resources, cooldowns = {}) {
   // Check ownership
   if (!classOwnsSkill(classInstance, skillId)) {
     return {
@@ -48,8 +58,18 @@ export function validateSkillExecution(skillId, classInstance, resources) {
     };
   }
   
+  // Check cooldown
+  const remaining = getCooldownRemaining(cooldowns, action.id);
+  if (remaining > 0) {
+    return {
+      valid: false,
+      reason: `${action.label} is on cooldown (${Math.ceil(remaining / 1000)}s)`,
+      code: 'ON_COOLDOWN',
+    };
+  }
+  
   // Check resource costs
-  if (!canAffordAction(action, resources.mana, resources.health)) {
+  if (!canAffordAction(action, resources)) {
     return {
       valid: false,
       reason: `Cannot afford ${action.label}`,
@@ -60,6 +80,41 @@ export function validateSkillExecution(skillId, classInstance, resources) {
   return { valid: true };
 }
 
+/**
+ * Validate that the locked target is within a skill's `range` and, for
+ * skills with `requiresLineOfSight`, not hidden behind scenery.
+ * Skills without a range, and casts with no target, always pass.
+ * 
+ * @param {Object} action - The action being cast
+ * @param {SkillReach} reach - Caster/target positions
+ * @returns {ValidationResult}
+ */
+export function validateSkillReach(action, { casterPosition, targetPosition, hasLineOfSight = true }) {
+  if (!action?.range || !targetPosition) return { valid: true };
+  
+  const distance = Math.hypot(
+    targetPosition.x - casterPosition.x,
+    targetPosition.z - casterPosition.z
+  );
+  if (distance > action.range) {
+    return {
+      valid: false,
+      reason: 'Out of range',
+      code: 'OUT_OF_RANGE',
+    };
+  }
+  
+  if (action.requiresLineOfSight && !hasLineOfSight) {
+    return {
+      valid: false,
+      reason: 'Target not in line of sight',
+      code: 'NO_LINE_OF_SIGHT',
+    };
+  }
+  
+  return { valid: true };
+}
+
 /**
  * Validate a class switch.
  * 
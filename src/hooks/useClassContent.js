@@ -25,7 +25,7 @@
 
 import { useMemo, useEffect } from 'react';
 import { useCurrentClass } from '@/App';
-import { useSlotMap, usePixies } from '@/hooks/useGame';
+import { useSlotMap, usePixies, useExperience } from '@/hooks/useGame';
 import { getClassById } from '@/engine/classes';
 import { getPanelById } from '@/engine/panels';
 import { 
@@ -45,6 +45,7 @@ export function useClassContent() {
   const { classId } = useCurrentClass();
   const { slotMap } = useSlotMap();
   const { collectedPixies } = usePixies();
+  const { level } = useExperience();
   
   // Create class instance (pure game logic)
   const classInstance = useMemo(
@@ -54,8 +55,8 @@ export function useClassContent() {
   
   // Resolution context for the game layer
   const context = useMemo(
-    () => ({ slotMap, collectedPixies }),
-    [slotMap, collectedPixies]
+    () => ({ slotMap, collectedPixies, level }),
+    [slotMap, collectedPixies, level]
   );
   
   // Get pre-resolved, render-ready entities from game layer
@@ -105,11 +106,12 @@ export function useClassContent() {
 export function useClassSkills() {
   const { classId } = useCurrentClass();
   const { slotMap } = useSlotMap();
+  const { level } = useExperience();
   
   return useMemo(() => {
     const classInstance = createClassInstance(classId);
-    return resolveSkillsForClass(classInstance, { slotMap });
-  }, [classId, slotMap]);
+    return resolveSkillsForClass(classInstance, { slotMap, level });
+  }, [classId, slotMap, level]);
 }
 
 /**
@@ -7,12 +7,25 @@
  * They wrap the Zustand store with stable, optimized selectors.
  */
 
-import { useCallback, useMemo, useRef, useEffect } from 'react';
+import { useCallback, useMemo, useRef, useEffect, useState } from 'react';
 import { useShallow } from 'zustand/react/shallow';
-import { useGameStore } from '@/stores/gameStore';
+import { useGameStore, selectCooldown, selectIsDead, selectDiedAt, selectGroundTargeting, selectQuickCastGround, selectCastError, selectLevel, selectExperience, selectLevelUpAt, selectEquipment } from '@/stores/gameStore';
 import { PLAYER_STATES, STATE_ANIMATIONS } from '@/config/stats';
 import { getActionById, getPixies, getPixieActionById, calculatePixieBuffs } from '@/config/actions';
+import { GLOBAL_COOLDOWN_KEY, triggersGlobalCooldown, getSpellSchool, getSchoolLockoutKey } from '@/game/cooldowns';
 import { PIXIE_SLOTS, SKILL_SLOTS, MOUSE_SLOTS, CONSUMABLE_SLOTS, ALL_SLOTS } from '@/config/slots';
+import useCombatLogStore, { selectCombatLogEntries } from '@/stores/combatLogStore';
+import { filterLogEntries } from '@/game/combatLog';
+import useDpsMeterStore, { selectParse } from '@/stores/dpsMeterStore';
+import { summarizeParse } from '@/game/dpsMeter';
+import { getResourceConfigForClass } from '@/game/resources';
+import useEntityStore, { selectComboPoints } from '@/stores/entityStore';
+import { MAX_COMBO_POINTS } from '@/game/comboPoints';
+import { getAllowedSkillsForClass, getClassById } from '@/engine/classes';
+import { getSkillById, getTalentTreeForClass, getLevelCurve, getAllItems, getItemById } from '@/engine/loader';
+import { getXpProgress } from '@/game/experience';
+import { canAllocateTalent, getTalentPointsAvailable, getPointsSpent } from '@/game/talents';
+import { EQUIPMENT_SLOTS, canEquipItem } from '@/game/equipment';
 
 // =============================================================================
 // usePlayerState - Main player state hook
@@ -31,10 +44,14 @@ export function usePlayerState() {
     interruptCounter: state.interruptCounter,
     interruptedAction: state.interruptedAction,
     interruptedProgress: state.interruptedProgress,
+    interruptedBy: state.interruptedBy,
     mana: state.mana,
     health: state.health,
+    resources: state.resources,
     buffs: state.buffs,
     castProgress: state.castProgress,
+    castPushback: state.castPushback,
+    channel: state.channel,
     slotMap: state.slotMap,
   })));
   
@@ -110,10 +127,12 @@ export function usePlayerState() {
     interruptCounter: state.interruptCounter,
     interruptedAction: state.interruptedAction,
     interruptedProgress: state.interruptedProgress,
+    interruptedBy: state.interruptedBy,
     
     // Resources
     mana: state.mana,
     health: state.health,
+    resources: state.resources,
     maxMana,
     maxHealth,
     buffs: state.buffs,
@@ -123,6 +142,8 @@ export function usePlayerState() {
     animation,
     castProgress: state.castProgress,
     castProgressRef,
+    castPushback: state.castPushback,
+    channel: state.channel,
     setCastProgress,
     syncCastProgressUI,
     
@@ -375,6 +396,272 @@ export function useActiveClass() {
   };
 }
 
+// =============================================================================
+// useClassResource - Secondary resource (rage, energy, chi, focus)
+// =============================================================================
+
+/**
+ * Hook for the active class's secondary resource.
+ * 
+ * @returns {Object|null} { config, value } or null if the class has none
+ */
+export function useClassResource() {
+  const activeClassId = useGameStore(s => s.activeClassId);
+  const config = useMemo(() => getResourceConfigForClass(activeClassId), [activeClassId]);
+  const value = useGameStore(s => (config ? s.resources[config.type] ?? 0 : 0));
+  
+  return config ? { config, value } : null;
+}
+
+// =============================================================================
+// useTalents - Active class talent tree
+// =============================================================================
+
+/**
+ * Hook for the active class's talent tree and allocation.
+ * 
+ * @returns {Object} { tree, allocation, pointsSpent, pointsAvailable, canAllocate, allocate, respec }
+ */
+export function useTalents() {
+  const activeClassId = useGameStore(s => s.activeClassId);
+  const allocation = useGameStore(s => s.talents);
+  const allocate = useGameStore(s => s.allocateTalent);
+  const respec = useGameStore(s => s.respecTalents);
+  
+  const tree = useMemo(() => getTalentTreeForClass(activeClassId), [activeClassId]);
+  
+  const canAllocate = useCallback(
+    (talentId) => canAllocateTalent(tree, allocation, talentId),
+    [tree, allocation]
+  );
+  
+  return {
+    tree,
+    allocation,
+    pointsSpent: getPointsSpent(allocation),
+    pointsAvailable: getTalentPointsAvailable(tree, allocation),
+    canAllocate,
+    allocate,
+    respec,
+  };
+}
+
+// =============================================================================
+// useEquipment - Equipped items for the active class
+// =============================================================================
+
+/**
+ * Hook for the equipment panel.
+ * `items` lists every item the active class can wear (level aside);
+ * `canEquip` adds the level check.
+ * 
+ * @returns {Object} { equipment, equipped, items, canEquip, equip, unequip }
+ */
+export function useEquipment() {
+  const activeClassId = useGameStore(s => s.activeClassId);
+  const equipment = useGameStore(selectEquipment);
+  const level = useGameStore(selectLevel);
+  const equip = useGameStore(s => s.equipItem);
+  const unequip = useGameStore(s => s.unequipSlot);
+  
+  const classConfig = useMemo(() => getClassById(activeClassId), [activeClassId]);
+  
+  const items = useMemo(
+    () => getAllItems().filter(item => canEquipItem(classConfig, item).valid),
+    [classConfig]
+  );
+  
+  // Slot -> equipped item
+  const equipped = useMemo(
+    () => Object.fromEntries(EQUIPMENT_SLOTS.map(slot => [slot, getItemById(equipment[slot])])),
+    [equipment]
+  );
+  
+  const canEquip = useCallback(
+    (item) => canEquipItem(classConfig, item, level),
+    [classConfig, level]
+  );
+  
+  return { equipment, equipped, items, canEquip, equip, unequip };
+}
+
+// =============================================================================
+// useExperience - Level & XP progress
+// =============================================================================
+
+/**
+ * Hook for the character level and XP bar.
+ * 
+ * @returns {Object} { level, experience, progress, levelUpAt, gainExperience }
+ */
+export function useExperience() {
+  const level = useGameStore(selectLevel);
+  const experience = useGameStore(selectExperience);
+  const levelUpAt = useGameStore(selectLevelUpAt);
+  const gainExperience = useGameStore(s => s.gainExperience);
+  
+  const progress = useMemo(() => getXpProgress(getLevelCurve()?.levels, experience), [experience]);
+  
+  return { level, experience, progress, levelUpAt, gainExperience };
+}
+
+// =============================================================================
+// useComboPoints - Builder/finisher counter
+// =============================================================================
+
+/**
+ * Hook for the combo point counter.
+ * `enabled` is false for classes with no builder/finisher skills.
+ * 
+ * @returns {Object} { targetId, points, max, enabled }
+ */
+export function useComboPoints() {
+  const activeClassId = useGameStore(s => s.activeClassId);
+  const combo = useEntityStore(selectComboPoints);
+  const enabled = useMemo(
+    () => getAllowedSkillsForClass(activeClassId).some(id => getSkillById(id)?.comboPoints),
+    [activeClassId]
+  );
+  
+  return { targetId: combo.targetId, points: combo.points, max: MAX_COMBO_POINTS, enabled };
+}
+
+// =============================================================================
+// useCooldown - Per-action cooldown hook
+// =============================================================================
+
+/**
+ * Hook to read an action's active cooldown.
+ * Returns the raw { startedAt, endsAt } entry so components can animate
+ * the countdown themselves without re-rendering every frame.
+ * For actions on the GCD or with a locked-out school, whichever entry
+ * ends last is returned.
+ * 
+ * @param {string} actionId - The action ID
+ * @returns {Object|null} Cooldown entry, or null if ready
+ */
+export function useCooldown(actionId) {
+  const { onGcd, school } = useMemo(() => {
+    const action = getActionById(actionId);
+    return { onGcd: triggersGlobalCooldown(action), school: getSpellSchool(action) };
+  }, [actionId]);
+  const own = useGameStore(useMemo(() => selectCooldown(actionId), [actionId]));
+  const global = useGameStore(s => (onGcd ? s.cooldowns[GLOBAL_COOLDOWN_KEY] : null) || null);
+  const lockout = useGameStore(s => (school ? s.cooldowns[getSchoolLockoutKey(school)] : null) || null);
+  
+  return [own, global, lockout].reduce(
+    (latest, entry) => (entry && (!latest || entry.endsAt > latest.endsAt) ? entry : latest),
+    null
+  );
+}
+
+// =============================================================================
+// useDeath - Death state and respawn
+// =============================================================================
+
+/**
+ * Hook for the death overlay.
+ * 
+ * @returns {Object} { isDead, diedAt, respawn }
+ */
+export function useDeath() {
+  const isDead = useGameStore(selectIsDead);
+  const diedAt = useGameStore(selectDiedAt);
+  const respawn = useGameStore(s => s.respawn);
+  
+  return { isDead, diedAt, respawn };
+}
+
+/**
+ * Hook for ground-targeted skill placement (reticle + settings).
+ * 
+ * @returns {Object} { groundTargeting, quickCast, setQuickCast, confirm, cancel }
+ */
+export function useGroundTargeting() {
+  const groundTargeting = useGameStore(selectGroundTargeting);
+  const quickCast = useGameStore(selectQuickCastGround);
+  const setQuickCast = useGameStore(s => s.setQuickCastGround);
+  const confirm = useGameStore(s => s.confirmGroundTarget);
+  const cancel = useGameStore(s => s.cancelGroundTarget);
+  
+  return { groundTargeting, quickCast, setQuickCast, confirm, cancel };
+}
+
+// =============================================================================
+// useCastError - Rejected cast feedback ("Out of range", ...)
+// =============================================================================
+
+// How long a cast error stays on the HUD
+const CAST_ERROR_DURATION_MS = 2000;
+
+/**
+ * Hook for the latest rejected-cast message. Clears itself after a delay.
+ */
+export function useCastError() {
+  const castError = useGameStore(selectCastError);
+  const clearCastError = useGameStore(s => s.clearCastError);
+  
+  useEffect(() => {
+    if (!castError) return;
+    const timer = setTimeout(clearCastError, CAST_ERROR_DURATION_MS);
+    return () => clearTimeout(timer);
+  }, [castError, clearCastError]);
+  
+  return castError;
+}
+
+// =============================================================================
+// useCombatLog - Recorded combat events
+// =============================================================================
+
+/**
+ * Hook for the combat log, narrowed to the enabled event types.
+ * 
+ * @param {Set<string>} enabledTypes - COMBAT_LOG_EVENTS to show
+ */
+export function useCombatLog(enabledTypes) {
+  const allEntries = useCombatLogStore(selectCombatLogEntries);
+  const clear = useCombatLogStore(s => s.clear);
+  
+  const entries = useMemo(
+    () => filterLogEntries(allEntries, enabledTypes),
+    [allEntries, enabledTypes]
+  );
+  
+  return { entries, total: allEntries.length, clear };
+}
+
+// =============================================================================
+// useDpsMeter - Training parse
+// =============================================================================
+
+// Live meter refresh rate while a parse runs
+const DPS_METER_REFRESH_MS = 250;
+
+/**
+ * Hook for the current training parse and its summary.
+ * Re-summarizes on a timer while the parse is running so DPS stays live.
+ */
+export function useDpsMeter() {
+  const parse = useDpsMeterStore(selectParse);
+  const reset = useDpsMeterStore(s => s.reset);
+  const [now, setNow] = useState(() => Date.now());
+  const isRunning = !!parse && !parse.endedAt;
+  
+  useEffect(() => {
+    if (!isRunning) return;
+    const interval = setInterval(() => setNow(Date.now()), DPS_METER_REFRESH_MS);
+    return () => clearInterval(interval);
+  }, [isRunning]);
+  
+  const summary = useMemo(
+    () => (parse ? summarizeParse(parse, Math.max(now, parse.lastHitAt)) : null),
+    [parse, now]
+  );
+  
+  return { parse, summary, isRunning, reset };
+}
+
 // =============================================================================
 // Direct store access for animation loops
 // =============================================================================
@@ -7,17 +7,18 @@
  * - Action resolution from slotMap
  * - Keybind display
  * - Affordability check
+ * - Cooldown state
  * - Tooltip generation
  * 
  * This DRYs up the slot rendering logic in App.jsx.
  */
 
 import { useMemo } from 'react';
-import { usePlayerState, useSlotMap } from '@/hooks/useGame';
+import { usePlayerState, useSlotMap, useCooldown } from '@/hooks/useGame';
 import { useKeyMap } from '@/hooks/useKeyMap';
 import { useInput } from '@/hooks/useInput';
 import { useActionButton } from '@/hooks/useInput';
-import { getElementForAction } from '@/config/actions';
+import { getElementForAction, canAffordAction, getActionCosts } from '@/config/actions';
 
 // =============================================================================
 // HELPERS
@@ -35,9 +36,11 @@ export function buildTooltip(action) {
     element,
     description: action.description,
     manaCost: action.manaCost,
+    costs: getActionCosts(action),
     manaGain: action.manaGain,
     manaPerSecond: action.manaPerSecond,
     healthCost: action.healthCost,
+    cooldown: action.cooldown,
     buff: action.buff,
   };
 }
@@ -50,19 +53,9 @@ export function buildTooltip(action) {
  * Hook to check if player can afford an action.
  */
 export function useCanAffordAction(action) {
-  const { mana, health } = usePlayerState();
+  const { mana, health, resources } = usePlayerState();
   
-  if (!action) return false;
-  
-  const manaCost = action.manaCost ?? 0;
-  const healthCost = action.healthCost ?? 0;
-  const manaPerSecond = action.manaPerSecond ?? 0;
-  
-  const requiredMana = manaCost > 0 ? manaCost : manaPerSecond > 0 ? 1 : 0;
-  const hasEnoughMana = mana >= requiredMana;
-  const hasEnoughHealth = healthCost > 0 ? health > healthCost : true;
-  
-  return hasEnoughMana && hasEnoughHealth;
+  return canAffordAction(action, { ...resources, mana, health });
 }
 
 /**
@@ -79,6 +72,7 @@ export function useSlotButton(slotId) {
   const action = getActionObjectForSlot(slotId);
   const { active, handlers } = useActionButton(action?.id, slotId);
   const canAfford = useCanAffordAction(action);
+  const cooldown = useCooldown(action?.id);
   
   // Slot should only be disabled if it has an action the player can't afford
   const isDisabled = action && !canAfford;
@@ -93,6 +87,7 @@ export function useSlotButton(slotId) {
     active,
     disabled: isDisabled,
     tooltip,
+    cooldown,
     handlers,
   };
 }
@@ -111,6 +106,7 @@ export function useMouseSlotButton(slotId) {
   
   const action = getActionObjectForSlot(slotId);
   const canAfford = useCanAffordAction(action);
+  const cooldown = useCooldown(action?.id);
   const active = isSlotActive(slotId);
   
   // Slot should only be disabled if it has an action the player can't afford
@@ -126,6 +122,7 @@ export function useMouseSlotButton(slotId) {
     active,
     disabled: isDisabled,
     tooltip,
+    cooldown,
     handlers: {}, // Mouse slots don't have keyboard handlers
   };
 }
@@ -41,8 +41,7 @@ const COMPONENT_REGISTRY = {
   'consumable-card': () => import('@/components/Consumables').then(m => m.ConsumableCard),
   
   // Effects (3D)
-  'projectile-ice': () => import('@/components/IceShard').then(m => m.default),
-  'projectile-fire': () => import('@/components/Meteor').then(m => m.default),
+  'projectile': () => import('@/components/Projectiles').then(m => m.default),
   'effect-shield': () => import('@/components/ManaShield').then(m => m.default),
   'effect-heal': () => import('@/components/HealingParticles').then(m => m.default),
   
@@ -0,0 +1,103 @@
+/**
+ * =============================================================================
+ * COMBAT LOG STORE - RECORDED COMBAT EVENTS
+ * =============================================================================
+ *
+ * Keeps the most recent combat log entries for the Combat Log drawer.
+ *
+ * KEY CONCEPTS:
+ * =============
+ * - gameStore / entityStore report events with logCombatEvent() using
+ *   actor IDs ('player' or an entity ID); names are resolved here so the
+ *   log reads the same no matter which store reported
+ * - Entry shape, filtering and JSON/CSV export live in game/combatLog.js
+ * - Capped at MAX_COMBAT_LOG_ENTRIES (oldest dropped)
+ */
+
+import { create } from 'zustand';
+import { subscribeWithSelector } from 'zustand/middleware';
+import { COMBAT_LOG_EVENTS, createLogEntry, appendLogEntry } from '@/game/combatLog';
+import { getClassById } from '@/engine/classes';
+import useEntityStore from '@/stores/entityStore';
+import { useGameStore } from '@/stores/gameStore';
+
+export const PLAYER_ACTOR_ID = 'player';
+
+let nextId = 1;
+
+/**
+ * Display name for an actor ID - the player's class name, or the entity's.
+ */
+const resolveActorName = (actorId) => {
+  if (!actorId) return null;
+  if (actorId === PLAYER_ACTOR_ID) {
+    return getClassById(useGameStore.getState().activeClassId)?.name || 'Player';
+  }
+  return useEntityStore.getState().entities[actorId]?.name || actorId;
+};
+
+const useCombatLogStore = create(
+  subscribeWithSelector((set) => ({
+    // Log entries, oldest first (see game/combatLog.js)
+    entries: [],
+
+    /**
+     * Record an entry.
+     *
+     * @param {Object} event - { type, sourceId, targetId, ability, actionId, amount, element, crit }
+     */
+    log: (event) => {
+      const entry = createLogEntry({
+        ...event,
+        source: resolveActorName(event.sourceId),
+        target: resolveActorName(event.targetId),
+      }, { id: nextId++ });
+      set(state => ({ entries: appendLogEntry(state.entries, entry) }));
+    },
+
+    clear: () => set({ entries: [] }),
+  }))
+);
+
+// =============================================================================
+// DIRECT ACCESS (for stores / non-React code)
+// =============================================================================
+
+/**
+ * Record a combat event.
+ *
+ * @param {Object} event - { type, sourceId, targetId, ability, actionId, amount, element, crit }
+ */
+export const logCombatEvent = (event) => useCombatLogStore.getState().log(event);
+
+/**
+ * Log periodic DoT/HoT ticks and expired statuses on one actor.
+ *
+ * @param {string} targetId - Actor the statuses are on
+ * @param {Object} ticked - Result of tickBuffs
+ * @param {Object[]} remaining - Statuses left after removeExpiredBuffs
+ */
+export const logStatusTicks = (targetId, ticked, remaining) => {
+  const nameOf = (id) => ticked.buffs.find(b => b.id === id)?.name || id;
+  for (const tick of ticked.ticks) {
+    if (tick.healing > 0) {
+      logCombatEvent({ type: COMBAT_LOG_EVENTS.HEAL, sourceId: tick.sourceId, targetId, ability: nameOf(tick.id), amount: tick.healing });
+    }
+    if (tick.damage > 0) {
+      logCombatEvent({ type: COMBAT_LOG_EVENTS.DAMAGE, sourceId: tick.sourceId, targetId, ability: nameOf(tick.id), amount: tick.damage });
+    }
+  }
+  for (const buff of ticked.buffs) {
+    if (!remaining.includes(buff)) {
+      logCombatEvent({ type: COMBAT_LOG_EVENTS.BUFF_EXPIRED, sourceId: buff.sourceId, targetId, ability: buff.name });
+    }
+  }
+};
+
+// =============================================================================
+// SELECTORS
+// =============================================================================
+
+export const selectCombatLogEntries = (state) => state.entries;
+
+export default useCombatLogStore;
@@ -0,0 +1,153 @@
+/**
+ * =============================================================================
+ * DPS METER STORE - TRAINING PARSE STATE
+ * =============================================================================
+ *
+ * Holds the current (or last finished) training parse for the DPS meter.
+ *
+ * KEY CONCEPTS:
+ * =============
+ * - Fed entirely by the combat log: every new log entry is offered to
+ *   handleLogEntry, so the meter sees exactly what the log records
+ *   (direct hits, DoT ticks, heals, casts)
+ * - Only the player's damage against training-tagged monsters counts
+ * - Parse math (window, DPS, breakdown) lives in game/dpsMeter.js
+ * - A running parse with endedAt set is the session report shown until
+ *   the next hit or a reset
+ */
+
+import { create } from 'zustand';
+import { subscribeWithSelector } from 'zustand/middleware';
+import {
+  PARSE_IDLE_TIMEOUT_MS,
+  createParse,
+  recordParseDamage,
+  recordParseHealing,
+  recordParseSpend,
+  addSpentResources,
+  isParseIdle,
+  endParse,
+  isTrainingMonster,
+} from '@/game/dpsMeter';
+import { COMBAT_LOG_EVENTS } from '@/game/combatLog';
+import { getActionById, getActionCosts } from '@/config/actions';
+import { getMonsterById } from '@/engine/loader';
+import useEntityStore from '@/stores/entityStore';
+import useCombatLogStore, { selectCombatLogEntries, PLAYER_ACTOR_ID } from '@/stores/combatLogStore';
+
+// How often a running parse is checked for going idle
+const IDLE_CHECK_MS = 500;
+
+/**
+ * Check if an entity is a training target.
+ */
+const isTrainingTarget = (entityId) => {
+  const entity = useEntityStore.getState().entities[entityId];
+  return isTrainingMonster(entity?.monsterId ? getMonsterById(entity.monsterId) : null);
+};
+
+const useDpsMeterStore = create(
+  subscribeWithSelector((set, get) => ({
+    // Current parse, or the finished one (endedAt set) - see game/dpsMeter.js
+    parse: null,
+
+    // Resources spent on casts before the first hit lands: { costs, time }
+    pendingSpend: null,
+
+    /**
+     * Offer a combat log entry to the meter.
+     */
+    handleLogEntry: (entry) => {
+      const { parse, pendingSpend } = get();
+      const running = parse && !parse.endedAt;
+
+      switch (entry.type) {
+        case COMBAT_LOG_EVENTS.CAST_START: {
+          if (entry.sourceId !== PLAYER_ACTOR_ID) return;
+          // Every resource the cast cost except health (mana, rage, energy...)
+          const costs = { ...getActionCosts(getActionById(entry.actionId)) };
+          delete costs.health;
+          if (!Object.values(costs).some(amount => amount > 0)) return;
+          if (running) {
+            set({ parse: recordParseSpend(parse, costs) });
+          } else {
+            // Opening cast - counted if its hit starts a parse
+            const recent = pendingSpend && entry.time - pendingSpend.time < PARSE_IDLE_TIMEOUT_MS;
+            set({ pendingSpend: { costs: addSpentResources(recent ? pendingSpend.costs : {}, costs), time: entry.time } });
+          }
+          return;
+        }
+
+        case COMBAT_LOG_EVENTS.DAMAGE: {
+          if (entry.sourceId !== PLAYER_ACTOR_ID || !isTrainingTarget(entry.targetId)) return;
+          const opening = pendingSpend && entry.time - pendingSpend.time < PARSE_IDLE_TIMEOUT_MS
+            ? pendingSpend.costs
+            : {};
+          const current = running
+            ? parse
+            : createParse(entry.time, { caster: entry.source, spent: opening });
+          set({ parse: recordParseDamage(current, entry), pendingSpend: null });
+
+          if (import.meta.env.DEV && !running) {
+            console.log(`[DPS] Parse started on ${entry.target}`);
+          }
+          return;
+        }
+
+        case COMBAT_LOG_EVENTS.HEAL:
+          if (running && entry.targetId === PLAYER_ACTOR_ID) {
+            set({ parse: recordParseHealing(parse, entry.amount) });
+          }
+          return;
+
+        default:
+          return;
+      }
+    },
+
+    /**
+     * End the running parse once the player stops attacking.
+     */
+    checkIdle: (now = Date.now()) => {
+      const { parse } = get();
+      if (!parse || !isParseIdle(parse, now)) return;
+      set({ parse: endParse(parse) });
+
+      if (import.meta.env.DEV) {
+        console.log(`[DPS] Parse ended - ${parse.damage} damage`);
+      }
+    },
+
+    /**
+     * Drop the current parse / report.
+     */
+    reset: () => set({ parse: null, pendingSpend: null }),
+  }))
+);
+
+// =============================================================================
+// SELECTORS
+// =============================================================================
+
+export const selectParse = (state) => state.parse;
+
+// =============================================================================
+// COMBAT LOG FEED + IDLE CHECK
+// =============================================================================
+
+let lastSeenEntryId = 0;
+
+useCombatLogStore.subscribe(selectCombatLogEntries, (entries) => {
+  const { handleLogEntry } = useDpsMeterStore.getState();
+  for (const entry of entries) {
+    if (entry.id <= lastSeenEntryId) continue;
+    lastSeenEntryId = entry.id;
+    handleLogEntry(entry);
+  }
+});
+
+if (typeof window !== 'undefined') {
+  setInterval(() => useDpsMeterStore.getState().checkIdle(), IDLE_CHECK_MS);
+}
+
+export default useDpsMeterStore;
@@ -0,0 +1,373 @@
+/**
+ * =============================================================================
+ * ENTITY STORE - TARGETABLE ENTITY STATE
+ * =============================================================================
+ *
+ * Holds the live combat state of every targetable non-player entity
+ * (training dummies, and later monsters). The player lives in gameStore.
+ *
+ * KEY CONCEPTS:
+ * =============
+ * - Entities are registered by the scene component that renders them
+ * - Health is owned HERE, not by <Target> props - components subscribe
+ * - lockedTargetId mirrors TargetProvider so non-React code (gameStore)
+ *   knows who a completed cast should hit
+ * - Player combo points sit next to it - they belong to the locked target
+ *   and reset when it changes
+ * - Damage math lives in game/combat.js - this store only applies results
+ * - Entities carry their own statuses (same instances/rules as player buffs
+ *   in config/entities/buffs.js) - DoT ticks feed back into applyDamage
+ * - Moving entities (monsters) write their per-frame position to a mutable
+ *   map instead of the store, so movement never triggers React renders
+ */
+
+import { create } from 'zustand';
+import { subscribeWithSelector } from 'zustand/middleware';
+import { applyDamageToEntity } from '@/game/combat';
+import { COMBAT_TEXT_TYPES } from '@/game/combatText';
+import { emitCombatText } from '@/systems/CombatTextQueue';
+import { COMBAT_LOG_EVENTS } from '@/game/combatLog';
+import { logCombatEvent, logStatusTicks } from '@/stores/combatLogStore';
+import { STATS } from '@/config/stats';
+import { createComboPoints, addComboPoints, getComboPointsOn, retargetComboPoints } from '@/game/comboPoints';
+import { 
+  createBuffInstance, 
+  applyBuffToArray, 
+  removeExpiredBuffs,
+  tickBuffs,
+} from '@/config/entities/buffs';
+
+// =============================================================================
+// RESPAWN TIMERS (not tracked by React)
+// =============================================================================
+
+const respawnTimers = new Map();
+
+const clearRespawnTimer = (entityId) => {
+  const timer = respawnTimers.get(entityId);
+  if (timer) {
+    clearTimeout(timer);
+    respawnTimers.delete(entityId);
+  }
+};
+
+// =============================================================================
+// LIVE POSITIONS (not tracked by React - written every frame by movers)
+// =============================================================================
+
+const entityPositions = new Map();
+
+/**
+ * Get an entity's current world position.
+ * Falls back to the registered spawn position for static entities.
+ *
+ * @returns {{x: number, y: number, z: number}|null}
+ */
+export const getEntityPosition = (entityId) => {
+  const live = entityPositions.get(entityId);
+  if (live) return live;
+  const entity = useEntityStore.getState().entities[entityId];
+  if (!entity) return null;
+  const [x, y, z] = entity.position;
+  return { x, y, z };
+};
+
+/**
+ * Record an entity's current world position (mutates in place).
+ */
+export const setEntityPosition = (entityId, x, y, z) => {
+  const pos = entityPositions.get(entityId);
+  if (pos) {
+    pos.x = x; pos.y = y; pos.z = z;
+  } else {
+    entityPositions.set(entityId, { x, y, z });
+  }
+};
+
+// =============================================================================
+// ENTITY STORE
+// =============================================================================
+
+const useEntityStore = create(
+  subscribeWithSelector((set, get) => ({
+    // Entity snapshots keyed by ID
+    entities: {},
+
+    // Currently locked target (synced from TargetProvider)
+    lockedTargetId: null,
+
+    // Player combo points, bound to one target - see game/comboPoints.js
+    comboPoints: createComboPoints(),
+
+    // ==========================================================================
+    // REGISTRATION
+    // ==========================================================================
+
+    /**
+     * Register a targetable entity.
+     * Re-registering an existing ID keeps its current health.
+     *
+     * @param {Object} def - { id, name, type, level, maxHealth, position, respawnDelay }
+     */
+    registerEntity: (def) => {
+      if (!def?.id) return;
+
+      set(state => {
+        const existing = state.entities[def.id];
+        return {
+          entities: {
+            ...state.entities,
+            [def.id]: {
+              name: def.name || def.id,
+              type: def.type || 'enemy',
+              level: def.level,
+              position: def.position || [0, 0, 0],
+              respawnDelay: def.respawnDelay ?? null,
+              ...def,
+              maxHealth: def.maxHealth,
+              health: existing?.health ?? def.maxHealth,
+              statuses: existing?.statuses ?? [],
+            },
+          },
+        };
+      });
+    },
+
+    /**
+     * Remove an entity (on unmount).
+     */
+    unregisterEntity: (entityId) => {
+      clearRespawnTimer(entityId);
+      entityPositions.delete(entityId);
+      set(state => {
+        if (!state.entities[entityId]) return state;
+        const { [entityId]: _removed, ...rest } = state.entities;
+        return {
+          entities: rest,
+          lockedTargetId: state.lockedTargetId === entityId ? null : state.lockedTargetId,
+          comboPoints: state.comboPoints.targetId === entityId ? createComboPoints() : state.comboPoints,
+        };
+      });
+    },
+
+    // ==========================================================================
+    // TARGETING
+    // ==========================================================================
+
+    // Switching targets drops combo points built on the old one
+    setLockedTarget: (entityId) => set(state => ({
+      lockedTargetId: entityId,
+      comboPoints: retargetComboPoints(state.comboPoints, entityId),
+    })),
+
+    getLockedEntity: () => {
+      const { entities, lockedTargetId } = get();
+      return lockedTargetId ? entities[lockedTargetId] || null : null;
+    },
+
+    // ==========================================================================
+    // COMBO POINTS
+    // ==========================================================================
+
+    /**
+     * Add combo points on a target (a builder hit it).
+     */
+    addComboPoints: (targetId, amount) => {
+      if (!targetId || amount <= 0) return;
+      set(state => ({ comboPoints: addComboPoints(state.comboPoints, targetId, amount) }));
+    },
+
+    /**
+     * Spend every point held on a target (a finisher hit it).
+     *
+     * @returns {number} Points spent
+     */
+    consumeComboPoints: (targetId) => {
+      const points = getComboPointsOn(get().comboPoints, targetId);
+      if (points > 0) set({ comboPoints: createComboPoints() });
+      return points;
+    },
+
+    // ==========================================================================
+    // COMBAT
+    // ==========================================================================
+
+    /**
+     * Apply damage to an entity.
+     * Schedules a respawn if the entity dies and defines respawnDelay.
+     *
+     * @returns {Object|null} { damage, killed } or null if entity is unknown
+     */
+    applyDamage: (entityId, amount) => {
+      const entity = get().entities[entityId];
+      if (!entity) return null;
+
+      const result = applyDamageToEntity(entity, amount);
+      if (result.damage === 0) return { damage: 0, killed: false };
+
+      // Dead entities drop their statuses; lastHitAt lets AI react to being hit
+      const hit = { ...result.entity, lastHitAt: Date.now() };
+      const updatedEntity = result.killed ? { ...hit, statuses: [] } : hit;
+      set(state => ({
+        entities: { ...state.entities, [entityId]: updatedEntity },
+        // Points on a dead target are gone
+        comboPoints: result.killed && state.comboPoints.targetId === entityId
+          ? createComboPoints()
+          : state.comboPoints,
+      }));
+
+      if (result.killed && entity.respawnDelay !== null) {
+        clearRespawnTimer(entityId);
+        respawnTimers.set(entityId, setTimeout(() => {
+          respawnTimers.delete(entityId);
+          get().resetEntity(entityId);
+        }, entity.respawnDelay * 1000));
+      }
+
+      if (import.meta.env.DEV) {
+        console.log(`[COMBAT] ${entity.name} took ${result.damage} damage (${result.entity.health}/${entity.maxHealth})${result.killed ? ' - KILLED' : ''}`);
+      }
+
+      return { damage: result.damage, killed: result.killed };
+    },
+
+    /**
+     * Restore an entity to full health.
+     */
+    resetEntity: (entityId) => {
+      clearRespawnTimer(entityId);
+      set(state => {
+        const entity = state.entities[entityId];
+        if (!entity) return state;
+        return {
+          entities: { ...state.entities, [entityId]: { ...entity, health: entity.maxHealth, statuses: [] } },
+        };
+      });
+    },
+    
+    // ==========================================================================
+    // STATUSES
+    // ==========================================================================
+    
+    /**
+     * Apply a status (buff or debuff) to an entity, honouring stacking rules.
+     * 
+     * @param {string} entityId - Target entity
+     * @param {Object} statusDef - Action buff/debuff object ({ id, duration, stacks })
+     * @param {string} [sourceId] - Who applied it
+     * @returns {boolean} True if applied
+     */
+    applyStatus: (entityId, statusDef, sourceId = null) => {
+      const entity = get().entities[entityId];
+      if (!entity || entity.health <= 0) return false;
+      
+      const instance = createBuffInstance(statusDef, { sourceId });
+      if (!instance) return false;
+      
+      set(state => ({
+        entities: {
+          ...state.entities,
+          [entityId]: { ...entity, statuses: applyBuffToArray(entity.statuses, instance) },
+        },
+      }));
+      
+      emitCombatText({
+        type: COMBAT_TEXT_TYPES.STATUS,
+        label: instance.name,
+        harmful: instance.type === 'debuff',
+      }, entityId);
+      logCombatEvent({
+        type: COMBAT_LOG_EVENTS.BUFF_APPLIED,
+        sourceId,
+        targetId: entityId,
+        ability: instance.name,
+      });
+      
+      if (import.meta.env.DEV) {
+        console.log(`[STATUS] ${instance.name} applied to ${entity.name}`);
+      }
+      
+      return true;
+    },
+    
+    /**
+     * Status tick - runs DoT/HoT ticks and expires statuses on all entities.
+     * Only entities whose statuses changed are updated.
+     */
+    tick: () => {
+      const { entities } = get();
+      
+      for (const entity of Object.values(entities)) {
+        if (!entity.statuses?.length) continue;
+        
+        const ticked = tickBuffs(entity.statuses);
+        const statuses = removeExpiredBuffs(ticked.buffs);
+        logStatusTicks(entity.id, ticked, statuses);
+        
+        if (ticked.buffs !== entity.statuses || statuses.length !== entity.statuses.length) {
+          set(state => ({
+            entities: {
+              ...state.entities,
+              [entity.id]: { ...state.entities[entity.id], statuses },
+            },
+          }));
+        }
+        
+        // Healing first so a HoT can't be undone by ordering
+        if (ticked.healing > 0) {
+          const current = get().entities[entity.id];
+          set(state => ({
+            entities: {
+              ...state.entities,
+              [entity.id]: { ...current, health: Math.min(current.maxHealth, current.health + ticked.healing) },
+            },
+          }));
+          emitCombatText({ type: COMBAT_TEXT_TYPES.HEAL, amount: ticked.healing }, entity.id);
+        }
+        if (ticked.damage > 0) {
+          const result = get().applyDamage(entity.id, ticked.damage);
+          if (result?.damage > 0) {
+            emitCombatText({ type: COMBAT_TEXT_TYPES.DAMAGE, amount: result.damage }, entity.id);
+          }
+        }
+      }
+    },
+  }))
+);
+
+// =============================================================================
+// SELECTORS
+// =============================================================================
+
+export const selectEntities = (state) => state.entities;
+export const selectLockedTargetId = (state) => state.lockedTargetId;
+export const selectComboPoints = (state) => state.comboPoints;
+export const selectEntity = (entityId) => (state) => state.entities[entityId] || null;
+
+// =============================================================================
+// STATUS TICK SETUP
+// =============================================================================
+
+let tickInterval = null;
+
+export const startEntityTick = () => {
+  if (tickInterval) return;
+  tickInterval = setInterval(() => {
+    useEntityStore.getState().tick();
+  }, STATS.REGEN_TICK_MS);
+};
+
+export const stopEntityTick = () => {
+  if (tickInterval) {
+    clearInterval(tickInterval);
+    tickInterval = null;
+  }
+};
+
+// Auto-start tick when module loads
+if (typeof window !== 'undefined') {
+  startEntityTick();
+}
+
+// Export raw store for direct access
+export default useEntityStore;
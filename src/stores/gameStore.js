@@ -30,6 +30,7 @@ import { create } from 'zustand';
 import { subscribeWithSelector } from 'zustand/middleware';
 import { 
   STATS, 
+  DEATH,
   PLAYER_STATES, 
   STATE_ANIMATIONS,
   STATE_TRANSITIONS,
@@ -40,21 +41,119 @@ import {
   getActionById, 
   getFsmAction, 
   canAffordAction,
+  spendActionCosts,
   isChannelAction,
+  isMovementChannel,
   canRecastAction,
   calculatePixieBuffs,
+  getPixieActionById,
 } from '@/config/actions';
 import { 
   createBuffInstance, 
   applyBuffToArray, 
   removeExpiredBuffs,
+  removeBrokenBuffs,
+  tickBuffs,
   calculateBuffTotals,
+  getMoveSpeedMultiplier,
+  BREAK_TRIGGERS,
 } from '@/config/entities/buffs';
 import { DEFAULT_COLLECTED_PIXIES } from '@/config/entities/pixies';
 import { PIXIE_SLOTS, getDefaultSlotMap } from '@/config/slots';
 import { ACHIEVEMENTS } from '@/config/achievements';
-import { getDefaultLoadoutForClass, getAllowedSkillsForClass, getAllAllowedActionsForClass, getClasses, getDefaultClass } from '@/engine/classes';
-import useWorldStore from '@/stores/worldStore';
+import { getDefaultLoadoutForClass, getAllowedSkillsForClass, getAllAllowedActionsForClass, getClasses, getDefaultClass, getLevelGrowthForClass, getClassById, getStartingEquipmentForClass } from '@/engine/classes';
+import useWorldStore, { getPlayerWorldPosition, getFacingDirection, getCursorWorldPosition, hasLineOfSight, getClearDistance } from '@/stores/worldStore';
+import useEntityStore, { getEntityPosition, selectEntities } from '@/stores/entityStore';
+import useSceneStore from '@/stores/sceneStore';
+import useProjectileStore from '@/stores/projectileStore';
+import {
+  getCombatStatsForClass,
+  getDefenseStatsForClass,
+  getDefenseStatsForMonster,
+  resolveSkillDamage,
+  mitigateDamage,
+} from '@/game/combat';
+import { getMonsterById, getTalentTreeForClass, getLevelCurve, getItemById } from '@/engine/loader';
+import { validateSkillReach } from '@/game/validation';
+import { COMBAT_TEXT_TYPES } from '@/game/combatText';
+import { emitCombatText } from '@/systems/CombatTextQueue';
+import { COMBAT_LOG_EVENTS } from '@/game/combatLog';
+import { logCombatEvent, logStatusTicks, PLAYER_ACTOR_ID } from '@/stores/combatLogStore';
+import { getProjectileConfig, createProjectileVolley, AIM_HEIGHT } from '@/game/projectiles';
+import {
+  isGroundTargeted,
+  getGroundTargetRange,
+  getGroundTargetRadius,
+  clampGroundTarget,
+  isInGroundTargetArea,
+} from '@/game/targeting';
+import { 
+  GLOBAL_COOLDOWN_KEY,
+  isOnCooldown, 
+  isBlockedByCooldown,
+  triggersGlobalCooldown,
+  getCooldownRemaining,
+  startCooldown, 
+  startGlobalCooldown,
+  startSchoolLockout,
+  isSchoolLockedOut,
+  getSpellSchool,
+  pruneCooldowns,
+} from '@/game/cooldowns';
+import { calculatePushback } from '@/game/interrupts';
+import { getComboConfig, isComboFinisher, getComboPointsOn } from '@/game/comboPoints';
+import { isStealthed, grantsStealth, getConditionDamageMultiplier } from '@/game/stealth';
+import {
+  getDisplacementConfig,
+  resolveDisplacementEnd,
+  clampDisplacementEnd,
+  createDisplacement,
+  PLAYER_SWEEP_RADIUS,
+  PLAYER_SWEEP_HEIGHT,
+} from '@/game/displacement';
+import {
+  getChannelConfig,
+  isHeldChannel,
+  createChannel,
+  advanceChannel,
+  getChannelRemaining,
+  getChannelRemainingMs,
+  getDrainHealing,
+} from '@/game/channeling';
+import { tickChannel } from '@/game/execution';
+import { TRIGGER_EVENTS, TRIGGER_EFFECTS, collectTriggers, evaluateTriggers } from '@/game/triggers';
+import {
+  allocateTalent as allocateTalentRank,
+  canAllocateTalent,
+  sanitizeTalentAllocation,
+  calculateTalentBonuses,
+  getTalentDamageMultiplier,
+  addStatBonuses,
+} from '@/game/talents';
+import {
+  canEquipItem,
+  equipItem as equipItemInSlot,
+  unequipSlot as unequipItemSlot,
+  sanitizeEquipment,
+  getEquippedItems,
+  calculateEquipmentBonuses,
+} from '@/game/equipment';
+import {
+  XP_SOURCES,
+  addExperience,
+  getLevelForXp,
+  getKillExperience,
+  calculateLevelBonuses,
+  isSkillUnlocked,
+} from '@/game/experience';
+import {
+  getResourceConfigForClass,
+  createResourcePool,
+  restoreResourcePool,
+  adjustResource,
+  tickResource,
+  isInCombat,
+} from '@/game/resources';
 
 // =============================================================================
 // STORAGE HELPERS
@@ -65,6 +164,10 @@ const STORAGE_KEYS = {
   ACTIVE_CLASS: 'player_active_class',
   PIXIES: 'player_pixies',
   ACHIEVEMENTS: 'player_achievements',
+  QUICK_CAST: 'player_quick_cast',   // Setting - survives New Game
+  TALENTS_PREFIX: 'player_talents_',  // Keyed by classId
+  EQUIPMENT_PREFIX: 'player_equipment_',  // Keyed by classId
+  EXPERIENCE: 'player_experience',    // Total XP (level is derived)
 };
 
 /**
@@ -128,6 +231,83 @@ const saveActiveClass = (classId) => {
   }
 };
 
+/**
+ * Load the talent allocation for a class (dropping anything the tree no longer allows).
+ */
+const loadTalentsForClass = (classId) => {
+  try {
+    const saved = localStorage.getItem(`${STORAGE_KEYS.TALENTS_PREFIX}${classId}`);
+    if (saved) {
+      return sanitizeTalentAllocation(getTalentTreeForClass(classId), JSON.parse(saved));
+    }
+  } catch (e) {
+    console.warn(`Failed to load talents for ${classId}:`, e);
+  }
+  return {};
+};
+
+/**
+ * Save the talent allocation for a class.
+ */
+const saveTalentsForClass = (classId, allocation) => {
+  try {
+    localStorage.setItem(`${STORAGE_KEYS.TALENTS_PREFIX}${classId}`, JSON.stringify(allocation));
+  } catch (e) {
+    console.warn(`Failed to save talents for ${classId}:`, e);
+  }
+};
+
+/**
+ * Get the equipment a new character starts with (only what the class can use).
+ */
+const getStartingEquipment = (classId) => {
+  return sanitizeEquipment(getClassById(classId), getStartingEquipmentForClass(classId), getItemById);
+};
+
+/**
+ * Load the equipment for a class (dropping items it can no longer use).
+ */
+const loadEquipmentForClass = (classId) => {
+  try {
+    const saved = localStorage.getItem(`${STORAGE_KEYS.EQUIPMENT_PREFIX}${classId}`);
+    if (saved) {
+      return sanitizeEquipment(getClassById(classId), JSON.parse(saved), getItemById);
+    }
+  } catch (e) {
+    console.warn(`Failed to load equipment for ${classId}:`, e);
+  }
+  return getStartingEquipment(classId);
+};
+
+/**
+ * Save the equipment for a class.
+ */
+const saveEquipmentForClass = (classId, equipment) => {
+  try {
+    localStorage.setItem(`${STORAGE_KEYS.EQUIPMENT_PREFIX}${classId}`, JSON.stringify(equipment));
+  } catch (e) {
+    console.warn(`Failed to save equipment for ${classId}:`, e);
+  }
+};
+
+const loadExperience = () => {
+  try {
+    const saved = Number(localStorage.getItem(STORAGE_KEYS.EXPERIENCE));
+    if (saved > 0) return saved;
+  } catch (e) {
+    console.warn('Failed to load experience:', e);
+  }
+  return 0;
+};
+
+const saveExperience = (experience) => {
+  try {
+    localStorage.setItem(STORAGE_KEYS.EXPERIENCE, String(experience));
+  } catch (e) {
+    console.warn('Failed to save experience:', e);
+  }
+};
+
 const loadPixies = () => {
   try {
     const saved = localStorage.getItem(STORAGE_KEYS.PIXIES);
@@ -168,6 +348,25 @@ const saveAchievements = (unlocked) => {
   }
 };
 
+/**
+ * Load the "quick cast at cursor" setting.
+ */
+const loadQuickCast = () => {
+  try {
+    return localStorage.getItem(STORAGE_KEYS.QUICK_CAST) === 'true';
+  } catch {
+    return false;
+  }
+};
+
+const saveQuickCast = (enabled) => {
+  try {
+    localStorage.setItem(STORAGE_KEYS.QUICK_CAST, String(enabled));
+  } catch (e) {
+    console.warn('Failed to save quick cast setting:', e);
+  }
+};
+
 /**
  * Clear ALL game storage - used for New Game.
  * This removes all localStorage keys related to the game.
@@ -177,10 +376,12 @@ const clearAllStorage = () => {
     // Clear active class
     localStorage.removeItem(STORAGE_KEYS.ACTIVE_CLASS);
     
-    // Clear all class-specific slot maps
+    // Clear all class-specific slot maps, talents and equipment
     const allClasses = getClasses();
     for (const cls of allClasses) {
       localStorage.removeItem(`${STORAGE_KEYS.SLOT_MAP_PREFIX}${cls.id}`);
+      localStorage.removeItem(`${STORAGE_KEYS.TALENTS_PREFIX}${cls.id}`);
+      localStorage.removeItem(`${STORAGE_KEYS.EQUIPMENT_PREFIX}${cls.id}`);
     }
     
     // Clear pixies
@@ -189,6 +390,9 @@ const clearAllStorage = () => {
     // Clear achievements
     localStorage.removeItem(STORAGE_KEYS.ACHIEVEMENTS);
     
+    // Clear experience
+    localStorage.removeItem(STORAGE_KEYS.EXPERIENCE);
+    
     if (import.meta.env.DEV) {
       console.log('[STORAGE] All game storage cleared');
     }
@@ -205,6 +409,39 @@ const getDefaultClassId = () => {
   return defaultClass?.id || 'wizard';
 };
 
+// Unique IDs so the Player driver applies each pushback once
+let nextPushbackId = 1;
+
+// =============================================================================
+// COMBAT LOG HELPERS
+// =============================================================================
+
+/**
+ * Who a cast is aimed at, for the combat log: the locked target for
+ * offensive skills, the player for self-casts, nobody for ground placements.
+ */
+const getCastTargetId = (action) => {
+  if (isGroundTargeted(action)) return null;
+  if (!action?.damage && !action?.debuff) return PLAYER_ACTOR_ID;
+  return useEntityStore.getState().lockedTargetId;
+};
+
+/**
+ * Log a cast event (start, interrupt, completion) by the player.
+ * Interrupts name whoever broke the cast as the target (null = the player
+ * cancelled it themselves).
+ */
+const logCast = (type, actionId, interrupterId = null) => {
+  const action = getActionById(actionId);
+  logCombatEvent({
+    type,
+    sourceId: PLAYER_ACTOR_ID,
+    targetId: type === COMBAT_LOG_EVENTS.INTERRUPT ? interrupterId : getCastTargetId(action),
+    ability: action?.label || actionId,
+    actionId,
+  });
+};
+
 // =============================================================================
 // STORE CREATION
 // =============================================================================
@@ -222,6 +459,7 @@ export const useGameStore = create(
     interruptCounter: 0,         // Increments on interruption
     interruptedAction: null,     // Which action was interrupted
     interruptedProgress: 0,      // Progress at interruption
+    interruptedBy: null,         // { sourceId, ability, school, lockoutSeconds } when an enemy kicked the cast
     
     // =========================================================================
     // RESOURCES
@@ -229,22 +467,47 @@ export const useGameStore = create(
     
     mana: STATS.MAX_MANA,
     health: STATS.MAX_HEALTH,
+    resources: createResourcePool(getResourceConfigForClass(loadActiveClass())), // Class secondary resource ({ rage: 0 })
+    lastCombatAt: 0,             // Last hit dealt or taken (secondary resources decay out of combat)
+    
+    // =========================================================================
+    // DEATH
+    // =========================================================================
+    
+    diedAt: null,                // Timestamp of death (null while alive)
     
     // =========================================================================
     // BUFFS
     // =========================================================================
     
     buffs: [],                   // Active buff instances
+    stealthOpener: null,         // Action that broke stealth (gets "from_stealth" bonuses)
     
     // =========================================================================
     // CASTING
     // =========================================================================
     
     castProgress: 0,             // 0-1 progress for current cast
+    castDuration: 0,             // Seconds the current cast/attack takes (from animation)
+    castPushbacks: 0,            // Pushbacks taken by the current cast
+    castPushback: null,          // { id, actionId, progress } - latest pushback (Player rewinds to it)
+    channel: null,               // { actionId, config, elapsed, ticks } while CHANNELING (game/channeling.js)
+    queuedAction: null,          // Action buffered during the spell queue window
+    queuedGroundPoint: null,     // Placement of the buffered action (ground-targeted)
+    groundTargeting: null,       // Ground-targeted action awaiting placement (reticle shown)
+    groundTargets: {},           // actionId -> { x, z } placement of its latest cast
+    quickCastGround: loadQuickCast(), // Setting: ground skills fire at the cursor, no reticle
+    castError: null,             // { message, id } - latest rejected cast, shown on the HUD
     isClickTriggered: false,     // True if action was click (no recast)
     heldInputs: new Set(),       // Currently held action IDs
     mouseButtonActions: { 0: null, 2: null }, // Track mouse button -> action
     
+    // =========================================================================
+    // COOLDOWNS
+    // =========================================================================
+    
+    cooldowns: {},               // actionId -> { startedAt, endsAt } (kept across class switches)
+    
     // =========================================================================
     // CLASS & LOADOUT (CLASS-SCOPED)
     // =========================================================================
@@ -260,6 +523,20 @@ export const useGameStore = create(
     // Cache of ALL allowed actions for slot assignment (skills + pixies + consumables)
     allowedActions: new Set(getAllAllowedActionsForClass(loadActiveClass())),
     
+    // Talent allocation for the active class (talentId -> ranks)
+    talents: loadTalentsForClass(loadActiveClass()),
+    
+    // Equipment for the active class (slot -> itemId)
+    equipment: loadEquipmentForClass(loadActiveClass()),
+    
+    // =========================================================================
+    // EXPERIENCE (shared by all classes)
+    // =========================================================================
+    
+    experience: loadExperience(),  // Total XP
+    level: getLevelForXp(getLevelCurve()?.levels, loadExperience()),
+    levelUpAt: null,               // Timestamp of the last level up (celebration effect)
+    
     // =========================================================================
     // PIXIES
     // =========================================================================
@@ -303,65 +580,133 @@ export const useGameStore = create(
     },
     
     /**
-     * Get effective max mana (base + pixie bonus)
+     * Get the active class's talent tree (null if it has none)
+     */
+    getTalentTree: () => getTalentTreeForClass(get().activeClassId),
+    
+    /**
+     * Get total talent stat bonuses for the active class
+     */
+    getTalentBonuses: () => calculateTalentBonuses(get().getTalentTree(), get().talents),
+    
+    /**
+     * Get the active class's equipped items (slot order)
+     */
+    getEquippedItems: () => getEquippedItems(get().equipment, getItemById),
+    
+    /**
+     * Get total stat bonuses from equipped items
+     */
+    getEquipmentBonuses: () => calculateEquipmentBonuses(get().getEquippedItems()),
+    
+    /**
+     * Get the active class's stat growth for the current level
+     */
+    getLevelBonuses: () => calculateLevelBonuses(getLevelGrowthForClass(get().activeClassId), get().level),
+    
+    /**
+     * Get every permanent stat bonus (level growth + talents + equipment)
+     */
+    getStatBonuses: () => addStatBonuses(
+      addStatBonuses(get().getLevelBonuses(), get().getTalentBonuses()),
+      get().getEquipmentBonuses()
+    ),
+    
+    /**
+     * Get effective max mana (base + pixie + level/talent bonus)
      */
     getMaxMana: () => {
       const pixieBuffs = get().getPixieBuffs();
-      return STATS.MAX_MANA + (pixieBuffs.maxMana || 0);
+      const bonuses = get().getStatBonuses();
+      return STATS.MAX_MANA + (pixieBuffs.maxMana || 0) + (bonuses.maxMana || 0);
     },
     
     /**
-     * Get effective max health (base + pixie bonus)
+     * Get effective max health (base + pixie + level/talent bonus)
      */
     getMaxHealth: () => {
       const pixieBuffs = get().getPixieBuffs();
-      return STATS.MAX_HEALTH + (pixieBuffs.maxHealth || 0);
+      const bonuses = get().getStatBonuses();
+      return STATS.MAX_HEALTH + (pixieBuffs.maxHealth || 0) + (bonuses.maxHealth || 0);
     },
     
     /**
-     * Calculate total mana regen (base + buffs + pixies - drain)
+     * Calculate total mana regen (base + buffs + pixies + level/talents).
+     * Channel drain is paid separately each tick (tickChannel).
      */
     getManaRegen: () => {
-      const { buffs, activeAction } = get();
+      const { buffs } = get();
       const buffTotals = calculateBuffTotals(buffs);
       const pixieBuffs = get().getPixieBuffs();
+      const bonuses = get().getStatBonuses();
       
-      let drain = 0;
-      if (activeAction) {
-        const action = getActionById(activeAction);
-        drain = action?.manaPerSecond || 0;
-      }
-      
-      return STATS.MANA_REGEN + buffTotals.manaRegen + (pixieBuffs.manaRegen || 0) - drain;
+      return STATS.MANA_REGEN + buffTotals.manaRegen + (pixieBuffs.manaRegen || 0) + (bonuses.manaRegen || 0);
     },
     
     /**
-     * Calculate total health regen (base + buffs + pixies)
+     * Calculate total health regen (base + buffs + pixies + level/talents)
      */
     getHealthRegen: () => {
       const { buffs } = get();
       const buffTotals = calculateBuffTotals(buffs);
       const pixieBuffs = get().getPixieBuffs();
+      const bonuses = get().getStatBonuses();
       
-      return STATS.HEALTH_REGEN + buffTotals.healthRegen + (pixieBuffs.healthRegen || 0);
+      return STATS.HEALTH_REGEN + buffTotals.healthRegen + (pixieBuffs.healthRegen || 0) + (bonuses.healthRegen || 0);
+    },
+    
+    /**
+     * Get the active class's secondary resource config (null if none)
+     */
+    getResourceConfig: () => getResourceConfigForClass(get().activeClassId),
+    
+    /**
+     * Get every resource by type ({ mana, health, rage, ... }) for cost checks
+     */
+    getResourcePool: () => {
+      const { mana, health, resources } = get();
+      return { ...resources, mana, health };
+    },
+    
+    /**
+     * Get the movement channel running while the player moves (null if none)
+     */
+    getActiveMovementChannel: () => {
+      const { playerState, activeAction } = get();
+      if (playerState !== PLAYER_STATES.MOVING || !activeAction) return null;
+      const action = getActionById(activeAction);
+      return isMovementChannel(action) ? action : null;
+    },
+    
+    /**
+     * Get the action paying a per-second drain: the running channel or
+     * movement channel (null if none)
+     */
+    getDrainingAction: () => {
+      const { channel } = get();
+      return channel ? getActionById(channel.actionId) : get().getActiveMovementChannel();
+    },
+    
+    /**
+     * Get movement speed scaling (buffs/debuffs x a running movement channel)
+     */
+    getSpeedMultiplier: () => {
+      const movementChannel = get().getActiveMovementChannel();
+      return getMoveSpeedMultiplier(get().buffs) * (movementChannel?.speedMultiplier || 1);
     },
     
     /**
      * Get regen info for tooltips
      */
     getRegenInfo: () => {
-      const { buffs, activeAction } = get();
+      const { buffs } = get();
       const buffTotals = calculateBuffTotals(buffs);
       const pixieBuffs = get().getPixieBuffs();
+      const bonuses = get().getStatBonuses();
+      const manaDrain = get().getDrainingAction()?.manaPerSecond || 0;
       
-      let manaDrain = 0;
-      if (activeAction) {
-        const action = getActionById(activeAction);
-        manaDrain = action?.manaPerSecond || 0;
-      }
-      
-      const manaBuffBonus = buffTotals.manaRegen + (pixieBuffs.manaRegen || 0);
-      const healthBuffBonus = buffTotals.healthRegen + (pixieBuffs.healthRegen || 0);
+      const manaBuffBonus = buffTotals.manaRegen + (pixieBuffs.manaRegen || 0) + (bonuses.manaRegen || 0);
+      const healthBuffBonus = buffTotals.healthRegen + (pixieBuffs.healthRegen || 0) + (bonuses.healthRegen || 0);
       
       return {
         mana: {
@@ -402,38 +747,62 @@ export const useGameStore = create(
       const isFinish = actionType === 'FINISH';
       const isCancel = actionType === 'CANCEL' || actionType === 'STOP';
       const isDifferentAction = actionId && actionId !== activeAction;
+      const isKick = actionType === FSM_ACTIONS.INTERRUPT;
       const isInterrupt = wasBusy && !isFinish && !isCancel && 
-        (actionType === 'MOVE' || isDifferentAction);
+        (actionType === 'MOVE' || isKick || isDifferentAction);
       
       // Determine final activeAction
       let finalActiveAction;
-      if (isFinish || isCancel || actionType === 'STOP') {
+      if (isFinish || isCancel || isKick) {
         finalActiveAction = null;
       } else if (actionType === 'MOVE') {
-        // Keep activeAction for channeled movement abilities
-        const action = getActionById(actionId);
-        finalActiveAction = isChannelAction(action) ? actionId : null;
+        // Movement channels stay active while the player moves
+        finalActiveAction = isMovementChannel(getActionById(actionId)) ? actionId : null;
       } else {
         finalActiveAction = actionId ?? activeAction;
       }
       
+      // Broken channels shatter at what was left of them (their bar depletes)
+      const interruptProgress = playerState === PLAYER_STATES.CHANNELING
+        ? getChannelRemaining(get().channel)
+        : progress;
+      
+      // Channels land their effects per tick - finishing one has nothing left to apply
+      const completedAction = isFinish && playerState !== PLAYER_STATES.CHANNELING ? activeAction : null;
+      
       if (import.meta.env.DEV) {
         console.log(`[FSM] TRANSITION: "${playerState}" --> "${nextState}" (action="${actionType}", activeAction="${finalActiveAction}")`);
-        if (isFinish) {
+        if (completedAction) {
           console.log(`[FSM] FINISH detected - setting completedAction="${activeAction}"`);
         }
       }
       
+      // Kicks log themselves (interruptCast) so the log names the kicker
+      if (isInterrupt && !isKick && activeAction) logCast(COMBAT_LOG_EVENTS.INTERRUPT, activeAction);
+      
       set({
         playerState: nextState,
         previousState: playerState,
         activeAction: finalActiveAction,
-        completedAction: isFinish ? activeAction : null,
+        completedAction,
         interruptCounter: isInterrupt ? get().interruptCounter + 1 : get().interruptCounter,
         interruptedAction: isInterrupt ? activeAction : get().interruptedAction,
-        interruptedProgress: isInterrupt ? progress : get().interruptedProgress,
+        interruptedProgress: isInterrupt ? interruptProgress : get().interruptedProgress,
+        interruptedBy: isInterrupt && !isKick ? null : get().interruptedBy,
+        // Pushback is per cast
+        castPushbacks: 0,
+        castPushback: null,
+        // A new channel is set up by handleInput after its transition
+        channel: null,
+        // Any transition other than FINISH drops a buffered action
+        queuedAction: isFinish ? get().queuedAction : null,
       });
       
+      // Fire a buffered action as soon as the cast finishes
+      if (isFinish && get().queuedAction) {
+        get().fireQueuedAction();
+      }
+      
       return true;
     },
     
@@ -473,7 +842,7 @@ export const useGameStore = create(
      * Handle action input (press/release)
      * This is the main entry point for all player actions.
      */
-    handleInput: (actionId, isPressed, isClick = false) => {
+    handleInput: (actionId, isPressed, isClick = false, groundPoint = null) => {
       const state = get();
       
       // DEBUG: Trace input
@@ -481,6 +850,9 @@ export const useGameStore = create(
         console.log(`[INPUT] actionId="${actionId}" isPressed=${isPressed} isClick=${isClick}`);
       }
       
+      // The dead can't act (releases still clear held state)
+      if (isPressed && state.playerState === PLAYER_STATES.DEAD) return;
+      
       // Track held state FIRST
       if (isPressed) {
         state.heldInputs.add(actionId);
@@ -511,6 +883,12 @@ export const useGameStore = create(
             }
             return; // HARD BLOCK - cannot execute skills from another class
           }
+          
+          // LEVEL GATE: skills with a requiredLevel stay locked until then
+          if (!isSkillUnlocked(action, state.level)) {
+            state.showCastError(`Requires level ${action.requiredLevel}`);
+            return;
+          }
         } else {
           if (import.meta.env.DEV) {
             console.error(`[INPUT] BLOCKED: getActionById("${actionId}") returned null`);
@@ -518,6 +896,67 @@ export const useGameStore = create(
           return;
         }
         
+        // GROUND TARGETING: placed skills need a spot first - quick cast
+        // takes the cursor, otherwise show the reticle and wait for a click
+        if (isGroundTargeted(action) && !groundPoint) {
+          const cursor = getCursorWorldPosition();
+          if (!state.quickCastGround || !cursor) {
+            set({ groundTargeting: actionId });
+            return;
+          }
+          groundPoint = clampGroundTarget(getPlayerWorldPosition(), cursor, getGroundTargetRange(action));
+        } else if (state.groundTargeting) {
+          // Pressing anything else abandons the placement
+          set({ groundTargeting: null });
+        }
+        
+        // RANGE + LINE OF SIGHT: the locked target must be reachable
+        if (!groundPoint) {
+          const reach = state.checkActionReach(action);
+          if (!reach.valid) {
+            if (import.meta.env.DEV) {
+              console.log(`[FSM] BLOCKED: "${actionId}" ${reach.code}`);
+            }
+            state.showCastError(reach.reason);
+            return;
+          }
+        }
+        
+        // COMBO POINTS: finishers need points on the locked target
+        if (isComboFinisher(action)) {
+          const { comboPoints, lockedTargetId } = useEntityStore.getState();
+          if (getComboPointsOn(comboPoints, lockedTargetId) === 0) {
+            if (import.meta.env.DEV) {
+              console.log(`[FSM] BLOCKED: "${actionId}" needs combo points`);
+            }
+            state.showCastError('No combo points');
+            return;
+          }
+        }
+        
+        // GLOBAL COOLDOWN + SPELL QUEUE: near the end of a cast (or the GCD),
+        // buffer the press instead of interrupting - it fires on FINISH
+        if (triggersGlobalCooldown(action)) {
+          const gcdRemaining = getCooldownRemaining(state.cooldowns, GLOBAL_COOLDOWN_KEY);
+          const castRemaining = isBusyState(state.playerState) ? state.getCastRemainingMs() : 0;
+          const waitMs = Math.max(gcdRemaining, castRemaining);
+          
+          if (waitMs > 0 && waitMs <= STATS.SPELL_QUEUE_WINDOW_MS && !isOnCooldown(state.cooldowns, actionId)) {
+            if (import.meta.env.DEV) {
+              console.log(`[QUEUE] Buffered "${actionId}" (${Math.round(waitMs)}ms left)`);
+            }
+            set({ queuedAction: actionId, queuedGroundPoint: groundPoint });
+            return;
+          }
+          
+          if (gcdRemaining > 0) {
+            if (import.meta.env.DEV) {
+              console.log(`[FSM] BLOCKED: "${actionId}" on global cooldown (${Math.round(gcdRemaining)}ms)`);
+            }
+            return;
+          }
+        }
+        
         set({ isClickTriggered: isClick });
         
         // Handle INSTANT actions (consumables)
@@ -525,12 +964,19 @@ export const useGameStore = create(
           if (import.meta.env.DEV) {
             console.log(`[CONSUMABLE] Using "${actionId}" (instant action)`);
           }
+          if (isOnCooldown(state.cooldowns, actionId)) {
+            if (import.meta.env.DEV) {
+              console.log(`[CONSUMABLE] BLOCKED: "${actionId}" is on cooldown`);
+            }
+            return;
+          }
           if (!state.spendResources(action)) {
             if (import.meta.env.DEV) {
               console.log(`[CONSUMABLE] BLOCKED: Cannot afford "${actionId}"`);
             }
             return;
           }
+          state.startActionCooldown(action);
           
           // Apply buff immediately
           if (action?.buff) {
@@ -551,6 +997,24 @@ export const useGameStore = create(
           return;
         }
         
+        // Check cooldown
+        if (isOnCooldown(state.cooldowns, actionId)) {
+          if (import.meta.env.DEV) {
+            console.log(`[FSM] BLOCKED: "${actionId}" is on cooldown`);
+          }
+          return;
+        }
+        
+        // Check school lockout (kicked earlier)
+        if (isSchoolLockedOut(state.cooldowns, action)) {
+          const school = getSpellSchool(action);
+          if (import.meta.env.DEV) {
+            console.log(`[FSM] BLOCKED: "${actionId}" - ${school} school locked out`);
+          }
+          state.showCastError(`${school.charAt(0).toUpperCase()}${school.slice(1)} school locked`);
+          return;
+        }
+        
         // Check and spend resources
         if (!state.spendResources(action)) {
           if (import.meta.env.DEV) {
@@ -558,169 +1022,801 @@ export const useGameStore = create(
           }
           return;
         }
+        state.startActionCooldown(action);
+        
+        if (groundPoint) {
+          set({ groundTargets: { ...get().groundTargets, [actionId]: groundPoint } });
+        }
         
         // Transition with action ID
         if (import.meta.env.DEV) {
           console.log(`[FSM] Transitioning: "${state.playerState}" --${fsmAction}--> (action="${actionId}")`);
         }
-        state.transition(fsmAction, actionId, state.castProgress);
+        const started = state.transition(fsmAction, actionId, state.castProgress);
+        if (started) {
+          logCast(COMBAT_LOG_EVENTS.CAST_START, actionId);
+        }
+        
+        // CHANNELS: start ticking (and stand still - moving breaks them)
+        if (started && fsmAction === FSM_ACTIONS.CHANNEL) {
+          useWorldStore.getState().stopMovement();
+          set({ channel: createChannel(actionId, getChannelConfig(action)) });
+        }
+        
+        // STEALTH: acting breaks it - this action becomes the opener
+        if (started && !grantsStealth(action)) {
+          const fromStealth = isStealthed(get().buffs);
+          state.breakBuffs(BREAK_TRIGGERS.CAST);
+          set({ stealthOpener: fromStealth ? actionId : null });
+        }
+        
+        // Channels have no completion - their buff lands as they start
+        if (started && (isChannelAction(action) || isMovementChannel(action)) && action.buff) {
+          state.applyBuff(action.buff);
+        }
+        
+        // Dashes, leaps and teleports move the player as the action starts
+        if (started) {
+          state.startActionDisplacement(action);
+        }
         
       } else {
-        // Release: stop movement immediately
-        if (fsmAction === FSM_ACTIONS.MOVE) {
-          state.transition('STOP');
+        // Release: held channels end with the key, movement channels stop
+        const { playerState, channel, activeAction } = state;
+        if (playerState === PLAYER_STATES.CHANNELING && channel?.actionId === actionId && isHeldChannel(channel.config)) {
+          state.transition(FSM_ACTIONS.FINISH);
+        } else if (playerState === PLAYER_STATES.MOVING && activeAction === actionId) {
+          state.transition(FSM_ACTIONS.STOP);
         }
       }
     },
     
     /**
-     * Try to recast the current action (for held inputs)
+     * Try to recast the current action (for held inputs)
+     */
+    tryRecast: () => {
+      const { activeAction, isClickTriggered, heldInputs, queuedAction, cooldowns } = get();
+      
+      if (!activeAction) return false;
+      
+      // Re-pressing the same skill in the queue window counts as a recast
+      const isQueuedRecast = queuedAction === activeAction;
+      if (isClickTriggered && !isQueuedRecast) {
+        set({ isClickTriggered: false });
+        return false;
+      }
+      if (!heldInputs.has(activeAction) && !isQueuedRecast) return false;
+      
+      const action = getActionById(activeAction);
+      if (!canRecastAction(action)) return false;
+      if (isOnCooldown(cooldowns, activeAction)) return false;
+      
+      // Still on GCD (cast shorter than the GCD) - buffer it, fires after FINISH
+      if (isBlockedByCooldown(cooldowns, action)) {
+        set({ queuedAction: activeAction });
+        return false;
+      }
+      if (isQueuedRecast) set({ queuedAction: null });
+      
+      // Check and spend resources
+      if (!get().spendResources(action)) return false;
+      get().startActionCooldown(action);
+      logCast(COMBAT_LOG_EVENTS.CAST_COMPLETE, activeAction);
+      
+      // Apply mana gain and healing on recast
+      if (action?.manaGain) {
+        get().gainMana(action.manaGain);
+      }
+      if (action?.heal) {
+        get().restoreHealth(action.heal, action.label);
+      }
+      
+      // The previous cycle completed - land its damage and debuffs
+      get().resolveActionOnTarget(activeAction);
+      get().runTriggers([TRIGGER_EVENTS.CAST_COMPLETE]);
+      
+      // Reset progress (and pushback) for recast - only the first cycle is an opener
+      set({ castProgress: 0, castPushbacks: 0, castPushback: null, stealthOpener: null });
+      logCast(COMBAT_LOG_EVENTS.CAST_START, activeAction);
+      
+      return true;
+    },
+    
+    /**
+     * Set mouse button action tracking
+     */
+    setMouseButtonAction: (button, actionId) => {
+      set(state => ({
+        mouseButtonActions: { ...state.mouseButtonActions, [button]: actionId }
+      }));
+    },
+    
+    /**
+     * Clear mouse button action on release
+     */
+    clearMouseButtonAction: (button) => {
+      const { mouseButtonActions, heldInputs } = get();
+      const actionId = mouseButtonActions[button];
+      if (actionId) {
+        heldInputs.delete(actionId);
+        set({
+          mouseButtonActions: { ...mouseButtonActions, [button]: null }
+        });
+      }
+    },
+    
+    // =========================================================================
+    // RESOURCE MANAGEMENT
+    // =========================================================================
+    
+    /**
+     * Spend resources for an action. Returns true if successful.
+     */
+    spendResources: (action) => {
+      if (!action) return false;
+      
+      // Check costs
+      const pool = get().getResourcePool();
+      if (!canAffordAction(action, pool)) return false;
+      
+      // Spend costs (health costs never kill)
+      const { mana, health, ...resources } = spendActionCosts(action, pool);
+      set({ mana, health, resources });
+      
+      return true;
+    },
+    
+    /**
+     * Gain (or lose) the class's secondary resource.
+     */
+    gainResource: (amount) => {
+      const config = get().getResourceConfig();
+      set(state => {
+        const resources = adjustResource(state.resources, config, amount);
+        return resources === state.resources ? state : { resources };
+      });
+    },
+    
+    /**
+     * Gain mana (from attacks, etc.)
+     */
+    gainMana: (amount) => {
+      const maxMana = get().getMaxMana();
+      set(state => ({
+        mana: Math.min(maxMana, state.mana + amount)
+      }));
+      emitCombatText({ type: COMBAT_TEXT_TYPES.MANA, amount });
+    },
+    
+    /**
+     * Restore health (heal effects)
+     * 
+     * @param {number} amount - Health restored
+     * @param {string} [ability] - Name of the healing skill (for the combat log)
+     */
+    restoreHealth: (amount, ability = null) => {
+      const maxHealth = get().getMaxHealth();
+      set(state => ({
+        health: Math.min(maxHealth, state.health + amount)
+      }));
+      emitCombatText({ type: COMBAT_TEXT_TYPES.HEAL, amount });
+      logCombatEvent({
+        type: COMBAT_LOG_EVENTS.HEAL,
+        sourceId: PLAYER_ACTOR_ID,
+        targetId: PLAYER_ACTOR_ID,
+        ability,
+        amount,
+      });
+    },
+
+    /**
+     * Take damage from an outside source (enemy attacks, hazards).
+     * Mitigated by the class's armor / magic resist plus buffs.
+     *
+     * @param {number} amount - Damage amount (before mitigation)
+     * @param {string} [sourceId] - Attacking entity ID (for logging)
+     * @param {string} [element] - Damage element (picks armor vs magic resist)
+     * @returns {number} Damage actually dealt
+     */
+    takeDamage: (amount, sourceId = null, element = 'physical') => {
+      const { health, activeClassId, buffs } = get();
+      if (amount <= 0 || health <= 0) return 0;
+
+      const defense = getDefenseStatsForClass(
+        activeClassId,
+        addStatBonuses(calculateBuffTotals(buffs), get().getStatBonuses())
+      );
+      const mitigated = mitigateDamage(amount, element, defense);
+      const dealt = Math.min(health, mitigated.amount);
+      set({ health: health - dealt, lastCombatAt: Date.now() });
+      get().gainResource(dealt * (get().getResourceConfig()?.gainOnDamageTaken ?? 0));
+      emitCombatText({ type: COMBAT_TEXT_TYPES.DAMAGE, amount: dealt, element });
+      logCombatEvent({
+        type: COMBAT_LOG_EVENTS.DAMAGE,
+        sourceId,
+        targetId: PLAYER_ACTOR_ID,
+        amount: dealt,
+        element,
+      });
+
+      if (import.meta.env.DEV) {
+        console.log(`[COMBAT] Player took ${dealt} ${element} damage${sourceId ? ` from ${sourceId}` : ''} (${mitigated.mitigated} mitigated, ${Math.round(health - dealt)} left)`);
+      }
+
+      if (health - dealt <= 0) {
+        get().die();
+      } else {
+        get().pushBackCast();
+        if (dealt > 0) {
+          get().breakBuffs(BREAK_TRIGGERS.DAMAGE);
+          get().runTriggers([TRIGGER_EVENTS.DAMAGE_TAKEN], { amount: dealt, targetId: sourceId });
+        }
+      }
+
+      return dealt;
+    },
+    
+    // =========================================================================
+    // DEATH & RESPAWN
+    // =========================================================================
+    
+    /**
+     * Kill the player: enter DEAD, drop the current action and buffs,
+     * stop movement and close the input gate.
+     */
+    die: () => {
+      const state = get();
+      if (state.playerState === PLAYER_STATES.DEAD) return;
+      
+      state.transition(FSM_ACTIONS.DIE);
+      state.heldInputs.clear();
+      useWorldStore.getState().stopMovement();
+      useSceneStore.getState().blockInput();
+      
+      set({
+        health: 0,
+        activeAction: null,
+        completedAction: null,
+        queuedAction: null,
+        groundTargeting: null,
+        castProgress: 0,
+        buffs: [],
+        stealthOpener: null,
+        diedAt: Date.now(),
+      });
+      
+      if (import.meta.env.DEV) {
+        console.log('[DEATH] Player died');
+      }
+    },
+    
+    /**
+     * Check if the respawn delay has passed.
+     */
+    canRespawn: () => {
+      const { playerState, diedAt } = get();
+      if (playerState !== PLAYER_STATES.DEAD || diedAt === null) return false;
+      return Date.now() - diedAt >= DEATH.RESPAWN_DELAY_MS;
+    },
+    
+    /**
+     * Revive at the town spawn point with death penalties applied.
+     * 
+     * @returns {boolean} True if the player respawned
+     */
+    respawn: () => {
+      const state = get();
+      if (!state.canRespawn()) return false;
+      
+      const [x, y, z] = DEATH.RESPAWN_POSITION;
+      useWorldStore.getState().teleportTo(x, y, z);
+      
+      state.transition(FSM_ACTIONS.REVIVE);
+      set({
+        health: state.getMaxHealth() * DEATH.RESPAWN_HEALTH_PERCENT,
+        mana: state.getMaxMana() * DEATH.RESPAWN_MANA_PERCENT,
+        resources: createResourcePool(state.getResourceConfig()),
+        diedAt: null,
+      });
+      
+      if (DEATH.PENALTY_STATUS) {
+        state.applyBuff({ id: DEATH.PENALTY_STATUS }, null);
+      }
+      
+      useSceneStore.getState().unblockInput();
+      
+      if (import.meta.env.DEV) {
+        console.log('[DEATH] Player respawned in town');
+      }
+      
+      return true;
+    },
+
+    /**
+     * Apply a buff
+     * 
+     * @param {Object} buffDef - Action buff object ({ id, duration, ...overrides })
+     * @param {string|null} [sourceId] - Who applied it (null for the world, e.g. death penalties)
+     */
+    applyBuff: (buffDef, sourceId = PLAYER_ACTOR_ID) => {
+      const buffInstance = createBuffInstance(buffDef, { sourceId });
+      if (!buffInstance) return;
+      
+      set(state => ({
+        buffs: applyBuffToArray(state.buffs, buffInstance)
+      }));
+      emitCombatText({
+        type: COMBAT_TEXT_TYPES.STATUS,
+        label: buffInstance.name,
+        harmful: buffInstance.type === 'debuff',
+      });
+      logCombatEvent({
+        type: COMBAT_LOG_EVENTS.BUFF_APPLIED,
+        sourceId,
+        targetId: PLAYER_ACTOR_ID,
+        ability: buffInstance.name,
+      });
+    },
+    
+    /**
+     * End buffs that break on a trigger (stealth on damage/casting).
+     * Logged as expired, like a buff running out.
+     * 
+     * @param {string} trigger - BREAK_TRIGGERS value
+     * @returns {boolean} True if anything broke
+     */
+    breakBuffs: (trigger) => {
+      const { buffs } = get();
+      const remaining = removeBrokenBuffs(buffs, trigger);
+      if (remaining === buffs) return false;
+      
+      set({ buffs: remaining });
+      for (const buff of buffs) {
+        if (remaining.includes(buff)) continue;
+        logCombatEvent({
+          type: COMBAT_LOG_EVENTS.BUFF_EXPIRED,
+          sourceId: buff.sourceId,
+          targetId: PLAYER_ACTOR_ID,
+          ability: buff.name,
+        });
+        if (import.meta.env.DEV) {
+          console.log(`[BUFF] "${buff.id}" broken by ${trigger}`);
+        }
+      }
+      return true;
+    },
+    
+    /**
+     * Game tick - called every REGEN_TICK_MS
+     * Handles regeneration and buff expiration
+     */
+    tick: () => {
+      const state = get();
+      
+      // Corpses don't regenerate - only cooldowns keep running
+      if (state.playerState === PLAYER_STATES.DEAD) {
+        const activeCooldowns = pruneCooldowns(state.cooldowns);
+        if (activeCooldowns !== state.cooldowns) set({ cooldowns: activeCooldowns });
+        return;
+      }
+      
+      const tickSeconds = STATS.REGEN_TICK_MS / 1000;
+      const maxMana = state.getMaxMana();
+      const maxHealth = state.getMaxHealth();
+      
+      // Calculate regen
+      const manaRegen = state.getManaRegen();
+      const healthRegen = state.getHealthRegen();
+      
+      // Periodic DoT/HoT ticks (before expiry so final ticks land)
+      const ticked = tickBuffs(state.buffs);
+      if (ticked.healing > 0) emitCombatText({ type: COMBAT_TEXT_TYPES.HEAL, amount: ticked.healing });
+      if (ticked.damage > 0) emitCombatText({ type: COMBAT_TEXT_TYPES.DAMAGE, amount: ticked.damage });
+      
+      // Apply regen
+      let newMana = state.mana + (manaRegen * tickSeconds);
+      let newHealth = state.health + (healthRegen * tickSeconds) + ticked.healing - ticked.damage;
+      
+      // Clamp to bounds
+      newMana = Math.max(0, Math.min(maxMana, newMana));
+      newHealth = Math.max(0, Math.min(maxHealth, newHealth));
+      
+      // Channels drain as they run - one that can't be paid breaks
+      const drainingAction = state.getDrainingAction();
+      let channelDrained = false;
+      if (drainingAction) {
+        const drain = tickChannel(drainingAction, newMana, tickSeconds);
+        if (drain.success) {
+          newMana = drain.stateChanges.mana;
+        } else {
+          channelDrained = true;
+        }
+      }
+      
+      // Remove expired buffs (and ones a DoT tick broke)
+      const unbroken = ticked.damage > 0 ? removeBrokenBuffs(ticked.buffs, BREAK_TRIGGERS.DAMAGE) : ticked.buffs;
+      const activeBuffs = removeExpiredBuffs(unbroken);
+      logStatusTicks(PLAYER_ACTOR_ID, ticked, activeBuffs);
+      
+      // Secondary resource: regen, and decay once out of combat
+      const resources = tickResource(
+        state.resources,
+        state.getResourceConfig(),
+        tickSeconds,
+        isInCombat(state.lastCombatAt)
+      );
+      
+      // Drop finished cooldowns (same reference if none expired)
+      const activeCooldowns = pruneCooldowns(state.cooldowns);
+      
+      set({
+        mana: newMana,
+        health: newHealth,
+        resources,
+        buffs: activeBuffs,
+        cooldowns: activeCooldowns,
+      });
+      
+      // DoTs (or negative regen) can kill
+      if (newHealth <= 0) {
+        get().die();
+        return;
+      }
+      
+      // Fire an action that was buffered behind the GCD
+      if (state.queuedAction && state.playerState === PLAYER_STATES.IDLE) {
+        get().fireQueuedAction();
+      }
+      
+      // Channel: land due ticks, or end it if the drain ran dry
+      if (channelDrained) {
+        if (import.meta.env.DEV) {
+          console.log(`[CHANNEL] "${drainingAction.id}" ran out of mana`);
+        }
+        state.transition(state.channel ? FSM_ACTIONS.CANCEL : FSM_ACTIONS.STOP);
+        state.showCastError('Not enough mana');
+      } else if (state.channel) {
+        get().updateChannel(tickSeconds);
+      }
+    },
+    
+    // =========================================================================
+    // CHANNELING
+    // =========================================================================
+    
+    /**
+     * Advance the active channel: land its due ticks, FINISH when it runs out.
+     */
+    updateChannel: (seconds) => {
+      const { channel } = get();
+      if (!channel) return;
+      
+      const step = advanceChannel(channel, seconds);
+      set({ channel: step.channel });
+      
+      const action = getActionById(channel.actionId);
+      for (let i = 0; i < step.ticks; i++) {
+        get().resolveChannelTick(action, channel.config);
+      }
+      
+      // Ticks can end it first (a drain tick that killed the player, ...)
+      if (step.done && get().channel?.actionId === channel.actionId) {
+        get().transition(FSM_ACTIONS.FINISH);
+      }
+    },
+    
+    /**
+     * One channel tick: damage the locked target (draining some of it back),
+     * heal the caster.
+     */
+    resolveChannelTick: (action, config) => {
+      if (config.damage > 0) {
+        // Beams only connect while the target stays in range and sight
+        const target = useEntityStore.getState().getLockedEntity();
+        const inReach = target && get().checkActionReach(action).valid;
+        const hit = inReach ? get().resolveActionDamage({ ...action, damage: config.damage }, target.id) : null;
+        const drained = getDrainHealing(config, hit?.amount ?? 0);
+        if (drained > 0) get().restoreHealth(drained, action.label);
+      }
+      if (config.heal > 0) {
+        get().restoreHealth(config.heal, action.label);
+      }
+    },
+    
+    // =========================================================================
+    // COOLDOWNS
+    // =========================================================================
+    
+    /**
+     * Start an action's cooldown (no-op if the action has none).
+     */
+    startActionCooldown: (action) => {
+      set(state => {
+        let cooldowns = startCooldown(state.cooldowns, action);
+        if (triggersGlobalCooldown(action)) {
+          cooldowns = startGlobalCooldown(cooldowns, STATS.GLOBAL_COOLDOWN_MS);
+        }
+        return cooldowns === state.cooldowns ? state : { cooldowns };
+      });
+    },
+    
+    // =========================================================================
+    // TRIGGERS (PROCS)
+    // =========================================================================
+    
+    /**
+     * Evaluate the proc graphs of active buffs, equipped pixies and equipped
+     * items against combat events, then execute the effects they emit
+     * (game/triggers.js).
+     * 
+     * @param {string[]} events - TRIGGER_EVENTS that happened together
+     * @param {Object} [details]
+     * @param {number} [details.amount] - Damage dealt or taken
+     * @param {boolean} [details.isCrit] - The hit was a crit
+     * @param {string|null} [details.targetId] - Entity hit (or the attacker, for damage taken)
+     */
+    runTriggers: (events, { amount = 0, isCrit = false, targetId = null } = {}) => {
+      const state = get();
+      if (state.playerState === PLAYER_STATES.DEAD) return;
+      
+      const pixies = state.getEquippedPixies().map(getPixieActionById).filter(Boolean);
+      const triggers = collectTriggers([...state.buffs, ...pixies, ...state.getEquippedItems()]);
+      if (triggers.length === 0) return;
+      
+      const effects = evaluateTriggers(triggers, events, { amount, is_crit: isCrit });
+      for (const effect of effects) {
+        state.applyTriggerEffect(effect, targetId);
+      }
+    },
+    
+    /**
+     * Execute one effect emitted by a proc graph.
+     * 
+     * @param {Object} effect - { id, value, params, source } from evaluateTriggers
+     * @param {string|null} targetId - Entity for apply_debuff
      */
-    tryRecast: () => {
-      const { activeAction, isClickTriggered, heldInputs, castProgress } = get();
+    applyTriggerEffect: (effect, targetId) => {
+      const state = get();
       
-      if (!activeAction) return false;
-      if (isClickTriggered) {
-        set({ isClickTriggered: false });
-        return false;
+      if (import.meta.env.DEV) {
+        console.log(`[TRIGGER] ${effect.source}: ${effect.id}`, effect.value || effect.params?.status || '');
       }
-      if (!heldInputs.has(activeAction)) return false;
       
-      const action = getActionById(activeAction);
-      if (!canRecastAction(action)) return false;
+      switch (effect.id) {
+        case TRIGGER_EFFECTS.RESTORE_MANA:
+          if (effect.value > 0) state.gainMana(effect.value);
+          break;
+        case TRIGGER_EFFECTS.RESTORE_HEALTH:
+          if (effect.value > 0) state.restoreHealth(effect.value, effect.source);
+          break;
+        case TRIGGER_EFFECTS.GAIN_RESOURCE:
+          state.gainResource(effect.value);
+          break;
+        case TRIGGER_EFFECTS.APPLY_BUFF:
+          state.applyBuff({ id: effect.params.status, duration: effect.params.duration });
+          break;
+        case TRIGGER_EFFECTS.APPLY_DEBUFF:
+          if (targetId) {
+            useEntityStore.getState().applyStatus(
+              targetId,
+              { id: effect.params.status, duration: effect.params.duration },
+              PLAYER_ACTOR_ID
+            );
+          }
+          break;
+        default:
+          console.warn(`[TRIGGER] Unknown effect "${effect.id}" from ${effect.source}`);
+      }
+    },
+    
+    // =========================================================================
+    // GROUND TARGETING
+    // =========================================================================
+    
+    /**
+     * Place the pending ground-targeted action and cast it.
+     * The point is pulled back inside the action's range.
+     * 
+     * @param {{x: number, z: number}} point - World position
+     * @returns {boolean} True if a placement was pending
+     */
+    confirmGroundTarget: (point) => {
+      const { groundTargeting } = get();
+      if (!groundTargeting || !point) return false;
       
-      // Check and spend resources
-      if (!get().spendResources(action)) return false;
+      const action = getActionById(groundTargeting);
+      const placed = clampGroundTarget(getPlayerWorldPosition(), point, getGroundTargetRange(action));
+      set({ groundTargeting: null });
       
-      // Apply mana gain on recast
-      if (action?.manaGain) {
-        get().gainMana(action.manaGain);
+      if (import.meta.env.DEV) {
+        console.log(`[TARGETING] "${groundTargeting}" placed at (${placed.x.toFixed(1)}, ${placed.z.toFixed(1)})`);
       }
       
-      // Reset progress for recast
-      set({ castProgress: 0 });
-      
+      // Confirmed by a click - casts once, no hold-to-recast
+      get().handleInput(groundTargeting, true, true, placed);
+      get().heldInputs.delete(groundTargeting);
       return true;
     },
     
+    cancelGroundTarget: () => {
+      if (get().groundTargeting) set({ groundTargeting: null });
+    },
+    
+    setQuickCastGround: (enabled) => {
+      saveQuickCast(enabled);
+      set({ quickCastGround: enabled, groundTargeting: null });
+    },
+    
+    // =========================================================================
+    // RANGE & LINE OF SIGHT
+    // =========================================================================
+    
     /**
-     * Set mouse button action tracking
+     * Check an action's range and line of sight to the locked target.
+     * Actions without a range, and casts with no living target, pass.
+     * 
+     * @returns {Object} ValidationResult (see game/validation.js)
      */
-    setMouseButtonAction: (button, actionId) => {
-      set(state => ({
-        mouseButtonActions: { ...state.mouseButtonActions, [button]: actionId }
-      }));
+    checkActionReach: (action) => {
+      if (!action?.range) return { valid: true };
+      
+      const target = useEntityStore.getState().getLockedEntity();
+      const targetPosition = target && target.health > 0 ? getEntityPosition(target.id) : null;
+      if (!targetPosition) return { valid: true };
+      
+      const casterPosition = getPlayerWorldPosition();
+      
+      // Sight line runs chest to chest so low props don't block it
+      const sightClear = !action.requiresLineOfSight || hasLineOfSight(
+        { x: casterPosition.x, y: casterPosition.y + AIM_HEIGHT, z: casterPosition.z },
+        { x: targetPosition.x, y: targetPosition.y + AIM_HEIGHT, z: targetPosition.z }
+      );
+      
+      return validateSkillReach(action, { casterPosition, targetPosition, hasLineOfSight: sightClear });
     },
     
     /**
-     * Clear mouse button action on release
+     * Start an action's displacement (no-op if it has none).
+     * The end point comes from the locked target or facing, pulled short
+     * of scenery by a body sweep (game/displacement.js).
      */
-    clearMouseButtonAction: (button) => {
-      const { mouseButtonActions, heldInputs } = get();
-      const actionId = mouseButtonActions[button];
-      if (actionId) {
-        heldInputs.delete(actionId);
-        set({
-          mouseButtonActions: { ...mouseButtonActions, [button]: null }
-        });
-      }
+    startActionDisplacement: (action) => {
+      const config = getDisplacementConfig(action);
+      if (!config) return;
+      
+      const target = useEntityStore.getState().getLockedEntity();
+      const targetPosition = target && target.health > 0 ? getEntityPosition(target.id) : null;
+      const from = getPlayerWorldPosition();
+      const wanted = resolveDisplacementEnd(config, { from, facing: getFacingDirection(), targetPosition });
+      
+      const clear = getClearDistance(
+        { x: from.x, y: from.y + PLAYER_SWEEP_HEIGHT, z: from.z },
+        { x: wanted.x, y: from.y + PLAYER_SWEEP_HEIGHT, z: wanted.z },
+        PLAYER_SWEEP_RADIUS
+      );
+      const to = clampDisplacementEnd(from, wanted, clear);
+      
+      useWorldStore.getState().startDisplacement(createDisplacement(config, from, to));
+    },
+    
+    /**
+     * Show why a cast was rejected (HUD error text).
+     * The id changes every call so repeated errors replay.
+     */
+    showCastError: (message) => {
+      set((state) => ({ castError: { message, id: (state.castError?.id ?? 0) + 1 } }));
     },
     
+    clearCastError: () => set({ castError: null }),
+    
     // =========================================================================
-    // RESOURCE MANAGEMENT
+    // SPELL QUEUE
     // =========================================================================
     
     /**
-     * Spend resources for an action. Returns true if successful.
+     * Fire the buffered action.
+     * Waits (returns false, keeps the queue) while the GCD is still running -
+     * the game tick retries once it ends.
      */
-    spendResources: (action) => {
-      if (!action) return false;
+    fireQueuedAction: () => {
+      const { queuedAction, queuedGroundPoint, heldInputs, cooldowns, completedAction } = get();
+      if (!queuedAction) return false;
+      if (isOnCooldown(cooldowns, GLOBAL_COOLDOWN_KEY)) return false;
       
-      const { mana, health } = get();
-      const manaCost = action.manaCost ?? 0;
-      const healthCost = action.healthCost ?? 0;
+      // Land the finished cast's effects before the next cast replaces it
+      if (completedAction) get().processCompletedAction();
       
-      // Check costs
-      if (manaCost > 0 && mana < manaCost) return false;
-      if (healthCost > 0 && health <= healthCost) return false;
+      set({ queuedAction: null });
       
-      // Spend costs
-      set({
-        mana: Math.max(0, mana - manaCost),
-        health: Math.max(1, health - healthCost), // Never kill yourself
-      });
+      if (import.meta.env.DEV) {
+        console.log(`[QUEUE] Firing "${queuedAction}"`);
+      }
+      
+      // A released key fires once; a still-held key keeps recasting
+      const isHeld = heldInputs.has(queuedAction);
+      get().handleInput(queuedAction, true, !isHeld, queuedGroundPoint);
+      if (!isHeld) get().heldInputs.delete(queuedAction);
       
       return true;
     },
+
+    
+    // =========================================================================
+    // CAST PROGRESS
+    // =========================================================================
+    
+    setCastProgress: (progress, duration) => set(duration === undefined
+      ? { castProgress: progress }
+      : { castProgress: progress, castDuration: duration }),
     
     /**
-     * Gain mana (from attacks, etc.)
+     * Milliseconds left in the current cast/attack/channel.
      */
-    gainMana: (amount) => {
-      const maxMana = get().getMaxMana();
-      set(state => ({
-        mana: Math.min(maxMana, state.mana + amount)
-      }));
+    getCastRemainingMs: () => {
+      const { channel, castProgress, castDuration } = get();
+      if (channel) return getChannelRemainingMs(channel);
+      return Math.max(0, (1 - castProgress) * castDuration * 1000);
     },
     
     /**
-     * Apply a buff
+     * Push the current cast back after taking a hit (casts only - melee
+     * swings and channels don't get pushed back).
+     * 
+     * @returns {boolean} True if the cast was pushed back
      */
-    applyBuff: (buffDef) => {
-      const buffInstance = createBuffInstance(buffDef);
-      if (!buffInstance) return;
+    pushBackCast: () => {
+      const { playerState, activeAction, castProgress, castDuration, castPushbacks } = get();
+      if (playerState !== PLAYER_STATES.CASTING || !activeAction) return false;
       
-      set(state => ({
-        buffs: applyBuffToArray(state.buffs, buffInstance)
-      }));
+      const progress = calculatePushback(
+        { progress: castProgress, duration: castDuration, pushbacks: castPushbacks },
+        { seconds: STATS.CAST_PUSHBACK_SECONDS, maxPushbacks: STATS.MAX_CAST_PUSHBACKS }
+      );
+      if (progress === null) return false;
+      
+      set({
+        castProgress: progress,
+        castPushbacks: castPushbacks + 1,
+        castPushback: { id: nextPushbackId++, actionId: activeAction, progress },
+      });
+      
+      if (import.meta.env.DEV) {
+        console.log(`[CAST] Pushback: "${activeAction}" ${Math.round(castProgress * 100)}% -> ${Math.round(progress * 100)}%`);
+      }
+      return true;
     },
     
     /**
-     * Game tick - called every REGEN_TICK_MS
-     * Handles regeneration and buff expiration
+     * Hard-interrupt the current cast or channel (enemy kick) and lock out its school.
+     * 
+     * @param {Object} kick
+     * @param {string} kick.sourceId - Kicking entity
+     * @param {string} kick.ability - Kick name (for the HUD)
+     * @param {number} kick.lockoutSeconds - School lockout length
+     * @returns {boolean} True if a cast was interrupted
      */
-    tick: () => {
+    interruptCast: ({ sourceId, ability, lockoutSeconds }) => {
       const state = get();
-      const tickSeconds = STATS.REGEN_TICK_MS / 1000;
-      const maxMana = state.getMaxMana();
-      const maxHealth = state.getMaxHealth();
-      
-      // Calculate regen
-      const manaRegen = state.getManaRegen();
-      const healthRegen = state.getHealthRegen();
-      
-      // Apply regen
-      let newMana = state.mana + (manaRegen * tickSeconds);
-      let newHealth = state.health + (healthRegen * tickSeconds);
-      
-      // Clamp to bounds
-      newMana = Math.max(0, Math.min(maxMana, newMana));
-      newHealth = Math.max(0, Math.min(maxHealth, newHealth));
+      const kickable = state.playerState === PLAYER_STATES.CASTING || state.playerState === PLAYER_STATES.CHANNELING;
+      if (!kickable || !state.activeAction) return false;
       
-      // Remove expired buffs
-      const activeBuffs = removeExpiredBuffs(state.buffs);
+      const actionId = state.activeAction;
+      const school = getSpellSchool(getActionById(actionId));
       
       set({
-        mana: newMana,
-        health: newHealth,
-        buffs: activeBuffs,
+        interruptedBy: { sourceId, ability, school, lockoutSeconds },
+        cooldowns: startSchoolLockout(state.cooldowns, school, lockoutSeconds * 1000),
       });
+      logCast(COMBAT_LOG_EVENTS.INTERRUPT, actionId, sourceId);
+      state.transition(FSM_ACTIONS.INTERRUPT, null, state.castProgress);
+      emitCombatText({ type: COMBAT_TEXT_TYPES.STATUS, label: 'Interrupted', harmful: true });
       
-      // Stop channeled movement if mana depleted
-      if (newMana <= 0 && state.playerState === PLAYER_STATES.MOVING && state.activeAction) {
-        const action = getActionById(state.activeAction);
-        if (isChannelAction(action)) {
-          state.transition('STOP');
-        }
+      if (import.meta.env.DEV) {
+        console.log(`[CAST] "${actionId}" kicked by ${sourceId} (${ability}) - ${school ?? 'no'} school locked ${lockoutSeconds}s`);
       }
+      return true;
     },
     
-    // =========================================================================
-    // CAST PROGRESS
-    // =========================================================================
-    
-    setCastProgress: (progress) => set({ castProgress: progress }),
-    
     // =========================================================================
     // SLOT MAP ACTIONS
     // =========================================================================
@@ -847,8 +1943,10 @@ export const useGameStore = create(
       // Save current class's loadout before switching
       saveSlotMapForClass(currentClassId, currentSlotMap);
       
-      // Load new class's loadout and allowed skills/actions
+      // Load new class's loadout, talents, equipment and allowed skills/actions
       const newSlotMap = loadSlotMapForClass(classId);
+      const newTalents = loadTalentsForClass(classId);
+      const newEquipment = loadEquipmentForClass(classId);
       const newAllowedSkills = new Set(getAllowedSkillsForClass(classId));
       const newAllowedActions = new Set(getAllAllowedActionsForClass(classId));
       
@@ -864,12 +1962,20 @@ export const useGameStore = create(
       set({
         activeClassId: classId,
         slotMap: newSlotMap,
+        talents: newTalents,
+        equipment: newEquipment,
         allowedSkills: newAllowedSkills,
         allowedActions: newAllowedActions,
+        // Each class starts its own resource fresh
+        resources: createResourcePool(getResourceConfigForClass(classId)),
         // Reset casting state on class switch to prevent ghost abilities
+        // (switching class is not a way out of death)
         activeAction: null,
-        playerState: PLAYER_STATES.IDLE,
+        playerState: get().playerState === PLAYER_STATES.DEAD ? PLAYER_STATES.DEAD : PLAYER_STATES.IDLE,
         castProgress: 0,
+        channel: null,
+        queuedAction: null,
+        groundTargeting: null,
       });
     },
     
@@ -899,6 +2005,7 @@ export const useGameStore = create(
       
       // Get fresh defaults for the starting class
       const freshSlotMap = getDefaultSlotMapForClass(classId);
+      const freshEquipment = getStartingEquipment(classId);
       const freshAllowedSkills = new Set(getAllowedSkillsForClass(classId));
       const freshAllowedActions = new Set(getAllAllowedActionsForClass(classId));
       
@@ -908,11 +2015,19 @@ export const useGameStore = create(
         console.log(`[NEW GAME] Fresh loadout slots: ${Object.values(freshSlotMap).filter(Boolean).length}`);
         console.log(`[NEW GAME] Allowed skills: ${freshAllowedSkills.size}`);
         console.log(`[NEW GAME] Allowed actions: ${freshAllowedActions.size}`);
+        console.log(`[NEW GAME] Talents cleared`);
+        console.log(`[NEW GAME] Starting equipment: ${Object.values(freshEquipment).join(', ') || 'none'}`);
+        console.log(`[NEW GAME] Experience reset to level 1`);
         console.log(`[NEW GAME] Pixies reset to: ${DEFAULT_COLLECTED_PIXIES.join(', ')}`);
         console.log(`[NEW GAME] Achievements cleared`);
         console.log('[NEW GAME] ============================================');
       }
       
+      // Leaving a corpse behind - reopen the input gate
+      if (get().playerState === PLAYER_STATES.DEAD) {
+        useSceneStore.getState().unblockInput();
+      }
+      
       // Reset ALL state to fresh defaults
       set({
         // FSM state
@@ -923,23 +2038,43 @@ export const useGameStore = create(
         interruptCounter: 0,
         interruptedAction: null,
         interruptedProgress: 0,
+        interruptedBy: null,
         
         // Resources
         mana: STATS.MAX_MANA,
         health: STATS.MAX_HEALTH,
+        resources: createResourcePool(getResourceConfigForClass(classId)),
+        lastCombatAt: 0,
+        diedAt: null,
         
         // Buffs
         buffs: [],
         
         // Casting
         castProgress: 0,
+        castPushbacks: 0,
+        castPushback: null,
+        channel: null,
         isClickTriggered: false,
         heldInputs: new Set(),
         mouseButtonActions: { 0: null, 2: null },
         
+        // Cooldowns
+        cooldowns: {},
+        queuedAction: null,
+        groundTargeting: null,
+        groundTargets: {},
+        
         // Class & loadout - FRESH from config
         activeClassId: classId,
         slotMap: freshSlotMap,
+        talents: {},
+        equipment: freshEquipment,
+        
+        // Experience - level 1
+        experience: 0,
+        level: 1,
+        levelUpAt: null,
         allowedSkills: freshAllowedSkills,
         allowedActions: freshAllowedActions,
         
@@ -960,6 +2095,9 @@ export const useGameStore = create(
      * @param {Object} saveData - The saved game data
      * @param {string} saveData.activeClassId - The class ID to load
      * @param {Object} saveData.classLoadouts - Map of classId -> slotMap
+     * @param {Object} [saveData.classTalents] - Map of classId -> talent allocation
+     * @param {Object} [saveData.classEquipment] - Map of classId -> equipment (slot -> itemId)
+     * @param {number} [saveData.experience] - Total XP (level is derived from it)
      * @param {string[]} saveData.collectedPixies - Array of collected pixie IDs
      * @param {string[]} saveData.unlockedAchievements - Array of unlocked achievement IDs
      * @param {number} [saveData.health] - Current health (optional)
@@ -983,6 +2121,20 @@ export const useGameStore = create(
         }
       }
       
+      // Restore all class talent allocations to localStorage
+      if (saveData.classTalents) {
+        for (const [cId, allocation] of Object.entries(saveData.classTalents)) {
+          saveTalentsForClass(cId, allocation);
+        }
+      }
+      
+      // Restore all class equipment to localStorage
+      if (saveData.classEquipment) {
+        for (const [cId, equipment] of Object.entries(saveData.classEquipment)) {
+          saveEquipmentForClass(cId, equipment);
+        }
+      }
+      
       // Load the active class's slot map
       const loadedSlotMap = saveData.classLoadouts?.[classId] 
         || getDefaultSlotMapForClass(classId);
@@ -1002,15 +2154,26 @@ export const useGameStore = create(
         saveAchievements(new Set(saveData.unlockedAchievements));
       }
       
+      const loadedExperience = saveData.experience ?? 0;
+      saveExperience(loadedExperience);
+      const loadedLevel = getLevelForXp(getLevelCurve()?.levels, loadedExperience);
+      
       if (import.meta.env.DEV) {
         console.log('[LOAD GAME] ============================================');
         console.log(`[LOAD GAME] Active class: ${classId}`);
+        console.log(`[LOAD GAME] Level: ${loadedLevel} (${loadedExperience} xp)`);
         console.log(`[LOAD GAME] Loaded slots: ${Object.values(loadedSlotMap).filter(Boolean).length}`);
+        console.log(`[LOAD GAME] Talent points: ${Object.values(saveData.classTalents?.[classId] || {}).reduce((a, b) => a + b, 0)}`);
         console.log(`[LOAD GAME] Pixies: ${saveData.collectedPixies?.length || 0}`);
         console.log(`[LOAD GAME] Achievements: ${saveData.unlockedAchievements?.length || 0}`);
         console.log('[LOAD GAME] ============================================');
       }
       
+      // Leaving a corpse behind - reopen the input gate
+      if (get().playerState === PLAYER_STATES.DEAD) {
+        useSceneStore.getState().unblockInput();
+      }
+      
       // Overwrite ALL state
       set({
         // FSM state - reset to idle
@@ -1021,26 +2184,49 @@ export const useGameStore = create(
         interruptCounter: 0,
         interruptedAction: null,
         interruptedProgress: 0,
+        interruptedBy: null,
         
         // Resources - from save or defaults
         mana: saveData.mana ?? STATS.MAX_MANA,
-        health: saveData.health ?? STATS.MAX_HEALTH,
+        // Saved while dead - load as freshly respawned
+        health: saveData.health === 0
+          ? STATS.MAX_HEALTH * DEATH.RESPAWN_HEALTH_PERCENT
+          : saveData.health ?? STATS.MAX_HEALTH,
+        resources: restoreResourcePool(getResourceConfigForClass(classId), saveData.resources),
+        lastCombatAt: 0,
+        diedAt: null,
         
         // Buffs - always start fresh (buffs don't persist across sessions)
         buffs: [],
         
         // Casting
         castProgress: 0,
+        castPushbacks: 0,
+        castPushback: null,
+        channel: null,
         isClickTriggered: false,
         heldInputs: new Set(),
         mouseButtonActions: { 0: null, 2: null },
         
+        // Cooldowns
+        cooldowns: {},
+        queuedAction: null,
+        groundTargeting: null,
+        groundTargets: {},
+        
         // Class & loadout - from save
         activeClassId: classId,
         slotMap: loadedSlotMap,
+        talents: loadTalentsForClass(classId),
+        equipment: loadEquipmentForClass(classId),
         allowedSkills: loadedAllowedSkills,
         allowedActions: loadedAllowedActions,
         
+        // Experience - from save
+        experience: loadedExperience,
+        level: loadedLevel,
+        levelUpAt: null,
+        
         // Pixies - from save or defaults
         collectedPixies: saveData.collectedPixies || DEFAULT_COLLECTED_PIXIES,
         
@@ -1071,17 +2257,151 @@ export const useGameStore = create(
       // Make sure current class's in-memory slotMap is included
       classLoadouts[state.activeClassId] = state.slotMap;
       
+      // Collect all class talent allocations (active class from memory)
+      const classTalents = {};
+      for (const cls of allClasses) {
+        classTalents[cls.id] = loadTalentsForClass(cls.id);
+      }
+      classTalents[state.activeClassId] = { ...state.talents };
+      
+      // Collect all class equipment (active class from memory)
+      const classEquipment = {};
+      for (const cls of allClasses) {
+        classEquipment[cls.id] = loadEquipmentForClass(cls.id);
+      }
+      classEquipment[state.activeClassId] = { ...state.equipment };
+      
       return {
         activeClassId: state.activeClassId,
         classLoadouts,
+        classTalents,
+        classEquipment,
+        level: state.level,
+        experience: state.experience,
         collectedPixies: [...state.collectedPixies],
         unlockedAchievements: [...state.unlockedAchievements],
         health: state.health,
         mana: state.mana,
+        resources: { ...state.resources },
         // Note: buffs are NOT saved - they're ephemeral
       };
     },
     
+    // =========================================================================
+    // TALENT ACTIONS
+    // =========================================================================
+    
+    /**
+     * Learn one rank of a talent in the active class's tree.
+     * Rules (points, tiers, prerequisites) live in game/talents.js.
+     * 
+     * @returns {ValidationResult}
+     */
+    allocateTalent: (talentId) => {
+      const { activeClassId, talents } = get();
+      const tree = get().getTalentTree();
+      const validation = canAllocateTalent(tree, talents, talentId);
+      if (!validation.valid) {
+        if (import.meta.env.DEV) {
+          console.log(`[DEBUG][Talents] ${validation.reason}`);
+        }
+        return validation;
+      }
+      
+      const updated = allocateTalentRank(tree, talents, talentId);
+      saveTalentsForClass(activeClassId, updated);
+      set({ talents: updated });
+      return validation;
+    },
+    
+    /**
+     * Refund every talent point of the active class.
+     * Health/mana above the lowered maximums are clamped on the next tick.
+     */
+    respecTalents: () => {
+      saveTalentsForClass(get().activeClassId, {});
+      set({ talents: {} });
+    },
+    
+    // =========================================================================
+    // EQUIPMENT ACTIONS
+    // =========================================================================
+    
+    /**
+     * Equip an item on the active class.
+     * Restrictions (weapon/armor types, level) live in game/equipment.js.
+     * 
+     * @returns {ValidationResult}
+     */
+    equipItem: (itemId) => {
+      const { activeClassId, equipment, level } = get();
+      const item = getItemById(itemId);
+      const validation = canEquipItem(getClassById(activeClassId), item, level);
+      if (!validation.valid) {
+        if (import.meta.env.DEV) {
+          console.log(`[DEBUG][Equipment] ${validation.reason}`);
+        }
+        return validation;
+      }
+      
+      const updated = equipItemInSlot(equipment, item, getItemById);
+      saveEquipmentForClass(activeClassId, updated);
+      set({ equipment: updated });
+      return validation;
+    },
+    
+    /**
+     * Empty an equipment slot of the active class.
+     * Health/mana above the lowered maximums are clamped on the next tick.
+     */
+    unequipSlot: (slot) => {
+      const { activeClassId, equipment } = get();
+      if (!equipment[slot]) return;
+      
+      const updated = unequipItemSlot(equipment, slot);
+      saveEquipmentForClass(activeClassId, updated);
+      set({ equipment: updated });
+    },
+    
+    // =========================================================================
+    // EXPERIENCE ACTIONS
+    // =========================================================================
+    
+    /**
+     * Gain experience (kills, encounter rewards).
+     * Levelling up refills health and mana and starts the celebration effect.
+     * 
+     * @param {number} amount - Experience gained
+     * @param {string} [source] - XP_SOURCES value
+     */
+    gainExperience: (amount, source = XP_SOURCES.KILL) => {
+      const { experience, level } = get();
+      const levels = getLevelCurve()?.levels;
+      const result = addExperience(levels, experience, amount);
+      if (result.xp === experience) return; // Nothing gained, or already at the cap
+      
+      saveExperience(result.xp);
+      set({ experience: result.xp, level: result.level });
+      emitCombatText({ type: COMBAT_TEXT_TYPES.XP, amount: result.xp - experience });
+      
+      if (import.meta.env.DEV) {
+        console.log(`[XP] +${result.xp - experience} (${source}) → ${result.xp} xp, level ${result.level}`);
+      }
+      
+      if (result.levelsGained > 0) {
+        set(state => ({
+          levelUpAt: Date.now(),
+          health: state.playerState === PLAYER_STATES.DEAD ? state.health : state.getMaxHealth(),
+          mana: state.getMaxMana(),
+        }));
+        emitCombatText({ type: COMBAT_TEXT_TYPES.LEVEL_UP, level: result.level });
+        
+        if (import.meta.env.DEV) {
+          console.log(`[XP] LEVEL UP ${level} → ${result.level}`);
+        }
+      }
+    },
+    
     // =========================================================================
     // PIXIE ACTIONS
     // =========================================================================
@@ -1205,6 +2525,7 @@ export const useGameStore = create(
       console.log('[COMPLETION] Processing completed action:', completedAction);
       const action = getActionById(completedAction);
       console.log('[COMPLETION] Resolved action:', action?.id, action);
+      logCast(COMBAT_LOG_EVENTS.CAST_COMPLETE, completedAction);
       
       // Apply buff on completion
       if (action?.buff) {
@@ -1218,10 +2539,193 @@ export const useGameStore = create(
         get().gainMana(action.manaGain);
       }
       
+      // Apply healing
+      if (action?.heal) {
+        get().restoreHealth(action.heal, action.label);
+      }
+      
+      // Apply damage and debuffs to the locked target
+      get().resolveActionOnTarget(completedAction);
+      get().runTriggers([TRIGGER_EVENTS.CAST_COMPLETE]);
+      
       set({ completedAction: null });
       console.log('[COMPLETION] Action processing complete');
     },
     
+    /**
+     * Apply a completed action's target effects (damage, then debuff)
+     * to the locked target. Projectile actions launch instead - their
+     * effects land on impact (resolveActionHit).
+     * 
+     * @returns {Object|null} Damage result from resolveActionDamage
+     */
+    resolveActionOnTarget: (actionId) => {
+      const action = getActionById(actionId);
+      if (!action?.damage && !action?.debuff) return null;
+      
+      const target = useEntityStore.getState().getLockedEntity();
+      
+      if (action.projectile) {
+        get().launchActionProjectiles(action, target);
+        return null;
+      }
+      
+      // Placed without a projectile - lands on everything in the area
+      const groundPoint = isGroundTargeted(action) ? get().groundTargets[actionId] : null;
+      if (groundPoint) {
+        const radius = getGroundTargetRadius(action);
+        const { entities } = useEntityStore.getState();
+        for (const [entityId, entity] of Object.entries(entities)) {
+          if (entity.health <= 0) continue;
+          const pos = getEntityPosition(entityId);
+          if (pos && isInGroundTargetArea(groundPoint, pos, radius)) {
+            get().resolveActionHit(actionId, entityId);
+          }
+        }
+        return null;
+      }
+      
+      if (!target) {
+        if (import.meta.env.DEV) console.log(`[COMBAT] ${actionId} completed with no target`);
+        return null;
+      }
+      
+      return get().resolveActionHit(actionId, target.id);
+    },
+    
+    /**
+     * Launch an action's projectiles at its ground placement, the locked
+     * target, or straight ahead (out to the projectile's range).
+     */
+    launchActionProjectiles: (action, target) => {
+      const config = getProjectileConfig(action.projectile);
+      const from = getPlayerWorldPosition();
+      const groundPoint = isGroundTargeted(action) ? get().groundTargets[action.id] : null;
+      
+      let to;
+      const targetPos = !groundPoint && target ? getEntityPosition(target.id) : null;
+      if (groundPoint) {
+        to = { x: groundPoint.x, y: 0, z: groundPoint.z };
+      } else if (targetPos) {
+        to = { x: targetPos.x, y: targetPos.y + AIM_HEIGHT, z: targetPos.z };
+      } else {
+        const facing = getFacingDirection();
+        to = {
+          x: from.x + facing.x * config.range,
+          y: from.y + AIM_HEIGHT,
+          z: from.z + facing.z * config.range,
+        };
+      }
+      
+      useProjectileStore.getState().launchProjectiles(
+        {
+          actionId: action.id,
+          element: action.damageElement,
+          config,
+          targetId: targetPos ? target.id : null,
+        },
+        createProjectileVolley(config, { from, to })
+      );
+      
+      if (import.meta.env.DEV) {
+        const aim = groundPoint ? `ground (${to.x.toFixed(1)}, ${to.z.toFixed(1)})` : target?.id ?? 'nothing';
+        console.log(`[COMBAT] ${action.id} launched ${config.count} projectile(s) at ${aim}`);
+      }
+    },
+    
+    /**
+     * Apply an action's target effects (damage, then debuff) to one entity.
+     * Called directly for instant actions and by projectiles on impact.
+     * 
+     * @returns {Object|null} Damage result from resolveActionDamage
+     */
+    resolveActionHit: (actionId, entityId) => {
+      const action = getActionById(actionId);
+      if (!action) return null;
+      
+      const hit = get().resolveActionDamage(action, entityId);
+      
+      // Debuffs only land on living targets (applyStatus checks)
+      if (action.debuff) {
+        useEntityStore.getState().applyStatus(entityId, action.debuff, 'player');
+      }
+      
+      return hit;
+    },
+    
+    /**
+     * Resolve an action's damage and apply it to an entity.
+     * Damage math lives in game/combat.js, target health in entityStore.
+     * The target's monster defenses (plus its statuses) mitigate the hit.
+     * 
+     * @returns {Object|null} { amount, mitigated, isCrit, element, killed } or null if nothing was hit
+     */
+    resolveActionDamage: (action, targetId) => {
+      if (!action?.damage) return null;
+      
+      const entityStore = useEntityStore.getState();
+      const entity = entityStore.entities[targetId];
+      if (!entity) return null;
+      
+      // Finishers spend the points held on this target
+      const combo = getComboConfig(action);
+      const comboPoints = combo?.finisher ? entityStore.consumeComboPoints(targetId) : 0;
+      
+      // Condition bonuses (opened from stealth, ...) and talent skill modifiers
+      const { activeClassId, talents } = get();
+      const talentTree = get().getTalentTree();
+      const damageMultiplier = getConditionDamageMultiplier(action, {
+        fromStealth: get().stealthOpener === action.id,
+      }) * getTalentDamageMultiplier(talentTree, talents, action._skillId || action.id);
+      
+      const casterStats = getCombatStatsForClass(
+        activeClassId,
+        addStatBonuses(calculateBuffTotals(get().buffs), get().getStatBonuses())
+      );
+      const hit = resolveSkillDamage(action, casterStats, {
+        comboPoints,
+        damageMultiplier,
+      });
+      const monster = entity.monsterId ? getMonsterById(entity.monsterId) : null;
+      const defense = getDefenseStatsForMonster(monster, calculateBuffTotals(entity.statuses || []));
+      const mitigated = mitigateDamage(hit.amount, hit.element, defense);
+      
+      const result = entityStore.applyDamage(targetId, mitigated.amount);
+      if (!result) return null;
+      
+      if (result.damage > 0) {
+        set({ lastCombatAt: Date.now() });
+        get().gainResource(get().getResourceConfig()?.gainOnHit ?? 0);
+        // Builders only count on the locked target (AoE splash doesn't)
+        if (combo?.generates > 0 && targetId === entityStore.lockedTargetId && !result.killed) {
+          entityStore.addComboPoints(targetId, combo.generates);
+        }
+        emitCombatText({
+          type: COMBAT_TEXT_TYPES.DAMAGE,
+          amount: result.damage,
+          element: hit.element,
+          isCrit: hit.isCrit,
+        }, targetId);
+        logCombatEvent({
+          type: COMBAT_LOG_EVENTS.DAMAGE,
+          sourceId: PLAYER_ACTOR_ID,
+          targetId,
+          ability: action.label,
+          actionId: action.id,
+          amount: result.damage,
+          element: hit.element,
+          crit: hit.isCrit,
+        });
+        
+        const events = [TRIGGER_EVENTS.HIT];
+        if (hit.isCrit) events.push(TRIGGER_EVENTS.CRIT);
+        if (result.killed) events.push(TRIGGER_EVENTS.KILL);
+        get().runTriggers(events, { amount: result.damage, isCrit: hit.isCrit, targetId });
+      }
+      
+      return { ...hit, amount: result.damage, mitigated: mitigated.mitigated, killed: result.killed };
+    },
+    
     clearInterrupted: () => set({ interruptedAction: null, interruptedProgress: 0 }),
   }))
 );
@@ -1239,9 +2743,22 @@ export const selectBuffs = (state) => state.buffs;
 
 // FSM selectors
 export const selectPlayerState = (state) => state.playerState;
+export const selectIsDead = (state) => state.playerState === PLAYER_STATES.DEAD;
+export const selectDiedAt = (state) => state.diedAt;
 export const selectActiveAction = (state) => state.activeAction;
 export const selectAnimation = (state) => state.getAnimation();
 export const selectCastProgress = (state) => state.castProgress;
+export const selectGroundTargeting = (state) => state.groundTargeting;
+export const selectQuickCastGround = (state) => state.quickCastGround;
+export const selectCastError = (state) => state.castError;
+export const selectLevel = (state) => state.level;
+export const selectExperience = (state) => state.experience;
+export const selectLevelUpAt = (state) => state.levelUpAt;
+export const selectEquipment = (state) => state.equipment;
+
+// Cooldown selectors
+export const selectCooldowns = (state) => state.cooldowns;
+export const selectCooldown = (actionId) => (state) => state.cooldowns[actionId] || null;
 
 // Slot map selectors
 export const selectSlotMap = (state) => state.slotMap;
@@ -1282,6 +2799,20 @@ if (typeof window !== 'undefined') {
   }
 }
 
+// =============================================================================
+// KILL EXPERIENCE
+// =============================================================================
+
+// Any entity dropping to 0 health was killed by the player (hits, DoT ticks)
+useEntityStore.subscribe(selectEntities, (entities, previous) => {
+  for (const [entityId, entity] of Object.entries(entities)) {
+    if (entity.health > 0 || !(previous[entityId]?.health > 0)) continue;
+    const monster = entity.monsterId ? getMonsterById(entity.monsterId) : null;
+    const xp = getKillExperience(monster);
+    if (xp > 0) useGameStore.getState().gainExperience(xp, XP_SOURCES.KILL);
+  }
+});
+
 // =============================================================================
 // GLOBAL MOUSEUP HANDLER
 // =============================================================================
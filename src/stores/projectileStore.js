@@ -0,0 +1,82 @@
+/**
+ * =============================================================================
+ * PROJECTILE STORE - IN-FLIGHT PROJECTILES & IMPACTS
+ * =============================================================================
+ *
+ * Tracks which projectiles and impact effects currently exist so the
+ * scene can mount one component per entry.
+ *
+ * KEY CONCEPTS:
+ * =============
+ * - Entries are spawn descriptors only - per-frame flight state lives in
+ *   the <Projectile> component (game/projectiles.js), so flight never
+ *   triggers React renders
+ * - Damage is NOT applied here - the projectile reports hits back to
+ *   gameStore.resolveActionHit
+ * - Impacts are fire-and-forget VFX; they remove themselves when done
+ */
+
+import { create } from 'zustand';
+import { subscribeWithSelector } from 'zustand/middleware';
+
+let nextId = 1;
+
+const useProjectileStore = create(
+  subscribeWithSelector((set) => ({
+    // Projectiles in flight: { id, actionId, element, config, targetId, flight }
+    projectiles: [],
+
+    // Impact effects playing: { id, vfx, element, position, radius }
+    impacts: [],
+
+    // ==========================================================================
+    // PROJECTILES
+    // ==========================================================================
+
+    /**
+     * Launch projectiles for a completed cast.
+     *
+     * @param {Object} def - { actionId, element, config, targetId }
+     * @param {Array} flights - Initial flight states from createProjectileVolley
+     */
+    launchProjectiles: (def, flights) => {
+      if (!flights?.length) return;
+      set(state => ({
+        projectiles: [
+          ...state.projectiles,
+          ...flights.map(flight => ({ ...def, id: `projectile_${nextId++}`, flight })),
+        ],
+      }));
+    },
+
+    removeProjectile: (id) => set(state => ({
+      projectiles: state.projectiles.filter(p => p.id !== id),
+    })),
+
+    // ==========================================================================
+    // IMPACTS
+    // ==========================================================================
+
+    /**
+     * Play an impact effect at a world position.
+     *
+     * @param {Object} def - { vfx, element, position: [x, y, z], radius }
+     */
+    spawnImpact: (def) => set(state => ({
+      impacts: [...state.impacts, { ...def, id: `impact_${nextId++}` }],
+    })),
+
+    removeImpact: (id) => set(state => ({
+      impacts: state.impacts.filter(i => i.id !== id),
+    })),
+  }))
+);
+
+// =============================================================================
+// SELECTORS
+// =============================================================================
+
+export const selectProjectiles = (state) => state.projectiles;
+export const selectImpacts = (state) => state.impacts;
+
+export default useProjectileStore;
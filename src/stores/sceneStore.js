@@ -29,7 +29,7 @@
  * 
  * INPUT ISOLATION:
  * ================
- * - inputBlocked: true during ANY transition
+ * - inputBlocked: true during ANY transition (and while the player is dead)
  * - Scenes MUST check inputBlocked before handling input
  * - No global input listeners - all through SceneManager
  */
@@ -20,6 +20,12 @@
  * - When close enough, advance to next waypoint
  * - When path complete, stop moving
  * 
+ * DISPLACEMENT:
+ * =============
+ * - Dashes/leaps/teleports (game/displacement.js) cancel the path and
+ *   drive targetOffset along their own curve until they land
+ * - Path following pauses while one is in flight
+ * 
  * IMPORTANT - PERFORMANCE:
  * ========================
  * Position updates happen EVERY FRAME. Using React state for this would
@@ -32,6 +38,7 @@
 import { create } from 'zustand';
 import { subscribeWithSelector } from 'zustand/middleware';
 import * as THREE from 'three';
+import { sampleDisplacement } from '@/game/displacement';
 
 // =============================================================================
 // MOVEMENT CONSTANTS
@@ -68,6 +75,18 @@ const mutableState = {
   
   // Final destination (for click indicator)
   destination: null,
+  
+  // Last ground point under the mouse (world coordinates, null until hovered)
+  cursor: null,
+  
+  // Obstruction raycast (from, to) => boolean, registered from inside <Physics>
+  lineOfSightQuery: null,
+  
+  // Body sweep (from, to, radius) => clear distance, registered from inside <Physics>
+  clearanceQuery: null,
+  
+  // Dash/leap/teleport in flight (game/displacement.js), null when none
+  displacement: null,
 };
 
 // =============================================================================
@@ -92,6 +111,9 @@ const useWorldStore = create(
     // Has a destination been set? (for click indicator)
     hasDestination: false,
     
+    // Is a dash/leap in flight?
+    isDisplacing: false,
+    
     // ==========================================================================
     // ACTIONS
     // ==========================================================================
@@ -134,6 +156,45 @@ const useWorldStore = create(
       }
     },
     
+    /**
+     * Start a dash/leap/teleport (from game/displacement.js createDisplacement).
+     * Cancels the active path. Teleports land at once.
+     */
+    startDisplacement: (displacement) => {
+      get().stopMovement();
+      mutableState.displacement = displacement;
+      set({ isDisplacing: true });
+      
+      if (import.meta.env.DEV) {
+        console.log(`[worldStore] ${displacement.type} to (${displacement.to.x.toFixed(2)}, ${displacement.to.z.toFixed(2)})`);
+      }
+      
+      get().updateDisplacement(displacement.startedAt);
+    },
+    
+    /**
+     * Advance the displacement in flight. Called from the animation loop.
+     * Teleports snap both offsets; dashes and leaps move the target offset.
+     * 
+     * @returns {boolean} True while one is in flight (path following waits)
+     */
+    updateDisplacement: (now = Date.now()) => {
+      const displacement = mutableState.displacement;
+      if (!displacement) return false;
+      
+      const point = sampleDisplacement(displacement, now);
+      mutableState.targetOffset.set(-point.x, -point.y, -point.z);
+      if (displacement.durationMs <= 0) {
+        mutableState.currentOffset.copy(mutableState.targetOffset);
+      }
+      
+      if (point.done) {
+        mutableState.displacement = null;
+        set({ isDisplacing: false });
+      }
+      return true;
+    },
+    
     /**
      * Reset world position to origin.
      * Called when starting a new game to ensure player starts at (0,0,0).
@@ -148,8 +209,9 @@ const useWorldStore = create(
       mutableState.path = [];
       mutableState.pathIndex = 0;
       mutableState.destination = null;
+      mutableState.displacement = null;
       
-      set({ isMoving: false, hasDestination: false });
+      set({ isMoving: false, hasDestination: false, isDisplacing: false });
       
       if (import.meta.env.DEV) {
         console.log('[worldStore] World position reset to origin (0,0,0)');
@@ -162,8 +224,11 @@ const useWorldStore = create(
      * 
      * IMPORTANT: This mutates mutableState directly to avoid re-renders.
      * Uses targetOffset for calculations to prevent jitter from lerp.
+     * 
+     * @param {number} deltaTime - Seconds since last frame
+     * @param {number} [speedMultiplier] - Buff/debuff scaling of moveSpeed
      */
-    updatePathFollowing: (deltaTime) => {
+    updatePathFollowing: (deltaTime, speedMultiplier = 1) => {
       const { isMoving, moveSpeed } = get();
       
       if (!isMoving || mutableState.path.length === 0) return;
@@ -213,7 +278,7 @@ const useWorldStore = create(
       mutableState.moveDirection.copy(toWaypoint);
       
       // Calculate movement delta
-      const moveDistance = Math.min(moveSpeed * deltaTime, distanceToWaypoint);
+      const moveDistance = Math.min(moveSpeed * speedMultiplier * deltaTime, distanceToWaypoint);
       const dx = toWaypoint.x * moveDistance;
       const dz = toWaypoint.z * moveDistance;
       
@@ -227,6 +292,8 @@ const useWorldStore = create(
      */
     teleportTo: (x, y, z) => {
       get().stopMovement();
+      mutableState.displacement = null;
+      if (get().isDisplacing) set({ isDisplacing: false });
       mutableState.targetOffset.set(-x, -y, -z);
       mutableState.currentOffset.set(-x, -y, -z);
     },
@@ -242,7 +309,8 @@ const useWorldStore = create(
       mutableState.path = [];
       mutableState.pathIndex = 0;
       mutableState.destination = null;
-      set({ isMoving: false, hasDestination: false });
+      mutableState.displacement = null;
+      set({ isMoving: false, hasDestination: false, isDisplacing: false });
     },
     
     /**
@@ -290,6 +358,36 @@ export const getFacingDirection = () => mutableState.facingDirection;
 // Get destination for click indicator
 export const getDestination = () => mutableState.destination;
 
+// Ground point under the mouse (for ground-targeted skills)
+export const getCursorWorldPosition = () => mutableState.cursor;
+
+export const setCursorWorldPosition = (x, z) => {
+  if (mutableState.cursor) {
+    mutableState.cursor.set(x, 0, z);
+  } else {
+    mutableState.cursor = new THREE.Vector3(x, 0, z);
+  }
+};
+
+// Line of sight between two world points (clear until physics registers a query)
+export const hasLineOfSight = (from, to) =>
+  mutableState.lineOfSightQuery ? mutableState.lineOfSightQuery(from, to) : true;
+
+export const setLineOfSightQuery = (query) => {
+  mutableState.lineOfSightQuery = query;
+};
+
+// Free travel for a body of `radius` moving from → to before solid scenery
+// (the full distance until physics registers a query)
+export const getClearDistance = (from, to, radius) => {
+  if (mutableState.clearanceQuery) return mutableState.clearanceQuery(from, to, radius);
+  return Math.hypot(to.x - from.x, to.y - from.y, to.z - from.z);
+};
+
+export const setClearanceQuery = (query) => {
+  mutableState.clearanceQuery = query;
+};
+
 // Get current store values (no React involvement)
 export const getWorldConfig = () => ({
   smoothing: useWorldStore.getState().smoothing,
@@ -303,6 +401,7 @@ export const getWorldActions = () => ({
   stopMovement: useWorldStore.getState().stopMovement,
   updatePathFollowing: useWorldStore.getState().updatePathFollowing,
   teleportTo: useWorldStore.getState().teleportTo,
+  startDisplacement: useWorldStore.getState().startDisplacement,
   resetWorld: useWorldStore.getState().resetWorld,
   setMoveSpeed: useWorldStore.getState().setMoveSpeed,
   setSmoothing: useWorldStore.getState().setSmoothing,
@@ -0,0 +1,56 @@
+/**
+ * =============================================================================
+ * COMBAT TEXT QUEUE - Events Waiting for a Floating Number
+ * =============================================================================
+ * 
+ * Stores push combat events here; the <CombatText> pool drains the queue
+ * once per frame. Plain mutable state - emitting never triggers a React
+ * render, so a Multishot volley costs a few array pushes.
+ * 
+ * Each event is anchored to a WORLD position when emitted (the entity's
+ * position from entityStore, or the player's from worldStore), so the
+ * number stays where the hit happened while the world offset moves.
+ */
+
+import { getEntityPosition } from '@/stores/entityStore';
+import { getPlayerWorldPosition } from '@/stores/worldStore';
+
+// Height above an entity's feet where numbers appear
+const ENTITY_TEXT_HEIGHT = 2.2;
+const PLAYER_TEXT_HEIGHT = 2.0;
+
+// Events beyond this are dropped (oldest first) when nothing is draining
+const MAX_QUEUED = 64;
+
+let queue = [];
+
+/**
+ * Queue a floating number.
+ * 
+ * @param {Object} event - CombatTextEvent (see game/combatText.js)
+ * @param {string|null} entityId - Entity the text floats over, null for the player
+ */
+export function emitCombatText(event, entityId = null) {
+  let anchor;
+  if (entityId) {
+    const pos = getEntityPosition(entityId);
+    if (!pos) return;
+    anchor = { x: pos.x, y: pos.y + ENTITY_TEXT_HEIGHT, z: pos.z };
+  } else {
+    const pos = getPlayerWorldPosition();
+    anchor = { x: pos.x, y: pos.y + PLAYER_TEXT_HEIGHT, z: pos.z };
+  }
+  
+  queue.push({ ...event, onPlayer: !entityId, anchor });
+  if (queue.length > MAX_QUEUED) queue.shift();
+}
+
+/**
+ * Take every queued event (oldest first) and clear the queue.
+ */
+export function drainCombatText() {
+  if (queue.length === 0) return queue;
+  const drained = queue;
+  queue = [];
+  return drained;
+}
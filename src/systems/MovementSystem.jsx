@@ -29,7 +29,8 @@ import useWorldStore, {
   getPlayerWorldPosition,
   getDestination,
   useHasDestination,
-  getFacingDirection
+  getFacingDirection,
+  setCursorWorldPosition
 } from '@/stores/worldStore';
 import { useGameStore } from '@/stores/gameStore';
 import { pathfinder } from './Pathfinding';
@@ -117,11 +118,21 @@ export function GroundPlane() {
     }
   }, []);
   
+  // Track the ground point under the mouse (ground-targeted skills aim here)
+  const handlePointerMove = useCallback((event) => {
+    const mutable = getWorldMutable();
+    setCursorWorldPosition(
+      event.point.x - mutable.currentOffset.x,
+      event.point.z - mutable.currentOffset.z
+    );
+  }, []);
+  
   return (
     <mesh 
       rotation={[-Math.PI / 2, 0, 0]} 
       position={[0, 0.01, 0]}
       onClick={handleClick}
+      onPointerMove={handlePointerMove}
     >
       <planeGeometry args={[60, 60]} />
       <meshBasicMaterial visible={false} />
@@ -147,11 +158,17 @@ export function PathFollower() {
   if (!actionsRef.current) {
     actionsRef.current = {
       updatePathFollowing: useWorldStore.getState().updatePathFollowing,
+      updateDisplacement: useWorldStore.getState().updateDisplacement,
     };
   }
   
   useFrame((_, delta) => {
-    actionsRef.current.updatePathFollowing(delta);
+    // A dash/leap in flight owns the offset until it lands
+    if (actionsRef.current.updateDisplacement()) return;
+    
+    // Buffs scale speed (stealth slows you down), movement channels speed you up
+    const speedMultiplier = useGameStore.getState().getSpeedMultiplier();
+    actionsRef.current.updatePathFollowing(delta, speedMultiplier);
   });
   
   return null;
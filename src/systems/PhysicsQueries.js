@@ -0,0 +1,138 @@
+/**
+ * =============================================================================
+ * PHYSICS QUERIES - Entity Hit Tests & Line of Sight
+ * =============================================================================
+ * 
+ * Rapier shape queries against the sensor bodies that EntityCollider
+ * (PhysicsWorld.jsx) attaches to targetable entities, and ray casts against
+ * solid scenery for line of sight and dash clearance. Queries run in WORLD coordinates, the
+ * same space as entityStore positions.
+ * 
+ * Must be used inside <Physics>.
+ */
+
+import { useCallback, useEffect } from 'react';
+import { useRapier } from '@react-three/rapier';
+import { setLineOfSightQuery, setClearanceQuery } from '@/stores/worldStore';
+
+const IDENTITY_ROTATION = { x: 0, y: 0, z: 0, w: 1 };
+
+// Upper bound on entities one sweep can report (pierce chains)
+const MAX_SWEEP_HITS = 8;
+
+const entityIdOf = (collider) => collider.parent()?.userData?.entityId ?? null;
+
+/**
+ * Physics queries for projectiles.
+ * 
+ * sweep(from, to, radius, canHit) - entities a sphere touches moving
+ *   from → to, nearest first. canHit(entityId) filters candidates.
+ * overlap(center, radius, canHit) - entities inside a sphere (splash).
+ */
+export function useEntityQueries() {
+  const { world, rapier } = useRapier();
+  
+  const sweep = useCallback((from, to, radius, canHit) => {
+    const dx = to.x - from.x;
+    const dy = to.y - from.y;
+    const dz = to.z - from.z;
+    const distance = Math.hypot(dx, dy, dz);
+    if (distance <= 0) return [];
+    
+    const shape = new rapier.Ball(radius);
+    const direction = { x: dx / distance, y: dy / distance, z: dz / distance };
+    const hits = [];
+    const seen = new Set();
+    
+    // castShape reports the nearest collider - exclude it and cast again
+    while (hits.length < MAX_SWEEP_HITS) {
+      const result = world.castShape(
+        from, IDENTITY_ROTATION, direction, shape, distance, true,
+        undefined, undefined, undefined, undefined,
+        (collider) => {
+          const entityId = entityIdOf(collider);
+          return entityId !== null && !seen.has(entityId) && canHit(entityId);
+        }
+      );
+      if (!result) break;
+      
+      const entityId = entityIdOf(result.collider);
+      seen.add(entityId);
+      hits.push({ entityId, distance: result.toi });
+    }
+    
+    return hits;
+  }, [world, rapier]);
+  
+  const overlap = useCallback((center, radius, canHit) => {
+    const entityIds = [];
+    world.intersectionsWithShape(
+      center, IDENTITY_ROTATION, new rapier.Ball(radius),
+      (collider) => {
+        const entityId = entityIdOf(collider);
+        if (entityId !== null && !entityIds.includes(entityId) && canHit(entityId)) {
+          entityIds.push(entityId);
+        }
+        return true;
+      }
+    );
+    return entityIds;
+  }, [world, rapier]);
+  
+  return { sweep, overlap };
+}
+
+/**
+ * Register the line-of-sight ray cast with worldStore so game logic
+ * (skill validation) can ask for it outside React. Sensors (entity
+ * colliders) never block sight - only solid scenery does.
+ */
+export function useLineOfSightQuery() {
+  const { world, rapier } = useRapier();
+  
+  useEffect(() => {
+    setLineOfSightQuery((from, to) => {
+      const dx = to.x - from.x;
+      const dy = to.y - from.y;
+      const dz = to.z - from.z;
+      const distance = Math.hypot(dx, dy, dz);
+      if (distance <= 0) return true;
+      
+      const ray = new rapier.Ray(from, { x: dx / distance, y: dy / distance, z: dz / distance });
+      const hit = world.castRay(ray, distance, true, rapier.QueryFilterFlags.EXCLUDE_SENSORS);
+      return hit === null;
+    });
+    
+    return () => setLineOfSightQuery(null);
+  }, [world, rapier]);
+}
+
+/**
+ * Register the body sweep with worldStore so displacement skills
+ * (game/displacement.js) stop short of solid scenery instead of passing
+ * through it. Sensors (entity colliders) never block - you can dash
+ * through monsters.
+ */
+export function useClearanceQuery() {
+  const { world, rapier } = useRapier();
+  
+  useEffect(() => {
+    setClearanceQuery((from, to, radius) => {
+      const dx = to.x - from.x;
+      const dy = to.y - from.y;
+      const dz = to.z - from.z;
+      const distance = Math.hypot(dx, dy, dz);
+      if (distance <= 0) return 0;
+      
+      const hit = world.castShape(
+        from, IDENTITY_ROTATION,
+        { x: dx / distance, y: dy / distance, z: dz / distance },
+        new rapier.Ball(radius), distance, true,
+        rapier.QueryFilterFlags.EXCLUDE_SENSORS
+      );
+      return hit ? hit.toi : distance;
+    });
+    
+    return () => setClearanceQuery(null);
+  }, [world, rapier]);
+}
@@ -16,11 +16,19 @@
  * - worldStore.mutableState holds the canonical world offset
  * - Physics bodies follow the store, not the other way around
  * - This keeps movement logic centralized
+ * 
+ * ENTITY QUERIES:
+ * ===============
+ * - Targetable entities carry a sensor body (EntityCollider) tagged with
+ *   their entityId, placed at their WORLD position from entityStore
+ * - Projectiles sweep a sphere through those sensors (PhysicsQueries.js)
+ * - LineOfSight registers a scenery ray cast for skill range checks, and
+ *   a body sweep that stops dashes at scenery
  */
 
 import React, { useRef, useCallback, useEffect } from 'react';
 import { useFrame } from '@react-three/fiber';
-import { Physics, RigidBody, useRapier } from '@react-three/rapier';
+import { Physics, RigidBody, CapsuleCollider, useRapier } from '@react-three/rapier';
 import * as THREE from 'three';
 
 import useWorldStore, { 
@@ -28,7 +36,9 @@ import useWorldStore, {
   getPlayerWorldPosition,
   getDestination
 } from '@/stores/worldStore';
+import { getEntityPosition } from '@/stores/entityStore';
 import { pathfinder } from './Pathfinding';
+import { useLineOfSightQuery, useClearanceQuery } from './PhysicsQueries';
 
 // =============================================================================
 // PHYSICS GROUND - Static collider for raycasting
@@ -247,6 +257,55 @@ export function PhysicsClickIndicator() {
   );
 }
 
+// =============================================================================
+// ENTITY COLLIDER - Sensor body that follows a targetable entity
+// =============================================================================
+
+/**
+ * Kinematic sensor capsule for projectile hits.
+ * Tracks the entity's world position (entityStore), not its rendered group,
+ * so queries run in the same coordinates as game logic.
+ */
+export function EntityCollider({ entityId, radius = 0.45, height = 1.8 }) {
+  const rigidBodyRef = useRef();
+  
+  useFrame(() => {
+    const pos = getEntityPosition(entityId);
+    if (!rigidBodyRef.current || !pos) return;
+    
+    rigidBodyRef.current.setNextKinematicTranslation({
+      x: pos.x,
+      y: pos.y + height / 2,
+      z: pos.z
+    });
+  });
+  
+  return (
+    <RigidBody
+      ref={rigidBodyRef}
+      type="kinematicPosition"
+      colliders={false}
+      userData={{ entityId }}
+    >
+      <CapsuleCollider args={[Math.max(0, height / 2 - radius), radius]} sensor />
+    </RigidBody>
+  );
+}
+
+// =============================================================================
+// LINE OF SIGHT - Exposes the obstruction ray cast to game logic
+// =============================================================================
+
+/**
+ * Renders nothing; while mounted, skill validation can ray cast for
+ * line of sight (worldStore.hasLineOfSight). Must be inside <Physics>.
+ */
+export function LineOfSight() {
+  useLineOfSightQuery();
+  useClearanceQuery();
+  return null;
+}
+
 // =============================================================================
 // PHYSICS PROVIDER - Wraps scene in Rapier physics
 // =============================================================================